@@ -0,0 +1,185 @@
+/*
+	Imaginary Teleprompter
+	Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+	This file is part of Imaginary Teleprompter.
+
+	Imaginary Teleprompter is free software: you can redistribute it and/or modify
+	it under the terms of the GNU General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Imaginary Teleprompter is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU General Public License for more details.
+
+	You should have received a copy of the GNU General Public License
+	along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+"use strict";
+
+// CANVAS SYNC
+// Carries the paints of the offscreen prompter (main.js, "openInstance") to the
+// editor's canvas.
+//
+// Paints are coalesced: every paint event grows one dirty rectangle and replaces
+// the latest image, and only that rectangle leaves for the editor. Small regions
+// go as raw BGRA pixels, large ones (a scrolling prompter dirties the whole
+// screen) as JPEG, which is a fraction of the size over IPC.
+//
+// At most one frame is in flight. The editor acknowledges each frame once it is
+// drawn with {option:'canvasAck', seq}; paints arriving meanwhile keep coalescing.
+// The measured round trip, encoding included, is averaged into the frame time,
+// which paces the frames sent and the offscreen frame rate. A slow editor gets
+// fewer, fresher frames instead of a backlog.
+//
+// Frames are sent as {option:'canvasFrame', seq, size:[width, height],
+// rect:{x, y, width, height}, format:'bgra'|'jpeg', data}.
+
+const MIN_INTERVAL = 1000 / 60;
+const MAX_INTERVAL = 1000 / 10;
+// Dirty areas larger than this share of the frame are JPEG encoded.
+const ENCODE_RATIO = 0.25;
+const JPEG_QUALITY = 85;
+// Weight of the newest round trip in the frame time average.
+const SMOOTHING = 0.2;
+// A frame not acknowledged by then is taken as lost and the next one repaints everything.
+const ACK_TIMEOUT = 1000;
+// Offscreen frame rate changes smaller than this are not worth a reconfiguration.
+const FRAME_RATE_STEP = 5;
+
+class CanvasSync {
+	constructor(source, target) {
+		this.source = source;
+		this.target = target;
+		this.image = null;
+		this.dirty = null;
+		this.size = null;
+		this.seq = 0;
+		this.inFlight = false;
+		this.sentAt = 0;
+		this.frameTime = MIN_INTERVAL;
+		this.interval = MIN_INTERVAL;
+		this.sendTimer = null;
+		this.ackTimer = null;
+		this.onPaint = (event, dirty, image) => this.paint(dirty, image);
+		source.on('paint', this.onPaint);
+		source.setFrameRate(Math.round(1000 / this.interval));
+	}
+
+	paint(dirty, image) {
+		this.image = image;
+		this.dirty = this.dirty ? union(this.dirty, dirty) : dirty;
+		this.schedule();
+	}
+
+	schedule() {
+		if (this.inFlight || this.sendTimer !== null || this.dirty === null)
+			return;
+		const wait = Math.max(0, this.sentAt + this.interval - Date.now());
+		this.sendTimer = setTimeout(() => {
+			this.sendTimer = null;
+			this.send();
+		}, wait);
+	}
+
+	send() {
+		if (this.target.isDestroyed())
+			return this.stop();
+		const start = Date.now(),
+			size = this.image.getSize();
+		let rect = clip(this.dirty, size);
+		// A resized canvas starts out blank.
+		if (this.size === null || this.size.width !== size.width || this.size.height !== size.height)
+			rect = { x: 0, y: 0, width: size.width, height: size.height };
+		this.dirty = null;
+		if (rect.width <= 0 || rect.height <= 0)
+			return;
+		const whole = rect.width === size.width && rect.height === size.height,
+			region = whole ? this.image : this.image.crop(rect),
+			encode = rect.width * rect.height > size.width * size.height * ENCODE_RATIO;
+		this.target.send('asynchronous-reply', {
+			option: 'canvasFrame',
+			seq: ++this.seq,
+			size: [size.width, size.height],
+			rect: rect,
+			format: encode ? 'jpeg' : 'bgra',
+			data: encode ? region.toJPEG(JPEG_QUALITY) : region.toBitmap()
+		});
+		this.size = size;
+		this.inFlight = true;
+		this.sentAt = start;
+		this.ackTimer = setTimeout(() => this.lost(), ACK_TIMEOUT);
+	}
+
+	ack(seq) {
+		if (!this.inFlight || seq !== this.seq)
+			return;
+		clearTimeout(this.ackTimer);
+		this.ackTimer = null;
+		this.inFlight = false;
+		this.frameTime += (Date.now() - this.sentAt - this.frameTime) * SMOOTHING;
+		this.interval = Math.min(MAX_INTERVAL, Math.max(MIN_INTERVAL, this.frameTime));
+		// Don't render offscreen faster than frames can be delivered.
+		const frameRate = Math.round(1000 / this.interval);
+		if (!this.source.isDestroyed() && Math.abs(frameRate - this.source.getFrameRate()) >= FRAME_RATE_STEP)
+			this.source.setFrameRate(frameRate);
+		this.schedule();
+	}
+
+	lost() {
+		this.ackTimer = null;
+		this.inFlight = false;
+		this.frameTime = MAX_INTERVAL;
+		this.interval = MAX_INTERVAL;
+		// Whatever the editor missed gets repainted.
+		this.size = null;
+		if (this.image !== null)
+			this.dirty = { x: 0, y: 0, width: 0, height: 0 };
+		this.schedule();
+	}
+
+	stop() {
+		clearTimeout(this.sendTimer);
+		clearTimeout(this.ackTimer);
+		this.sendTimer = null;
+		this.ackTimer = null;
+		this.image = null;
+		this.dirty = null;
+		if (!this.source.isDestroyed())
+			this.source.removeListener('paint', this.onPaint);
+	}
+}
+
+function union(a, b) {
+	const x = Math.min(a.x, b.x),
+		y = Math.min(a.y, b.y);
+	return {
+		x: x,
+		y: y,
+		width: Math.max(a.x + a.width, b.x + b.width) - x,
+		height: Math.max(a.y + a.height, b.y + b.height) - y
+	};
+}
+
+function clip(rect, size) {
+	const x = Math.max(0, rect.x),
+		y = Math.max(0, rect.y);
+	return {
+		x: x,
+		y: y,
+		width: Math.min(size.width, rect.x + rect.width) - x,
+		height: Math.min(size.height, rect.y + rect.height) - y
+	};
+}
+
+// Starts sending the paints of offscreen webContents "source" to the editor's webContents "target".
+function attach(source, target) {
+	return new CanvasSync(source, target);
+}
+
+module.exports = {
+	attach: attach
+};
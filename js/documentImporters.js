@@ -0,0 +1,830 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Word processor importers (js/importers.js): RTF, DOCX and ODT.
+//
+// Each reads its document into paragraphs,
+//   { type: "p" | "h1".."h6", list: null | "ul" | "ol", level, table, runs: [ { text, bold, italic, underline, color } ] }
+// which become clean prompt HTML: headings, paragraphs, lists, <strong>, <em>, <u> and
+// coloured spans. Fonts, sizes, alignment and the like are left to the prompter style.
+// What can't be prompted (images, drawings, footnotes, comments, embedded objects) is
+// dropped, and tables are read as plain paragraphs; either is reported with the script.
+(function () {
+    "use strict";
+
+    // DOCUMENTS
+
+    const PLAIN = { bold: false, italic: false, underline: false, color: "" };
+
+    function createParagraph() {
+        return { type: "p", list: null, level: 0, table: false, runs: [] };
+    }
+
+    function addText(paragraph, text, format) {
+        if (text === "")
+            return;
+        const last = paragraph.runs[paragraph.runs.length - 1];
+        if (last && last.bold === format.bold && last.italic === format.italic && last.underline === format.underline && last.color === format.color)
+            last.text += text;
+        else
+            paragraph.runs.push({ text: text, bold: format.bold, italic: format.italic, underline: format.underline, color: format.color });
+    }
+
+    function isEmpty(paragraph) {
+        for (let i = 0; i < paragraph.runs.length; i++)
+            if (paragraph.runs[i].text.trim() !== "")
+                return false;
+        return true;
+    }
+
+    // "#rrggbb", or "" for automatic and black text, which is left to the prompter style.
+    function normalizeColor(color) {
+        if (typeof color !== "string")
+            return "";
+        color = color.trim().toLowerCase();
+        if (/^[0-9a-f]{6}$/.test(color))
+            color = "#" + color;
+        if (!/^#[0-9a-f]{6}$/.test(color) || color === "#000000")
+            return "";
+        return color;
+    }
+
+    function runsToHTML(runs) {
+        let html = "";
+        for (let i = 0; i < runs.length; i++) {
+            const run = runs[i];
+            let text = Importers.escapeHTML(run.text.replace(/\t/g, " ")).replace(/\n/g, "<br>");
+            if (run.text.trim() !== "") {
+                if (run.underline)
+                    text = "<u>" + text + "</u>";
+                if (run.italic)
+                    text = "<em>" + text + "</em>";
+                if (run.bold)
+                    text = "<strong>" + text + "</strong>";
+                if (run.color !== "")
+                    text = '<span style="color:' + run.color + '">' + text + "</span>";
+            }
+            html += text;
+        }
+        return html.replace(/^(\s|<br>)+|(\s|<br>)+$/g, "");
+    }
+
+    function toHTML(paragraphs) {
+        const lists = [];
+        let html = "";
+
+        function closeList() {
+            html += "</li></" + lists.pop().type + ">" + (lists.length === 0 ? "\n" : "");
+        }
+
+        for (let i = 0; i < paragraphs.length; i++) {
+            const paragraph = paragraphs[i];
+            if (isEmpty(paragraph))
+                continue;
+            if (paragraph.list === null) {
+                while (lists.length > 0)
+                    closeList();
+                html += "<" + paragraph.type + ">" + runsToHTML(paragraph.runs) + "</" + paragraph.type + ">\n";
+                continue;
+            }
+            while (lists.length > 0 && (lists[lists.length - 1].level > paragraph.level || (lists[lists.length - 1].level === paragraph.level && lists[lists.length - 1].type !== paragraph.list)))
+                closeList();
+            if (lists.length > 0 && lists[lists.length - 1].level === paragraph.level)
+                html += "</li>\n";
+            else {
+                // A deeper level nests in the open item.
+                html += "<" + paragraph.list + ">";
+                lists.push({ type: paragraph.list, level: paragraph.level });
+            }
+            html += "<li>" + runsToHTML(paragraph.runs);
+        }
+        while (lists.length > 0)
+            closeList();
+        return html;
+    }
+
+    // Counts what a document loses on import.
+    function createReport() {
+        const counts = {},
+            order = [];
+        return {
+            add: function (what) {
+                if (!counts.hasOwnProperty(what)) {
+                    counts[what] = 0;
+                    order.push(what);
+                }
+                counts[what]++;
+            },
+            list: function () {
+                return order.map(function (what) {
+                    return counts[what] + " " + what + (counts[what] > 1 ? "s" : "") + (what === "table" ? " (imported as paragraphs)" : "");
+                });
+            }
+        };
+    }
+
+    function toScript(file, paragraphs, report) {
+        // Each run of table paragraphs is one table.
+        for (let i = 0; i < paragraphs.length; i++)
+            if (paragraphs[i].table && (i === 0 || !paragraphs[i - 1].table))
+                report.add("table");
+        return [{
+            "name": Importers.getBaseName(file.name),
+            "data": toHTML(paragraphs),
+            "target": 0,
+            "dropped": report.list()
+        }];
+    }
+
+    function headingType(level) {
+        return level >= 1 && level <= 6 ? "h" + level : "p";
+    }
+
+    // RTF
+    // A single pass over the control words. Groups save the character format; paragraph
+    // properties last until \pard. Destinations that aren't text (font and style tables,
+    // document info, pictures, fields' instructions...) are skipped.
+
+    // Destinations skipped without a word. Those marked with \* are skipped too.
+    const RTF_SKIPPED = ["fonttbl", "filetbl", "info", "revtbl", "rsidtbl", "listtable", "listoverridetable", "header", "headerl", "headerr", "headerf", "footer", "footerl", "footerr", "footerf", "fldinst", "xmlnstbl", "themedata", "colorschememapping", "datastore", "latentstyles", "pgdsctbl", "ftnsep", "ftnsepc", "ftncn", "aftnsep", "aftnsepc", "aftncn"];
+    // Destinations dropped and reported.
+    const RTF_DROPPED = { pict: "image", shp: "drawing", object: "embedded object", footnote: "footnote", annotation: "comment" };
+    // Destinations that render something else in a second form, skipped without a word.
+    const RTF_ALTERNATIVES = ["nonshppict", "shprslt", "result"];
+    const RTF_SYMBOLS = { emdash: "—", endash: "–", bullet: "•", lquote: "‘", rquote: "’", ldblquote: "“", rdblquote: "”", emspace: " ", enspace: " ", qmspace: " " };
+
+    function parseRTF(buffer, file) {
+        const bytes = new Uint8Array(buffer),
+            report = createReport(),
+            paragraphs = [],
+            styles = {},
+            colors = [],
+            states = [];
+        let text = "";
+        // RTF is 7-bit, anything else is in the document's code page.
+        for (let i = 0; i < bytes.length; i += 0x8000)
+            text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        if (text.slice(0, 5) !== "{\\rtf")
+            throw new Error(file.name + " is not an RTF document");
+
+        let decoder = createDecoder(1252),
+            state = { bold: false, italic: false, underline: false, color: 0, skip: false, alternative: false, destination: "", uc: 1 },
+            paragraph = createParagraph(),
+            paragraphProperties = { style: -1, outline: -1, list: false, level: 0, marker: "", table: false },
+            pending = [],
+            skipChars = 0,
+            styleName = "",
+            styleNumber = 0,
+            color = null;
+
+        function createDecoder(codePage) {
+            try {
+                return new TextDecoder(codePage === 65001 ? "utf-8" : "windows-" + codePage);
+            } catch (err) {
+                return new TextDecoder("windows-1252");
+            }
+        }
+
+        function output(chars) {
+            if (state.skip)
+                return;
+            if (state.destination === "stylesheet")
+                styleName += chars;
+            else if (state.destination === "listtext")
+                paragraphProperties.marker += chars;
+            else if (state.destination === "")
+                addText(paragraph, chars, {
+                    bold: state.bold,
+                    italic: state.italic,
+                    underline: state.underline,
+                    color: normalizeColor(colors[state.color])
+                });
+        }
+
+        // Code page bytes (\'hh) are decoded together, some code pages use two per character.
+        function flushBytes() {
+            if (pending.length > 0) {
+                output(decoder.decode(new Uint8Array(pending)));
+                pending = [];
+            }
+        }
+
+        function character(chars) {
+            if (skipChars > 0) {
+                skipChars--;
+                return;
+            }
+            flushBytes();
+            output(chars);
+        }
+
+        function endParagraph() {
+            flushBytes();
+            const style = styles[paragraphProperties.style] || "";
+            let level = /^heading\s*(\d)$/i.test(style) ? parseInt(style.replace(/\D/g, ""), 10) : /^title$/i.test(style) ? 1 : 0;
+            if (paragraphProperties.outline >= 0)
+                level = paragraphProperties.outline + 1;
+            paragraph.type = headingType(level);
+            paragraph.table = paragraphProperties.table;
+            if (paragraphProperties.list) {
+                paragraph.list = /^\s*(\d+|[a-zA-Z]|[ivxlcIVXLC]+)[.)]/.test(paragraphProperties.marker) ? "ol" : "ul";
+                paragraph.level = paragraphProperties.level;
+            }
+            paragraphs.push(paragraph);
+            paragraph = createParagraph();
+            paragraphProperties.marker = "";
+        }
+
+        function controlWord(word, parameter) {
+            const value = parameter === null ? 1 : parameter;
+            if (state.destination === "colortbl") {
+                if (color === null)
+                    color = [0, 0, 0];
+                if (word === "red")
+                    color[0] = value;
+                else if (word === "green")
+                    color[1] = value;
+                else if (word === "blue")
+                    color[2] = value;
+                return;
+            }
+            if (state.destination === "stylesheet" && !state.skip) {
+                if (word === "s")
+                    styleNumber = value;
+                return;
+            }
+            // Pictures are counted even in \* destinations, Word keeps them in {\*\shppict}.
+            if (RTF_DROPPED.hasOwnProperty(word)) {
+                if (!state.alternative)
+                    report.add(RTF_DROPPED[word]);
+                state.skip = true;
+                state.alternative = true;
+                return;
+            }
+            if (RTF_ALTERNATIVES.indexOf(word) !== -1 || RTF_SKIPPED.indexOf(word) !== -1) {
+                state.skip = true;
+                state.alternative = true;
+                return;
+            }
+            // List markers are text: bullets, numbers and the tab after them.
+            if (state.skip || (state.destination === "listtext" && word !== "u" && word !== "tab" && !RTF_SYMBOLS.hasOwnProperty(word)))
+                return;
+            switch (word) {
+            case "ansicpg":
+                decoder = createDecoder(value);
+                break;
+            case "colortbl":
+            case "stylesheet":
+                state.destination = word;
+                break;
+            case "listtext":
+            case "pntext":
+                state.destination = "listtext";
+                paragraphProperties.list = true;
+                break;
+            case "par":
+            case "sect":
+            case "page":
+            case "cell":
+                if (state.destination === "")
+                    endParagraph();
+                break;
+            case "pard":
+                paragraphProperties.style = -1;
+                paragraphProperties.outline = -1;
+                paragraphProperties.list = false;
+                paragraphProperties.level = 0;
+                paragraphProperties.table = false;
+                break;
+            case "s":
+                paragraphProperties.style = value;
+                break;
+            case "outlinelevel":
+                paragraphProperties.outline = value;
+                break;
+            case "ls":
+                paragraphProperties.list = value > 0;
+                break;
+            case "ilvl":
+                paragraphProperties.level = value;
+                break;
+            case "intbl":
+                paragraphProperties.table = true;
+                break;
+            case "plain":
+                state.bold = false;
+                state.italic = false;
+                state.underline = false;
+                state.color = 0;
+                break;
+            case "b":
+                state.bold = value !== 0;
+                break;
+            case "i":
+                state.italic = value !== 0;
+                break;
+            case "ulnone":
+                state.underline = false;
+                break;
+            case "cf":
+                state.color = value;
+                break;
+            case "uc":
+                state.uc = value;
+                break;
+            case "u":
+                character(String.fromCharCode(value < 0 ? value + 65536 : value));
+                skipChars = state.uc;
+                break;
+            case "line":
+                character("\n");
+                break;
+            case "tab":
+                character("\t");
+                break;
+            default:
+                if (RTF_SYMBOLS.hasOwnProperty(word))
+                    character(RTF_SYMBOLS[word]);
+                else if (/^ul/.test(word))
+                    state.underline = value !== 0;
+            }
+        }
+
+        for (let i = 0; i < text.length;) {
+            const c = text[i];
+            if (c === "{") {
+                flushBytes();
+                states.push(state);
+                state = Object.assign({}, state);
+                i++;
+            }
+            else if (c === "}") {
+                flushBytes();
+                if (state.destination === "stylesheet" && states.length > 0 && states[states.length - 1].destination !== "stylesheet")
+                    styleName = "";
+                else if (state.destination === "stylesheet" && !state.skip && styleName !== "") {
+                    styles[styleNumber] = styleName.replace(/;\s*$/, "").trim();
+                    styleName = "";
+                    styleNumber = 0;
+                }
+                if (states.length === 0)
+                    break;
+                state = states.pop();
+                skipChars = 0;
+                i++;
+            }
+            else if (c === "\\") {
+                const next = text[i + 1];
+                if (next === "'") {
+                    const value = parseInt(text.substr(i + 2, 2), 16);
+                    i += 4;
+                    if (skipChars > 0)
+                        skipChars--;
+                    else if (!state.skip && !isNaN(value))
+                        pending.push(value);
+                    continue;
+                }
+                if (/[a-zA-Z]/.test(next)) {
+                    const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(text.substr(i + 1, 48));
+                    i += 1 + match[0].length;
+                    flushBytes();
+                    if (match[1] === "bin") {
+                        // Binary data, skipped whole.
+                        i += parseInt(match[2], 10) || 0;
+                        continue;
+                    }
+                    controlWord(match[1], match[2] !== undefined ? parseInt(match[2], 10) : null);
+                    continue;
+                }
+                i += 2;
+                if (next === "*") {
+                    state.skip = true;
+                    continue;
+                }
+                if (next === "\\" || next === "{" || next === "}")
+                    character(next);
+                else if (next === "~")
+                    character(" ");
+                else if (next === "_")
+                    character("-");
+                else if (next === "\n" || next === "\r")
+                    controlWord("par", null);
+            }
+            else if (c === "\r" || c === "\n")
+                i++;
+            else {
+                i++;
+                if (state.destination === "colortbl" && c === ";") {
+                    colors.push(color === null ? "" : "#" + color.map(function (part) {
+                        return (part < 16 ? "0" : "") + part.toString(16);
+                    }).join(""));
+                    color = null;
+                }
+                else if (c.charCodeAt(0) > 127 && skipChars === 0 && !state.skip)
+                    pending.push(c.charCodeAt(0));
+                else
+                    character(c);
+            }
+        }
+        flushBytes();
+        if (!isEmpty(paragraph))
+            endParagraph();
+        return toScript(file, paragraphs, report);
+    }
+
+    // OFFICE OPEN XML (DOCX)
+
+    const WORD_DROPPED = { pict: "drawing", object: "embedded object", footnoteReference: "footnote", endnoteReference: "footnote", commentReference: "comment" };
+
+    function parseXML(text) {
+        const xml = new DOMParser().parseFromString(text, "application/xml");
+        if (xml.getElementsByTagName("parsererror").length > 0)
+            throw new Error("Damaged document");
+        return xml;
+    }
+
+    function firstChild(parent, name) {
+        if (parent === null)
+            return null;
+        for (let child = parent.firstElementChild; child !== null; child = child.nextElementSibling)
+            if (child.localName === name)
+                return child;
+        return null;
+    }
+
+    function wordValue(element) {
+        return element !== null ? element.getAttribute("w:val") : null;
+    }
+
+    // On/off properties are on when present, unless their value says otherwise.
+    function wordToggle(element) {
+        if (element === null)
+            return null;
+        const value = wordValue(element);
+        return value === null || (value !== "0" && value !== "false" && value !== "none");
+    }
+
+    function readWordFormat(rPr, format) {
+        if (rPr === null)
+            return format;
+        const bold = wordToggle(firstChild(rPr, "b")),
+            italic = wordToggle(firstChild(rPr, "i")),
+            underline = wordToggle(firstChild(rPr, "u")),
+            color = wordValue(firstChild(rPr, "color"));
+        return {
+            bold: bold !== null ? bold : format.bold,
+            italic: italic !== null ? italic : format.italic,
+            underline: underline !== null ? underline : format.underline,
+            color: color !== null ? normalizeColor(color) : format.color
+        };
+    }
+
+    function readWordStyles(xml) {
+        const styles = {},
+            elements = xml !== null ? xml.getElementsByTagName("w:style") : [];
+        for (let i = 0; i < elements.length; i++) {
+            const pPr = firstChild(elements[i], "pPr"),
+                numPr = firstChild(pPr, "numPr"),
+                outline = wordValue(firstChild(pPr, "outlineLvl"));
+            styles[elements[i].getAttribute("w:styleId")] = {
+                name: wordValue(firstChild(elements[i], "name")) || "",
+                basedOn: wordValue(firstChild(elements[i], "basedOn")),
+                outline: outline !== null ? parseInt(outline, 10) : -1,
+                numId: numPr !== null ? wordValue(firstChild(numPr, "numId")) : null,
+                level: numPr !== null ? parseInt(wordValue(firstChild(numPr, "ilvl")), 10) || 0 : 0,
+                rPr: firstChild(elements[i], "rPr")
+            };
+        }
+        return styles;
+    }
+
+    // A style's properties, with those of the styles it's based on.
+    function getWordStyle(styles, id) {
+        const chain = [];
+        for (let style = styles[id]; style && chain.length < 16 && chain.indexOf(style) === -1; style = styles[style.basedOn])
+            chain.unshift(style);
+        const result = { heading: 0, numId: null, level: 0, format: PLAIN };
+        chain.forEach(function (style) {
+            const heading = /^heading\s*(\d)$/i.exec(style.name);
+            if (heading !== null)
+                result.heading = parseInt(heading[1], 10);
+            else if (/^title$/i.test(style.name))
+                result.heading = 1;
+            else if (style.outline >= 0 && style.outline < 9)
+                result.heading = style.outline + 1;
+            if (style.numId !== null) {
+                result.numId = style.numId;
+                result.level = style.level;
+            }
+            result.format = readWordFormat(style.rPr, result.format);
+        });
+        return result;
+    }
+
+    // numId to each level's list type.
+    function readWordNumbering(xml) {
+        const lists = {};
+        if (xml === null)
+            return lists;
+        const abstracts = {},
+            abstractElements = xml.getElementsByTagName("w:abstractNum");
+        for (let i = 0; i < abstractElements.length; i++) {
+            const levels = {},
+                levelElements = abstractElements[i].getElementsByTagName("w:lvl");
+            for (let j = 0; j < levelElements.length; j++)
+                levels[levelElements[j].getAttribute("w:ilvl")] = wordValue(firstChild(levelElements[j], "numFmt")) === "bullet" ? "ul" : "ol";
+            abstracts[abstractElements[i].getAttribute("w:abstractNumId")] = levels;
+        }
+        const numElements = xml.getElementsByTagName("w:num");
+        for (let i = 0; i < numElements.length; i++)
+            lists[numElements[i].getAttribute("w:numId")] = abstracts[wordValue(firstChild(numElements[i], "abstractNumId"))] || {};
+        return lists;
+    }
+
+    function parseDOCX(buffer, file) {
+        const zip = Zip.read(buffer);
+        if (!zip.has("word/document.xml"))
+            throw new Error(file.name + " is not a Word document");
+        const document = parseXML(zip.text("word/document.xml")),
+            styles = readWordStyles(zip.has("word/styles.xml") ? parseXML(zip.text("word/styles.xml")) : null),
+            numbering = readWordNumbering(zip.has("word/numbering.xml") ? parseXML(zip.text("word/numbering.xml")) : null),
+            report = createReport(),
+            paragraphs = [];
+
+        function readRun(run, paragraph, format) {
+            const rPr = firstChild(run, "rPr");
+            if (rPr !== null) {
+                const runStyle = wordValue(firstChild(rPr, "rStyle"));
+                if (runStyle !== null)
+                    format = readWordFormat(styles[runStyle] ? styles[runStyle].rPr : null, format);
+                format = readWordFormat(rPr, format);
+            }
+            for (let child = run.firstElementChild; child !== null; child = child.nextElementSibling) {
+                const name = child.localName;
+                if (name === "t")
+                    addText(paragraph, child.textContent, format);
+                else if (name === "tab" || name === "ptab")
+                    addText(paragraph, "\t", format);
+                else if ((name === "br" && child.getAttribute("w:type") !== "page") || name === "cr")
+                    addText(paragraph, "\n", format);
+                else if (name === "noBreakHyphen")
+                    addText(paragraph, "-", format);
+                else if (name === "AlternateContent")
+                    report.add("drawing");
+                else if (name === "drawing")
+                    report.add(child.getElementsByTagName("pic:pic").length > 0 ? "image" : "drawing");
+                else if (WORD_DROPPED.hasOwnProperty(name))
+                    report.add(WORD_DROPPED[name]);
+            }
+        }
+
+        // Runs, and what holds runs: links, fields, content controls, insertions.
+        function readContents(parent, paragraph, format) {
+            for (let child = parent.firstElementChild; child !== null; child = child.nextElementSibling) {
+                const name = child.localName;
+                if (name === "r")
+                    readRun(child, paragraph, format);
+                else if (name === "hyperlink" || name === "ins" || name === "smartTag" || name === "fldSimple" || name === "sdtContent" || name === "customXml" || name === "moveTo")
+                    readContents(child, paragraph, format);
+                else if (name === "sdt")
+                    readContents(firstChild(child, "sdtContent") || child, paragraph, format);
+                else if (name === "oMath" || name === "oMathPara")
+                    report.add("equation");
+            }
+        }
+
+        function readParagraph(element, table) {
+            const paragraph = createParagraph(),
+                pPr = firstChild(element, "pPr"),
+                style = getWordStyle(styles, wordValue(firstChild(pPr, "pStyle"))),
+                outline = wordValue(firstChild(pPr, "outlineLvl")),
+                numPr = firstChild(pPr, "numPr");
+            let heading = style.heading,
+                numId = style.numId,
+                level = style.level;
+            if (outline !== null && parseInt(outline, 10) < 9)
+                heading = parseInt(outline, 10) + 1;
+            if (numPr !== null) {
+                if (firstChild(numPr, "numId") !== null)
+                    numId = wordValue(firstChild(numPr, "numId"));
+                if (firstChild(numPr, "ilvl") !== null)
+                    level = parseInt(wordValue(firstChild(numPr, "ilvl")), 10) || 0;
+            }
+            paragraph.type = headingType(heading);
+            paragraph.table = table;
+            // numId 0 takes a style's numbering away.
+            if (paragraph.type === "p" && numId !== null && numId !== "0") {
+                paragraph.list = (numbering[numId] || {})[level] || "ul";
+                paragraph.level = level;
+            }
+            // Headings look like headings in the prompter style, not like their Word style.
+            readContents(element, paragraph, paragraph.type === "p" ? style.format : PLAIN);
+            paragraphs.push(paragraph);
+        }
+
+        function readBlocks(parent, table) {
+            for (let child = parent.firstElementChild; child !== null; child = child.nextElementSibling) {
+                const name = child.localName;
+                if (name === "p")
+                    readParagraph(child, table);
+                else if (name === "tbl")
+                    readBlocks(child, true);
+                else if (name === "tr" || name === "tc" || name === "sdt" || name === "sdtContent" || name === "customXml" || name === "ins")
+                    readBlocks(child, table);
+            }
+        }
+
+        const body = document.getElementsByTagName("w:body")[0];
+        if (body)
+            readBlocks(body, false);
+        return toScript(file, paragraphs, report);
+    }
+
+    // OPENDOCUMENT TEXT (ODT)
+
+    const ODF_DROPPED = { frame: "drawing", "custom-shape": "drawing", rect: "drawing", line: "drawing", ellipse: "drawing", g: "drawing", note: "footnote", annotation: "comment", object: "embedded object" };
+    const ODF_SKIPPED = ["tracked-changes", "sequence-decls", "variable-decls", "user-field-decls", "annotation-end", "bookmark", "bookmark-start", "bookmark-end", "soft-page-break", "reference-mark", "index-title-template"];
+
+    // Text and list styles, by name, from content.xml's automatic styles and styles.xml.
+    function readOdfStyles(documents) {
+        const styles = {},
+            lists = {};
+        documents.forEach(function (xml) {
+            if (xml === null)
+                return;
+            const styleElements = xml.getElementsByTagName("style:style");
+            for (let i = 0; i < styleElements.length; i++) {
+                const properties = firstChild(styleElements[i], "text-properties"),
+                    style = {
+                        parent: styleElements[i].getAttribute("style:parent-style-name"),
+                        outline: parseInt(styleElements[i].getAttribute("style:default-outline-level"), 10) || 0,
+                        list: styleElements[i].getAttribute("style:list-style-name")
+                    };
+                if (properties !== null) {
+                    const weight = properties.getAttribute("fo:font-weight"),
+                        fontStyle = properties.getAttribute("fo:font-style"),
+                        underline = properties.getAttribute("style:text-underline-style"),
+                        color = properties.getAttribute("fo:color");
+                    if (weight !== null)
+                        style.bold = weight === "bold" || parseInt(weight, 10) >= 600;
+                    if (fontStyle !== null)
+                        style.italic = fontStyle === "italic" || fontStyle === "oblique";
+                    if (underline !== null)
+                        style.underline = underline !== "none";
+                    if (color !== null)
+                        style.color = normalizeColor(color);
+                }
+                styles[styleElements[i].getAttribute("style:name")] = style;
+            }
+            const listElements = xml.getElementsByTagName("text:list-style");
+            for (let i = 0; i < listElements.length; i++) {
+                const levels = {};
+                for (let level = listElements[i].firstElementChild; level !== null; level = level.nextElementSibling)
+                    levels[(parseInt(level.getAttribute("text:level"), 10) || 1) - 1] = level.localName === "list-level-style-number" ? "ol" : "ul";
+                lists[listElements[i].getAttribute("style:name")] = levels;
+            }
+        });
+        return { styles: styles, lists: lists };
+    }
+
+    function applyOdfStyle(styles, name, format) {
+        const chain = [];
+        for (let style = styles[name]; style && chain.length < 16 && chain.indexOf(style) === -1; style = styles[style.parent])
+            chain.unshift(style);
+        chain.forEach(function (style) {
+            format = {
+                bold: style.hasOwnProperty("bold") ? style.bold : format.bold,
+                italic: style.hasOwnProperty("italic") ? style.italic : format.italic,
+                underline: style.hasOwnProperty("underline") ? style.underline : format.underline,
+                color: style.hasOwnProperty("color") ? style.color : format.color
+            };
+        });
+        return format;
+    }
+
+    function getOdfOutline(styles, name) {
+        for (let style = styles[name], depth = 0; style && depth < 16; style = styles[style.parent], depth++)
+            if (style.outline > 0)
+                return style.outline;
+        return 0;
+    }
+
+    function parseODT(buffer, file) {
+        const zip = Zip.read(buffer);
+        if (!zip.has("content.xml"))
+            throw new Error(file.name + " is not an OpenDocument text");
+        const content = parseXML(zip.text("content.xml")),
+            definitions = readOdfStyles([zip.has("styles.xml") ? parseXML(zip.text("styles.xml")) : null, content]),
+            report = createReport(),
+            paragraphs = [];
+
+        function readText(parent, paragraph, format) {
+            for (let node = parent.firstChild; node !== null; node = node.nextSibling) {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    // Whitespace collapses, spaces that count are <text:s>.
+                    addText(paragraph, node.nodeValue.replace(/[ \t\r\n]+/g, " "), format);
+                    continue;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE)
+                    continue;
+                const name = node.localName;
+                if (name === "s")
+                    addText(paragraph, new Array((parseInt(node.getAttribute("text:c"), 10) || 1) + 1).join(" "), format);
+                else if (name === "tab")
+                    addText(paragraph, "\t", format);
+                else if (name === "line-break")
+                    addText(paragraph, "\n", format);
+                else if (name === "span")
+                    readText(node, paragraph, applyOdfStyle(definitions.styles, node.getAttribute("text:style-name"), format));
+                else if (ODF_DROPPED.hasOwnProperty(name))
+                    report.add(name === "frame" && node.getElementsByTagName("draw:image").length > 0 ? "image" : ODF_DROPPED[name]);
+                else if (ODF_SKIPPED.indexOf(name) === -1)
+                    readText(node, paragraph, format);
+            }
+        }
+
+        function readParagraph(element, list, table) {
+            const styleName = element.getAttribute("text:style-name"),
+                paragraph = createParagraph();
+            let level = 0;
+            if (element.localName === "h")
+                level = parseInt(element.getAttribute("text:outline-level"), 10) || getOdfOutline(definitions.styles, styleName) || 1;
+            else
+                level = getOdfOutline(definitions.styles, styleName);
+            paragraph.type = headingType(level);
+            paragraph.table = table;
+            if (list !== null && paragraph.type === "p") {
+                paragraph.list = (definitions.lists[list.style] || {})[list.level] || "ul";
+                paragraph.level = list.level;
+            }
+            readText(element, paragraph, paragraph.type === "p" ? applyOdfStyle(definitions.styles, styleName, PLAIN) : PLAIN);
+            paragraphs.push(paragraph);
+        }
+
+        function readBlocks(parent, list, table) {
+            for (let child = parent.firstElementChild; child !== null; child = child.nextElementSibling) {
+                const name = child.localName;
+                if (name === "p" || name === "h")
+                    readParagraph(child, list, table);
+                else if (name === "list") {
+                    const style = child.getAttribute("text:style-name") || (list !== null ? list.style : null);
+                    readBlocks(child, { style: style, level: list !== null ? list.level + 1 : 0 }, table);
+                }
+                else if (name === "list-item" || name === "list-header")
+                    readBlocks(child, list, table);
+                else if (name === "table")
+                    readBlocks(child, list, true);
+                else if (ODF_DROPPED.hasOwnProperty(name))
+                    report.add(name === "frame" && child.getElementsByTagName("draw:image").length > 0 ? "image" : ODF_DROPPED[name]);
+                else if (ODF_SKIPPED.indexOf(name) === -1)
+                    readBlocks(child, list, table);
+            }
+        }
+
+        const text = content.getElementsByTagName("office:text")[0];
+        if (text)
+            readBlocks(text, null, false);
+        return toScript(file, paragraphs, report);
+    }
+
+    Importers.register({
+        name: "RTF document",
+        extensions: ["rtf"],
+        types: ["application/rtf", "text/rtf"],
+        binary: true,
+        parse: parseRTF
+    });
+
+    Importers.register({
+        name: "Word document",
+        extensions: ["docx"],
+        types: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+        binary: true,
+        parse: parseDOCX
+    });
+
+    Importers.register({
+        name: "OpenDocument text",
+        extensions: ["odt"],
+        types: ["application/vnd.oasis.opendocument.text"],
+        binary: true,
+        parse: parseODT
+    });
+})();
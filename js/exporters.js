@@ -0,0 +1,510 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Script exports for the sidebar's download button (SIDEBAR.exportElements).
+//
+// Formats:
+//   pdf       A printable reading copy: paginated, with the page, "page of pages" and the
+//             numbered segment (headings and rundown stories, as in js/timing.js) on every page.
+//   text      Plain text without technical tags (js/technicalTags.js, isTagTecnica).
+//   markdown  Headings, lists, bold and italics.
+//   html      The script as stored.
+//   archive   Scripts with their images and prompter settings, added by js/scriptArchive.js.
+// Several scripts export as one ZIP archive (js/zip.js) with a file each.
+(function () {
+    "use strict";
+
+    const BLOCK_TAGS = ["P", "DIV", "H1", "H2", "H3", "H4", "H5", "H6", "LI", "BLOCKQUOTE", "PRE", "TD", "TH", "UL", "OL", "TABLE", "TR", "TBODY", "THEAD"],
+        SEGMENT_SELECTOR = "h1, h2, h3, h4, h5, h6, .story-separator";
+
+    // BLOCKS
+    // Scripts are read into blocks:
+    //   { kind: "heading" | "separator" | "paragraph" | "item", level, marker, runs: [ { text, bold, italic } ], text, segment }
+    // "segment" numbers headings and separators from 1; blocks before the first one are in segment 0.
+
+    function isTag(text) {
+        return typeof window.isTagTecnica === "function" && window.isTagTecnica(text);
+    }
+
+    function readBlocks(html) {
+        const template = document.createElement("template"),
+            blocks = [],
+            lists = [];
+        let current = null,
+            segment = 0;
+        template.innerHTML = html;
+
+        function flush() {
+            if (current !== null) {
+                current.text = current.runs.map(function (run) {
+                    return run.text;
+                }).join("").replace(/[ \t]+/g, " ").replace(/ ?\n ?/g, "\n").trim();
+                if (current.text !== "")
+                    blocks.push(current);
+            }
+            current = null;
+        }
+
+        function open(kind, level, marker) {
+            flush();
+            current = { kind: kind, level: level, marker: marker, runs: [], text: "", segment: segment };
+        }
+
+        function addText(text, format) {
+            if (current === null)
+                open("paragraph", 0, "");
+            const last = current.runs[current.runs.length - 1];
+            if (last && last.bold === format.bold && last.italic === format.italic)
+                last.text += text;
+            else
+                current.runs.push({ text: text, bold: format.bold, italic: format.italic });
+        }
+
+        function visit(node, format) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                addText(node.nodeValue.replace(/\s+/g, " "), format);
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || node.nodeName === "SCRIPT" || node.nodeName === "STYLE")
+                return;
+            if (node.nodeName === "BR") {
+                addText("\n", format);
+                return;
+            }
+            const name = node.nodeName;
+            format = {
+                bold: format.bold || name === "B" || name === "STRONG",
+                italic: format.italic || name === "I" || name === "EM"
+            };
+            if (node.matches(SEGMENT_SELECTOR)) {
+                segment++;
+                open(name.charAt(0) === "H" ? "heading" : "separator", name.charAt(0) === "H" ? parseInt(name.charAt(1), 10) : 0, String(segment));
+            }
+            else if (name === "UL" || name === "OL") {
+                flush();
+                lists.push({ ordered: name === "OL", count: 0 });
+            }
+            else if (name === "LI") {
+                const list = lists.length > 0 ? lists[lists.length - 1] : { ordered: false, count: 0 };
+                list.count++;
+                open("item", Math.max(lists.length, 1), list.ordered ? list.count + "." : "•");
+            }
+            else if (BLOCK_TAGS.indexOf(name) !== -1)
+                open("paragraph", 0, "");
+            for (let child = node.firstChild; child !== null; child = child.nextSibling)
+                visit(child, format);
+            if (name === "UL" || name === "OL")
+                lists.pop();
+            if (BLOCK_TAGS.indexOf(name) !== -1 || node.matches(SEGMENT_SELECTOR))
+                flush();
+        }
+
+        for (let child = template.content.firstChild; child !== null; child = child.nextSibling)
+            visit(child, { bold: false, italic: false });
+        flush();
+        return blocks;
+    }
+
+    // PLAIN TEXT
+
+    function toText(script) {
+        let text = "",
+            previous = null;
+        readBlocks(script.data).forEach(function (block) {
+            if (isTag(block.text))
+                return;
+            // Blank lines between blocks, but not between the items of a list.
+            if (previous !== null)
+                text += previous.kind === "item" && block.kind === "item" ? "\n" : "\n\n";
+            if (block.kind === "item")
+                text += new Array(block.level).join("    ") + block.marker + " " + block.text.replace(/\n/g, "\n" + new Array(block.level + 1).join("    "));
+            else
+                text += block.text;
+            previous = block;
+        });
+        return text + "\n";
+    }
+
+    // MARKDOWN
+
+    function escapeMarkdown(text) {
+        return text.replace(/([\\`*_\[\]<>])/g, "\\$1");
+    }
+
+    function runsToMarkdown(runs) {
+        return runs.map(function (run) {
+            const text = escapeMarkdown(run.text),
+                trimmed = text.trim();
+            if (trimmed === "" || (!run.bold && !run.italic))
+                return text;
+            const mark = (run.bold ? "**" : "") + (run.italic ? "*" : "");
+            // Emphasis can't start or end with a space.
+            return text.slice(0, text.indexOf(trimmed)) + mark + trimmed + mark.split("").reverse().join("") + text.slice(text.indexOf(trimmed) + trimmed.length);
+        }).join("").trim().replace(/\n/g, "  \n");
+    }
+
+    function toMarkdown(script) {
+        const lines = ["# " + escapeMarkdown(script.name)];
+        let previous = null;
+        readBlocks(script.data).forEach(function (block) {
+            let line;
+            // Markdown has six heading levels and the script name takes the first.
+            if (block.kind === "heading")
+                line = new Array(Math.min(block.level + 1, 6) + 1).join("#") + " " + escapeMarkdown(block.text.replace(/\n/g, " "));
+            else if (block.kind === "separator")
+                line = "---\n\n## " + escapeMarkdown(block.text.replace(/\n/g, " "));
+            else if (block.kind === "item")
+                line = new Array(block.level).join("    ") + (block.marker === "•" ? "-" : block.marker) + " " + runsToMarkdown(block.runs);
+            else
+                // A paragraph starting like a heading, list or rule would read as one.
+                line = runsToMarkdown(block.runs).replace(/^(#|-|\+|=)/, "\\$1").replace(/^(\d+)\./, "$1\\.");
+            // List items of one list go on consecutive lines.
+            lines.push((previous !== null && previous.kind === "item" && block.kind === "item" ? "" : "\n") + line);
+            previous = block;
+        });
+        return lines.join("\n") + "\n";
+    }
+
+    // PDF
+    // A reading copy on A4 with the PDF standard fonts (Helvetica), which need no embedding.
+    // Text is measured on a canvas with the metric compatible Arial.
+
+    const PAGE_WIDTH = 595.28,
+        PAGE_HEIGHT = 841.89,
+        MARGIN_LEFT = 80,
+        MARGIN_RIGHT = 56,
+        MARGIN_TOP = 72,
+        MARGIN_BOTTOM = 64,
+        TEXT_SIZE = 14,
+        LEADING = 1.5,
+        FONTS = ["Helvetica", "Helvetica-Bold", "Helvetica-Oblique", "Helvetica-BoldOblique"],
+        // Unicode to WinAnsiEncoding for the characters 128-159 of Windows-1252.
+        WIN_ANSI = { 8364: 128, 8218: 130, 402: 131, 8222: 132, 8230: 133, 8224: 134, 8225: 135, 710: 136, 8240: 137, 352: 138, 8249: 139, 338: 140, 381: 142, 8216: 145, 8217: 146, 8220: 147, 8221: 148, 8226: 149, 8211: 150, 8212: 151, 732: 152, 8482: 153, 353: 154, 8250: 155, 339: 156, 382: 158, 376: 159 };
+
+    let measureContext;
+
+    function fontIndex(bold, italic) {
+        return (bold ? 1 : 0) + (italic ? 2 : 0);
+    }
+
+    function measure(text, font, size) {
+        if (measureContext === undefined) {
+            const canvas = document.createElement("canvas");
+            measureContext = canvas.getContext ? canvas.getContext("2d") : null;
+        }
+        if (measureContext === null)
+            return text.length * size * (font % 2 === 1 ? 0.58 : 0.54);
+        measureContext.font = (font >= 2 ? "italic " : "") + (font % 2 === 1 ? "bold " : "") + size + "px Arial, Helvetica, sans-serif";
+        return measureContext.measureText(text).width;
+    }
+
+    // WinAnsiEncoding code of a UTF-16 code unit, or -1 if the PDF fonts don't have it.
+    function winAnsiCode(code) {
+        if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) // Latin-1 is WinAnsi too
+            return code;
+        return WIN_ANSI.hasOwnProperty(code) ? WIN_ANSI[code] : -1;
+    }
+
+    // Characters of "text" the PDF prints as "?", once each.
+    function unprintable(text) {
+        const found = [];
+        for (const char of text)
+            if (char !== "\n" && (char.length > 1 || winAnsiCode(char.charCodeAt(0)) === -1) && found.indexOf(char) === -1)
+                found.push(char);
+        return found;
+    }
+
+    // A PDF literal string in WinAnsiEncoding, non-ASCII as octal escapes.
+    function pdfString(text) {
+        let result = "(";
+        for (let i = 0; i < text.length; i++) {
+            let code = winAnsiCode(text.charCodeAt(i));
+            if (code === -1)
+                code = 63; // "?"
+            const char = String.fromCharCode(code);
+            if (char === "(" || char === ")" || char === "\\")
+                result += "\\" + char;
+            else if (code > 126)
+                result += "\\" + code.toString(8);
+            else
+                result += char;
+        }
+        return result + ")";
+    }
+
+    function pdfNumber(value) {
+        return (Math.round(value * 100) / 100).toString();
+    }
+
+    function textOperator(text, font, size, x, y) {
+        return "BT /F" + (font + 1) + " " + size + " Tf " + pdfNumber(x) + " " + pdfNumber(y) + " Td " + pdfString(text) + " Tj ET\n";
+    }
+
+    // Text shortened with an ellipsis to fit "width".
+    function fit(text, font, size, width) {
+        if (measure(text, font, size) <= width)
+            return text;
+        while (text.length > 0 && measure(text + "…", font, size) > width)
+            text = text.slice(0, -1);
+        return text + "…";
+    }
+
+    function blockStyle(block) {
+        if (block.kind === "heading")
+            return { size: Math.max(TEXT_SIZE, 22 - 2 * block.level), bold: true, italic: false, indent: 0, gray: 0 };
+        if (block.kind === "separator")
+            return { size: TEXT_SIZE + 2, bold: true, italic: false, indent: 0, gray: 0 };
+        if (isTag(block.text))
+            return { size: TEXT_SIZE - 2, bold: false, italic: true, indent: 0, gray: 0.45 };
+        if (block.kind === "item")
+            return { size: TEXT_SIZE, bold: false, italic: false, indent: 24 * block.level, gray: 0 };
+        return { size: TEXT_SIZE, bold: false, italic: false, indent: 0, gray: 0 };
+    }
+
+    // Lines of [{ text, font, x }] no wider than "width".
+    function wrap(block, style, width) {
+        const lines = [];
+        let line = [],
+            x = 0;
+        block.runs.forEach(function (run) {
+            const font = fontIndex(style.bold || run.bold, style.italic || run.italic),
+                parts = run.text.split(/(\n| +)/);
+            parts.forEach(function (part) {
+                if (part === "")
+                    return;
+                if (part === "\n") {
+                    lines.push(line);
+                    line = [];
+                    x = 0;
+                    return;
+                }
+                const partWidth = measure(part, font, style.size);
+                if (part.charAt(0) === " ") {
+                    if (line.length > 0)
+                        line.push({ text: " ", font: font, x: x });
+                    x += line.length > 0 ? partWidth : 0;
+                    return;
+                }
+                if (x + partWidth > width && line.length > 0) {
+                    // The space before a wrapped word goes.
+                    if (line[line.length - 1].text === " ")
+                        line.pop();
+                    lines.push(line);
+                    line = [];
+                    x = 0;
+                }
+                line.push({ text: part, font: font, x: x });
+                x += partWidth;
+            });
+        });
+        if (line.length > 0)
+            lines.push(line);
+        return lines;
+    }
+
+    function layout(script, blocks) {
+        const width = PAGE_WIDTH - MARGIN_LEFT - MARGIN_RIGHT,
+            pages = [];
+        let page = null,
+            y = 0;
+
+        function newPage(segment) {
+            page = { content: "", segment: segment };
+            pages.push(page);
+            y = PAGE_HEIGHT - MARGIN_TOP;
+        }
+
+        blocks.forEach(function (block) {
+            const style = blockStyle(block),
+                leading = style.size * LEADING,
+                lines = wrap(block, style, width - style.indent),
+                // Headings and separators stay with the two lines after them.
+                needed = (block.kind === "heading" || block.kind === "separator" ? 3 : 1) * leading;
+            if (page === null || y - needed < MARGIN_BOTTOM)
+                newPage(block.segment);
+            if (block.kind === "separator" || block.kind === "heading")
+                y -= leading * 0.5;
+            if (block.kind === "separator" && y < PAGE_HEIGHT - MARGIN_TOP)
+                page.content += "0.6 G 0.5 w " + MARGIN_LEFT + " " + pdfNumber(y + style.size) + " m " + pdfNumber(PAGE_WIDTH - MARGIN_RIGHT) + " " + pdfNumber(y + style.size) + " l S 0 G\n";
+            lines.forEach(function (line, index) {
+                if (y - leading < MARGIN_BOTTOM)
+                    newPage(block.segment);
+                y -= leading;
+                if (index === 0) {
+                    // Segment numbers in the left margin, list markers before the item.
+                    if (block.kind === "heading" || block.kind === "separator")
+                        page.content += textOperator(block.marker, 1, style.size, 28, y);
+                    else if (block.kind === "item")
+                        page.content += textOperator(block.marker, 0, style.size, MARGIN_LEFT + style.indent - 18, y);
+                }
+                if (style.gray > 0)
+                    page.content += style.gray + " g\n";
+                let text = "",
+                    font = -1,
+                    x = 0;
+                line.forEach(function (piece) {
+                    if (piece.font !== font) {
+                        if (text !== "")
+                            page.content += textOperator(text, font, style.size, MARGIN_LEFT + style.indent + x, y);
+                        text = "";
+                        font = piece.font;
+                        x = piece.x;
+                    }
+                    text += piece.text;
+                });
+                if (text !== "")
+                    page.content += textOperator(text, font, style.size, MARGIN_LEFT + style.indent + x, y);
+                if (style.gray > 0)
+                    page.content += "0 g\n";
+            });
+            y -= leading * 0.4;
+        });
+        if (pages.length === 0)
+            newPage(0);
+
+        // Header and footer, now that the page count is known.
+        pages.forEach(function (page, index) {
+            const top = PAGE_HEIGHT - MARGIN_TOP / 2,
+                footer = "Page " + (index + 1) + " of " + pages.length,
+                segment = page.segment > 0 ? "Segment " + page.segment : "";
+            page.content += "0.35 g\n" + textOperator(fit(script.name, 0, 9, width * 0.7), 0, 9, MARGIN_LEFT, top);
+            if (segment !== "")
+                page.content += textOperator(segment, 1, 9, PAGE_WIDTH - MARGIN_RIGHT - measure(segment, 1, 9), top);
+            page.content += textOperator(footer, 0, 9, (PAGE_WIDTH - measure(footer, 0, 9)) / 2, MARGIN_BOTTOM / 2) + "0 g\n";
+        });
+        return pages;
+    }
+
+    // The PDF file: catalog, page tree, fonts, then each page and its content.
+    function writePDF(title, pages) {
+        const objects = [],
+            pageCount = pages.length,
+            firstPage = 3 + FONTS.length;
+        objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+        objects.push("<< /Type /Pages /Count " + pageCount + " /Kids [" + pages.map(function (page, index) {
+            return (firstPage + 2 * index) + " 0 R";
+        }).join(" ") + "] >>");
+        FONTS.forEach(function (font) {
+            objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /" + font + " /Encoding /WinAnsiEncoding >>");
+        });
+        const fonts = FONTS.map(function (font, index) {
+            return "/F" + (index + 1) + " " + (3 + index) + " 0 R";
+        }).join(" ");
+        pages.forEach(function (page, index) {
+            objects.push("<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + PAGE_WIDTH + " " + PAGE_HEIGHT + "] /Resources << /Font << " + fonts + " >> >> /Contents " + (firstPage + 2 * index + 1) + " 0 R >>");
+            objects.push("<< /Length " + page.content.length + " >>\nstream\n" + page.content + "endstream");
+        });
+        objects.push("<< /Title " + pdfString(title) + " /Producer (Imaginary Teleprompter) >>");
+
+        let pdf = "%PDF-1.4\n";
+        const offsets = objects.map(function (object, index) {
+            const offset = pdf.length;
+            pdf += (index + 1) + " 0 obj\n" + object + "\nendobj\n";
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += "xref\n0 " + (objects.length + 1) + "\n0000000000 65535 f \n";
+        offsets.forEach(function (offset) {
+            pdf += ("000000000" + offset).slice(-10) + " 00000 n \n";
+        });
+        pdf += "trailer\n<< /Size " + (objects.length + 1) + " /Root 1 0 R /Info " + objects.length + " 0 R >>\nstartxref\n" + xref + "\n%%EOF\n";
+        // Everything is ASCII, strings included.
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++)
+            bytes[i] = pdf.charCodeAt(i);
+        return bytes;
+    }
+
+    // Characters the fonts lack are printed as "?" and noted in "dropped".
+    function toPDF(script, dropped) {
+        const blocks = readBlocks(script.data),
+            missing = unprintable(script.name + blocks.map(function (block) {
+                return block.text;
+            }).join(""));
+        if (missing.length > 0)
+            dropped.push(script.name + ": printed as \"?\", characters the PDF fonts lack: " + missing.join(" "));
+        return writePDF(script.name, layout(script, blocks));
+    }
+
+    // EXPORT
+
+    const formats = {
+        pdf: { name: "Printable reading copy (PDF)", extension: "pdf", type: "application/pdf", create: toPDF },
+        text: { name: "Plain text, without technical tags", extension: "txt", type: "text/plain;charset=utf-8", create: toText },
+        markdown: { name: "Markdown", extension: "md", type: "text/markdown;charset=utf-8", create: toMarkdown },
+        html: { name: "HTML", extension: "html", type: "text/html;charset=utf-8", create: function (script) {
+            return script.data;
+        } }
+    };
+
+    function getFileName(name, extension) {
+        return (name.replace(/[\\\/:*?"<>|\x00-\x1f]/g, "_").trim() || "script") + "." + extension;
+    }
+
+    // Resolves to { name, blob, dropped } for "scripts" (sidebar elements) in "format": a file for
+    // one, a ZIP for more, unless the format bundles them itself. A format's "create" gets a
+    // script, or all of them when it's a "bundle", and a "dropped" list to note what it left
+    // out. It returns the file's contents or a Promise of them.
+    function create(scripts, format) {
+        const exporter = formats[format],
+            dropped = [];
+        if (!exporter)
+            return Promise.reject(new Error("Unknown export format: " + format));
+
+        function toFile(name, contents, type) {
+            return { name: name, blob: new Blob([contents], { type: type }), dropped: dropped };
+        }
+
+        return Promise.resolve().then(function () {
+            // Custom tag prefixes may have changed in the voice settings since the editor loaded.
+            if (typeof loadCustomPrefixesFromStorage === "function")
+                loadCustomPrefixesFromStorage();
+            if (exporter.bundle)
+                return Promise.resolve(exporter.create(scripts, dropped)).then(function (contents) {
+                    const name = scripts.length === 1 ? scripts[0].name : "scripts";
+                    return toFile(getFileName(name, exporter.extension), contents, exporter.type);
+                });
+            if (scripts.length === 1)
+                return Promise.resolve(exporter.create(scripts[0], dropped)).then(function (contents) {
+                    return toFile(getFileName(scripts[0].name, exporter.extension), contents, exporter.type);
+                });
+            return Promise.all(scripts.map(function (script) {
+                return exporter.create(script, dropped);
+            })).then(function (contents) {
+                const names = {},
+                    files = scripts.map(function (script, index) {
+                        let name = getFileName(script.name, exporter.extension);
+                        // Scripts with the same name get numbered.
+                        for (let count = 2; names.hasOwnProperty(name); count++)
+                            name = getFileName(script.name + " (" + count + ")", exporter.extension);
+                        names[name] = true;
+                        return { name: name, data: contents[index] };
+                    });
+                return toFile("scripts-" + format + ".zip", Zip.create(files), "application/zip");
+            });
+        });
+    }
+
+    window.Exporters = {
+        formats: formats,
+        create: create,
+        readBlocks: readBlocks
+    };
+})();
@@ -0,0 +1,283 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Script importers for the sidebar's Import button (SIDEBAR.handleFileSelect).
+//
+// An importer is { name, extensions, types, binary, parse(contents, file) }. It is picked by
+// the file's extension, then by its MIME type. "parse" gets the file as text, or as an
+// ArrayBuffer when "binary", and returns, or resolves to, the scripts in it, in order:
+//   [ { "name", "data", "target", "dropped" } ]
+// "data" being prompt HTML, "target" an optional planned duration in seconds and "dropped"
+// an optional list of what couldn't be imported, like "2 images", shown to the user. Script
+// archives (js/scriptArchive.js) also give the "language" and the "prompter" settings.
+(function () {
+    "use strict";
+
+    const importers = [];
+
+    function register(importer) {
+        importers.push(importer);
+    }
+
+    function getExtension(name) {
+        const dot = name.lastIndexOf(".");
+        return dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+    }
+
+    function getBaseName(name) {
+        const dot = name.lastIndexOf(".");
+        return dot > 0 ? name.slice(0, dot) : name;
+    }
+
+    // The importer for "file", or null when it isn't supported.
+    function find(file) {
+        const extension = getExtension(file.name);
+        for (let i = 0; i < importers.length; i++)
+            if (importers[i].extensions.indexOf(extension) !== -1)
+                return importers[i];
+        for (let i = 0; i < importers.length; i++)
+            if (file.type !== "" && importers[i].types.indexOf(file.type) !== -1)
+                return importers[i];
+        return null;
+    }
+
+    function read(file) {
+        const importer = find(file);
+        if (importer === null)
+            return Promise.reject(new Error("Unsupported file: " + file.name));
+        return new Promise(function (resolve, reject) {
+            const reader = new FileReader();
+            reader.onload = function () {
+                try {
+                    resolve(importer.parse(reader.result, file));
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            reader.onerror = function () {
+                reject(reader.error);
+            };
+            if (importer.binary)
+                reader.readAsArrayBuffer(file);
+            else
+                reader.readAsText(file);
+        });
+    }
+
+    function escapeHTML(text) {
+        return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    }
+
+    function collapse(text) {
+        return text.replace(/\s+/g, " ").trim();
+    }
+
+    // NRCS STORIES
+    // iNEWS and ENPS story exports, as NSML (one or more <nsml> documents: <fields>, <body>
+    // and the anchored elements of <aeset>) or as MOS messages (roStorySend, or anything with
+    // <storyBody> stories). Each story becomes a script. Presenter text becomes paragraphs.
+    // Production cues (<cc>), presenter instructions (<pi>), anchored elements (<a idref>)
+    // and MOS items (<storyItem>) become technical tags, paragraphs like "((CG: NAME))" that
+    // voice sync skips (speechRecognition.js, isTagTecnica).
+
+    // Emphasis kept from presenter text.
+    const INLINE = { B: "strong", STRONG: "strong", I: "em", EM: "em", U: "u" };
+    const VOID = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"];
+
+    // Exports are XML, but rarely well-formed enough for DOMParser. They're parsed as HTML
+    // instead, renaming the elements HTML would move or drop and opening self-closed ones.
+    function parseTolerant(text) {
+        const template = document.createElement("template");
+        template.innerHTML = text
+            .replace(/<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>/gi, "")
+            .replace(/<(\/?)(html|head|body|title|template|table|tr|td|th|select|option|textarea|style|script)(?=[\s>\/])/gi, "<$1nrcs-$2")
+            .replace(/<([a-zA-Z][\w:.-]*)([^<>]*?)\/>/g, function (tag, name, attributes) {
+                return VOID.indexOf(name.toLowerCase()) !== -1 ? tag : "<" + name + attributes + "></" + name + ">";
+            });
+        return template.content;
+    }
+
+    function childByName(parent, name) {
+        for (let child = parent.firstElementChild; child !== null; child = child.nextElementSibling)
+            if (child.localName === name)
+                return child;
+        return null;
+    }
+
+    // "((text))". Parentheses inside would break the tag, so they go, as do the ones around
+    // cues written as "(CG)".
+    function cue(text) {
+        text = collapse(text.replace(/[()]/g, " "));
+        return text === "" ? "" : "<p>((" + escapeHTML(text) + "))</p>";
+    }
+
+    // Paragraphs for the contents of a story body. "anchored" maps <a idref> to its cue.
+    function convertBody(body, anchored) {
+        const html = [];
+        let run = "";
+
+        function flush() {
+            if (collapse(run.replace(/<[^>]*>/g, "")) !== "")
+                html.push("<p>" + run.trim() + "</p>");
+            run = "";
+        }
+
+        function addCue(text) {
+            flush();
+            const tag = cue(text);
+            if (tag !== "")
+                html.push(tag);
+        }
+
+        function walk(node) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                run += escapeHTML(node.nodeValue.replace(/\s+/g, " "));
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE)
+                return;
+            const name = node.localName;
+            if (name === "cc" || name === "pi")
+                addCue(node.textContent);
+            else if (name === "a" && node.hasAttribute("idref"))
+                addCue(anchored[node.getAttribute("idref")] || "");
+            else if (name === "storypresenter")
+                addCue(node.textContent);
+            else if (name === "storyitem") {
+                const label = childByName(node, "itemslug") || childByName(node, "mosabstract") || childByName(node, "objslug");
+                addCue(label !== null ? label.textContent : "");
+            }
+            else if (name === "tab")
+                run += " ";
+            else if (name === "br")
+                run += "<br>";
+            else if (name === "p" || name === "storybody" || name === "nrcs-body") {
+                flush();
+                for (let child = node.firstChild; child !== null; child = child.nextSibling)
+                    walk(child);
+                flush();
+            }
+            else if (INLINE.hasOwnProperty(node.nodeName.toUpperCase())) {
+                const tag = INLINE[node.nodeName.toUpperCase()];
+                run += "<" + tag + ">";
+                for (let child = node.firstChild; child !== null; child = child.nextSibling)
+                    walk(child);
+                run += "</" + tag + ">";
+            }
+            else
+                for (let child = node.firstChild; child !== null; child = child.nextSibling)
+                    walk(child);
+        }
+
+        walk(body);
+        flush();
+        return html.join("\n");
+    }
+
+    // The cue of each anchored element: its <ap> lines, "CG / NAME / TITLE".
+    function getAnchored(nsml) {
+        const anchored = {},
+            aeset = childByName(nsml, "aeset");
+        if (aeset === null)
+            return anchored;
+        const elements = aeset.querySelectorAll("ae");
+        for (let i = 0; i < elements.length; i++) {
+            const lines = [],
+                aps = elements[i].querySelectorAll("ap");
+            for (let j = 0; j < aps.length; j++) {
+                const line = collapse(aps[j].textContent);
+                if (line !== "")
+                    lines.push(line);
+            }
+            anchored[elements[i].getAttribute("id")] = lines.join(" / ");
+        }
+        return anchored;
+    }
+
+    function getField(nsml, id) {
+        const fields = childByName(nsml, "fields");
+        if (fields === null)
+            return "";
+        const field = fields.querySelector('[id="' + id + '"]');
+        return field !== null ? collapse(field.textContent) : "";
+    }
+
+    function parseNSML(root) {
+        const documents = root.querySelectorAll("nsml"),
+            scripts = [];
+        for (let i = 0; i < documents.length; i++) {
+            const body = childByName(documents[i], "nrcs-body");
+            scripts.push({
+                "name": getField(documents[i], "title"),
+                "data": body !== null ? convertBody(body, getAnchored(documents[i])) : "",
+                "target": Timing.parse(getField(documents[i], "total-time")) || Timing.parse(getField(documents[i], "audio-time"))
+            });
+        }
+        return scripts;
+    }
+
+    function parseMOS(root) {
+        const bodies = root.querySelectorAll("storybody"),
+            scripts = [];
+        for (let i = 0; i < bodies.length; i++) {
+            const story = bodies[i].parentNode,
+                slug = story.nodeType === Node.ELEMENT_NODE ? childByName(story, "storyslug") : null;
+            scripts.push({
+                "name": slug !== null ? collapse(slug.textContent) : "",
+                "data": convertBody(bodies[i], {}),
+                "target": 0
+            });
+        }
+        return scripts;
+    }
+
+    function parseStories(text, file) {
+        const root = parseTolerant(text);
+        let scripts = parseNSML(root);
+        if (scripts.length === 0)
+            scripts = parseMOS(root);
+        if (scripts.length === 0)
+            throw new Error("No NSML or MOS stories found in " + file.name);
+        // Untitled stories are named after the file and their place in it.
+        const base = getBaseName(file.name);
+        scripts.forEach(function (script, index) {
+            if (script.name === "")
+                script.name = base + " " + (index + 1);
+        });
+        return scripts;
+    }
+
+    register({
+        name: "NRCS stories",
+        extensions: ["nsml", "mos", "xml"],
+        types: ["text/xml", "application/xml"],
+        binary: false,
+        parse: parseStories
+    });
+
+    window.Importers = {
+        register: register,
+        find: find,
+        read: read,
+        getExtension: getExtension,
+        getBaseName: getBaseName,
+        escapeHTML: escapeHTML
+    };
+})();
@@ -0,0 +1,220 @@
+/**
+ * Regras de marcadores de link/falante para o sistema de sincronização por voz
+ *
+ * Cada redação marca links, VTs e retornos do âncora do seu jeito. As regras
+ * ficam no localStorage ('voiceLinkRules'), são editadas no modal de
+ * configuração de voz (index.html) e lidas pelo motor (speechRecognition.js).
+ *
+ * Regra:
+ *   {
+ *     name:     "Abre link",
+ *     pattern:  "\\(\\s*ABRE\\s+LINK\\s*\\)",   // expressão regular (texto)
+ *     flags:    "i",
+ *     action:   "enter" | "exit" | "pause",    // EXTERNAL, volta ao ANCHOR ou pausa
+ *     seconds:  5,                             // só para "pause"; um número capturado
+ *                                              // pelo padrão, ex: "\\(PAUSA (\\d+)\\)", prevalece
+ *     language: "" | "pt" | "es" | "en",       // "" = todos os idiomas
+ *     enabled:  true
+ *   }
+ *
+ * Sem regras salvas, valem os marcadores padrão dos perfis de idioma (js/voiceLanguages.js).
+ */
+
+(function () {
+    "use strict";
+
+    const STORAGE_KEY = 'voiceLinkRules';
+
+    const ACTIONS = {
+        enter: 'Entra link (EXTERNAL)',
+        exit: 'Volta ao âncora (ANCHOR)',
+        pause: 'Pausa N segundos'
+    };
+
+    // Ordem de prioridade quando mais de uma regra casa com o mesmo texto
+    const PRIORIDADE = ['exit', 'enter', 'pause'];
+
+    const DEFAULT_PAUSE_SECONDS = 5;
+
+    // Valida e completa uma regra; lança Error com mensagem para a interface
+    function normalizarRegra(regra) {
+        if (!regra || typeof regra.pattern !== 'string' || regra.pattern.trim().length === 0) {
+            throw new Error('Regra sem padrão');
+        }
+        if (!ACTIONS[regra.action]) {
+            throw new Error(`Ação inválida: "${regra.action}"`);
+        }
+        const flags = typeof regra.flags === 'string' ? regra.flags.replace(/[^imsu]/g, '') : 'i';
+        try {
+            new RegExp(regra.pattern, flags);
+        } catch (e) {
+            throw new Error(`Padrão inválido: ${e.message}`);
+        }
+        const segundos = Number(regra.seconds);
+        return {
+            name: typeof regra.name === 'string' && regra.name.trim() ? regra.name.trim() : nomeDoPadrao(regra.pattern),
+            pattern: regra.pattern,
+            flags: flags,
+            action: regra.action,
+            seconds: regra.action === 'pause' ? (segundos > 0 ? segundos : DEFAULT_PAUSE_SECONDS) : 0,
+            language: typeof regra.language === 'string' ? regra.language : '',
+            enabled: regra.enabled !== false
+        };
+    }
+
+    // Nome legível para um padrão: \(\s*ABRE\s+LINK\s*\) -> (ABRE LINK)
+    function nomeDoPadrao(padrao) {
+        return padrao
+            .replace(/\\s[*+]/g, ' ')
+            .replace(/\\d[*+]?/g, 'N')
+            .replace(/\\(.)/g, '$1')
+            .replace(/\s+/g, ' ')
+            .replace(/([(\[]) /g, '$1')
+            .replace(/ ([)\]:])/g, '$1')
+            .trim();
+    }
+
+    // Marcadores padrão dos perfis de idioma; os comuns a todos viram uma regra só
+    function defaults() {
+        const idiomas = VoiceLanguages.list();
+        const porPadrao = new Map();
+        idiomas.forEach(function (idioma) {
+            const marcadores = VoiceLanguages.get(idioma.code).linkMarkers;
+            [['enter', marcadores.entry], ['exit', marcadores.exit]].forEach(function (par) {
+                par[1].forEach(function (regex) {
+                    const chave = par[0] + ' ' + regex.source;
+                    if (!porPadrao.has(chave)) {
+                        porPadrao.set(chave, { regex: regex, action: par[0], languages: [] });
+                    }
+                    porPadrao.get(chave).languages.push(idioma.id);
+                });
+            });
+        });
+
+        const regras = [];
+        porPadrao.forEach(function (item) {
+            const todos = item.languages.length === idiomas.length;
+            (todos ? [''] : item.languages).forEach(function (idioma) {
+                regras.push(normalizarRegra({
+                    name: nomeDoPadrao(item.regex.source),
+                    pattern: item.regex.source,
+                    flags: item.regex.flags,
+                    action: item.action,
+                    language: idioma
+                }));
+            });
+        });
+        return regras;
+    }
+
+    function load() {
+        try {
+            const salvo = localStorage.getItem(STORAGE_KEY);
+            if (salvo) {
+                const regras = JSON.parse(salvo);
+                if (Array.isArray(regras)) {
+                    return regras.reduce(function (validas, regra) {
+                        try {
+                            validas.push(normalizarRegra(regra));
+                        } catch (e) {
+                            console.warn('Regra de link ignorada:', e.message);
+                        }
+                        return validas;
+                    }, []);
+                }
+            }
+        } catch (e) {
+            console.error('Erro ao carregar regras de link:', e);
+        }
+        return defaults();
+    }
+
+    function save(regras) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(regras.map(normalizarRegra)));
+        } catch (e) {
+            console.error('Erro ao salvar regras de link:', e);
+        }
+    }
+
+    function reset() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {}
+        return defaults();
+    }
+
+    // Regras ativas no idioma, já com RegExp e na ordem de prioridade
+    function compile(regras, idioma) {
+        const compiladas = [];
+        regras.forEach(function (regra) {
+            if (!regra.enabled || (regra.language && regra.language !== idioma)) return;
+            try {
+                compiladas.push({
+                    name: regra.name,
+                    regex: new RegExp(regra.pattern, regra.flags),
+                    action: regra.action,
+                    seconds: regra.seconds
+                });
+            } catch (e) {
+                console.warn(`Regra de link inválida "${regra.name}":`, e.message);
+            }
+        });
+        return compiladas.sort(function (a, b) {
+            return PRIORIDADE.indexOf(a.action) - PRIORIDADE.indexOf(b.action);
+        });
+    }
+
+    // Primeira regra (por prioridade) que casa com o texto, ou null
+    function match(compiladas, texto) {
+        for (const regra of compiladas) {
+            const m = regra.regex.exec(texto);
+            if (!m) continue;
+            let segundos = regra.seconds;
+            if (regra.action === 'pause' && m[1] && !isNaN(parseFloat(m[1]))) {
+                segundos = parseFloat(m[1]);
+            }
+            return { name: regra.name, action: regra.action, seconds: segundos };
+        }
+        return null;
+    }
+
+    function exportJSON(regras) {
+        return JSON.stringify({ version: 1, rules: regras.map(normalizarRegra) }, null, 2);
+    }
+
+    // Aceita { rules: [...] } ou um array; lança Error se alguma regra for inválida
+    function importJSON(texto) {
+        let dados;
+        try {
+            dados = JSON.parse(texto);
+        } catch (e) {
+            throw new Error('Arquivo não é um JSON válido');
+        }
+        const regras = Array.isArray(dados) ? dados : dados && dados.rules;
+        if (!Array.isArray(regras)) {
+            throw new Error('JSON sem lista de regras');
+        }
+        return regras.map(function (regra, i) {
+            try {
+                return normalizarRegra(regra);
+            } catch (e) {
+                throw new Error(`Regra ${i + 1}: ${e.message}`);
+            }
+        });
+    }
+
+    window.LinkRules = {
+        STORAGE_KEY: STORAGE_KEY,
+        ACTIONS: ACTIONS,
+        defaults: defaults,
+        load: load,
+        save: save,
+        reset: reset,
+        validate: normalizarRegra,
+        compile: compile,
+        match: match,
+        exportJSON: exportJSON,
+        importJSON: importJSON
+    };
+}());
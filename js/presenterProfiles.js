@@ -0,0 +1,277 @@
+/**
+ * Perfis de apresentador para o sistema de sincronização por voz
+ *
+ * Cada apresentador lê um parágrafo de amostra no modal de calibração (index.html).
+ * Os tempos dos resultados parciais/finais do reconhecedor viram um perfil:
+ *   {
+ *     id, name,
+ *     wps:         palavras por segundo durante a fala
+ *     pauseMs:     pausa típica entre frases (mediana)
+ *     longPauseMs: pausa longa que ainda é "respiração" (percentil 90)
+ *     latencyMs:   atraso típico do reconhecedor para fechar uma frase (último parcial -> final)
+ *     updated:     data da calibração (ISO)
+ *   }
+ *
+ * O perfil ativo (localStorage 'voicePresenterProfiles') é lido pelo teleprompter ao
+ * iniciar a voz e ajusta o AutoScrollController, o timer de silêncio e setAutoSpeed
+ * (tuning). Sem perfil, valem as constantes originais.
+ *
+ * Os eventos de calibração têm o mesmo formato das transcrições gravadas:
+ *   [{ "t": 1200, "type": "partial", "text": "boa" }, { "t": 1900, "type": "final", "text": "boa tarde" }]
+ */
+
+(function () {
+    "use strict";
+
+    const STORAGE_KEY = 'voicePresenterProfiles';
+
+    // Referência das constantes do AutoScrollController e do timer de silêncio
+    const NOMINAL = {
+        wps: 3,                 // "leitura normal" em setAutoSpeed
+        velocityGain: 0.022,
+        maxVelocity: 9,
+        silenceTimeoutMs: 800
+    };
+
+    const MIN_WORDS = 25;       // Fala mínima para uma calibração confiável
+    const MIN_COVERAGE = 0.5;   // Fração do parágrafo de amostra que precisa ser reconhecida
+
+    // Parágrafos de amostra: frases curtas e longas, números e pausas naturais
+    const SAMPLES = {
+        pt: 'Boa noite. O trânsito nas principais avenidas da capital ficou lento durante toda a tarde, ' +
+            'depois da chuva forte que atingiu a cidade. Segundo a prefeitura, doze pontos de alagamento ' +
+            'foram registrados. Os bombeiros atenderam mais de trinta chamados e ninguém ficou ferido. ' +
+            'A previsão para amanhã é de tempo firme pela manhã, com possibilidade de pancadas isoladas no fim do dia.',
+        es: 'Buenas noches. El tráfico en las principales avenidas de la capital estuvo lento durante toda la tarde, ' +
+            'después de la fuerte lluvia que cayó sobre la ciudad. Según el ayuntamiento, se registraron doce puntos ' +
+            'de inundación. Los bomberos atendieron más de treinta llamadas y no hubo heridos. ' +
+            'El pronóstico para mañana es de tiempo estable por la mañana, con posibles chubascos aislados al final del día.',
+        en: 'Good evening. Traffic on the main avenues of the capital was slow all afternoon, ' +
+            'after heavy rain hit the city. According to city hall, twelve flooding spots were reported. ' +
+            'Firefighters answered more than thirty calls and nobody was hurt. ' +
+            'The forecast for tomorrow is dry weather in the morning, with a chance of isolated showers late in the day.'
+    };
+
+    function limitar(valor, minimo, maximo) {
+        return Math.max(minimo, Math.min(maximo, valor));
+    }
+
+    function percentil(valores, p) {
+        if (valores.length === 0) return null;
+        const ordenados = valores.slice().sort(function (a, b) { return a - b; });
+        return ordenados[Math.min(ordenados.length - 1, Math.floor(p * ordenados.length))];
+    }
+
+    // ========================================
+    // Armazenamento
+    // ========================================
+    function carregar() {
+        try {
+            const salvo = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (salvo && Array.isArray(salvo.profiles)) return salvo;
+        } catch (e) {
+            console.error('Erro ao carregar perfis de apresentador:', e);
+        }
+        return { active: null, profiles: [] };
+    }
+
+    function gravar(dados) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(dados));
+        } catch (e) {
+            console.error('Erro ao salvar perfis de apresentador:', e);
+        }
+    }
+
+    function list() {
+        return carregar().profiles;
+    }
+
+    function get(id) {
+        return list().find(function (perfil) { return perfil.id === id; }) || null;
+    }
+
+    function active() {
+        const dados = carregar();
+        return dados.active ? get(dados.active) : null;
+    }
+
+    // id null = sem perfil (constantes originais)
+    function setActive(id) {
+        const dados = carregar();
+        dados.active = id && get(id) ? id : null;
+        gravar(dados);
+    }
+
+    // Cria ou substitui (mesmo id ou mesmo nome) e devolve o perfil salvo
+    function save(perfil) {
+        const dados = carregar();
+        const nome = (perfil.name || '').trim();
+        if (!nome) throw new Error('Perfil sem nome');
+        const existente = dados.profiles.findIndex(function (p) {
+            return p.id === perfil.id || p.name.toLowerCase() === nome.toLowerCase();
+        });
+        const salvo = Object.assign({}, perfil, {
+            id: existente >= 0 ? dados.profiles[existente].id : Date.now().toString(36),
+            name: nome,
+            updated: new Date().toISOString()
+        });
+        if (existente >= 0) dados.profiles[existente] = salvo;
+        else dados.profiles.push(salvo);
+        gravar(dados);
+        return salvo;
+    }
+
+    function remove(id) {
+        const dados = carregar();
+        dados.profiles = dados.profiles.filter(function (p) { return p.id !== id; });
+        if (dados.active === id) dados.active = null;
+        gravar(dados);
+    }
+
+    function sample(idioma) {
+        return SAMPLES[idioma] || SAMPLES.pt;
+    }
+
+    // ========================================
+    // Análise da leitura de calibração
+    // ========================================
+    function contarPalavras(texto, perfilIdioma) {
+        const normalizado = VoiceLanguages.normalize(texto, perfilIdioma);
+        return normalizado ? normalizado.split(/\s+/).length : 0;
+    }
+
+    // Divide os eventos em frases (cada final fecha uma) e mede ritmo, pausas e latência
+    // Lança Error com mensagem para a interface se a leitura não bastar
+    function analyze(eventos, textoAmostra, perfilIdioma) {
+        const frases = [];
+        let atual = null;
+        eventos.forEach(function (evento) {
+            const palavras = contarPalavras(evento.text || '', perfilIdioma);
+            if (!atual) atual = { marcos: [] };
+            // Marco = instante em que o reconhecedor mostrou uma palavra nova
+            const anteriores = atual.marcos.length > 0 ? atual.marcos[atual.marcos.length - 1].palavras : 0;
+            if (evento.type === 'partial' && palavras > anteriores) {
+                atual.marcos.push({ t: evento.t, palavras: palavras });
+            }
+            if (evento.type === 'final') {
+                atual.fim = evento.t;
+                atual.texto = evento.text;
+                atual.palavras = palavras;
+                if (atual.marcos.length === 0) atual.marcos.push({ t: evento.t, palavras: palavras });
+                frases.push(atual);
+                atual = null;
+            }
+        });
+
+        const totalPalavras = frases.reduce(function (soma, f) { return soma + f.palavras; }, 0);
+        if (totalPalavras < MIN_WORDS) {
+            throw new Error(`Fala insuficiente (${totalPalavras} palavras). Leia o parágrafo inteiro.`);
+        }
+
+        const amostra = new Set(VoiceLanguages.normalize(textoAmostra, perfilIdioma).split(/\s+/));
+        const reconhecidas = frases.map(function (f) { return f.texto; }).join(' ');
+        const tokens = new Set(VoiceLanguages.normalize(reconhecidas, perfilIdioma).split(/\s+/));
+        let lidas = 0;
+        tokens.forEach(function (p) { if (amostra.has(p)) lidas++; });
+        const cobertura = lidas / amostra.size;
+        if (cobertura < MIN_COVERAGE) {
+            throw new Error(`Só ${Math.round(cobertura * 100)}% do parágrafo foi reconhecido. Confira o microfone e o idioma.`);
+        }
+
+        // Ritmo: palavras entre o primeiro e o último marco de cada frase
+        let palavrasRitmo = 0;
+        let tempoRitmo = 0;
+        frases.forEach(function (f) {
+            const primeiro = f.marcos[0];
+            const ultimo = f.marcos[f.marcos.length - 1];
+            if (ultimo.t > primeiro.t && ultimo.palavras > primeiro.palavras) {
+                palavrasRitmo += ultimo.palavras - primeiro.palavras;
+                tempoRitmo += ultimo.t - primeiro.t;
+            }
+        });
+        const wps = tempoRitmo > 0 ? palavrasRitmo * 1000 / tempoRitmo : NOMINAL.wps;
+        const duracaoPalavra = 1000 / wps;
+
+        // Pausas: intervalos entre marcos bem maiores que uma palavra (dentro e entre frases)
+        const marcos = [];
+        frases.forEach(function (f) { marcos.push.apply(marcos, f.marcos); });
+        const pausas = [];
+        for (let i = 1; i < marcos.length; i++) {
+            const intervalo = marcos[i].t - marcos[i - 1].t;
+            if (intervalo > duracaoPalavra * 1.5) pausas.push(Math.round(intervalo - duracaoPalavra));
+        }
+
+        // Latência: do último parcial até o final de cada frase
+        const latencias = frases
+            .filter(function (f) { return f.fim > f.marcos[f.marcos.length - 1].t; })
+            .map(function (f) { return f.fim - f.marcos[f.marcos.length - 1].t; });
+
+        return {
+            wps: Math.round(wps * 100) / 100,
+            pauseMs: percentil(pausas, 0.5) || Math.round(duracaoPalavra),
+            longPauseMs: percentil(pausas, 0.9) || Math.round(duracaoPalavra * 2),
+            latencyMs: percentil(latencias, 0.5) || 0,
+            words: totalPalavras,
+            coverage: Math.round(cobertura * 100) / 100
+        };
+    }
+
+    // Acumula os eventos de um backend durante a leitura
+    function createRecorder() {
+        const eventos = [];
+        let inicio = 0;
+        return {
+            events: eventos,
+            start: function () {
+                eventos.length = 0;
+                inicio = Date.now();
+            },
+            partial: function (texto) {
+                eventos.push({ t: Date.now() - inicio, type: 'partial', text: texto });
+            },
+            final: function (texto) {
+                eventos.push({ t: Date.now() - inicio, type: 'final', text: texto });
+            }
+        };
+    }
+
+    // ========================================
+    // Ajustes do motor para um perfil (null = constantes originais)
+    // ========================================
+    function tuning(perfil) {
+        if (!perfil) {
+            return {
+                referenceWps: NOMINAL.wps,
+                velocityGain: NOMINAL.velocityGain,
+                maxVelocity: NOMINAL.maxVelocity,
+                silenceTimeoutMs: NOMINAL.silenceTimeoutMs
+            };
+        }
+        const ritmo = limitar(perfil.wps / NOMINAL.wps, 0.6, 1.5);
+        // Reconhecedor lento entrega o alvo atrasado: o controlador precisa alcançá-lo mais rápido
+        const compensacaoLatencia = 1 + Math.min(perfil.latencyMs || 0, 1500) / 3000;
+        return {
+            referenceWps: perfil.wps,
+            velocityGain: Math.round(NOMINAL.velocityGain * limitar(ritmo, 0.7, 1.4) * compensacaoLatencia * 10000) / 10000,
+            maxVelocity: limitar(Math.round(NOMINAL.maxVelocity * ritmo), 6, 10),
+            // Pausas de respiração do apresentador não devem parar o scroll
+            silenceTimeoutMs: limitar(Math.round((perfil.longPauseMs || 0) * 1.2), 600, 2500)
+        };
+    }
+
+    window.PresenterProfiles = {
+        STORAGE_KEY: STORAGE_KEY,
+        NOMINAL: NOMINAL,
+        list: list,
+        get: get,
+        active: active,
+        setActive: setActive,
+        save: save,
+        remove: remove,
+        sample: sample,
+        analyze: analyze,
+        createRecorder: createRecorder,
+        tuning: tuning
+    };
+}());
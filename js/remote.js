@@ -0,0 +1,211 @@
+/*
+	Imaginary Teleprompter
+	Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+	This file is part of Imaginary Teleprompter.
+
+	Imaginary Teleprompter is free software: you can redistribute it and/or modify
+	it under the terms of the GNU General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Imaginary Teleprompter is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU General Public License for more details.
+
+	You should have received a copy of the GNU General Public License
+	along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Phone remote control. Pairs with an editor through its session PIN on the
+// remote control server (remoteServer.js) and sends it teleprompter commands.
+(function() {
+	// Use JavaScript Strict Mode.
+	"use strict";
+
+	var socket = null,
+		pin = null,
+		paired = false,
+		retryDelay = 1000,
+		pairErrors = {
+			"wrongPin": "Wrong PIN. Check the editor's sidebar.",
+			"tooManyAttempts": "Too many attempts. Wait a minute and try again.",
+			"sessionEnded": "The editor ended this session. Enter the new PIN."
+		};
+
+	function init() {
+		// The QR code carries the PIN after the #.
+		var hashPin = location.hash.slice(1);
+		if (/^[0-9]{6}$/.test(hashPin)) {
+			sessionStorage.setItem("IFTeleprompterRemotePin", hashPin);
+			history.replaceState(null, "", location.pathname);
+		}
+		pin = sessionStorage.getItem("IFTeleprompterRemotePin");
+
+		document.getElementById("pair").onsubmit = function(event) {
+			event.preventDefault();
+			var value = document.getElementById("pin").value.replace(/[^0-9]/g, "");
+			if (value.length !== 6) {
+				showPairError("The PIN has 6 digits.");
+				return;
+			}
+			pin = value;
+			sessionStorage.setItem("IFTeleprompterRemotePin", pin);
+			pair();
+		};
+		document.getElementById("anchor").onsubmit = function(event) {
+			event.preventDefault();
+			var input = document.getElementById("anchorKey");
+			if (input.value !== "")
+				sendCommand("anchor", input.value.toLowerCase());
+			input.value = "";
+			input.blur();
+		};
+		document.getElementById("unpair").onclick = unpair;
+		var buttons = document.querySelectorAll("[data-command]");
+		for (var i = 0; i < buttons.length; i++)
+			buttons[i].onclick = commandButton;
+
+		connect();
+	}
+
+	function connect() {
+		socket = new WebSocket((location.protocol === "https:" ? "wss://" : "ws://") + location.host + "/remote");
+		socket.onopen = function() {
+			retryDelay = 1000;
+			setConnected(true);
+			if (pin)
+				pair();
+			else
+				showView("pair");
+		};
+		socket.onmessage = function(event) {
+			var message;
+			try {
+				message = JSON.parse(event.data);
+			} catch (err) {
+				return;
+			}
+			receive(message);
+		};
+		socket.onclose = function() {
+			socket = null;
+			paired = false;
+			setConnected(false);
+			setTimeout(connect, retryDelay);
+			retryDelay = Math.min(retryDelay * 2, 10000);
+		};
+	}
+
+	function receive(message) {
+		switch (message.type) {
+			case "paired":
+				paired = true;
+				showView("controls");
+				setHost(message.host);
+				break;
+			case "host":
+				setHost(message.connected);
+				break;
+			case "status":
+				document.getElementById("prompterStatus").textContent = message.prompting ? "Prompting" : "Prompter closed";
+				if (!message.prompting)
+					showState(null);
+				break;
+			case "state":
+				showState(message.state);
+				break;
+			case "error":
+				if (pairErrors.hasOwnProperty(message.reason)) {
+					forgetPin();
+					showView("pair");
+					showPairError(pairErrors[message.reason]);
+				}
+				break;
+		}
+	}
+
+	function pair() {
+		showPairError("");
+		send({type: "pair", pin: pin});
+	}
+
+	// A connection can only pair once, start over with a new one.
+	function unpair() {
+		forgetPin();
+		showView("pair");
+		if (socket)
+			socket.close();
+	}
+
+	function forgetPin() {
+		pin = null;
+		paired = false;
+		sessionStorage.removeItem("IFTeleprompterRemotePin");
+	}
+
+	function commandButton(event) {
+		sendCommand(event.currentTarget.getAttribute("data-command"));
+	}
+
+	function sendCommand(request, data) {
+		if (!paired)
+			return;
+		send({type: "command", request: request, data: data});
+		if (navigator.vibrate)
+			navigator.vibrate(15);
+	}
+
+	function send(message) {
+		if (socket && socket.readyState === WebSocket.OPEN)
+			socket.send(JSON.stringify(message));
+	}
+
+	function showView(view) {
+		document.getElementById("pair").classList.toggle("hidden", view !== "pair");
+		document.getElementById("controls").classList.toggle("hidden", view !== "controls");
+		if (view === "pair")
+			document.getElementById("prompterStatus").textContent = "";
+	}
+
+	function showPairError(text) {
+		document.getElementById("pairError").textContent = text;
+	}
+
+	// Prompter state published by teleprompter.js, forwarded by the editor.
+	function showState(state) {
+		var live = state !== null && state.type === "state";
+		document.getElementById("state").classList.toggle("hidden", !live);
+		document.getElementById("play").textContent = live ? (state.playing ? "Pause" : "Play") : "Play / Pause";
+		if (!live)
+			return;
+		var progress = Math.max(0, Math.min(1, state.progress));
+		document.getElementById("stateProgress").style.width = (progress * 100).toFixed(1) + "%";
+		document.getElementById("stateVelocity").textContent = state.velocity;
+		document.getElementById("stateTimer").textContent = formatTime(state.timer.seconds) + (state.timer.running ? "" : " (stopped)");
+		document.getElementById("stateAnchor").textContent = state.anchor || "–";
+		document.getElementById("stateVoice").textContent = state.voice ? state.voice.state + (state.voice.paused ? " (paused)" : "") : "Off";
+	}
+
+	function formatTime(seconds) {
+		var minutes = Math.floor(seconds / 60) % 60,
+			hours = Math.floor(seconds / 3600);
+		seconds = seconds % 60;
+		return hours + ":" + (minutes < 10 ? "0" : "") + minutes + ":" + (seconds < 10 ? "0" : "") + seconds;
+	}
+
+	function setConnected(connected) {
+		document.getElementById("connection").classList.toggle("offline", !connected);
+	}
+
+	function setHost(connected) {
+		document.getElementById("hostStatus").classList.toggle("hidden", connected);
+		if (!connected) {
+			document.getElementById("prompterStatus").textContent = "";
+			showState(null);
+		}
+	}
+
+	document.addEventListener("DOMContentLoaded", init);
+}());
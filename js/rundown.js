@@ -0,0 +1,292 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// A rundown is the running order of a show: the sidebar's scripts as stories, each with
+// a planned duration, a ready or killed status and a presenter. When active, "Prompt It!"
+// sends all ready stories as one prompt, each after a story separator.
+//
+// Stored under "IFTeleprompterRundown":
+//   { "active": false, "stories": [ { "key", "id", "duration", "status", "presenter" } ] }
+// "id" is the script's sidebar ID. "key" tells apart stories made from the same script
+// and follows the story into the prompt, so it can be kept on screen while the rest of the
+// rundown changes on air.
+var RUNDOWN = function() {
+    this.statuses = ["ready", "killed"];
+
+    this.on = function(list, config) {
+        this.list = list;
+        if (typeof config !== 'undefined' && config !== null) {
+            if (config.hasOwnProperty('sidebar'))
+                this.sidebar = config['sidebar'];
+            if (config.hasOwnProperty('dataKey'))
+                this.setDataKey(config['dataKey']);
+        }
+        this.load();
+        return this;
+    };
+
+    this.load = function() {
+        document.getElementById("rundownAddStory").onclick = function(e) {
+            e.preventDefault();
+            var script = document.getElementById("rundownScript").value;
+            if (script !== "")
+                this.addStory(script);
+        }.bind(this);
+        document.getElementById("rundownActive").onchange = function(e) {
+            this.setActive(e.target.checked);
+        }.bind(this);
+        this.refresh();
+    };
+
+    this.setDataKey = function(key) {
+        this.dataKey = key;
+    };
+
+    this.getDataKey = function() {
+        if (this.dataKey)
+            return this.dataKey;
+        return "IFTeleprompterRundown";
+    };
+
+    this.getRundown = function() {
+        var rundown = null;
+        dataManager.getItem(this.getDataKey(), function(item) {
+            try {
+                rundown = JSON.parse(item);
+            } catch (err) {
+                if (debug) console.log(err);
+            }
+        }, 1);
+        if (rundown === null || !Array.isArray(rundown.stories))
+            rundown = { "active": false, "stories": [] };
+        return rundown;
+    };
+
+    this.setRundown = function(rundown) {
+        dataManager.setItem(this.getDataKey(), JSON.stringify(rundown), 1);
+        this.refresh();
+        if (typeof this.changed === "function")
+            this.changed(rundown);
+    };
+
+    this.isActive = function() {
+        return this.getRundown().active === true;
+    };
+
+    this.setActive = function(active) {
+        var rundown = this.getRundown();
+        rundown.active = active;
+        this.setRundown(rundown);
+    };
+
+    this.createKey = function() {
+        return "story" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    };
+
+    this.addStory = function(id) {
+        var rundown = this.getRundown();
+        rundown.stories.push({
+            "key": this.createKey(),
+            "id": id,
+            "duration": 0,
+            "status": "ready",
+            "presenter": ""
+        });
+        this.setRundown(rundown);
+    };
+
+    this.removeStory = function(index) {
+        var rundown = this.getRundown();
+        rundown.stories.splice(index, 1);
+        this.setRundown(rundown);
+    };
+
+    // Moves a story "offset" places up (negative) or down the running order.
+    this.moveStory = function(index, offset) {
+        var rundown = this.getRundown(),
+            to = index + offset;
+        if (to < 0 || to >= rundown.stories.length)
+            return;
+        rundown.stories.splice(to, 0, rundown.stories.splice(index, 1)[0]);
+        this.setRundown(rundown);
+    };
+
+    this.setStory = function(index, field, value) {
+        var rundown = this.getRundown();
+        if (!rundown.stories[index])
+            return;
+        rundown.stories[index][field] = value;
+        this.setRundown(rundown);
+    };
+
+    this.toggleStatus = function(index) {
+        var story = this.getRundown().stories[index];
+        if (story)
+            this.setStory(index, "status", story.status === "ready" ? "killed" : "ready");
+    };
+
+    this.getScript = function(id) {
+        var scriptsData = this.sidebar.getElements();
+        for (var i = 0; i < scriptsData.length; i++)
+            if (scriptsData[i].id === id)
+                return scriptsData[i];
+        return null;
+    };
+
+    // Ready stories whose script still exists, in running order.
+    this.getReadyStories = function() {
+        var stories = this.getRundown().stories,
+            ready = [];
+        for (var i = 0; i < stories.length; i++) {
+            var script = this.getScript(stories[i].id);
+            if (stories[i].status === "ready" && script !== null)
+                ready.push({ "story": stories[i], "script": script });
+        }
+        return ready;
+    };
+
+    this.getPlannedDuration = function() {
+        var ready = this.getReadyStories(),
+            total = 0;
+        for (var i = 0; i < ready.length; i++)
+            total += ready[i].story.duration;
+        return total;
+    };
+
+    // Builds the prompt for the whole rundown: a separator, with an anchor to jump between
+    // stories and the story's planned duration, then the story's script in its own language.
+    this.compose = function() {
+        var ready = this.getReadyStories(),
+            html = "";
+        for (var i = 0; i < ready.length; i++) {
+            var story = ready[i].story,
+                script = ready[i].script,
+                language = script.language || this.sidebar.defaultLanguage,
+                label = (i + 1) + ". " + script.name;
+            if (story.presenter)
+                label += " · " + story.presenter;
+            if (story.duration > 0)
+                label += " · " + Timing.format(story.duration);
+            html += '<div class="story-separator" data-story="' + story.key + '" data-duration="' + story.duration + '"><a id="story' + (i + 1) + '"></a>' + this.escape(label) + '</div>';
+            html += '<div class="story" data-story="' + story.key + '" lang="' + this.escape(language) + '">' + script.data + '</div>';
+        }
+        return {
+            "html": html,
+            "language": ready.length ? (ready[0].script.language || this.sidebar.defaultLanguage) : this.sidebar.defaultLanguage,
+            "stories": ready.length,
+            "duration": this.getPlannedDuration()
+        };
+    };
+
+    this.escape = function(text) {
+        var div = document.createElement("div");
+        div.appendChild(document.createTextNode(text));
+        return div.innerHTML.replace(/"/g, "&quot;");
+    };
+
+    this.refresh = function() {
+        var rundown = this.getRundown(),
+            scriptsData = this.sidebar.getElements(),
+            list = document.getElementById(this.list),
+            scriptSelect = document.getElementById("rundownScript");
+        list.innerHTML = "";
+        for (var i = 0; i < rundown.stories.length; i++)
+            list.appendChild(this.createRow(rundown.stories[i], i, rundown.stories.length));
+        // Scripts available to add.
+        scriptSelect.innerHTML = "";
+        for (var j = 0; j < scriptsData.length; j++) {
+            var option = document.createElement("option");
+            option.value = scriptsData[j].id;
+            option.textContent = scriptsData[j].name;
+            scriptSelect.appendChild(option);
+        }
+        document.getElementById("rundownActive").checked = rundown.active === true;
+        document.getElementById("rundownTotal").textContent = this.getReadyStories().length + " ready, " + Timing.format(this.getPlannedDuration()) + " planned";
+    };
+
+    this.createRow = function(story, index, length) {
+        var script = this.getScript(story.id),
+            tr = document.createElement("tr"),
+            td = document.createElement("td");
+        if (story.status === "killed")
+            tr.classList.add("killed");
+        td.textContent = index + 1;
+        tr.appendChild(td);
+
+        td = document.createElement("td");
+        td.textContent = script !== null ? script.name : "(deleted script)";
+        tr.appendChild(td);
+
+        td = document.createElement("td");
+        var presenter = document.createElement("input");
+        presenter.type = "text";
+        presenter.className = "form-control input-sm";
+        presenter.placeholder = "Presenter";
+        presenter.value = story.presenter;
+        presenter.onchange = function(e) {
+            this.setStory(index, "presenter", e.target.value.trim());
+        }.bind(this);
+        td.appendChild(presenter);
+        tr.appendChild(td);
+
+        td = document.createElement("td");
+        var duration = document.createElement("input");
+        duration.type = "text";
+        duration.className = "form-control input-sm";
+        duration.placeholder = "0:00";
+        duration.value = story.duration > 0 ? Timing.format(story.duration) : "";
+        duration.onchange = function(e) {
+            this.setStory(index, "duration", Timing.parse(e.target.value));
+        }.bind(this);
+        td.appendChild(duration);
+        tr.appendChild(td);
+
+        td = document.createElement("td");
+        td.appendChild(this.createButton(story.status === "ready" ? "Ready" : "Killed", story.status === "ready" ? "Kill this story" : "Bring this story back", story.status === "ready" ? "btn-success" : "btn-default", function() {
+            this.toggleStatus(index);
+        }));
+        tr.appendChild(td);
+
+        td = document.createElement("td");
+        td.className = "text-nowrap";
+        td.appendChild(this.createButton("▲", "Move up", "btn-default", function() {
+            this.moveStory(index, -1);
+        }, index === 0));
+        td.appendChild(this.createButton("▼", "Move down", "btn-default", function() {
+            this.moveStory(index, 1);
+        }, index === length - 1));
+        td.appendChild(this.createButton("✕", "Remove from the rundown", "btn-danger", function() {
+            this.removeStory(index);
+        }));
+        tr.appendChild(td);
+        return tr;
+    };
+
+    this.createButton = function(text, title, style, action, disabled) {
+        var button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-xs " + style;
+        button.title = title;
+        button.textContent = text;
+        button.disabled = disabled === true;
+        button.onclick = action.bind(this);
+        return button;
+    };
+};
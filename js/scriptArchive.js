@@ -0,0 +1,293 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Script archives (.tpz): one or more scripts with everything needed to prompt them the same
+// way on another machine. A ZIP archive (js/zip.js) with:
+//   manifest.json    { "format": "imaginary-teleprompter", "version": 1, "created",
+//                      "scripts": [ { "name", "file", "language", "target", "anchors" } ],
+//                      "images": { "images/1.png": { "type", "source" } },
+//                      "style", "settings" }
+//   scripts/N.html   The script, with its images pointing into images/.
+//   images/N.ext     Images, pasted ones (data URIs) and linked ones alike.
+// "anchors" lists each script's markers, [{ "key", "text" }], for reference; they're kept in
+// the HTML. "style" is the prompter style (js/teleprompter-themes.js) and "settings" the last
+// used settings (IFTeleprompterSettings) plus the focus position. On import, the editor only
+// takes the style, speed, font size and focus from them (editor.js, loadArchivedSettings).
+//
+// Registered as an importer (js/importers.js) and as the "archive" export format
+// (js/exporters.js). Imported scripts bring the style and settings as "prompter".
+(function () {
+    "use strict";
+
+    const FORMAT = "imaginary-teleprompter",
+        VERSION = 1,
+        EXTENSION = "tpz";
+
+    const IMAGE_EXTENSIONS = {
+        "image/png": "png",
+        "image/jpeg": "jpg",
+        "image/gif": "gif",
+        "image/svg+xml": "svg",
+        "image/webp": "webp",
+        "image/bmp": "bmp",
+        "image/x-icon": "ico"
+    };
+
+    function toBase64(bytes) {
+        let binary = "";
+        for (let i = 0; i < bytes.length; i += 0x8000)
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        const binary = atob(text),
+            bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++)
+            bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    // Type by file extension, for images served without one.
+    function guessType(source) {
+        const extension = Importers.getExtension(source.split(/[?#]/)[0]);
+        for (const type in IMAGE_EXTENSIONS)
+            if (IMAGE_EXTENSIONS[type] === extension || (extension === "jpeg" && type === "image/jpeg"))
+                return type;
+        return "application/octet-stream";
+    }
+
+    // Resolves to { type, bytes } for an image source: a data URI, or anything the editor could
+    // load (web, blob and file URLs and paths relative to the editor).
+    function loadImage(source) {
+        const data = /^data:([^;,]*)((?:;[^;,]*)*),([\s\S]*)$/.exec(source);
+        if (data !== null)
+            return Promise.resolve({
+                type: data[1] || "text/plain",
+                bytes: /;base64/i.test(data[2]) ? fromBase64(data[3].replace(/\s/g, "")) : new TextEncoder().encode(decodeURIComponent(data[3]))
+            });
+        // XMLHttpRequest rather than fetch, which can't read file URLs.
+        return new Promise(function (resolve, reject) {
+            const request = new XMLHttpRequest();
+            request.open("GET", source, true);
+            request.responseType = "arraybuffer";
+            request.onload = function () {
+                // File URLs answer with status 0.
+                if ((request.status === 0 || (request.status >= 200 && request.status < 300)) && request.response)
+                    resolve({
+                        type: (request.getResponseHeader("Content-Type") || "").split(";")[0].trim() || guessType(source),
+                        bytes: new Uint8Array(request.response)
+                    });
+                else
+                    reject(new Error(request.status + " " + request.statusText));
+            };
+            request.onerror = function () {
+                reject(new Error("Could not load " + source));
+            };
+            request.send();
+        });
+    }
+
+    // The style in use and the last used settings, from the editor.
+    function getPrompter() {
+        let settings = {};
+        dataManager.getItem("IFTeleprompterSettings", function (item) {
+            try {
+                settings = JSON.parse(item).data || {};
+            } catch (err) {
+                settings = {};
+            }
+        }, 1);
+        const style = typeof themeStyles !== "undefined" && themeStyles ? themeStyles[settings.prompterStyle] : undefined,
+            prompter = { style: null, settings: {} };
+        for (const key in settings)
+            // The style's index only means something on this machine.
+            if (key !== "prompterStyle")
+                prompter.settings[key] = settings[key];
+        try {
+            const focus = localStorage.getItem("focusVerticalPosition");
+            if (focus !== null)
+                prompter.settings.focusVerticalPosition = parseFloat(focus);
+        } catch (err) {}
+        if (style)
+            prompter.style = {
+                name: style.name,
+                type: style.type,
+                className: style.className,
+                bgOverlay: style.bgOverlay,
+                clockWarning: style.clockWarning,
+                clockDanger: style.clockDanger,
+                cssText: style.cssText
+            };
+        return prompter;
+    }
+
+    function getAnchors(content) {
+        const anchors = [],
+            links = content.querySelectorAll("a[name], a[id]");
+        for (let i = 0; i < links.length; i++)
+            anchors.push({
+                key: links[i].getAttribute("name") || links[i].getAttribute("id"),
+                text: links[i].textContent.replace(/\s+/g, " ").trim()
+            });
+        return anchors;
+    }
+
+    // EXPORT
+
+    // Resolves to the archive of "scripts" (sidebar elements). Images that can't be loaded stay
+    // linked and are noted in "dropped".
+    function create(scripts, dropped) {
+        const prompter = getPrompter(),
+            manifest = {
+                format: FORMAT,
+                version: VERSION,
+                created: new Date().toISOString(),
+                scripts: [],
+                images: {},
+                style: prompter.style,
+                settings: prompter.settings
+            },
+            files = [],
+            loaded = {},
+            pending = [];
+
+        // Each source is stored once, however many times and scripts show it.
+        function addImage(source, script) {
+            if (!loaded.hasOwnProperty(source))
+                loaded[source] = loadImage(source).then(function (image) {
+                    const name = "images/" + (Object.keys(manifest.images).length + 1) + "." + (IMAGE_EXTENSIONS[image.type] || "bin");
+                    manifest.images[name] = { type: image.type, source: /^data:/.test(source) ? "" : source };
+                    files.push({ name: name, data: image.bytes });
+                    return name;
+                }, function (err) {
+                    dropped.push(script.name + ": image left as a link, " + source + " (" + err.message + ")");
+                    return null;
+                });
+            return loaded[source];
+        }
+
+        scripts.forEach(function (script, index) {
+            const template = document.createElement("template"),
+                entry = {
+                    name: script.name,
+                    file: "scripts/" + (index + 1) + ".html",
+                    language: script.language || "",
+                    target: script.target > 0 ? script.target : 0,
+                    anchors: []
+                };
+            template.innerHTML = script.data || "";
+            entry.anchors = getAnchors(template.content);
+            manifest.scripts.push(entry);
+            const images = template.content.querySelectorAll("img[src]"),
+                ready = [];
+            for (let i = 0; i < images.length; i++)
+                ready.push(addImage(images[i].getAttribute("src"), script).then(function (name) {
+                    if (name === null)
+                        return;
+                    images[i].setAttribute("src", name);
+                    if (images[i].hasAttribute("data-cke-saved-src"))
+                        images[i].setAttribute("data-cke-saved-src", name);
+                }));
+            pending.push(Promise.all(ready).then(function () {
+                files.push({ name: entry.file, data: template.innerHTML });
+            }));
+        });
+
+        return Promise.all(pending).then(function () {
+            files.unshift({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+            return Zip.create(files);
+        });
+    }
+
+    // IMPORT
+
+    function read(buffer, file) {
+        const archive = Zip.read(buffer);
+        if (!archive.has("manifest.json"))
+            throw new Error(file.name + " is not a script archive");
+        const manifest = JSON.parse(archive.text("manifest.json"));
+        if (manifest.format !== FORMAT)
+            throw new Error(file.name + " is not a script archive");
+        if (manifest.version > VERSION)
+            throw new Error(file.name + " was made by a newer version of Teleprompter");
+        const images = manifest.images || {},
+            sources = {},
+            prompter = { style: manifest.style || null, settings: manifest.settings || {} };
+
+        // Images come back as data URIs, the only kind scripts keep offline.
+        function getSource(name, dropped) {
+            if (!sources.hasOwnProperty(name)) {
+                if (archive.has(name))
+                    sources[name] = "data:" + images[name].type + ";base64," + toBase64(archive.bytes(name));
+                else {
+                    sources[name] = images[name].source || name;
+                    dropped.push("image " + name);
+                }
+            }
+            return sources[name];
+        }
+
+        return (manifest.scripts || []).map(function (entry) {
+            const template = document.createElement("template"),
+                dropped = [];
+            template.innerHTML = archive.text(entry.file);
+            const pictures = template.content.querySelectorAll("img[src]");
+            for (let i = 0; i < pictures.length; i++) {
+                const name = pictures[i].getAttribute("src");
+                if (!images.hasOwnProperty(name))
+                    continue;
+                pictures[i].setAttribute("src", getSource(name, dropped));
+                if (pictures[i].hasAttribute("data-cke-saved-src"))
+                    pictures[i].setAttribute("data-cke-saved-src", pictures[i].getAttribute("src"));
+            }
+            return {
+                name: entry.name || Importers.getBaseName(file.name),
+                data: template.innerHTML,
+                target: entry.target || 0,
+                language: entry.language || "",
+                dropped: dropped,
+                prompter: prompter
+            };
+        });
+    }
+
+    Importers.register({
+        name: "Script archive",
+        extensions: [EXTENSION],
+        types: [],
+        binary: true,
+        parse: read
+    });
+
+    Exporters.formats.archive = {
+        name: "Script archive, with images and settings",
+        extension: EXTENSION,
+        type: "application/zip",
+        bundle: true,
+        create: create
+    };
+
+    window.ScriptArchive = {
+        create: create,
+        read: read,
+        getPrompter: getPrompter
+    };
+})();
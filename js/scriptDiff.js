@@ -0,0 +1,220 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Differences between two versions of a script, for the sidebar's history (SIDEBAR.showHistory).
+//
+// Scripts are compared as text, paragraph by paragraph (Exporters.readBlocks), then word by
+// word within the paragraphs that changed. Formatting and images aren't compared.
+//
+// compare(before, after) returns { html, inserted, deleted }: the paragraphs of "after" with
+// <ins> and <del> marks, long unchanged stretches shortened, and how many words came and went.
+// sequence(a, b), the longest common subsequence underneath, also matches the prompter's blocks
+// on a hot update (js/teleprompter.js), which loads this file without js/exporters.js.
+(function () {
+    "use strict";
+
+    // Unchanged paragraphs shown around each change.
+    const CONTEXT = 1,
+        // Comparisons of more cells than this are given up, showing everything as replaced.
+        MAX_CELLS = 4000000;
+
+    function escapeHTML(text) {
+        return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    }
+
+    // Longest common subsequence of "a" and "b", as operations in order:
+    // [ { type: "same" | "deleted" | "inserted", a, b } ] with "a" and "b" the items' indexes.
+    function sequence(itemsA, itemsB) {
+        // Compared as numbers, one per distinct item.
+        const numbers = new Map(),
+            operations = [];
+
+        function toNumbers(items) {
+            return items.map(function (item) {
+                if (!numbers.has(item))
+                    numbers.set(item, numbers.size);
+                return numbers.get(item);
+            });
+        }
+
+        const a = toNumbers(itemsA),
+            b = toNumbers(itemsB);
+        let start = 0,
+            endA = a.length,
+            endB = b.length;
+        // Common ends don't need the table.
+        while (start < endA && start < endB && a[start] === b[start])
+            start++;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+        for (let i = 0; i < start; i++)
+            operations.push({ type: "same", a: i, b: i });
+
+        const rows = endA - start,
+            columns = endB - start;
+        if (rows * columns > MAX_CELLS) {
+            for (let i = start; i < endA; i++)
+                operations.push({ type: "deleted", a: i, b: -1 });
+            for (let j = start; j < endB; j++)
+                operations.push({ type: "inserted", a: -1, b: j });
+        }
+        else {
+            // lengths[i][j]: LCS of a[start + i..] and b[start + j..].
+            const width = columns + 1,
+                lengths = new Uint32Array((rows + 1) * width);
+            for (let i = rows - 1; i >= 0; i--)
+                for (let j = columns - 1; j >= 0; j--)
+                    lengths[i * width + j] = a[start + i] === b[start + j] ?
+                        lengths[(i + 1) * width + j + 1] + 1 :
+                        Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            let i = 0,
+                j = 0;
+            while (i < rows || j < columns) {
+                if (i < rows && j < columns && a[start + i] === b[start + j]) {
+                    operations.push({ type: "same", a: start + i, b: start + j });
+                    i++;
+                    j++;
+                }
+                // Deletions first, so a replaced word reads "<del>old</del> <ins>new</ins>".
+                else if (i < rows && (j === columns || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                    operations.push({ type: "deleted", a: start + i, b: -1 });
+                    i++;
+                }
+                else {
+                    operations.push({ type: "inserted", a: -1, b: start + j });
+                    j++;
+                }
+            }
+        }
+
+        for (let k = 0; endA + k < a.length; k++)
+            operations.push({ type: "same", a: endA + k, b: endB + k });
+        return operations;
+    }
+
+    function words(text) {
+        return text.split(/\s+/).filter(function (word) {
+            return word !== "";
+        });
+    }
+
+    // A paragraph that changed, marked word by word.
+    function compareWords(before, after, counts) {
+        const a = words(before),
+            b = words(after),
+            html = [];
+        let type = "same",
+            run = [];
+
+        function flush() {
+            if (run.length > 0) {
+                const text = escapeHTML(run.join(" "));
+                html.push(type === "inserted" ? "<ins>" + text + "</ins>" : type === "deleted" ? "<del>" + text + "</del>" : text);
+            }
+            run = [];
+        }
+
+        sequence(a, b).forEach(function (operation) {
+            if (operation.type !== type) {
+                flush();
+                type = operation.type;
+            }
+            run.push(operation.type === "deleted" ? a[operation.a] : b[operation.b]);
+            if (operation.type !== "same")
+                counts[operation.type] += 1;
+        });
+        flush();
+        return html.join(" ");
+    }
+
+    function paragraph(block, className, content) {
+        return '<p class="' + className + (block.kind !== "paragraph" ? " diff-" + block.kind : "") + '">' + content + "</p>";
+    }
+
+    function compare(before, after) {
+        const a = Exporters.readBlocks(before || ""),
+            b = Exporters.readBlocks(after || ""),
+            counts = { inserted: 0, deleted: 0 },
+            rows = [];
+        let deleted = [],
+            inserted = [];
+
+        // Removed and added paragraphs between two unchanged ones are paired up as edits.
+        function flushChanges() {
+            const pairs = Math.min(deleted.length, inserted.length);
+            for (let i = 0; i < pairs; i++)
+                rows.push({ changed: true, html: paragraph(b[inserted[i]], "diff-changed", compareWords(a[deleted[i]].text, b[inserted[i]].text, counts)) });
+            deleted.slice(pairs).forEach(function (index) {
+                counts.deleted += words(a[index].text).length;
+                rows.push({ changed: true, html: paragraph(a[index], "diff-deleted", "<del>" + escapeHTML(a[index].text) + "</del>") });
+            });
+            inserted.slice(pairs).forEach(function (index) {
+                counts.inserted += words(b[index].text).length;
+                rows.push({ changed: true, html: paragraph(b[index], "diff-inserted", "<ins>" + escapeHTML(b[index].text) + "</ins>") });
+            });
+            deleted = [];
+            inserted = [];
+        }
+
+        sequence(a.map(function (block) {
+            return block.kind + "\n" + block.text;
+        }), b.map(function (block) {
+            return block.kind + "\n" + block.text;
+        })).forEach(function (operation) {
+            if (operation.type === "deleted")
+                deleted.push(operation.a);
+            else if (operation.type === "inserted")
+                inserted.push(operation.b);
+            else {
+                flushChanges();
+                rows.push({ changed: false, html: paragraph(b[operation.b], "diff-same", escapeHTML(b[operation.b].text)) });
+            }
+        });
+        flushChanges();
+
+        // Unchanged paragraphs away from any change are summed up.
+        const html = [];
+        let skipped = 0;
+        rows.forEach(function (row, index) {
+            let near = row.changed;
+            for (let k = Math.max(0, index - CONTEXT); !near && k <= Math.min(rows.length - 1, index + CONTEXT); k++)
+                near = rows[k].changed;
+            if (!near) {
+                skipped++;
+                return;
+            }
+            if (skipped > 0)
+                html.push('<p class="diff-skipped">' + skipped + (skipped === 1 ? " unchanged paragraph" : " unchanged paragraphs") + "</p>");
+            skipped = 0;
+            html.push(row.html);
+        });
+        if (skipped > 0)
+            html.push('<p class="diff-skipped">' + skipped + (skipped === 1 ? " unchanged paragraph" : " unchanged paragraphs") + "</p>");
+
+        return { html: html.join("\n"), inserted: counts.inserted, deleted: counts.deleted };
+    }
+
+    window.ScriptDiff = {
+        compare: compare,
+        sequence: sequence
+    };
+})();
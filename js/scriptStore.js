@@ -0,0 +1,420 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Script storage in IndexedDB, the sidebar's "indexedDB" save mode (SIDEBAR.setSaveMode).
+//
+// The sidebar reads and writes its scripts as one JSON array, like it does with localStorage.
+// Here it's kept in memory and saved as a record per script, in "scripts", so an edit only
+// rewrites the script that changed. Other keys go to localStorage.
+//
+// "backups" keeps copies of the whole list: when the editor opens, every few minutes while
+// scripts change, and before a factory reset (F6), an import, a deletion or a restore. The
+// newest BACKUP_LIMIT are kept. Backups outlive a factory reset; restoring one brings the
+// list back as it was.
+//
+// "revisions" keeps each script's versions, by script ID: when it's prompted or imported, and
+// every couple of minutes while it's edited. The newest REVISION_LIMIT of each are kept, and
+// they outlive the script, a restored backup brings its history back.
+//
+// Without IndexedDB, scripts stay in localStorage and there are no backups or revisions.
+(function () {
+    "use strict";
+
+    const DATABASE = "IFTeleprompter",
+        VERSION = 2,
+        BACKUP_LIMIT = 30,
+        BACKUP_INTERVAL = 10 * 60 * 1000,
+        REVISION_LIMIT = 50,
+        REVISION_INTERVAL = 2 * 60 * 1000;
+
+    let db = null,
+        dataKey = null,
+        // The list as JSON, the record saved for each script ID and whether there are changes
+        // since the last backup.
+        cache = null,
+        saved = {},
+        changed = false,
+        warned = false,
+        // IDs of the scripts edited since their last revision.
+        edited = {};
+
+    function request(req) {
+        return new Promise(function (resolve, reject) {
+            req.onsuccess = function () {
+                resolve(req.result);
+            };
+            req.onerror = function () {
+                reject(req.error);
+            };
+        });
+    }
+
+    // Runs "work(transaction)" and resolves to what it returns once the transaction completes.
+    function transaction(stores, mode, work) {
+        return new Promise(function (resolve, reject) {
+            const tx = db.transaction(stores, mode);
+            let result;
+            tx.oncomplete = function () {
+                resolve(result);
+            };
+            tx.onerror = tx.onabort = function () {
+                reject(tx.error);
+            };
+            result = work(tx);
+        });
+    }
+
+    function connect() {
+        return new Promise(function (resolve, reject) {
+            const req = indexedDB.open(DATABASE, VERSION);
+            req.onupgradeneeded = function () {
+                const database = req.result;
+                if (!database.objectStoreNames.contains("scripts"))
+                    database.createObjectStore("scripts", { keyPath: "id" });
+                if (!database.objectStoreNames.contains("backups"))
+                    database.createObjectStore("backups", { keyPath: "id", autoIncrement: true });
+                if (!database.objectStoreNames.contains("revisions"))
+                    database.createObjectStore("revisions", { keyPath: "id", autoIncrement: true }).createIndex("script", "script");
+            };
+            req.onsuccess = function () {
+                resolve(req.result);
+            };
+            req.onerror = function () {
+                reject(req.error);
+            };
+            req.onblocked = function () {
+                reject(new Error("Script storage is open in an older window"));
+            };
+        });
+    }
+
+    function toRecord(script, position) {
+        const record = {};
+        for (const key in script)
+            record[key] = script[key];
+        record.position = position;
+        return record;
+    }
+
+    function fromRecord(record) {
+        const script = {};
+        for (const key in record)
+            if (key !== "position")
+                script[key] = record[key];
+        return script;
+    }
+
+    function failed(err) {
+        if (debug) console.log(err);
+        if (!warned) {
+            warned = true;
+            alert("Scripts could not be saved. " + (err && err.message ? err.message : ""));
+        }
+    }
+
+    // Saves the records that changed since the last write and deletes the ones that are gone.
+    // Resolves to whether it worked.
+    function write(scripts) {
+        const records = {},
+            previous = saved;
+        scripts.forEach(function (script, position) {
+            records[script.id] = JSON.stringify(toRecord(script, position));
+        });
+        saved = records;
+        return transaction(["scripts"], "readwrite", function (tx) {
+            const store = tx.objectStore("scripts");
+            for (const id in records)
+                if (records[id] !== previous[id]) {
+                    store.put(JSON.parse(records[id]));
+                    if (previous.hasOwnProperty(id))
+                        edited[id] = true;
+                }
+            for (const id in previous)
+                if (!records.hasOwnProperty(id))
+                    store.delete(id);
+        }).then(function () {
+            warned = false;
+            return true;
+        }, function (err) {
+            // The next write saves every record again, and still deletes the ones that are gone
+            // since the last write that worked.
+            const retry = {};
+            for (const id in previous)
+                retry[id] = null;
+            for (const id in saved)
+                retry[id] = null;
+            saved = retry;
+            failed(err);
+            return false;
+        });
+    }
+
+    function readScripts() {
+        return transaction(["scripts"], "readonly", function (tx) {
+            return request(tx.objectStore("scripts").getAll());
+        });
+    }
+
+    function getScripts() {
+        try {
+            return JSON.parse(cache) || [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    // BACKUPS
+
+    function getBackups() {
+        return transaction(["backups"], "readonly", function (tx) {
+            return request(tx.objectStore("backups").getAll());
+        });
+    }
+
+    function getLatestBackup() {
+        return transaction(["backups"], "readonly", function (tx) {
+            return new Promise(function (resolve) {
+                tx.objectStore("backups").openCursor(null, "prev").onsuccess = function (event) {
+                    resolve(event.target.result ? event.target.result.value : null);
+                };
+            });
+        });
+    }
+
+    function prune(store) {
+        store.getAllKeys().onsuccess = function (event) {
+            const keys = event.target.result;
+            for (let i = 0; i < keys.length - BACKUP_LIMIT; i++)
+                store.delete(keys[i]);
+        };
+    }
+
+    // Resolves once the current scripts are backed up, "reason" saying why, to whether it worked.
+    function backup(reason) {
+        if (db === null || cache === null)
+            return Promise.resolve(false);
+        const scripts = getScripts();
+        changed = false;
+        return transaction(["backups"], "readwrite", function (tx) {
+            const store = tx.objectStore("backups");
+            store.add({ time: Date.now(), reason: reason, scripts: scripts });
+            prune(store);
+        }).then(function () {
+            return true;
+        }, function (err) {
+            if (debug) console.log(err);
+            return false;
+        });
+    }
+
+    // Backups, newest first: [{ id, time, reason, names }].
+    function listBackups() {
+        if (db === null)
+            return Promise.resolve([]);
+        return getBackups().then(function (backups) {
+            return backups.reverse().map(function (entry) {
+                return {
+                    id: entry.id,
+                    time: entry.time,
+                    reason: entry.reason,
+                    names: entry.scripts.map(function (script) {
+                        return script.name;
+                    })
+                };
+            });
+        });
+    }
+
+    // Replaces the scripts with backup "id"'s, backing up the current ones first.
+    function restoreBackup(id) {
+        return backup("Before restoring a backup").then(function () {
+            return transaction(["backups"], "readonly", function (tx) {
+                return request(tx.objectStore("backups").get(id));
+            });
+        }).then(function (entry) {
+            if (!entry)
+                throw new Error("The backup no longer exists");
+            cache = JSON.stringify(entry.scripts);
+            changed = true;
+            return write(entry.scripts);
+        }).then(function (written) {
+            if (!written)
+                throw new Error("The scripts could not be saved");
+        });
+    }
+
+    // Factory reset: backs the scripts up, then deletes them. Rejects, deleting nothing, when
+    // there are scripts and the backup failed.
+    function clear() {
+        if (db === null)
+            return Promise.resolve();
+        return backup("Before factory reset (F6)").then(function (backedUp) {
+            if (!backedUp && cache !== null)
+                throw new Error("The scripts could not be backed up, nothing was deleted");
+            cache = null;
+            saved = {};
+            return transaction(["scripts"], "readwrite", function (tx) {
+                tx.objectStore("scripts").clear();
+            });
+        });
+    }
+
+    // REVISIONS
+
+    // Calls "found" with script "id"'s newest revision, or null, within transaction "tx".
+    function getLatestRevision(tx, id, found) {
+        tx.objectStore("revisions").index("script").openCursor(IDBKeyRange.only(id), "prev").onsuccess = function (event) {
+            found(event.target.result ? event.target.result.value : null);
+        };
+    }
+
+    // Resolves once "script" (a sidebar element) has a revision, "reason" saying why. Nothing
+    // is saved when it didn't change since its last one.
+    function saveRevision(script, reason) {
+        if (db === null || !script || !script.id)
+            return Promise.resolve();
+        delete edited[script.id];
+        // Copied now, the sidebar may change the script before the transaction runs.
+        const revision = { script: script.id, time: Date.now(), reason: reason, name: script.name, data: script.data || "" };
+        return transaction(["revisions"], "readwrite", function (tx) {
+            const store = tx.objectStore("revisions");
+            getLatestRevision(tx, revision.script, function (latest) {
+                if (latest !== null && latest.data === revision.data && latest.name === revision.name)
+                    return;
+                store.add(revision);
+                store.index("script").getAllKeys(IDBKeyRange.only(revision.script)).onsuccess = function (event) {
+                    const keys = event.target.result;
+                    for (let i = 0; i < keys.length - REVISION_LIMIT; i++)
+                        store.delete(keys[i]);
+                };
+            });
+        }).catch(function (err) {
+            if (debug) console.log(err);
+        });
+    }
+
+    // Revisions of script "id", newest first: [{ id, script, time, reason, name, data }].
+    function listRevisions(id) {
+        if (db === null)
+            return Promise.resolve([]);
+        return transaction(["revisions"], "readonly", function (tx) {
+            return request(tx.objectStore("revisions").index("script").getAll(IDBKeyRange.only(id)));
+        }).then(function (revisions) {
+            return revisions.reverse();
+        });
+    }
+
+    function saveEditedRevisions() {
+        getScripts().forEach(function (script) {
+            if (edited.hasOwnProperty(script.id))
+                saveRevision(script, "Edited");
+        });
+        edited = {};
+    }
+
+    // STORAGE
+
+    function getItem(key) {
+        if (key !== dataKey || db === null)
+            return localStorage.getItem(key);
+        return cache;
+    }
+
+    function setItem(key, value) {
+        if (key !== dataKey || db === null)
+            return localStorage.setItem(key, value);
+        cache = value;
+        changed = true;
+        write(getScripts());
+    }
+
+    function removeItem(key) {
+        if (key !== dataKey || db === null)
+            return localStorage.removeItem(key);
+        cache = null;
+        changed = true;
+        write([]);
+    }
+
+    // Resolves once the scripts under "key" are loaded. Scripts saved in localStorage by
+    // earlier versions move here.
+    function open(key) {
+        dataKey = key;
+        if (typeof indexedDB === "undefined" || indexedDB === null)
+            return Promise.resolve();
+        return connect().then(function (database) {
+            db = database;
+            return readScripts();
+        }).then(function (records) {
+            records.sort(function (a, b) {
+                return a.position - b.position;
+            });
+            records.forEach(function (record) {
+                saved[record.id] = JSON.stringify(record);
+            });
+            if (records.length > 0) {
+                cache = JSON.stringify(records.map(fromRecord));
+                // Reopening without changes doesn't push older backups out.
+                return getLatestBackup().then(function (latest) {
+                    if (latest === null || JSON.stringify(latest.scripts) !== cache)
+                        return backup("Opened Teleprompter");
+                });
+            }
+            const legacy = localStorage.getItem(key);
+            if (legacy === null)
+                return;
+            cache = legacy;
+            return write(getScripts()).then(function (written) {
+                // Until they're saved here, scripts stay in localStorage.
+                if (!written)
+                    throw new Error("Scripts could not be moved from localStorage");
+                return backup("Moved from localStorage");
+            }).then(function (backedUp) {
+                // The localStorage copy goes only once there's a backup too.
+                if (backedUp)
+                    localStorage.removeItem(key);
+            });
+        }).then(function () {
+            window.setInterval(function () {
+                if (changed)
+                    backup("Automatic backup");
+            }, BACKUP_INTERVAL);
+            window.setInterval(saveEditedRevisions, REVISION_INTERVAL);
+        }, function (err) {
+            // Private windows and some browsers can't use IndexedDB, scripts stay in localStorage.
+            if (debug) console.log(err);
+            db = null;
+            cache = null;
+        });
+    }
+
+    window.ScriptStore = {
+        open: open,
+        getItem: getItem,
+        setItem: setItem,
+        removeItem: removeItem,
+        backup: backup,
+        listBackups: listBackups,
+        restoreBackup: restoreBackup,
+        saveRevision: saveRevision,
+        listRevisions: listRevisions,
+        clear: clear
+    };
+})();
@@ -20,6 +20,10 @@
 
 var SIDEBAR = function() {
     this.instructionsLoaded = true;
+    // Language for new and legacy scripts. Drives voice recognition and matching.
+    this.defaultLanguage = "pt-BR";
+    // IDs of the scripts checked for export.
+    this.selection = [];
 
     this.closeModal =  function() {
         window.location = "#close";
@@ -30,15 +34,15 @@ var SIDEBAR = function() {
         return Math.floor(255/2-5); // Return 122. Could be increased depending on the Filesystem and the charset encoding.
     }
 
-    this.download = function( currentDocument, index ) {
+    // Saves "blob" as a file through a download link.
+    this.download = function(filename, blob) {
         if (debug) {
             console.log("Downloading:");
-            console.log(currentDocument);
+            console.log(filename);
         }
-        var filename = currentDocument.name+"_"+index+".html",
-            contents = currentDocument.data,
+        var url = URL.createObjectURL(blob),
             element = document.createElement("a");
-        element.setAttribute("href", "data:text/plain;charset=utf-8," + encodeURIComponent(contents));
+        element.setAttribute("href", url);
         element.setAttribute("download", filename);
 
         element.style.display = "none";
@@ -47,6 +51,221 @@ var SIDEBAR = function() {
         element.click();
 
         document.body.removeChild(element);
+        window.setTimeout(function() {
+            URL.revokeObjectURL(url);
+        }, 1000);
+    };
+
+    // Asks for a format and exports the checked scripts, if "id" is one of them, or else just "id"'s (js/exporters.js).
+    this.exportElements = function(id) {
+        var ids = this.selection.indexOf(id) !== -1 ? this.selection.slice() : [id],
+            elementsData = this.getElements(),
+            scripts = [];
+        // In sidebar order.
+        for (var i = 0; i < elementsData.length; i++)
+            if (ids.indexOf(elementsData[i].id) !== -1)
+                scripts.push(elementsData[i]);
+        if (scripts.length === 0)
+            return;
+        document.getElementById("exportSummary").textContent = scripts.length === 1 ? scripts[0].name : scripts.length + " scripts, as a zip";
+        window.location = "#sidebarExportElement";
+        document.getElementById("exportFormat").focus();
+        document.getElementById("cancelExportButton").onclick = function(e) {
+            e.preventDefault();
+            window.location = "#close";
+        };
+        document.getElementById("exportSidebarButton").onclick = function(e) {
+            e.preventDefault();
+            Exporters.create(scripts, document.getElementById("exportFormat").value).then(function(file) {
+                this.download(file.name, file.blob);
+                if (file.dropped.length > 0)
+                    alert("Some content could not be exported.\n" + file.dropped.join("\n"));
+            }.bind(this), function(err) {
+                if (debug) console.log(err);
+                alert("Export failed. " + err.message);
+            });
+            window.location = "#close";
+        }.bind(this);
+    };
+
+    // Backs the elements up before "reason" changes them, when the save mode keeps backups (js/scriptStore.js).
+    this.backup = function(reason) {
+        if (typeof this.getSaveMode().backup === "function")
+            return this.getSaveMode().backup(reason);
+        return Promise.resolve();
+    };
+
+    // Keeps a revision of "element", when the save mode keeps them (js/scriptStore.js).
+    this.saveRevision = function(element, reason) {
+        if (element && typeof this.getSaveMode().saveRevision === "function")
+            return this.getSaveMode().saveRevision(element, reason);
+        return Promise.resolve();
+    };
+
+    // Shows element "id"'s revisions, what changed since each one (js/scriptDiff.js), and
+    // restores one or branches it into a new element.
+    this.showHistory = function(id) {
+        var saveMode = this.getSaveMode(),
+            list = document.getElementById("revisionList"),
+            compare = document.getElementById("revisionCompare"),
+            diff = document.getElementById("revisionDiff"),
+            stats = document.getElementById("revisionStats"),
+            revisions = [],
+            element = this.getElements()[this.getElementIndexByID(id)];
+        if (element === undefined)
+            return;
+        document.getElementById("historySummary").textContent = element.name;
+        list.options.length = 0;
+        compare.options.length = 0;
+        diff.innerHTML = "";
+        stats.textContent = "";
+        window.location = "#sidebarHistoryElement";
+
+        var label = function(revision) {
+            return new Date(revision.time).toLocaleString() + " - " + revision.reason + (revision.name !== element.name ? " (" + revision.name + ")" : "");
+        };
+
+        // Changes from the chosen revision to the current version, or to another revision.
+        var refresh = function() {
+            var from = revisions[list.selectedIndex];
+            if (from === undefined) {
+                diff.innerHTML = "";
+                stats.textContent = revisions.length === 0 ? "There are no revisions yet. They are kept when a script is prompted, imported or edited." : "";
+                return;
+            }
+            var current = this.getElements()[this.getElementIndexByID(id)],
+                to = compare.selectedIndex > 0 ? revisions[compare.selectedIndex - 1].data : (current ? current.data : ""),
+                result = ScriptDiff.compare(from.data, to);
+            diff.innerHTML = result.html;
+            if (result.inserted === 0 && result.deleted === 0)
+                stats.textContent = from.data === to ? "No changes." : "The text is the same, only formatting or images changed.";
+            else
+                stats.textContent = result.inserted + (result.inserted === 1 ? " word" : " words") + " added, " + result.deleted + (result.deleted === 1 ? " word" : " words") + " removed.";
+        }.bind(this);
+
+        saveMode.listRevisions(id).then(function(result) {
+            revisions = result;
+            var option = document.createElement("option");
+            option.textContent = "Current version";
+            compare.appendChild(option);
+            for (var i = 0; i < revisions.length; i++) {
+                option = document.createElement("option");
+                option.textContent = label(revisions[i]);
+                list.appendChild(option);
+                compare.appendChild(option.cloneNode(true));
+            }
+            if (revisions.length > 0)
+                list.selectedIndex = 0;
+            refresh();
+        }, function(err) {
+            if (debug) console.log(err);
+            window.location = "#close";
+            alert("The revisions could not be listed. " + err.message);
+        });
+        list.onchange = refresh;
+        compare.onchange = refresh;
+
+        document.getElementById("cancelHistoryButton").onclick = function(e) {
+            e.preventDefault();
+            window.location = "#close";
+        };
+        document.getElementById("restoreRevisionButton").onclick = function(e) {
+            e.preventDefault();
+            var revision = revisions[list.selectedIndex],
+                elementsData = this.getElements(),
+                index = this.getElementIndexByID(id);
+            if (revision === undefined || index === undefined)
+                return;
+            this.saveRevision(elementsData[index], "Before restoring");
+            elementsData[index]["data"] = revision.data;
+            this.getSaveMode().setItem(this.getDataKey(), JSON.stringify(elementsData));
+            this.saveRevision(elementsData[index], "Restored");
+            window.location = "#close";
+            // Reload it in the editor.
+            if (this.currentElement === index)
+                this.selectedElement(elementsData[index]);
+        }.bind(this);
+        document.getElementById("branchRevisionButton").onclick = function(e) {
+            e.preventDefault();
+            var revision = revisions[list.selectedIndex],
+                elementsData = this.getElements(),
+                index = this.getElementIndexByID(id);
+            if (revision === undefined || index === undefined)
+                return;
+            var name = (elementsData[index].name + " " + new Date(revision.time).toLocaleTimeString()).slice(0, this.maxFileSize()),
+                branch = {
+                    "id": this.createIDTag(name),
+                    "name": name,
+                    "data": revision.data,
+                    "editable": true,
+                    "language": elementsData[index].language || this.defaultLanguage
+                };
+            if (elementsData[index].target > 0)
+                branch["target"] = elementsData[index].target;
+            // Next to the original.
+            elementsData.splice(index + 1, 0, branch);
+            this.getSaveMode().setItem(this.getDataKey(), JSON.stringify(elementsData));
+            this.saveRevision(branch, "Branched from " + elementsData[index].name);
+            this.refreshElements();
+            this.currentElement = index + 1;
+            window.location = "#close";
+            if (typeof this.addElementEnded === "function")
+                this.addElementEnded(branch);
+        }.bind(this);
+    };
+
+    // Lists the backups and replaces the elements with the chosen one's.
+    this.restoreElements = function() {
+        var saveMode = this.getSaveMode(),
+            list = document.getElementById("backupList"),
+            summary = document.getElementById("backupSummary"),
+            backups = [];
+        list.options.length = 0;
+        summary.textContent = "";
+        window.location = "#sidebarRestoreElement";
+        list.onchange = function() {
+            var backup = backups[list.selectedIndex];
+            summary.textContent = backup ? backup.names.join(", ") : "";
+        };
+        saveMode.listBackups().then(function(result) {
+            backups = result;
+            for (var i = 0; i < backups.length; i++) {
+                var option = document.createElement("option");
+                option.value = backups[i].id;
+                option.textContent = new Date(backups[i].time).toLocaleString() + " - " + backups[i].reason + " (" + backups[i].names.length + ")";
+                list.appendChild(option);
+            }
+            if (backups.length === 0)
+                summary.textContent = "There are no backups yet.";
+            else {
+                list.selectedIndex = 0;
+                list.onchange();
+                list.focus();
+            }
+        }, function(err) {
+            if (debug) console.log(err);
+            window.location = "#close";
+            alert("The backups could not be listed. " + err.message);
+        });
+        document.getElementById("cancelRestoreButton").onclick = function(e) {
+            e.preventDefault();
+            window.location = "#close";
+        };
+        document.getElementById("restoreSidebarButton").onclick = function(e) {
+            e.preventDefault();
+            if (list.selectedIndex === -1)
+                return;
+            saveMode.restoreBackup(backups[list.selectedIndex].id).then(function() {
+                this.selection = [];
+                this.currentElement = 0;
+                this.refreshElements();
+                this.selectedElement(null);
+                window.location = "#close";
+            }.bind(this), function(err) {
+                if (debug) console.log(err);
+                alert("The backup could not be restored. " + err.message);
+            });
+        }.bind(this);
     };
 
     this.addScript = function( evt ) {
@@ -55,7 +274,8 @@ var SIDEBAR = function() {
         if (debug) console.log(evt);
         var elementsData = this.getElements(),
             inputName = document.getElementById("inputName"),
-            inputID = document.getElementById("inputID");
+            inputID = document.getElementById("inputID"),
+            inputLanguage = document.getElementById("inputLanguage");
         if (inputName.value.length===0) {
             window.alert("Every script needs a title.");
             inputName.focus();
@@ -69,7 +289,8 @@ var SIDEBAR = function() {
             "id": inputID.value,
             "name": inputName.value,
             "data": "",
-            "editable": true
+            "editable": true,
+            "language": inputLanguage ? inputLanguage.value : this.defaultLanguage
         });
         // Clean Input
         inputName.value = "";
@@ -140,11 +361,13 @@ var SIDEBAR = function() {
                                 "id": inputID,
                                 "name": inputName,
                                 "data": parsedData,
-                                "editable": true
+                                "editable": true,
+                                "language": sidebar.defaultLanguage
                             });
                             // Save
                             // sidebar.currentElement = elementsData.length-1;
                             sidebar.getSaveMode().setItem(sidebar.getDataKey(), JSON.stringify(elementsData));
+                            sidebar.saveRevision(elementsData[elementsData.length-1], "Imported");
                             sidebar.refreshElements();
                             // Load last imported file.
                             sidebar.currentElement = elementsData.length-1;
@@ -179,11 +402,13 @@ var SIDEBAR = function() {
                                 "id": inputID,
                                 "name": inputName,
                                 "data": evt.target.result,
-                                "editable": true
+                                "editable": true,
+                                "language": sidebar.defaultLanguage
                             });
                             // Save
                             // sidebar.currentElement = elementsData.length-1;
                             sidebar.getSaveMode().setItem(sidebar.getDataKey(), JSON.stringify(elementsData));
+                            sidebar.saveRevision(elementsData[elementsData.length-1], "Imported");
                             sidebar.refreshElements();
                             // Load last imported file.
                             sidebar.currentElement = elementsData.length-1;
@@ -196,6 +421,16 @@ var SIDEBAR = function() {
                 // Begin reading the file's contents.
                 reader.readAsText(f);
             }
+            // Files with more than one script, like newsroom system exports (js/importers.js).
+            else if (typeof Importers !== "undefined" && Importers.find(f) !== null) {
+                supportedFileFound = true;
+                Importers.read(f).then(this.addScripts.bind(this), function(theFile) {
+                    return function(err) {
+                        if (debug) console.log(err);
+                        alert("The following file could not be imported: " + theFile.name + ". " + err.message);
+                    };
+                }(f));
+            }
             // Add unsuported file to unsuported file list.
             else
                 unsuportedFiles.push(escape(f.name));
@@ -216,6 +451,54 @@ var SIDEBAR = function() {
             alert("Import failed. No supported file found.");
     }
 
+    // Adds imported scripts, [{name, data, target, language, dropped, prompter}], in order and loads the last one.
+    this.addScripts = function(scripts) {
+        var elementsData = this.getElements(),
+            maxLength = this.maxFileSize(),
+            truncated = [],
+            dropped = [];
+        if (scripts.length === 0)
+            return;
+        this.backup("Before importing " + (scripts.length === 1 ? scripts[0].name : scripts.length + " scripts"));
+        for (var i = 0; i < scripts.length; i++) {
+            var inputName = scripts[i].name;
+            if (inputName.length > maxLength) {
+                truncated.push(inputName);
+                inputName = inputName.slice(0, maxLength);
+            }
+            var element = {
+                "id": this.createIDTag(inputName),
+                "name": inputName,
+                "data": scripts[i].data,
+                "editable": true,
+                "language": scripts[i].language || this.defaultLanguage
+            };
+            if (scripts[i].target > 0)
+                element["target"] = scripts[i].target;
+            if (scripts[i].dropped && scripts[i].dropped.length > 0)
+                dropped.push(inputName + ": " + scripts[i].dropped.join(", "));
+            // IDs are checked against the saved scripts, so each one is saved as it's added.
+            elementsData.push(element);
+            this.getSaveMode().setItem(this.getDataKey(), JSON.stringify(elementsData));
+            this.saveRevision(element, "Imported");
+        }
+        if (truncated.length > 0)
+            alert("The following names are too long and were truncated: " + truncated.join(", "));
+        if (dropped.length > 0)
+            alert("Some content could not be imported.\n" + dropped.join("\n"));
+        this.refreshElements();
+        // Script archives carry the prompter style and settings they were prompted with.
+        for (var i = 0; i < scripts.length; i++)
+            if (scripts[i].prompter && typeof this.importedPrompter === "function") {
+                this.importedPrompter(scripts[i].prompter);
+                break;
+            }
+        // Load last imported script.
+        this.currentElement = elementsData.length-1;
+        if (typeof this.addElementEnded === "function")
+            this.addElementEnded(elementsData[this.currentElement]);
+    };
+
     this.on = function(nameElement, config) {
         this.menu = nameElement;
         if (typeof config !== 'undefined' && config !== null) {
@@ -302,6 +585,8 @@ var SIDEBAR = function() {
     this.setSaveMode = function(saveMode){
         if(saveMode === "sessionStorage")
             this.saveMode = sessionStorage;
+        else if(saveMode === "indexedDB" && typeof ScriptStore !== "undefined")
+            this.saveMode = ScriptStore;
         else
             this.saveMode = localStorage;
     };
@@ -393,6 +678,9 @@ var SIDEBAR = function() {
                 else
                     currentPreloadData["editable"] = true;
 
+                if(dataArray[i].hasOwnProperty("language"))
+                    currentPreloadData["language"] = dataArray[i].language;
+
                 this.preloadData.push(currentPreloadData);
             }else{
                 if(dataArray[i].hasOwnProperty("name")){
@@ -409,6 +697,9 @@ var SIDEBAR = function() {
                     else
                         currentPreloadData["editable"] = true;
 
+                    if(dataArray[i].hasOwnProperty("language"))
+                        currentPreloadData["language"] = dataArray[i].language;
+
                     this.preloadData.push(currentPreloadData);
                 }
 
@@ -427,6 +718,39 @@ var SIDEBAR = function() {
     this.getCurrentElementIndex = function() {
         return this.currentElement;
     };
+
+    this.getLanguage = function(index) {
+        var elementsData = this.getElements();
+        if (elementsData[index] && elementsData[index].hasOwnProperty("language"))
+            return elementsData[index]["language"];
+        return this.defaultLanguage;
+    };
+
+    this.setLanguage = function(index, language) {
+        var elementsData = this.getElements();
+        if (!elementsData[index] || elementsData[index]["editable"] === false)
+            return false;
+        elementsData[index]["language"] = language;
+        this.getSaveMode().setItem(this.getDataKey(), JSON.stringify(elementsData));
+        return true;
+    };
+
+    // Target duration of a script, in seconds. 0 means none.
+    this.getTarget = function(index) {
+        var elementsData = this.getElements();
+        if (elementsData[index] && elementsData[index].hasOwnProperty("target"))
+            return elementsData[index]["target"];
+        return 0;
+    };
+
+    this.setTarget = function(index, target) {
+        var elementsData = this.getElements();
+        if (!elementsData[index] || elementsData[index]["editable"] === false)
+            return false;
+        elementsData[index]["target"] = target;
+        this.getSaveMode().setItem(this.getDataKey(), JSON.stringify(elementsData));
+        return true;
+    };
     this.refreshElements = function() {
         window.setTimeout(function() {
             this.clearElements();
@@ -492,6 +816,7 @@ var SIDEBAR = function() {
         document.getElementById("deleteSidebarButton").onclick = function(e) {
             var elementsData = this.getElements();
             
+            this.backup("Before deleting " + elementsData[this.getElementIndexByID(id)].name);
             elementsData.splice(this.getElementIndexByID(id), 1);
 
             //Set Current Element
@@ -540,6 +865,25 @@ var SIDEBAR = function() {
             p.appendChild(document.createTextNode(elementsData[i].name));
             div.appendChild(p);
 
+            // Checked scripts are exported together.
+            if (elementsData[i].editable) {
+                var select = document.createElement("input");
+                select.type = "checkbox";
+                select.classList.add("exportSelect");
+                select.title = "Select for export";
+                select.checked = this.selection.indexOf(elementsData[i].id) !== -1;
+                select.onclick = function(e) {
+                    e.stopImmediatePropagation();
+                    var id = e.target.parentNode.parentNode.id,
+                        index = this.selection.indexOf(id);
+                    if (e.target.checked && index === -1)
+                        this.selection.push(id);
+                    else if (!e.target.checked && index !== -1)
+                        this.selection.splice(index, 1);
+                }.bind(this);
+                div.insertBefore(select, p);
+            }
+
             li.onclick = function(e) {
                 e.stopImmediatePropagation();
                 if (e.target.contentEditable == "false") {
@@ -637,17 +981,25 @@ var SIDEBAR = function() {
                 // span3.setAttribute("tabindex","3");
                 downloadButton.classList.add("glyphicon");
                 downloadButton.classList.add("glyphicon-download");
+                downloadButton.title = "Export";
                 downloadButton.onclick = function(e) {
                     e.stopImmediatePropagation();
-                    this.currentElement = this.getElementIndexByID(e.target.parentNode.parentNode.id);
-                    elementsData = this.getElements();
-                    if (typeof this.selectedElement === "function") {
-                        // Download document
-                        this.download(elementsData[this.currentElement], this.currentElement);
-                    }
-                // Insert download code here...
+                    this.exportElements(e.target.parentNode.parentNode.id);
                 }.bind(this);
                 div.appendChild(downloadButton);
+
+                if (typeof this.getSaveMode().listRevisions === "function") {
+                    var historyButton = document.createElement("span");
+                    historyButton.id = "history";
+                    historyButton.classList.add("glyphicon");
+                    historyButton.classList.add("glyphicon-time");
+                    historyButton.title = "History";
+                    historyButton.onclick = function(e) {
+                        e.stopImmediatePropagation();
+                        this.showHistory(e.target.parentNode.parentNode.id);
+                    }.bind(this);
+                    div.appendChild(historyButton);
+                }
             }
             li.appendChild(div);
             menuNode.appendChild(li);
@@ -726,5 +1078,28 @@ var SIDEBAR = function() {
         
         li.appendChild(div);
         menuNode.appendChild(li);
+
+        // Restore button, when the save mode keeps backups.
+        if (typeof this.getSaveMode().listBackups === "function") {
+            var restoreLi = document.createElement("li");
+            var restoreDiv = document.createElement("div");
+            restoreDiv.classList.add("addOption");
+            restoreDiv.setAttribute("tabindex","0");
+            var span3 = document.createElement("span");
+            span3.classList.add("glyphicon");
+            span3.classList.add("glyphicon-floppy-open");
+            restoreDiv.appendChild(span3);
+            var p2 = document.createElement("p");
+            p2.style.display = "inline";
+            p2.setAttribute("contentEditable", false);
+            p2.appendChild(document.createTextNode(" Restore Backup"));
+            restoreDiv.appendChild(p2);
+            restoreLi.onclick = function(e) {
+                e.stopImmediatePropagation();
+                this.restoreElements();
+            }.bind(this);
+            restoreLi.appendChild(restoreDiv);
+            menuNode.appendChild(restoreLi);
+        }
     };
 };
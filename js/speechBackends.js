@@ -0,0 +1,410 @@
+/**
+ * Backends de entrada de fala para o sistema de sincronização por voz
+ *
+ * O motor de matching (speechRecognition.js) não conhece a origem da fala.
+ * Ele só recebe textos parciais e finais de um backend com a interface:
+ *
+ *   backend.start()            - inicia a captura/leitura
+ *   backend.stop()             - encerra definitivamente (sem reinício automático)
+ *   backend.setLang(lang)      - troca o idioma (ex: ao mudar o roteiro); ignorado se o
+ *                                backend não escolhe idioma (o modelo Vosk é do servidor)
+ *   backend.onStart()          - callback: backend pronto para receber fala
+ *   backend.onEnd()            - callback: sessão encerrada (pode reiniciar sozinho)
+ *   backend.onError(erro)      - callback: erro de captura ou conexão
+ *   backend.onPartial(texto)   - callback: resultado parcial (interim)
+ *   backend.onFinal(texto)     - callback: resultado final
+ *
+ * Backends disponíveis:
+ * - webspeech:  Web Speech API do navegador (Chromium, reconhecimento em nuvem)
+ * - websocket:  Reconhecedor local offline via WebSocket (ex: servidor Vosk)
+ * - transcript: Transcrição gravada em JSON (ensaios e reprodução de shows)
+ *
+ * Configuração: localStorage 'voiceBackendConfig' (JSON) ou parâmetros de URL
+ * ?voiceBackend=websocket&voiceUrl=ws://localhost:2700
+ * O idioma normalmente vem do roteiro (ver js/voiceLanguages.js); ?voiceLang=en-US o fixa.
+ */
+
+(function () {
+    "use strict";
+
+    const NativeSpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+    // Configuração padrão de cada backend
+    const DEFAULTS = {
+        type: 'webspeech',
+        lang: 'pt-BR',
+        url: 'ws://localhost:2700',     // websocket: endereço do reconhecedor local
+        sampleRate: 16000,              // websocket: taxa de amostragem enviada ao reconhecedor
+        sendAudio: true,                // websocket: se false, o servidor captura o microfone sozinho
+        reconnectMs: 1000,              // websocket: espera antes de reconectar
+        transcriptUrl: '',              // transcript: arquivo JSON com a transcrição
+        playbackRate: 1                 // transcript: 1 = tempo real, 2 = duas vezes mais rápido
+    };
+
+    // Callbacks vazios para que o backend funcione mesmo sem consumidor
+    function criarBaseBackend(tipo, opcoes) {
+        return {
+            type: tipo,
+            options: opcoes,
+            setLang: function (lang) {
+                opcoes.lang = lang;
+            },
+            onStart: function () {},
+            onEnd: function () {},
+            onError: function () {},
+            onPartial: function () {},
+            onFinal: function () {}
+        };
+    }
+
+    // ========================================
+    // Web Speech API (comportamento original)
+    // ========================================
+    function criarBackendWebSpeech(opcoes) {
+        if (!NativeSpeechRecognition) return null;
+
+        const backend = criarBaseBackend('webspeech', opcoes);
+        const recognition = new NativeSpeechRecognition();
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.lang = opcoes.lang;
+
+        let ativo = false;
+
+        recognition.onstart = function () {
+            backend.onStart();
+        };
+
+        recognition.onend = function () {
+            backend.onEnd();
+            if (!ativo) return;
+            // A API encerra sozinha após silêncio ou timeout da nuvem: reinicia
+            setTimeout(() => {
+                if (!ativo) return;
+                try {
+                    recognition.start();
+                } catch (e) {
+                    console.log('⚠️ Erro ao reiniciar:', e.message);
+                }
+            }, 100);
+        };
+
+        recognition.onerror = function (event) {
+            backend.onError(event.error);
+        };
+
+        recognition.onresult = function (event) {
+            const finais = [];
+            let parcial = '';
+
+            // Extrai apenas resultados NOVOS desde o último evento
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const transcript = event.results[i][0].transcript.trim();
+                if (event.results[i].isFinal) {
+                    finais.push(transcript);
+                } else {
+                    // Para interim, vale apenas o último (não acumula)
+                    parcial = transcript;
+                }
+            }
+
+            if (finais.length > 0) {
+                backend.onFinal(finais.join(' '));
+            } else if (parcial.length > 0) {
+                backend.onPartial(parcial);
+            }
+        };
+
+        backend.start = function () {
+            ativo = true;
+            recognition.start();
+        };
+
+        backend.stop = function () {
+            ativo = false;
+            recognition.stop();
+        };
+
+        // A API só lê o idioma no start(): encerra e deixa o reinício automático aplicar
+        backend.setLang = function (lang) {
+            if (recognition.lang === lang) return;
+            opcoes.lang = lang;
+            recognition.lang = lang;
+            if (ativo) recognition.stop();
+        };
+
+        return backend;
+    }
+
+    // ========================================
+    // Reconhecedor local via WebSocket (offline, para estúdios sem internet)
+    // Aceita mensagens no formato Vosk ({partial} / {text}) ou genérico ({type, text})
+    // ========================================
+    function criarBackendWebSocket(opcoes) {
+        if (typeof WebSocket === 'undefined') return null;
+
+        const backend = criarBaseBackend('websocket', opcoes);
+        let socket = null;
+        let ativo = false;
+        let audio = null;
+        let ultimoParcial = '';
+        let emFalha = false;            // Erro já avisado; só volta a avisar depois de reconectar
+
+        function interpretarMensagem(dados) {
+            let mensagem;
+            try {
+                mensagem = JSON.parse(dados);
+            } catch (e) {
+                return;
+            }
+
+            let tipo = mensagem.type;
+            let texto = mensagem.text;
+            if (!tipo) {
+                if (typeof mensagem.partial === 'string') {
+                    tipo = 'partial';
+                    texto = mensagem.partial;
+                } else if (typeof mensagem.text === 'string') {
+                    tipo = 'final';
+                }
+            }
+            texto = (texto || '').trim();
+            if (texto.length === 0) return;
+
+            if (tipo === 'final') {
+                ultimoParcial = '';
+                backend.onFinal(texto);
+            } else if (tipo === 'partial' && texto !== ultimoParcial) {
+                // Vosk repete o mesmo parcial várias vezes por segundo
+                ultimoParcial = texto;
+                backend.onPartial(texto);
+            }
+        }
+
+        // Captura o microfone e envia PCM 16 bits mono na taxa configurada
+        function iniciarAudio() {
+            if (!opcoes.sendAudio || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) return;
+
+            navigator.mediaDevices.getUserMedia({ audio: true }).then((stream) => {
+                if (!ativo) {
+                    stream.getTracks().forEach(t => t.stop());
+                    return;
+                }
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                const contexto = new AudioContextClass();
+                const fonte = contexto.createMediaStreamSource(stream);
+                const processador = contexto.createScriptProcessor(4096, 1, 1);
+                const razao = contexto.sampleRate / opcoes.sampleRate;
+
+                processador.onaudioprocess = function (e) {
+                    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+                    const entrada = e.inputBuffer.getChannelData(0);
+                    const tamanho = Math.floor(entrada.length / razao);
+                    const pcm = new Int16Array(tamanho);
+                    for (let i = 0; i < tamanho; i++) {
+                        const amostra = Math.max(-1, Math.min(1, entrada[Math.floor(i * razao)]));
+                        pcm[i] = amostra < 0 ? amostra * 0x8000 : amostra * 0x7FFF;
+                    }
+                    socket.send(pcm.buffer);
+                };
+
+                fonte.connect(processador);
+                processador.connect(contexto.destination);
+                audio = { stream: stream, contexto: contexto, processador: processador };
+            }).catch((erro) => {
+                backend.onError(erro.name || erro);
+            });
+        }
+
+        function pararAudio() {
+            if (!audio) return;
+            audio.processador.disconnect();
+            audio.stream.getTracks().forEach(t => t.stop());
+            audio.contexto.close();
+            audio = null;
+        }
+
+        function conectar() {
+            socket = new WebSocket(opcoes.url);
+            socket.binaryType = 'arraybuffer';
+
+            socket.onopen = function () {
+                emFalha = false;
+                if (opcoes.sendAudio) {
+                    socket.send(JSON.stringify({ config: { sample_rate: opcoes.sampleRate } }));
+                }
+                backend.onStart();
+            };
+
+            socket.onmessage = function (event) {
+                if (typeof event.data === 'string') {
+                    interpretarMensagem(event.data);
+                }
+            };
+
+            // Cada tentativa de reconexão falha de novo: uma queda vira um aviso só
+            socket.onerror = function () {
+                if (emFalha) return;
+                emFalha = true;
+                backend.onError('websocket');
+            };
+
+            socket.onclose = function () {
+                socket = null;
+                backend.onEnd();
+                if (ativo) {
+                    setTimeout(() => {
+                        if (ativo) conectar();
+                    }, opcoes.reconnectMs);
+                }
+            };
+        }
+
+        backend.start = function () {
+            ativo = true;
+            emFalha = false;
+            conectar();
+            iniciarAudio();
+        };
+
+        backend.stop = function () {
+            ativo = false;
+            pararAudio();
+            if (socket) {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({ eof: 1 }));
+                }
+                socket.close();
+            }
+        };
+
+        return backend;
+    }
+
+    // ========================================
+    // Transcrição gravada: [{ "t": ms, "type": "partial"|"final", "text": "..." }, ...]
+    // ========================================
+    function criarBackendTranscript(opcoes) {
+        const backend = criarBaseBackend('transcript', opcoes);
+        let timers = [];
+
+        function reproduzir(eventos) {
+            backend.onStart();
+            const escala = opcoes.playbackRate > 0 ? opcoes.playbackRate : 1;
+            let ultimo = 0;
+            eventos.forEach((evento) => {
+                const atraso = (evento.t || 0) / escala;
+                ultimo = Math.max(ultimo, atraso);
+                timers.push(setTimeout(() => {
+                    if (evento.type === 'final') {
+                        backend.onFinal(evento.text);
+                    } else {
+                        backend.onPartial(evento.text);
+                    }
+                }, atraso));
+            });
+            timers.push(setTimeout(() => {
+                timers = [];
+                backend.onEnd();
+            }, ultimo + 1));
+        }
+
+        backend.start = function () {
+            if (Array.isArray(opcoes.events)) {
+                reproduzir(opcoes.events);
+                return;
+            }
+            if (!opcoes.transcriptUrl) {
+                backend.onError('transcript-url');
+                return;
+            }
+            const xmlhttp = new XMLHttpRequest();
+            xmlhttp.onreadystatechange = function () {
+                if (xmlhttp.readyState !== 4) return;
+                try {
+                    const dados = JSON.parse(xmlhttp.responseText);
+                    reproduzir(Array.isArray(dados) ? dados : dados.events);
+                } catch (e) {
+                    backend.onError('transcript-parse');
+                }
+            };
+            xmlhttp.open('GET', opcoes.transcriptUrl, true);
+            xmlhttp.send();
+        };
+
+        backend.stop = function () {
+            timers.forEach(t => clearTimeout(t));
+            timers = [];
+        };
+
+        return backend;
+    }
+
+    const fabricas = {
+        webspeech: criarBackendWebSpeech,
+        websocket: criarBackendWebSocket,
+        transcript: criarBackendTranscript
+    };
+
+    // Lê a configuração salva e aplica parâmetros de URL por cima
+    function carregarConfig() {
+        const config = Object.assign({}, DEFAULTS);
+        try {
+            const salvo = localStorage.getItem('voiceBackendConfig');
+            if (salvo) Object.assign(config, JSON.parse(salvo));
+        } catch (e) {
+            console.error('Erro ao carregar configuração do backend de voz:', e);
+        }
+
+        const parametros = {};
+        window.location.href.replace(/[?&]+([^=&]+)=([^&]*)/gi, function (m, chave, valor) {
+            parametros[chave] = decodeURIComponent(valor);
+        });
+        if (parametros.voiceBackend) config.type = parametros.voiceBackend;
+        if (parametros.voiceUrl) {
+            if (config.type === 'transcript') config.transcriptUrl = parametros.voiceUrl;
+            else config.url = parametros.voiceUrl;
+        }
+        if (parametros.voiceLang) {
+            // Idioma forçado pela URL prevalece sobre o idioma do roteiro
+            config.lang = parametros.voiceLang;
+            config.langFixed = true;
+        }
+        return config;
+    }
+
+    function salvarConfig(config) {
+        try {
+            localStorage.setItem('voiceBackendConfig', JSON.stringify(config));
+        } catch (e) {}
+    }
+
+    // Cria o backend configurado; retorna null se indisponível neste ambiente
+    function create(config) {
+        const opcoes = Object.assign({}, DEFAULTS, config || carregarConfig());
+        const fabrica = fabricas[opcoes.type];
+        if (!fabrica) {
+            console.warn(`Backend de voz desconhecido: "${opcoes.type}"`);
+            return null;
+        }
+        const backend = fabrica(opcoes);
+        if (backend) {
+            const origem = opcoes.type === 'websocket' ? opcoes.url : opcoes.type === 'transcript' ? opcoes.transcriptUrl : opcoes.lang;
+            console.log(`🎛️ Backend de voz: ${opcoes.type} (${origem})`);
+        }
+        return backend;
+    }
+
+    window.SpeechBackends = {
+        create: create,
+        register: function (tipo, fabrica) {
+            fabricas[tipo] = fabrica;
+        },
+        types: function () {
+            return Object.keys(fabricas);
+        },
+        loadConfig: carregarConfig,
+        saveConfig: salvarConfig,
+        DEFAULTS: DEFAULTS
+    };
+}());
@@ -0,0 +1,379 @@
+/**
+ * Normalização de números, moedas, datas e abreviações para o matching de voz
+ *
+ * O roteiro diz "R$ 3,5 bilhões", "COVID-19", "Dr." ou "2024"; o reconhecedor
+ * devolve "três vírgula cinco bilhões de reais", "covid dezenove", "doutor" e
+ * "dois mil e vinte e quatro" (ou o contrário, conforme o motor e o idioma).
+ * Tudo é escrito por extenso, dos dois lados, antes da comparação.
+ *
+ * Expande (nesta ordem):
+ *   - abreviações:   dr. -> doutor, km -> quilômetros, nº -> número
+ *   - moedas:        R$ 3,5 bilhões -> três vírgula cinco bilhões de reais
+ *   - porcentagens:  15% -> quinze por cento
+ *   - temperaturas:  30°C -> trinta graus
+ *   - datas:         12/03/2024 -> doze de março de dois mil e vinte e quatro
+ *   - ordinais:      1º -> primeiro, 2ª -> segunda, 3rd -> third
+ *   - números:       1.500 -> mil e quinhentos, 3,5 -> três vírgula cinco
+ *
+ * Recebe texto já em minúsculas (VoiceLanguages.normalize cuida do resto:
+ * contrações, acentos e pontuação).
+ *
+ * Uso:
+ *   SpeechNormalizer.expand('r$ 3,5 bilhões', VoiceLanguages.get('pt-BR'));
+ */
+
+(function () {
+    "use strict";
+
+    // Regras por idioma (chave = id do perfil em js/voiceLanguages.js)
+    const LANGS = {
+        pt: {
+            units: ['zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove',
+                'dez', 'onze', 'doze', 'treze', 'quatorze', 'quinze', 'dezesseis', 'dezessete', 'dezoito', 'dezenove'],
+            tens: ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'],
+            hundreds: ['', 'cento', 'duzentos', 'trezentos', 'quatrocentos', 'quinhentos',
+                'seiscentos', 'setecentos', 'oitocentos', 'novecentos'],
+            hundredExact: 'cem',
+            tensJoiner: ' e ',
+            hundredsJoiner: ' e ',
+            groupAnd: 'e',          // "dois mil e vinte", "mil e quinhentos", mas "mil novecentos e oitenta"
+            scales: [
+                { value: 1e12, one: 'um trilhão', many: 'trilhões' },
+                { value: 1e9, one: 'um bilhão', many: 'bilhões' },
+                { value: 1e6, one: 'um milhão', many: 'milhões' },
+                { value: 1e3, one: 'mil', many: 'mil' }
+            ],
+            number: /\d{1,3}(?:\.\d{3})+(?:,\d+)?|\d+(?:,\d+)?/,
+            thousandsSep: '.',
+            decimalSep: ',',
+            decimalWord: 'vírgula',
+            scaleWords: { 'mil': 'mil', 'milhão': 'milhão', 'milhões': 'milhões', 'bilhão': 'bilhão', 'bilhões': 'bilhões',
+                'trilhão': 'trilhão', 'trilhões': 'trilhões', 'mi': 'milhões', 'bi': 'bilhões', 'tri': 'trilhões' },
+            currencies: {
+                'r$': ['real', 'reais'], 'us$': ['dólar', 'dólares'], '$': ['dólar', 'dólares'],
+                '€': ['euro', 'euros'], '£': ['libra', 'libras']
+            },
+            cents: ['centavo', 'centavos'],
+            centsJoiner: 'e',
+            scaleConnector: 'de',   // "três bilhões de reais"
+            percent: 'por cento',
+            degrees: 'graus',
+            dateOrder: 'dmy',
+            dateJoiner: 'de',
+            firstDay: 'primeiro',   // "primeiro de maio"
+            months: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho',
+                'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+            ordinals: ['', 'primeiro', 'segundo', 'terceiro', 'quarto', 'quinto', 'sexto', 'sétimo', 'oitavo', 'nono', 'décimo'],
+            abbreviations: {
+                'dr.': 'doutor', 'dra.': 'doutora', 'sr.': 'senhor', 'sra.': 'senhora', 'srta.': 'senhorita',
+                'prof.': 'professor', 'profa.': 'professora', 'av.': 'avenida', 'dep.': 'deputado',
+                'nº': 'número', 'n°': 'número', 'km/h': 'quilômetros por hora', 'km': 'quilômetros',
+                'kg': 'quilos', 'cm': 'centímetros', 'mm': 'milímetros', 'ml': 'mililitros'
+            }
+        },
+        es: {
+            units: ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+                'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve'],
+            tens: ['', '', 'veinte', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'],
+            // 21 a 29 são uma palavra só
+            compounds: {
+                21: 'veintiuno', 22: 'veintidós', 23: 'veintitrés', 24: 'veinticuatro', 25: 'veinticinco',
+                26: 'veintiséis', 27: 'veintisiete', 28: 'veintiocho', 29: 'veintinueve'
+            },
+            hundreds: ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos',
+                'seiscientos', 'setecientos', 'ochocientos', 'novecientos'],
+            hundredExact: 'cien',
+            tensJoiner: ' y ',
+            hundredsJoiner: ' ',
+            apocope: [/uno$/, 'un'],    // "veintiún mil", "un millón"
+            scales: [
+                { value: 1e12, one: 'un billón', many: 'billones' },
+                { value: 1e6, one: 'un millón', many: 'millones' },   // mil millones = 10^9
+                { value: 1e3, one: 'mil', many: 'mil' }
+            ],
+            number: /\d{1,3}(?:\.\d{3})+(?:,\d+)?|\d+(?:,\d+)?/,
+            thousandsSep: '.',
+            decimalSep: ',',
+            decimalWord: 'coma',
+            scaleWords: { 'mil': 'mil', 'millón': 'millón', 'millones': 'millones', 'billón': 'billón', 'billones': 'billones' },
+            currencies: {
+                'us$': ['dólar', 'dólares'], '$': ['peso', 'pesos'], 'r$': ['real', 'reales'],
+                '€': ['euro', 'euros'], '£': ['libra', 'libras']
+            },
+            cents: ['centavo', 'centavos'],
+            centsJoiner: 'con',
+            scaleConnector: 'de',
+            percent: 'por ciento',
+            degrees: 'grados',
+            dateOrder: 'dmy',
+            dateJoiner: 'de',
+            firstDay: 'primero',
+            months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio',
+                'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+            ordinals: ['', 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto', 'séptimo', 'octavo', 'noveno', 'décimo'],
+            abbreviations: {
+                'dr.': 'doctor', 'dra.': 'doctora', 'sr.': 'señor', 'sra.': 'señora', 'srta.': 'señorita',
+                'prof.': 'profesor', 'av.': 'avenida', 'nº': 'número', 'n°': 'número', 'ee.uu.': 'estados unidos',
+                'km/h': 'kilómetros por hora', 'km': 'kilómetros', 'kg': 'kilos', 'cm': 'centímetros', 'ml': 'mililitros'
+            }
+        },
+        en: {
+            units: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+                'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'],
+            tens: ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'],
+            hundreds: ['', 'one hundred', 'two hundred', 'three hundred', 'four hundred', 'five hundred',
+                'six hundred', 'seven hundred', 'eight hundred', 'nine hundred'],
+            tensJoiner: ' ',
+            hundredsJoiner: ' ',
+            scales: [
+                { value: 1e12, one: 'one trillion', many: 'trillion' },
+                { value: 1e9, one: 'one billion', many: 'billion' },
+                { value: 1e6, one: 'one million', many: 'million' },
+                { value: 1e3, one: 'one thousand', many: 'thousand' }
+            ],
+            number: /\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?/,
+            thousandsSep: ',',
+            decimalSep: '.',
+            decimalWord: 'point',
+            decimalDigits: true,        // "three point two five"
+            years: true,                // "nineteen eighty four", "twenty twenty four"
+            scaleWords: { 'thousand': 'thousand', 'million': 'million', 'billion': 'billion', 'trillion': 'trillion',
+                'k': 'thousand', 'bn': 'billion', 'tn': 'trillion' },
+            currencies: {
+                '$': ['dollar', 'dollars'], 'us$': ['dollar', 'dollars'], '€': ['euro', 'euros'],
+                '£': ['pound', 'pounds'], 'r$': ['real', 'reais']
+            },
+            cents: ['cent', 'cents'],
+            centsJoiner: 'and',
+            scaleConnector: '',         // "three billion dollars"
+            percent: 'percent',
+            degrees: 'degrees',
+            dateOrder: 'mdy',
+            months: ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+                'august', 'september', 'october', 'november', 'december'],
+            ordinals: ['', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+                'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth', 'eighteenth', 'nineteenth'],
+            tensOrdinals: ['', '', 'twentieth', 'thirtieth', 'fortieth', 'fiftieth', 'sixtieth', 'seventieth', 'eightieth', 'ninetieth'],
+            abbreviations: {
+                'dr.': 'doctor', 'mr.': 'mister', 'mrs.': 'missus', 'prof.': 'professor', 'vs.': 'versus',
+                'mph': 'miles per hour', 'km/h': 'kilometers per hour', 'km': 'kilometers', 'kg': 'kilograms'
+            }
+        }
+    };
+
+    // Países que escrevem a data em inglês como dia/mês
+    const EN_DAY_FIRST = /-(GB|AU|NZ|IE|IN|ZA)$/i;
+
+    function escaparRegex(texto) {
+        return texto.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+    }
+
+    // ========================================
+    // Números por extenso
+    // ========================================
+    function ate100(n, L) {
+        if (n < 20) return L.units[n];
+        if (L.compounds && L.compounds[n]) return L.compounds[n];
+        const dezena = L.tens[Math.floor(n / 10)];
+        const unidade = n % 10;
+        return unidade === 0 ? dezena : dezena + L.tensJoiner + L.units[unidade];
+    }
+
+    function ate1000(n, L) {
+        if (n < 100) return ate100(n, L);
+        if (n === 100 && L.hundredExact) return L.hundredExact;
+        const centena = L.hundreds[Math.floor(n / 100)];
+        const resto = n % 100;
+        return resto === 0 ? centena : centena + L.hundredsJoiner + ate100(resto, L);
+    }
+
+    function inteiroPorExtenso(n, L) {
+        if (n === 0) return L.units[0];
+        const partes = [];
+        for (const escala of L.scales) {
+            if (n < escala.value) continue;
+            const q = Math.floor(n / escala.value);
+            n = n % escala.value;
+            let multiplicador = inteiroPorExtenso(q, L);
+            if (L.apocope) multiplicador = multiplicador.replace(L.apocope[0], L.apocope[1]);
+            partes.push({ valor: q, texto: q === 1 ? escala.one : multiplicador + ' ' + escala.many });
+        }
+        if (n > 0) partes.push({ valor: n, texto: ate1000(n, L) });
+
+        let resultado = partes[0].texto;
+        for (let i = 1; i < partes.length; i++) {
+            const v = partes[i].valor;
+            const usaE = L.groupAnd && i === partes.length - 1 && (v < 100 || v % 100 === 0);
+            resultado += (usaE ? ' ' + L.groupAnd + ' ' : ' ') + partes[i].texto;
+        }
+        return resultado;
+    }
+
+    // Ano em inglês: 1984 -> nineteen eighty four, 2024 -> twenty twenty four, 1905 -> nineteen oh five
+    function anoPorExtenso(n, L) {
+        if (!L.years || n < 1100 || n > 2099 || (n >= 2000 && n < 2010)) return null;
+        const alto = Math.floor(n / 100);
+        const baixo = n % 100;
+        if (baixo === 0) return ate100(alto, L) + ' hundred';
+        return ate100(alto, L) + ' ' + (baixo < 10 ? 'oh ' + L.units[baixo] : ate100(baixo, L));
+    }
+
+    // "1.500,25" -> { inteiro: 1500, fracao: '25' }
+    function lerNumero(texto, L) {
+        const partes = texto.split(L.decimalSep);
+        const inteiro = partes[0].split(L.thousandsSep).join('');
+        return {
+            digitos: inteiro,
+            inteiro: parseInt(inteiro, 10),
+            fracao: partes.length > 1 ? partes[1] : null
+        };
+    }
+
+    function fracaoPorExtenso(fracao, L) {
+        if (L.decimalDigits) {
+            return fracao.split('').map(d => L.units[+d]).join(' ');
+        }
+        // Zeros à esquerda são falados um a um: 0,05 -> zero vírgula zero cinco
+        const zeros = /^0*/.exec(fracao)[0];
+        const resto = fracao.substring(zeros.length);
+        const palavras = zeros.split('').map(() => L.units[0]);
+        if (resto.length > 0) palavras.push(inteiroPorExtenso(parseInt(resto, 10), L));
+        return palavras.join(' ');
+    }
+
+    function numeroPorExtenso(texto, L, comoAno) {
+        const numero = lerNumero(texto, L);
+        // Além de trilhões (ou códigos longos): dígito a dígito
+        if (numero.digitos.length > 15) {
+            return numero.digitos.split('').map(d => L.units[+d]).join(' ');
+        }
+        let resultado = (comoAno && /^\d{4}$/.test(texto) && anoPorExtenso(numero.inteiro, L)) ||
+            inteiroPorExtenso(numero.inteiro, L);
+        if (numero.fracao !== null) {
+            resultado += ' ' + L.decimalWord + ' ' + fracaoPorExtenso(numero.fracao, L);
+        }
+        return resultado;
+    }
+
+    function ordinalPorExtenso(n, feminino, L) {
+        let palavra = L.ordinals[n];
+        if (!palavra && L.tensOrdinals && n < 100) {
+            const unidade = n % 10;
+            palavra = unidade === 0 ? L.tensOrdinals[n / 10] : L.tens[Math.floor(n / 10)] + ' ' + L.ordinals[unidade];
+        }
+        if (!palavra) return inteiroPorExtenso(n, L);
+        return feminino ? palavra.replace(/o$/, 'a') : palavra;
+    }
+
+    // ========================================
+    // Expansão
+    // ========================================
+    // Regexes por idioma montadas uma vez (dependem das tabelas)
+    const compiladas = {};
+
+    function compilar(id, L) {
+        if (compiladas[id]) return compiladas[id];
+        const num = '(' + L.number.source + ')';
+        const antes = '(^|[^\\w$])';
+        const moedas = Object.keys(L.currencies).sort((a, b) => b.length - a.length).map(escaparRegex).join('|');
+        const escalas = Object.keys(L.scaleWords).sort((a, b) => b.length - a.length).map(escaparRegex).join('|');
+        const abreviacoes = Object.keys(L.abbreviations).sort((a, b) => b.length - a.length).map(escaparRegex).join('|');
+        compiladas[id] = {
+            abreviacoes: new RegExp('(^|[^\\w]|\\d)(' + abreviacoes + ')(?![\\w])', 'g'),
+            escalaAbreviada: new RegExp(antes + num + '\\s*(' + escalas + ')(?![\\w])', 'g'),
+            moedaAntes: new RegExp('(^|[^\\w])(' + moedas + ')\\s*' + num + '(?:\\s*(' + escalas + ')(?![\\w]))?', 'g'),
+            moedaDepois: new RegExp(antes + num + '(?:\\s*(' + escalas + '))?\\s*(€|£)', 'g'),
+            porcentagem: new RegExp(antes + num + '\\s*%', 'g'),
+            temperatura: new RegExp(antes + num + '\\s*°\\s*[cf]?(?![\\w])', 'g'),
+            data: /(^|[^\w\/])(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?(?![\w\/])/g,
+            ordinal: L.tensOrdinals ?
+                /(^|[^\w])(\d{1,2})(st|nd|rd|th)(?![\w])/g :
+                /(^|[^\w])(\d{1,3})\.?([ºª])/g,
+            numero: new RegExp(antes + num + '(?![\\w])', 'g')
+        };
+        return compiladas[id];
+    }
+
+    // Inteiro antes de substantivo: "un peso", "veintiún dólares"
+    function quantidade(n, L) {
+        const texto = inteiroPorExtenso(n, L);
+        return L.apocope ? texto.replace(L.apocope[0], L.apocope[1]) : texto;
+    }
+
+    function valorMoeda(numeroTexto, escala, moeda, L) {
+        const numero = lerNumero(numeroTexto, L);
+        const nomes = L.currencies[moeda];
+        if (escala) {
+            // "três bilhões de reais", mas "duzentos mil reais"
+            const palavraEscala = L.scaleWords[escala];
+            const milhar = L.scales[L.scales.length - 1].many;
+            const conector = L.scaleConnector && palavraEscala !== milhar ? ' ' + L.scaleConnector + ' ' : ' ';
+            return numeroPorExtenso(numeroTexto, L) + ' ' + palavraEscala + conector + nomes[1];
+        }
+        // Centavos: R$ 3,50 -> três reais e cinquenta centavos
+        if (numero.fracao !== null && numero.fracao.length === 2) {
+            const centavos = parseInt(numero.fracao, 10);
+            let texto = quantidade(numero.inteiro, L) + ' ' + (numero.inteiro === 1 ? nomes[0] : nomes[1]);
+            if (centavos > 0) {
+                texto += ' ' + L.centsJoiner + ' ' + quantidade(centavos, L) + ' ' + (centavos === 1 ? L.cents[0] : L.cents[1]);
+            }
+            return texto;
+        }
+        if (numero.fracao === null) {
+            return quantidade(numero.inteiro, L) + ' ' + (numero.inteiro === 1 ? nomes[0] : nomes[1]);
+        }
+        return numeroPorExtenso(numeroTexto, L) + ' ' + nomes[1];
+    }
+
+    function dataPorExtenso(a, b, ano, L, perfil) {
+        const diaPrimeiro = L.dateOrder === 'dmy' || EN_DAY_FIRST.test(perfil.recognizerLang || '');
+        const dia = parseInt(diaPrimeiro ? a : b, 10);
+        const mes = parseInt(diaPrimeiro ? b : a, 10);
+        if (dia < 1 || dia > 31 || mes < 1 || mes > 12) return null;
+
+        let texto;
+        if (L.dateJoiner) {
+            texto = (dia === 1 && L.firstDay ? L.firstDay : inteiroPorExtenso(dia, L)) + ' ' + L.dateJoiner + ' ' + L.months[mes - 1];
+            if (ano) texto += ' ' + L.dateJoiner + ' ' + numeroPorExtenso(ano, L, true);
+        } else {
+            texto = diaPrimeiro ?
+                'the ' + ordinalPorExtenso(dia, false, L) + ' of ' + L.months[mes - 1] :
+                L.months[mes - 1] + ' ' + ordinalPorExtenso(dia, false, L);
+            if (ano) texto += ' ' + numeroPorExtenso(ano, L, true);
+        }
+        return texto;
+    }
+
+    function expand(texto, perfil) {
+        const id = perfil && LANGS[perfil.id] ? perfil.id : 'pt';
+        const L = LANGS[id];
+        const R = compilar(id, L);
+
+        return texto
+            // COVID-19 -> covid 19
+            .replace(/([a-z\u00c0-\u024f])-(?=\d)/g, '$1 ')
+            // 10km -> 10 quilômetros
+            .replace(R.abreviacoes, (m, antes, abreviacao) => antes + (/\d/.test(antes) ? ' ' : '') + L.abbreviations[abreviacao])
+            .replace(R.moedaAntes, (m, antes, moeda, numero, escala) => antes + valorMoeda(numero, escala, moeda, L))
+            .replace(R.moedaDepois, (m, antes, numero, escala, moeda) => antes + valorMoeda(numero, escala, moeda, L))
+            .replace(R.porcentagem, (m, antes, numero) => antes + numeroPorExtenso(numero, L) + ' ' + L.percent)
+            .replace(R.temperatura, (m, antes, numero) => antes + numeroPorExtenso(numero, L) + ' ' + L.degrees)
+            .replace(R.data, (m, antes, a, b, ano) => {
+                const data = dataPorExtenso(a, b, ano, L, perfil || {});
+                return data === null ? m : antes + data;
+            })
+            // 3 bi -> três bilhões (depois das moedas, que tratam a escala junto)
+            .replace(R.escalaAbreviada, (m, antes, numero, escala) => antes + numeroPorExtenso(numero, L) + ' ' + L.scaleWords[escala])
+            .replace(R.ordinal, (m, antes, numero, sufixo) => antes + ordinalPorExtenso(parseInt(numero, 10), sufixo === 'ª', L))
+            .replace(R.numero, (m, antes, numero) => antes + numeroPorExtenso(numero, L, true))
+            // Símbolo solto ("3 milhões de €")
+            .replace(/[€£]/g, simbolo => L.currencies[simbolo][1]);
+    }
+
+    window.SpeechNormalizer = {
+        expand: expand,
+        numberToWords: function (n, perfil) {
+            return inteiroPorExtenso(n, LANGS[perfil && LANGS[perfil.id] ? perfil.id : 'pt']);
+        }
+    };
+}());
@@ -6,6 +6,24 @@
  * - SEARCHING: Buscando posição inicial no roteiro
  * - LOCKED: Posição encontrada, avançando sequencialmente
  * 
+ * Entrada de fala: js/speechBackends.js (Web Speech, reconhecedor local via WebSocket
+ * ou transcrição gravada). Este arquivo só trata texto parcial/final.
+ * 
+ * Idioma: js/voiceLanguages.js. O idioma do roteiro (atributo lang do .prompt) define
+ * o idioma do reconhecedor, a normalização e os marcadores de link.
+ * 
+ * Apresentador: js/presenterProfiles.js. O perfil calibrado ajusta o controlador de
+ * velocidade e o timer de silêncio ao ritmo de quem lê.
+ * 
+ * Tags técnicas: js/technicalTags.js. Elementos como ((CAM 1)) ou [VT] não são lidos e
+ * ficam fora do matching; o editor usa a mesma regra ao exportar o roteiro.
+ * 
+ * Telemetria: js/voiceTelemetry.js. Mudanças de estado, falante, elemento e misses
+ * viram um log JSON lines da sessão e o estado atual vai para o painel do editor.
+ * 
+ * Alinhamento: js/wordAligner.js (Smith-Waterman sobre o índice de palavras do
+ * roteiro inteiro). O alvo do scroll é a palavra alinhada, não uma fração do elemento.
+ * 
  * Comportamento:
  * - Em SEARCHING: busca no roteiro todo para encontrar onde o apresentador está
  * - Em LOCKED: só verifica próximos elementos (sequencial)
@@ -13,7 +31,9 @@
  * - Após N misses consecutivos: volta para SEARCHING
  */
 
-const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+// Elementos do roteiro considerados pelo matching
+// span.w são as palavras envolvidas pelo teleprompter (destaque), não elementos do roteiro
+const SELETOR_ELEMENTOS = 'p, h1, h2, h3, h4, h5, h6, li, span:not(.w), strong, em, b, i';
 
 // Estados da máquina
 const STATE = {
@@ -30,27 +50,17 @@ const SPEAKER_MODE = {
 // ========================================
 // CONFIGURAÇÃO DE DETECÇÃO DE LINKS/FALANTES EXTERNOS
 // ========================================
+// Perfil de idioma do roteiro atual (trocado por atualizarIdioma)
+let perfilIdioma = VoiceLanguages.get(VoiceLanguages.DEFAULT);
+let idiomaRoteiro = '';
+
 const LINK_CONFIG = {
-    // Marcadores que indicam ENTRADA de link externo (texto do repórter/link)
-    // Quando detectados, speakerMode muda para EXTERNAL
-    entryMarkers: [
-        /\(\s*ABRE\s+LINK\s*\)/i,
-        /\(\s*LINK\s*\)/i,
-        /\(\(\s*ABRE\s+LINK\s*\)\)/i,
-        /\(\s*ABRE\s+SOM\s+DO\s+LINK\s*\)/i,
-        /\(\s*ABRE\s+SOM\s+LINK\s*\)/i,
-        /\(\(\s*LINK\s*\)\)/i,
-        /\(LINK\s+LINK\s+LINK/i
-    ],
-    
-    // Marcadores que indicam RETORNO do âncora
-    // Quando detectados, speakerMode volta para ANCHOR
-    exitMarkers: [
-        /DEIXA\s*:/i,
-        /\(\s*FIM\s+LINK\s*\)/i,
-        /\(\s*VOLTA\s+\)/i,
-        /\(\(\s*CAM\s*\d*\s*\)\)/i  // ((CAM 1)) geralmente indica volta pro estúdio
-    ],
+    // Regras de marcadores ativas no idioma do roteiro (js/linkRules.js), em ordem de prioridade:
+    // - exit:  RETORNO do âncora (DEIXA:, ((CAM X))...) - speakerMode volta para ANCHOR
+    // - enter: ENTRADA de link externo ((ABRE LINK)...) - speakerMode muda para EXTERNAL
+    // - pause: pausa de N segundos (VT, sonora) - EXTERNAL temporário
+    // Editáveis no modal de configuração de voz (localStorage 'voiceLinkRules')
+    rules: LinkRules.compile(LinkRules.load(), perfilIdioma.id),
     
     // Cache de elementos analisados
     _elementCache: new Map(),
@@ -79,115 +89,14 @@ const CONFIG = {
     
     // Jump híbrido - threshold para fazer jump em vez de scroll contínuo
     hybridJumpThreshold: 500,   // Pixels de diferença para ativar jump híbrido
-    hybridJumpMinProgress: 0.4  // Progresso mínimo no match para permitir jump
-};
-
-// ========================================
-// CONFIGURAÇÃO DE TAGS TÉCNICAS (elementos a ignorar no matching)
-// ========================================
-const TAG_CONFIG = {
-    // Padrões pré-definidos (usuário pode ativar/desativar)
-    patterns: {
-        parentesesSimples: {
-            enabled: true,
-            name: 'Parênteses simples',
-            description: 'Texto entre ( )',
-            regex: /^\s*\([^)]+\)\s*$/
-        },
-        parentesesDuplos: {
-            enabled: true,
-            name: 'Parênteses duplos',
-            description: 'Texto entre (( ))',
-            regex: /^\s*\(\([^)]+\)\)\s*$/
-        },
-        parentesesTriplos: {
-            enabled: true,
-            name: 'Parênteses triplos',
-            description: 'Texto entre ((( )))',
-            regex: /^\s*\(\(\([^)]+\)\)\)\s*$/
-        },
-        colchetes: {
-            enabled: true,
-            name: 'Colchetes',
-            description: 'Texto entre [ ]',
-            regex: /^\s*\[[^\]]+\]\s*$/
-        },
-        hashtagMaiusculo: {
-            enabled: true,
-            name: 'Hashtag maiúsculo',
-            description: '#TAG ou #CAMERA',
-            regex: /^\s*#[A-Z0-9]+\s*$/
-        },
-        indicadorCamera: {
-            enabled: true,
-            name: 'Indicador de câmera',
-            description: 'CAM1, CAM2, CAMERA1...',
-            regex: /^\s*CAM(ERA)?\s*\d+\s*$/i
-        },
-        textoEntreSetas: {
-            enabled: false,
-            name: 'Texto entre setas',
-            description: 'Texto entre >>> <<<',
-            regex: /^\s*>{2,}[^<]+<{2,}\s*$/
-        },
-        textoEntreAsteriscos: {
-            enabled: false,
-            name: 'Texto entre asteriscos',
-            description: 'Texto entre *** ***',
-            regex: /^\s*\*{2,}[^*]+\*{2,}\s*$/
-        }
-    },
+    hybridJumpMinProgress: 0.4, // Progresso mínimo no match para permitir jump
     
-    // Caracteres iniciais que indicam tag (configurável pelo usuário)
-    customPrefixes: [],  // Ex: ['>>>', '###', '***']
-    
-    // Cache de elementos já verificados
-    _cache: new Map()
+    // Alinhamento por palavra (searchThreshold/lockedThreshold valem como confiança mínima)
+    alignMinWords: 3,           // Palavras alinhadas mínimas (ou todas, se a fala for mais curta)
+    alignBacktrackWords: 3      // Em LOCKED, quantas palavras antes do ponteiro ainda podem ser alinhadas
 };
 
-// Verifica se um texto é uma tag técnica (deve ser ignorado)
-// NOTA: NÃO considera textos curtos como tags - eles são legítimos (ex: "Oi", "Eu")
-function isTagTecnica(texto) {
-    // Apenas textos vazios são ignorados
-    if (!texto || texto.trim().length === 0) return true;
-    
-    const textoLimpo = texto.trim();
-    
-    // Verifica cache
-    if (TAG_CONFIG._cache.has(textoLimpo)) {
-        return TAG_CONFIG._cache.get(textoLimpo);
-    }
-    
-    let isTag = false;
-    
-    // Verifica padrões pré-definidos ativos
-    for (const [key, pattern] of Object.entries(TAG_CONFIG.patterns)) {
-        if (pattern.enabled && pattern.regex.test(textoLimpo)) {
-            isTag = true;
-            console.log(`   🏷️ TAG detectada (${pattern.name}): "${textoLimpo.substring(0, 30)}"`);
-            break;
-        }
-    }
-    
-    // Verifica prefixos customizados
-    if (!isTag && TAG_CONFIG.customPrefixes.length > 0) {
-        for (const prefix of TAG_CONFIG.customPrefixes) {
-            if (textoLimpo.startsWith(prefix)) {
-                isTag = true;
-                console.log(`   🏷️ TAG detectada (prefixo ${prefix}): "${textoLimpo.substring(0, 30)}"`);
-                break;
-            }
-        }
-    }
-    
-    // Armazena no cache
-    TAG_CONFIG._cache.set(textoLimpo, isTag);
-    
-    return isTag;
-}
-
-// Expõe função globalmente para uso em outros módulos (teleprompter.js)
-window.isTagTecnica = isTagTecnica;
+// Tags técnicas (TAG_CONFIG, isTagTecnica): js/technicalTags.js, carregado antes deste módulo.
 
 // Verifica se um elemento DOM é uma tag técnica
 function isElementoTag(elemento) {
@@ -199,6 +108,7 @@ function isElementoTag(elemento) {
 // Limpa cache de tags (chamar quando roteiro muda)
 function limparCacheTags() {
     TAG_CONFIG._cache.clear();
+    indicePalavras = null; // Tags mudam quais palavras entram no índice de alinhamento
 }
 
 // Encontra o primeiro elemento legível (não é tag)
@@ -206,7 +116,7 @@ function findFirstReadableElement() {
     const promptElement = document.querySelector('.prompt');
     if (!promptElement) return null;
     
-    const elementos = promptElement.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, span, strong, em, b, i');
+    const elementos = promptElement.querySelectorAll(SELETOR_ELEMENTOS);
     
     for (let i = 0; i < elementos.length; i++) {
         const elem = elementos[i];
@@ -232,7 +142,7 @@ function findNextReadableElement(startIndex) {
     const promptElement = document.querySelector('.prompt');
     if (!promptElement) return null;
     
-    const elementos = promptElement.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, span, strong, em, b, i');
+    const elementos = promptElement.querySelectorAll(SELETOR_ELEMENTOS);
     
     for (let i = startIndex + 1; i < elementos.length; i++) {
         const elem = elementos[i];
@@ -291,7 +201,7 @@ function reposicionarParaProximoLegivel() {
     const promptElement = document.querySelector('.prompt');
     if (!promptElement) return;
     
-    const elementos = promptElement.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, span, strong, em, b, i');
+    const elementos = promptElement.querySelectorAll(SELETOR_ELEMENTOS);
     
     // Verifica se o elemento atual é legível
     const elementoAtual = elementos[currentElementIndex];
@@ -323,18 +233,61 @@ function reposicionarParaProximoLegivel() {
     }
 }
 
-// Carrega prefixos customizados do localStorage ao iniciar
-function loadCustomPrefixesFromStorage() {
-    try {
-        var stored = localStorage.getItem('voiceCustomPrefixes');
-        if (stored) {
-            var prefixes = JSON.parse(stored);
-            TAG_CONFIG.customPrefixes = Array.isArray(prefixes) ? prefixes : [];
-            console.log(`🏷️ Prefixos customizados carregados do localStorage:`, TAG_CONFIG.customPrefixes);
-        }
-    } catch(e) {
-        console.error('Erro ao carregar prefixos do localStorage:', e);
+// ========================================
+// ARBITRAGEM COM O OPERADOR
+// Comandos manuais (roda, teclas, arrastar) tiram a voz do controle (teleprompter.js).
+// Durante o controle manual a fala é ignorada; ao devolver, a voz volta a buscar
+// a partir do elemento que o operador deixou na área de foco.
+// ========================================
+
+function operadorNoControle() {
+    const controle = window.teleprompterVoiceControl;
+    return !!(controle && controle.isOverridden && controle.isOverridden());
+}
+
+// Elemento legível no offset (o último que começa antes dele). Elementos aninhados ficam com o
+// mais externo, como os tokens do índice de palavras (WordAligner.buildIndex)
+function findReadableElementAtOffset(offset) {
+    const promptElement = document.querySelector('.prompt');
+    if (!promptElement) return null;
+    
+    const elementos = promptElement.querySelectorAll(SELETOR_ELEMENTOS);
+    let encontrado = null;
+    
+    for (let i = 0; i < elementos.length; i++) {
+        const elem = elementos[i];
+        if (elem.offsetTop > offset) break;
+        if (encontrado && encontrado.element.contains(elem)) continue;
+        const texto = (elem.innerText || elem.textContent || '').trim();
+        if (texto.length === 0 || isTagTecnica(texto)) continue;
+        encontrado = { element: elem, index: i };
+    }
+    
+    return encontrado || findFirstReadableElement();
+}
+
+function aoMudarControleManual(ativo, offsetFoco) {
+    if (ativo) {
+        console.log(`✋ Operador no controle - fala ignorada até a devolução`);
+        wordBuffer = [];
+        pendingFinalWords = [];
+        AutoScrollController.softStop();
+        return;
     }
+    
+    const foco = findReadableElementAtOffset(offsetFoco);
+    if (!foco) return;
+    
+    console.log(`🎤 Voz retoma a partir do elemento ${foco.index} (área de foco): "${(foco.element.innerText || '').substring(0, 40)}..."`);
+    
+    // Busca LOCAL em torno do ponto onde o operador parou
+    currentState = STATE.SEARCHING;
+    currentElementIndex = foco.index;
+    lastLockedReadableIndex = foco.index;
+    consecutiveMisses = 0;
+    wordBuffer = [];
+    pendingFinalWords = [];
+    cumulativeFinalWords = [];
 }
 
 // Expõe configuração de tags globalmente para interface
@@ -398,6 +351,7 @@ window.voiceTagConfig = {
     forceAnchorMode: function() {
         speakerMode = SPEAKER_MODE.ANCHOR;
         externalElementCount = 0;
+        cancelarPausaMarcador();
         AutoScrollController.softResume();
         console.log(`🟢 Forçado modo ANCHOR`);
     },
@@ -412,12 +366,10 @@ window.voiceTagConfig = {
     // Marcadores de LINK configuráveis
     getLinkConfig: function() {
         return LINK_CONFIG;
-    }
+    },
+    reloadLinkRules: recarregarRegrasDeLink
 };
 
-// Carrega prefixos ao iniciar o módulo
-loadCustomPrefixesFromStorage();
-
 // Estado global
 let currentState = STATE.SEARCHING;
 let currentElementIndex = -1;       // Índice atual no roteiro
@@ -430,8 +382,9 @@ let lastProcessedFinalIndex = 0;    // Índice do último final processado
 let debounceTimer = null;
 let ultimoHashRoteiro = "";
 let currentWordPointer = 0;         // Ponteiro monotônico: índice da palavra atual no elemento
-let currentElementWords = [];       // Array de palavras normalizadas do elemento atual
 let currentElementTotalWords = 0;   // Total de palavras no elemento atual
+let indicePalavras = null;          // Índice achatado de palavras do roteiro (WordAligner), refeito quando o roteiro muda
+let ultimaConfianca = 0;            // Confiança do último alinhamento (aceito ou não), para a telemetria
 
 // Identificação de sessões de fala - DESABILITADO v29.4
 // A detecção por pausa causava falsos positivos. 
@@ -441,7 +394,8 @@ let lastSpeechTimestamp = 0;        // Timestamp do último resultado de fala
 const SPEAKER_PAUSE_THRESHOLD = 999999; // Efetivamente desabilitado para sessões
 
 // v29.7: Timer de silêncio - para o scroll quando não há fala
-const SILENCE_TIMEOUT_MS = 800;     // 800ms sem fala = pausa o scroll
+const SILENCE_TIMEOUT_MS = 800;     // 800ms sem fala = pausa o scroll (padrão, sem perfil de apresentador)
+let silenceTimeoutMs = SILENCE_TIMEOUT_MS;  // Ajustado pelo perfil do apresentador (js/presenterProfiles.js)
 let silenceTimer = null;            // Timer de verificação de silêncio
 let silenceSuppressed = false;      // v29.7: Flag para suprimir re-arming durante pausa
 let pauseStartTimestamp = 0;        // v29.7: Quando a pausa começou (para calcular duração real)
@@ -459,14 +413,57 @@ function armSilenceTimer() {
         // Verifica novamente antes de pausar
         if (!AutoScrollController.isActive || AutoScrollController.isPaused || currentState !== STATE.LOCKED) return;
         
-        console.log(`🔇 Silêncio detectado (${SILENCE_TIMEOUT_MS}ms sem fala) - pausando scroll`);
+        console.log(`🔇 Silêncio detectado (${silenceTimeoutMs}ms sem fala) - pausando scroll`);
         AutoScrollController.softStop();
         
         // v29.7: Reposiciona para próximo texto legível (evita parar em tags técnicas)
         if (currentState === STATE.LOCKED && currentElementIndex >= 0) {
             reposicionarParaProximoLegivel();
         }
-    }, SILENCE_TIMEOUT_MS);
+    }, silenceTimeoutMs);
+}
+
+// ========================================
+// TELEMETRIA - estado para o painel do operador e log da sessão
+// ========================================
+let telemetriaAnterior = null;
+
+// Registra no log o que mudou desde a última amostra e devolve o estado atual
+function amostrarTelemetria() {
+    const atual = {
+        state: currentState,
+        speakerMode: speakerMode,
+        confidence: Math.round(ultimaConfianca * 100) / 100,
+        driver: window.teleprompterVoiceControl && window.teleprompterVoiceControl.getDriver ?
+            window.teleprompterVoiceControl.getDriver() : 'voice',
+        velocity: Math.round(AutoScrollController.currentVelocity * 10) / 10,
+        misses: consecutiveMisses,
+        index: currentElementIndex,
+        paused: AutoScrollController.isPaused
+    };
+    const anterior = telemetriaAnterior;
+    telemetriaAnterior = atual;
+    if (!anterior) return atual;
+    
+    if (atual.state !== anterior.state) {
+        VoiceTelemetry.record('state', { from: anterior.state, to: atual.state, index: atual.index, confidence: atual.confidence });
+    }
+    if (atual.driver !== anterior.driver) {
+        VoiceTelemetry.record('driver', { from: anterior.driver, to: atual.driver, index: atual.index });
+    }
+    if (atual.speakerMode !== anterior.speakerMode) {
+        VoiceTelemetry.record('speaker', { from: anterior.speakerMode, to: atual.speakerMode, index: atual.index });
+    }
+    if (atual.index !== anterior.index) {
+        VoiceTelemetry.record('element', { index: atual.index, confidence: atual.confidence });
+    }
+    if (atual.misses > anterior.misses) {
+        VoiceTelemetry.record('miss', { misses: atual.misses, index: atual.index, confidence: atual.confidence });
+    }
+    if (atual.paused !== anterior.paused) {
+        VoiceTelemetry.record(atual.paused ? 'pause' : 'resume', { index: atual.index });
+    }
+    return atual;
 }
 
 // ========================================
@@ -475,31 +472,51 @@ function armSilenceTimer() {
 let speakerMode = SPEAKER_MODE.ANCHOR;  // Começa assumindo que âncora está falando
 let externalElementCount = 0;            // Contador de elementos em modo EXTERNAL
 let lastLinkMarkerIndex = -1;            // Índice do último marcador de LINK detectado
+let pausaMarcadorTimer = null;           // Fim da pausa pedida por uma regra "pause"
 
-// Detecta se um texto contém marcador de ENTRADA de link
-function isLinkEntryMarker(texto) {
+// Verifica se alguma regra da ação casa com o texto
+function temRegraDeLink(texto, acao) {
     if (!texto) return false;
-    for (const regex of LINK_CONFIG.entryMarkers) {
-        if (regex.test(texto)) {
+    for (const regra of LINK_CONFIG.rules) {
+        if (regra.action === acao && regra.regex.test(texto)) {
             return true;
         }
     }
     return false;
 }
 
+// Detecta se um texto contém marcador de ENTRADA de link (ou de pausa, que também tira o âncora do ar)
+function isLinkEntryMarker(texto) {
+    return temRegraDeLink(texto, 'enter') || temRegraDeLink(texto, 'pause');
+}
+
 // Detecta se um texto contém marcador de SAÍDA de link (retorno do âncora)
 function isLinkExitMarker(texto) {
-    if (!texto) return false;
-    for (const regex of LINK_CONFIG.exitMarkers) {
-        if (regex.test(texto)) {
-            return true;
-        }
+    return temRegraDeLink(texto, 'exit');
+}
+
+// Recarrega as regras (idioma mudou ou regras editadas em outra janela)
+function recarregarRegrasDeLink() {
+    LINK_CONFIG.rules = LinkRules.compile(LinkRules.load(), perfilIdioma.id);
+    LINK_CONFIG._elementCache.clear();
+}
+
+window.addEventListener('storage', function(event) {
+    if (event.key === LinkRules.STORAGE_KEY) {
+        recarregarRegrasDeLink();
+        console.log(`🔗 Regras de link atualizadas (${LINK_CONFIG.rules.length} ativas)`);
+    }
+});
+
+function cancelarPausaMarcador() {
+    if (pausaMarcadorTimer) {
+        clearTimeout(pausaMarcadorTimer);
+        pausaMarcadorTimer = null;
     }
-    return false;
 }
 
-// Analisa um elemento e retorna se deve mudar o speakerMode
-// Retorna: 'ENTER_EXTERNAL' | 'EXIT_EXTERNAL' | null
+// Analisa um elemento e retorna a regra de marcador que casa com ele
+// Retorna: { name, action: 'enter' | 'exit' | 'pause', seconds } | null
 function analisarMarcadorFalante(elemento) {
     if (!elemento) return null;
     
@@ -511,17 +528,14 @@ function analisarMarcadorFalante(elemento) {
         return LINK_CONFIG._elementCache.get(texto);
     }
     
-    let resultado = null;
-    
-    // Primeiro verifica saída (prioridade - retorno do âncora)
-    if (isLinkExitMarker(texto)) {
-        resultado = 'EXIT_EXTERNAL';
-        console.log(`   📢 MARCADOR DE RETORNO detectado: "${texto.substring(0, 40)}..."`);
-    }
-    // Depois verifica entrada
-    else if (isLinkEntryMarker(texto)) {
-        resultado = 'ENTER_EXTERNAL';
-        console.log(`   📡 MARCADOR DE LINK detectado: "${texto.substring(0, 40)}..."`);
+    // Regras já estão em ordem de prioridade: saída (retorno do âncora), entrada, pausa
+    const resultado = LinkRules.match(LINK_CONFIG.rules, texto);
+    if (resultado && resultado.action === 'exit') {
+        console.log(`   📢 MARCADOR DE RETORNO detectado (${resultado.name}): "${texto.substring(0, 40)}..."`);
+    } else if (resultado && resultado.action === 'enter') {
+        console.log(`   📡 MARCADOR DE LINK detectado (${resultado.name}): "${texto.substring(0, 40)}..."`);
+    } else if (resultado) {
+        console.log(`   ⏸️ MARCADOR DE PAUSA detectado (${resultado.name}, ${resultado.seconds}s): "${texto.substring(0, 40)}..."`);
     }
     
     // Cache
@@ -536,8 +550,9 @@ function atualizarSpeakerMode(elementoIndex, elementos) {
     
     const elemento = elementos[elementoIndex];
     const marcador = analisarMarcadorFalante(elemento);
+    const acao = marcador ? marcador.action : null;
     
-    if (marcador === 'ENTER_EXTERNAL' && speakerMode === SPEAKER_MODE.ANCHOR) {
+    if (acao === 'enter' && speakerMode === SPEAKER_MODE.ANCHOR) {
         // Transição: ANCHOR -> EXTERNAL
         speakerMode = SPEAKER_MODE.EXTERNAL;
         externalElementCount = 0;
@@ -551,10 +566,30 @@ function atualizarSpeakerMode(elementoIndex, elementos) {
         // Pausa suave o AutoScroll
         AutoScrollController.softStop();
     }
-    else if (marcador === 'EXIT_EXTERNAL' && speakerMode === SPEAKER_MODE.EXTERNAL) {
+    else if (acao === 'pause' && speakerMode === SPEAKER_MODE.ANCHOR) {
+        // Pausa temporária: EXTERNAL por N segundos, depois volta sozinho
+        speakerMode = SPEAKER_MODE.EXTERNAL;
+        externalElementCount = 0;
+        lastLinkMarkerIndex = elementoIndex;
+        
+        console.log(`⏸️ SPEAKER MODE: ANCHOR → EXTERNAL por ${marcador.seconds}s (${marcador.name})`);
+        AutoScrollController.softStop();
+        
+        cancelarPausaMarcador();
+        pausaMarcadorTimer = setTimeout(() => {
+            pausaMarcadorTimer = null;
+            if (speakerMode !== SPEAKER_MODE.EXTERNAL) return;
+            speakerMode = SPEAKER_MODE.ANCHOR;
+            externalElementCount = 0;
+            console.log(`▶️ SPEAKER MODE: EXTERNAL → ANCHOR (fim da pausa de ${marcador.seconds}s)`);
+            AutoScrollController.softResume();
+        }, marcador.seconds * 1000);
+    }
+    else if (acao === 'exit' && speakerMode === SPEAKER_MODE.EXTERNAL) {
         // Transição: EXTERNAL -> ANCHOR
         speakerMode = SPEAKER_MODE.ANCHOR;
         externalElementCount = 0;
+        cancelarPausaMarcador();
         
         console.log(`🟢 ========================================`);
         console.log(`🟢 SPEAKER MODE: EXTERNAL → ANCHOR`);
@@ -602,6 +637,10 @@ function limparCacheMarcadores() {
     LINK_CONFIG._elementCache.clear();
 }
 
+// Confiança mínima do alinhamento para assumir que o âncora voltou (mais conservador que a
+// busca normal, para evitar falsos positivos com a fala do repórter)
+const RETORNO_ANCORA_THRESHOLD = 0.40;
+
 // Tenta detectar retorno do âncora durante modo EXTERNAL
 // Busca match em elementos APÓS o último marcador de link
 // Retorna true se detectou retorno e voltou para ANCHOR
@@ -609,18 +648,12 @@ function tentarDetectarRetornoAncora(textoFalado, isFinal) {
     const promptElement = document.querySelector('.prompt');
     if (!promptElement) return false;
 
-    const elementos = promptElement.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, span, strong, em, b, i');
-    const textoNormalizado = normalizarTexto(textoFalado);
+    const elementos = promptElement.querySelectorAll(SELETOR_ELEMENTOS);
     
     // Busca a partir do último índice conhecido, procurando marcador de DEIXA ou texto do âncora
     const startIdx = Math.max(0, lastLinkMarkerIndex + 1);
     const endIdx = Math.min(startIdx + 30, elementos.length); // Olha até 30 elementos à frente
     
-    let melhorMatch = null;
-    let melhorSimilaridade = 0;
-    let melhorIndice = -1;
-    let encontrouMarcadorSaida = false;
-
     // Primeiro, verifica se há marcador de saída nos próximos elementos
     for (let i = startIdx; i < endIdx; i++) {
         const elem = elementos[i];
@@ -628,7 +661,6 @@ function tentarDetectarRetornoAncora(textoFalado, isFinal) {
         
         // Verifica marcador de saída (DEIXA:, FIM LINK, etc.)
         if (isLinkExitMarker(textoOriginal)) {
-            encontrouMarcadorSaida = true;
             console.log(`   📢 [EXTERNAL] Marcador de saída encontrado no índice ${i}`);
             
             // Encontra o próximo elemento legível após o marcador
@@ -666,26 +698,19 @@ function tentarDetectarRetornoAncora(textoFalado, isFinal) {
             AutoScrollController.softResume();
             return true;
         }
-        
-        // Se não é tag técnica, tenta match
-        if (!isTagTecnica(textoOriginal)) {
-            const textoElemento = normalizarTexto(textoOriginal);
-            if (textoElemento.length === 0) continue;
-            
-            const similaridade = calcularSimilaridade(textoNormalizado, textoElemento);
-            
-            // Threshold mais alto para detectar retorno (evita falsos positivos)
-            if (similaridade > melhorSimilaridade && similaridade >= 0.35) {
-                melhorSimilaridade = similaridade;
-                melhorMatch = elem;
-                melhorIndice = i;
-            }
-        }
     }
 
+    // Depois, alinha a fala com as palavras após o link (mesmo alinhador da busca normal)
+    const indice = obterIndicePalavras(promptElement);
+    const alinhamento = alinharNoRoteiro(tokenizarFala(textoFalado), indice, {
+        from: WordAligner.firstTokenOfElement(indice, startIdx),
+        to: WordAligner.firstTokenOfElement(indice, endIdx)
+    }, RETORNO_ANCORA_THRESHOLD);
+
     // Se encontrou match forte em elemento após o link, assume que âncora voltou
-    // Threshold mais conservador (40%) para evitar falsos positivos com fala do repórter
-    if (melhorMatch && melhorSimilaridade >= 0.40) {
+    if (alinhamento) {
+        const melhorIndice = alinhamento.elementIndex;
+        const melhorMatch = elementos[melhorIndice];
         // Verifica se o elemento encontrado NÃO é um marcador de entrada de link
         const textoMatch = (melhorMatch.innerText || melhorMatch.textContent || '').trim();
         if (isLinkEntryMarker(textoMatch)) {
@@ -694,7 +719,7 @@ function tentarDetectarRetornoAncora(textoFalado, isFinal) {
         }
         
         console.log(`🟢 ========================================`);
-        console.log(`🟢 RETORNO DETECTADO: Match ${(melhorSimilaridade * 100).toFixed(0)}% no índice ${melhorIndice}`);
+        console.log(`🟢 RETORNO DETECTADO: Match ${(alinhamento.confidence * 100).toFixed(0)}% no índice ${melhorIndice}`);
         console.log(`🟢 Texto: "${textoMatch.substring(0, 50)}..."`);
         console.log(`🟢 SPEAKER MODE: EXTERNAL → ANCHOR`);
         console.log(`🟢 ========================================`);
@@ -708,11 +733,7 @@ function tentarDetectarRetornoAncora(textoFalado, isFinal) {
         consecutiveMisses = 0; // Reseta contador de misses
         
         // Inicializa tracking do elemento
-        currentElementWords = normalizarTexto(textoMatch).split(/\s+/).filter(p => p.length > 1);
-        currentElementTotalWords = currentElementWords.length;
-        currentWordPointer = 0;
-        cumulativeFinalWords = [];
-        pendingFinalWords = [];
+        inicializarTrackingElemento(alinhamento);
         wordBuffer = []; // Limpa buffer de palavras
         
         // Resume e reinicia AutoScroll
@@ -943,8 +964,12 @@ const AutoScrollController = {
         const offsetTopBase = elemento.offsetTop;
         const alturaElemento = elemento.offsetHeight || 0;
         const offsetAdicional = alturaElemento * progresso;
-        const offsetFinal = offsetTopBase + offsetAdicional;
-        
+        this.setTargetFromOffset(offsetTopBase + offsetAdicional, progresso, elemento);
+    },
+    
+    // Atualiza target para um offset já calculado (ex: posição da palavra alinhada)
+    // progresso: fração lida do elemento, usada só para decidir o jump híbrido
+    setTargetFromOffset: function(offsetFinal, progresso, elemento) {
         // Calcula diferença atual para decidir se faz jump híbrido
         const currPos = window.getTeleprompterCurrentPos ? window.getTeleprompterCurrentPos() : 0;
         const targetScrollPos = window.convertOffsetToScrollPos ? 
@@ -1012,15 +1037,49 @@ const AutoScrollController = {
     }
 };
 
-if (SpeechRecognition) {
-    const recognition = new SpeechRecognition();
-    recognition.continuous = true;
-    recognition.interimResults = true;
-    recognition.lang = 'pt-BR';
+// ========================================
+// PERFIL DO APRESENTADOR - ritmo de leitura, pausas e latência calibrados (js/presenterProfiles.js)
+// ========================================
+let perfilApresentador = null;
 
-    recognition.onstart = function() {
+function aplicarPerfilApresentador() {
+    perfilApresentador = PresenterProfiles.active();
+    const ajuste = PresenterProfiles.tuning(perfilApresentador);
+    
+    AutoScrollController.VELOCITY_GAIN = ajuste.velocityGain;
+    AutoScrollController.MAX_VELOCITY = ajuste.maxVelocity;
+    silenceTimeoutMs = ajuste.silenceTimeoutMs;
+    if (window.teleprompterAutoScroll && window.teleprompterAutoScroll.setReferenceWps) {
+        window.teleprompterAutoScroll.setReferenceWps(ajuste.referenceWps);
+    }
+    
+    if (perfilApresentador) {
+        console.log(`🧑 Apresentador: ${perfilApresentador.name} (${perfilApresentador.wps} palavras/s) → ganho=${ajuste.velocityGain}, vmax=${ajuste.maxVelocity}, silêncio=${ajuste.silenceTimeoutMs}ms`);
+    }
+    VoiceTelemetry.record('presenter', {
+        name: perfilApresentador ? perfilApresentador.name : null,
+        velocityGain: ajuste.velocityGain,
+        maxVelocity: ajuste.maxVelocity,
+        silenceTimeoutMs: ajuste.silenceTimeoutMs
+    });
+}
+
+// Troca de apresentador no editor durante o show
+window.addEventListener('storage', function(event) {
+    if (event.key === PresenterProfiles.STORAGE_KEY) {
+        aplicarPerfilApresentador();
+    }
+});
+
+// Backend de entrada de fala (Web Speech, reconhecedor local ou transcrição gravada)
+// Ver js/speechBackends.js para os tipos e a configuração
+const voiceBackend = window.SpeechBackends ? window.SpeechBackends.create() : null;
+
+if (voiceBackend) {
+    voiceBackend.onStart = function() {
         console.log('🎤 Reconhecimento de voz iniciado');
         console.log(`📍 Estado inicial: ${currentState}`);
+        VoiceTelemetry.record('recognizer', { status: 'start' });
         
         // POSICIONA NO PRIMEIRO ELEMENTO LEGÍVEL
         setTimeout(() => {
@@ -1028,69 +1087,56 @@ if (SpeechRecognition) {
         }, 500);
     };
 
-    recognition.onend = function() {
+    voiceBackend.onEnd = function() {
         console.log('🎤 Reconhecimento encerrado, reiniciando...');
+        VoiceTelemetry.record('recognizer', { status: 'end' });
         
         // v29.7: Limpa timer de silêncio para evitar disparos órfãos
+        // (o reinício fica a cargo do backend)
         if (silenceTimer) {
             clearTimeout(silenceTimer);
             silenceTimer = null;
         }
-        
-        setTimeout(() => {
-            try {
-                recognition.start();
-            } catch (e) {
-                console.log('⚠️ Erro ao reiniciar:', e.message);
-            }
-        }, 100);
     };
 
-    recognition.onerror = function(event) {
+    voiceBackend.onError = function(erro) {
         // v29.7: Limpa timer de silêncio em caso de erro
         if (silenceTimer) {
             clearTimeout(silenceTimer);
             silenceTimer = null;
         }
         
-        if (event.error !== 'aborted') {
-            console.error('Erro no reconhecimento de voz:', event.error);
+        if (erro !== 'aborted') {
+            console.error('Erro no reconhecimento de voz:', erro);
+            VoiceTelemetry.record('error', { error: String(erro) });
         }
     };
 
-    recognition.onresult = function(event) {
-        let newWords = [];
-        let isFinal = false;
+    voiceBackend.onFinal = function(transcript) {
+        const words = transcript.split(/\s+/).filter(w => w.length > 0);
+        if (words.length === 0) return;
+        VoiceTelemetry.record('speech', { text: transcript });
 
-        // Extrai apenas palavras NOVAS desde o último processamento
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-            const transcript = event.results[i][0].transcript.trim();
-            const words = transcript.split(/\s+/).filter(w => w.length > 0);
-            
-            if (event.results[i].isFinal) {
-                isFinal = true;
-                // Adiciona palavras ao buffer normal (para matching)
-                wordBuffer.push(...words);
-                
-                // Adiciona ao buffer PENDENTE (será movido para cumulativo só quando match confirmado)
-                // IMPORTANTE: Usa o mesmo filtro que currentElementWords (palavras > 1 char)
-                const palavrasFiltradas = words.filter(w => w.length > 1);
-                pendingFinalWords.push(...palavrasFiltradas);
-                
-                // Limita tamanho do buffer de matching (mas não do pendente)
-                if (wordBuffer.length > CONFIG.maxBufferWords) {
-                    wordBuffer = wordBuffer.slice(-CONFIG.maxBufferWords);
-                }
-            } else {
-                // Para interim, usa as palavras diretamente (não acumula)
-                newWords = words;
-            }
+        // Adiciona palavras ao buffer normal (para matching)
+        wordBuffer.push(...words);
+        
+        // Adiciona ao buffer PENDENTE (será movido para cumulativo só quando match confirmado)
+        // IMPORTANTE: Conta as palavras como o índice de alinhamento (tokenizarFala)
+        pendingFinalWords.push(...tokenizarFala(transcript));
+        
+        // Limita tamanho do buffer de matching (mas não do pendente)
+        if (wordBuffer.length > CONFIG.maxBufferWords) {
+            wordBuffer = wordBuffer.slice(-CONFIG.maxBufferWords);
         }
 
-        if (isFinal) {
-            // Processa resultado final imediatamente
-            processarReconhecimento(true);
-        } else if (newWords.length > 0) {
+        // Processa resultado final imediatamente
+        processarReconhecimento(true);
+    };
+
+    voiceBackend.onPartial = function(transcript) {
+        // Para interim, usa as palavras diretamente (não acumula)
+        const newWords = transcript.split(/\s+/).filter(w => w.length > 0);
+        if (newWords.length > 0) {
             // Processa interim com debounce
             processarComDebounce(newWords, false);
         }
@@ -1105,6 +1151,7 @@ if (SpeechRecognition) {
             // Para interim, usa as palavras passadas diretamente
             const palavrasParaMatch = words.slice(-CONFIG.wordWindow).join(' ');
             executarMatching(palavrasParaMatch, isFinal);
+            amostrarTelemetria();
         }, CONFIG.debounceMs);
     }
 
@@ -1112,6 +1159,7 @@ if (SpeechRecognition) {
         // Usa as últimas N palavras do buffer para matching
         const palavrasParaMatch = wordBuffer.slice(-CONFIG.wordWindow).join(' ');
         executarMatching(palavrasParaMatch, isFinal);
+        amostrarTelemetria();
     }
 
     function executarMatching(textoFalado, isFinal) {
@@ -1120,6 +1168,13 @@ if (SpeechRecognition) {
 
         const agora = Date.now();
         
+        // Operador conduzindo o prompter: a fala não move nada até ele devolver o controle
+        if (operadorNoControle()) {
+            wordBuffer = [];
+            pendingFinalWords = [];
+            return;
+        }
+        
         // ========================================
         // SPEAKER MODE CHECK - PRIMEIRO, antes de qualquer resume/timer
         // Durante EXTERNAL (link ao vivo), não faz resume nem arma timers
@@ -1146,7 +1201,7 @@ if (SpeechRecognition) {
         // Se não temos pauseStartTimestamp, usa tempoSemFala como fallback
         const tempoSemFala = lastSpeechTimestamp > 0 ? (agora - lastSpeechTimestamp) : 0;
         const pausaEfetiva = pauseStartTimestamp > 0 ? (agora - pauseStartTimestamp) : tempoSemFala;
-        const pausaLonga = pausaEfetiva > SILENCE_TIMEOUT_MS;
+        const pausaLonga = pausaEfetiva > silenceTimeoutMs;
         
         // v29.7: Reseta timer de silêncio quando recebe fala
         if (silenceTimer) {
@@ -1190,10 +1245,12 @@ if (SpeechRecognition) {
         const promptElement = document.querySelector('.prompt');
         if (!promptElement) return;
 
-        const elementos = promptElement.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, span, strong, em, b, i');
+        const elementos = promptElement.querySelectorAll(SELETOR_ELEMENTOS);
         if (elementos.length === 0) return;
         
-        const textoNormalizado = normalizarTexto(textoFalado);
+        const indice = obterIndicePalavras(promptElement);
+        const palavrasFaladas = tokenizarFala(textoFalado);
+        if (indice.tokens.length === 0 || palavrasFaladas.length < CONFIG.minWordsForMatch) return;
         
         // v29.7: DECISÃO DE BUSCA LOCAL vs GLOBAL
         // USA APENAS lastLockedReadableIndex para decidir busca local
@@ -1201,9 +1258,7 @@ if (SpeechRecognition) {
         const temIndiceLocked = lastLockedReadableIndex >= 0;
         const usarBuscaLocal = temIndiceLocked;
         
-        let melhorMatch = null;
-        let melhorSimilaridade = 0;
-        let melhorIndice = -1;
+        let alinhamento = null;
         
         if (usarBuscaLocal) {
             // BUSCA LOCAL: Janela de ±50 elementos em torno do lastLockedReadableIndex
@@ -1212,59 +1267,72 @@ if (SpeechRecognition) {
             
             console.log(`   🔍 SEARCHING LOCAL: ref=${lastLockedReadableIndex}, janela [${localStart}-${localEnd}] (${localEnd - localStart} elementos)...`);
             
-            // Executa busca local
-            for (let i = localStart; i < localEnd; i++) {
-                const elem = elementos[i];
-                const textoOriginal = elem.innerText || elem.textContent || '';
-                if (isTagTecnica(textoOriginal)) continue;
-                const textoElemento = normalizarTexto(textoOriginal);
-                if (textoElemento.length === 0) continue;
-                const similaridade = calcularSimilaridade(textoNormalizado, textoElemento);
-                if (similaridade > melhorSimilaridade && similaridade >= CONFIG.searchThreshold) {
-                    melhorSimilaridade = similaridade;
-                    melhorMatch = elem;
-                    melhorIndice = i;
-                }
-            }
+            alinhamento = alinharNoRoteiro(palavrasFaladas, indice, {
+                from: WordAligner.firstTokenOfElement(indice, localStart),
+                to: WordAligner.firstTokenOfElement(indice, localEnd),
+                near: WordAligner.firstTokenOfElement(indice, lastLockedReadableIndex)
+            }, CONFIG.searchThreshold);
             
             // Se busca local encontrou, usa o resultado
-            if (melhorMatch) {
-                console.log(`   ✅ LOCAL MATCH! Índice ${melhorIndice} (${(melhorSimilaridade * 100).toFixed(0)}%)`);
-                finalizarBusca(melhorMatch, melhorIndice, melhorSimilaridade, elementos);
+            if (alinhamento) {
+                console.log(`   ✅ LOCAL MATCH! Índice ${alinhamento.elementIndex}, palavra ${alinhamento.wordInElement + 1}/${alinhamento.wordsInElement} (${(alinhamento.confidence * 100).toFixed(0)}%)`);
+                finalizarBusca(elementos[alinhamento.elementIndex], alinhamento.elementIndex, alinhamento.confidence, elementos, alinhamento);
                 return;
             }
             
             // Se busca local NÃO encontrou, faz fallback para busca global
             console.log(`   🔄 Busca local falhou, fazendo fallback para GLOBAL...`);
         } else {
-            console.log(`   🔍 SEARCHING GLOBAL: Buscando em ${elementos.length} elementos...`);
+            console.log(`   🔍 SEARCHING GLOBAL: Alinhando contra ${indice.tokens.length} palavras (${elementos.length} elementos)...`);
         }
         
-        // BUSCA GLOBAL: Todos os elementos
-        for (let i = 0; i < elementos.length; i++) {
-            const elem = elementos[i];
-            const textoOriginal = elem.innerText || elem.textContent || '';
-            if (isTagTecnica(textoOriginal)) continue;
-            const textoElemento = normalizarTexto(textoOriginal);
-            if (textoElemento.length === 0) continue;
-            const similaridade = calcularSimilaridade(textoNormalizado, textoElemento);
-            if (similaridade > melhorSimilaridade && similaridade >= CONFIG.searchThreshold) {
-                melhorSimilaridade = similaridade;
-                melhorMatch = elem;
-                melhorIndice = i;
-            }
-        }
+        // BUSCA GLOBAL: Roteiro inteiro (frases repetidas: fica com a mais próxima da posição atual)
+        alinhamento = alinharNoRoteiro(palavrasFaladas, indice, {
+            near: currentElementIndex >= 0 ? WordAligner.firstTokenOfElement(indice, currentElementIndex) : 0
+        }, CONFIG.searchThreshold);
         
-        if (melhorMatch) {
-            console.log(`   ✅ GLOBAL MATCH! Índice ${melhorIndice} (${(melhorSimilaridade * 100).toFixed(0)}%)`);
-            finalizarBusca(melhorMatch, melhorIndice, melhorSimilaridade, elementos);
+        if (alinhamento) {
+            console.log(`   ✅ GLOBAL MATCH! Índice ${alinhamento.elementIndex}, palavra ${alinhamento.wordInElement + 1}/${alinhamento.wordsInElement} (${(alinhamento.confidence * 100).toFixed(0)}%)`);
+            finalizarBusca(elementos[alinhamento.elementIndex], alinhamento.elementIndex, alinhamento.confidence, elementos, alinhamento);
         } else {
             console.log(`   ❌ Nenhum match encontrado (threshold: ${CONFIG.searchThreshold * 100}%)`);
         }
     }
     
+    // Índice de palavras do roteiro (refeito sob demanda quando o roteiro ou as tags mudam)
+    function obterIndicePalavras(promptElement) {
+        if (!indicePalavras) {
+            indicePalavras = WordAligner.buildIndex(promptElement, {
+                selector: SELETOR_ELEMENTOS,
+                normalize: normalizarTexto,
+                isIgnored: isElementoTag
+            });
+            console.log(`   🗂️ Índice de palavras: ${indicePalavras.tokens.length} palavras`);
+        }
+        return indicePalavras;
+    }
+    
+    // Palavras faladas no mesmo formato dos tokens do índice
+    function tokenizarFala(textoFalado) {
+        return WordAligner.tokenize(textoFalado, { normalize: normalizarTexto });
+    }
+    
+    // Alinha e aplica os critérios de aceitação (confiança + palavras alinhadas)
+    function alinharNoRoteiro(palavrasFaladas, indice, janela, threshold) {
+        const alinhamento = WordAligner.align(palavrasFaladas, indice, janela);
+        ultimaConfianca = alinhamento ? alinhamento.confidence : 0;
+        if (!alinhamento) return null;
+        
+        const minimoPalavras = Math.min(CONFIG.alignMinWords, palavrasFaladas.length);
+        if (alinhamento.confidence < threshold || alinhamento.matches < minimoPalavras) {
+            return null;
+        }
+        return alinhamento;
+    }
+    
     // Função auxiliar para finalizar a busca e transicionar para LOCKED
-    function finalizarBusca(melhorMatch, melhorIndice, melhorSimilaridade, elementos) {
+    // alinhamento: resultado do WordAligner (palavra exata onde o apresentador está)
+    function finalizarBusca(melhorMatch, melhorIndice, melhorSimilaridade, elementos, alinhamento) {
         console.log(`   📝 "${(melhorMatch.innerText || '').substring(0, 50)}..."`);
         
         // MATCH CONFIRMADO: Move palavras pendentes para o cumulativo
@@ -1290,22 +1358,22 @@ if (SpeechRecognition) {
         }
         
         // Inicializa tracking do elemento
-        inicializarTrackingElemento(melhorMatch);
+        inicializarTrackingElemento(alinhamento);
         
         // INICIA AUTO-SCROLL quando entra em LOCKED
         AutoScrollController.start();
         AutoScrollController.reset();
         
-        // Move o teleprompter para o início do elemento (SUAVE - jump inicial)
-        scrollParaElemento(melhorMatch, 0, true);
+        // Move o teleprompter para a palavra alinhada (SUAVE - jump inicial)
+        destacarPalavra(alinhamento.token);
+        scrollParaPalavra(alinhamento.token, melhorMatch, calcularProgressoElemento(), true);
     }
 
-    // Inicializa tracking para um novo elemento
-    function inicializarTrackingElemento(elemento) {
-        const textoElemento = elemento.innerText || elemento.textContent || '';
-        currentElementWords = normalizarTexto(textoElemento).split(/\s+/).filter(p => p.length > 1);
-        currentElementTotalWords = currentElementWords.length;
-        currentWordPointer = 0;
+    // Inicializa tracking para um novo elemento, a partir da palavra alinhada
+    // (contagem de palavras do índice de alinhamento)
+    function inicializarTrackingElemento(alinhamento) {
+        currentElementTotalWords = alinhamento.wordsInElement;
+        currentWordPointer = alinhamento.wordInElement + 1;
         cumulativeFinalWords = []; // Reseta buffer cumulativo ao trocar de elemento
         pendingFinalWords = []; // Limpa também palavras pendentes
         
@@ -1317,8 +1385,9 @@ if (SpeechRecognition) {
         const promptElement = document.querySelector('.prompt');
         if (!promptElement) return;
 
-        const elementos = promptElement.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, span, strong, em, b, i');
-        const textoNormalizado = normalizarTexto(textoFalado);
+        const elementos = promptElement.querySelectorAll(SELETOR_ELEMENTOS);
+        const indice = obterIndicePalavras(promptElement);
+        const palavrasFaladas = tokenizarFala(textoFalado);
         
         // Calcula progresso atual para decidir se expande lookahead
         const progressoAtual = currentElementTotalWords > 0 ? currentWordPointer / currentElementTotalWords : 0;
@@ -1335,32 +1404,19 @@ if (SpeechRecognition) {
         const startIdx = Math.max(0, currentElementIndex);
         const endIdx = Math.min(startIdx + lookahead + 1, elementos.length);
         
-        let melhorMatch = null;
-        let melhorSimilaridade = 0;
-        let melhorIndice = -1;
+        // Janela de palavras: do ponteiro atual (com margem para revisões do reconhecedor)
+        // até o fim do lookahead. Tags técnicas já estão fora do índice.
+        const primeiroTokenAtual = WordAligner.firstTokenOfElement(indice, startIdx);
+        const tokenInicio = primeiroTokenAtual + Math.max(0, currentWordPointer - CONFIG.alignBacktrackWords);
+        const tokenFim = WordAligner.firstTokenOfElement(indice, endIdx);
 
-        console.log(`   🔒 LOCKED: Verificando elementos ${startIdx} a ${endIdx - 1}...`);
+        console.log(`   🔒 LOCKED: Alinhando elementos ${startIdx} a ${endIdx - 1} (palavras ${tokenInicio}-${tokenFim})...`);
 
-        for (let i = startIdx; i < endIdx; i++) {
-            const elem = elementos[i];
-            const textoOriginal = elem.innerText || elem.textContent || '';
-            
-            // IGNORA TAGS TÉCNICAS
-            if (isTagTecnica(textoOriginal)) continue;
-            
-            const textoElemento = normalizarTexto(textoOriginal);
-            
-            // Ignora apenas elementos vazios (textos curtos como "Oi" são válidos)
-            if (textoElemento.length === 0) continue;
-            
-            const similaridade = calcularSimilaridade(textoNormalizado, textoElemento);
-            
-            if (similaridade > melhorSimilaridade && similaridade >= CONFIG.lockedThreshold) {
-                melhorSimilaridade = similaridade;
-                melhorMatch = elem;
-                melhorIndice = i;
-            }
-        }
+        const alinhamento = palavrasFaladas.length >= CONFIG.minWordsForMatch ?
+            alinharNoRoteiro(palavrasFaladas, indice, { from: tokenInicio, to: tokenFim }, CONFIG.lockedThreshold) : null;
+        const melhorIndice = alinhamento ? alinhamento.elementIndex : -1;
+        const melhorMatch = alinhamento ? elementos[melhorIndice] : null;
+        const melhorSimilaridade = alinhamento ? alinhamento.confidence : 0;
 
         if (melhorMatch) {
             // MATCH CONFIRMADO: Move palavras pendentes para o cumulativo (só para finais)
@@ -1405,41 +1461,26 @@ if (SpeechRecognition) {
                 }
                 
                 // Inicializa tracking do novo elemento
-                inicializarTrackingElemento(melhorMatch);
+                inicializarTrackingElemento(alinhamento);
                 
                 // Reseta o controlador para novo elemento
                 AutoScrollController.reset();
                 
-                // SCROLL para o novo elemento (SUAVE - jump para novo parágrafo)
+                // SCROLL para a palavra alinhada no novo elemento (SUAVE - jump para novo parágrafo)
+                destacarPalavra(alinhamento.token);
                 if (AutoScrollController.shouldScroll()) {
-                    scrollParaElemento(melhorMatch, 0, true);
+                    scrollParaPalavra(alinhamento.token, melhorMatch, calcularProgressoElemento(), true);
                 }
             } else {
-                // Ainda no mesmo elemento - calcula progresso por ALINHAMENTO
-                // Para PARCIAIS: usa alinhamento direto das palavras faladas
-                // Para FINAIS: usa buffer cumulativo como antes
-                
-                let progresso = 0;
-                
-                if (isFinal) {
-                    // Final: usa buffer cumulativo
-                    const palavrasAcumuladas = cumulativeFinalWords.length;
-                    if (palavrasAcumuladas > currentWordPointer && currentElementTotalWords > 0) {
-                        currentWordPointer = Math.min(palavrasAcumuladas, currentElementTotalWords);
-                    }
-                    progresso = currentWordPointer / currentElementTotalWords;
-                    console.log(`   📊 FINAL: cumulativo=${palavrasAcumuladas}, pointer=${currentWordPointer}, total=${currentElementTotalWords}`);
-                } else {
-                    // PARCIAL: calcula progresso por alinhamento de palavras
-                    progresso = calcularProgressoPorAlinhamento(textoNormalizado, melhorMatch);
-                    // Garante monotonia: só avança, nunca volta
-                    const progressoMinimo = currentWordPointer / currentElementTotalWords;
-                    progresso = Math.max(progresso, progressoMinimo);
-                    if (progresso > progressoMinimo) {
-                        currentWordPointer = Math.round(progresso * currentElementTotalWords);
-                    }
-                    console.log(`   📊 PARCIAL: alinhado=${(calcularProgressoPorAlinhamento(textoNormalizado, melhorMatch)*100).toFixed(1)}% → monotônico=${(progresso*100).toFixed(1)}%`);
+                // Ainda no mesmo elemento - posição vem da palavra ALINHADA
+                // Garante monotonia: o ponteiro só avança, nunca volta
+                if (alinhamento.wordInElement + 1 > currentWordPointer) {
+                    currentWordPointer = alinhamento.wordInElement + 1;
                 }
+                const progresso = calcularProgressoElemento();
+                const tokenAlvo = indice.tokens[primeiroTokenAtual + currentWordPointer - 1] || alinhamento.token;
+                destacarPalavra(tokenAlvo);
+                console.log(`   📊 ${isFinal ? 'FINAL' : 'PARCIAL'}: palavra alinhada=${alinhamento.wordInElement + 1} ("${alinhamento.token.norm}"), pointer=${currentWordPointer}/${currentElementTotalWords} (${(progresso*100).toFixed(1)}%)`);
                 
                 // Só faz scroll se progresso aumentou significativamente (evita jitter)
                 const podeScroll = AutoScrollController.shouldScroll();
@@ -1460,8 +1501,8 @@ if (SpeechRecognition) {
                 }
                 
                 if (deveScroll) {
-                    console.log(`   ✓✓ FAZENDO SCROLL para ${(progresso * 100).toFixed(1)}% (${isFinal ? 'FINAL' : 'parcial'})`);
-                    scrollParaElemento(melhorMatch, progresso, false);
+                    console.log(`   ✓✓ FAZENDO SCROLL para palavra ${currentWordPointer} (${(progresso * 100).toFixed(1)}%, ${isFinal ? 'FINAL' : 'parcial'})`);
+                    scrollParaPalavra(tokenAlvo, melhorMatch, progresso, false);
                     // Atualiza baseline mesmo se for parcial
                     if (!isFinal) {
                         AutoScrollController.lastProgressoEnviado = progresso;
@@ -1534,8 +1575,31 @@ if (SpeechRecognition) {
         
         // Adiciona offset proporcional ao progresso dentro do elemento
         const offsetAdicional = alturaElemento * progresso;
-        const offsetFinal = offsetTopBase + offsetAdicional;
-        
+        scrollParaOffset(offsetTopBase + offsetAdicional, progresso, elemento, isInitialJump);
+    }
+
+    // Move o teleprompter para uma palavra do índice (linha onde a palavra está)
+    // Usa a posição real da palavra no layout; sem ela, cai na fração do elemento
+    function scrollParaPalavra(token, elemento, progresso, isInitialJump) {
+        if (!elemento) {
+            console.log(`   ❌ Elemento inválido para scroll`);
+            return;
+        }
+
+        let offsetPalavra = null;
+        if (token && window.getTeleprompterRangeOffset) {
+            const range = document.createRange();
+            range.setStart(token.node, token.start);
+            range.setEnd(token.node, token.end);
+            offsetPalavra = window.getTeleprompterRangeOffset(range);
+        }
+        if (offsetPalavra === null) {
+            offsetPalavra = elemento.offsetTop + (elemento.offsetHeight || 0) * progresso;
+        }
+        scrollParaOffset(offsetPalavra, progresso, elemento, isInitialJump);
+    }
+
+    function scrollParaOffset(offsetFinal, progresso, elemento, isInitialJump) {
         if (isInitialJump) {
             // JUMP INICIAL (mudança de elemento): faz salto suave direto
             console.log(`   📍 scrollParaElemento: JUMP SUAVE para offset=${offsetFinal.toFixed(0)}, prog=${(progresso*100).toFixed(0)}%`);
@@ -1552,63 +1616,43 @@ if (SpeechRecognition) {
             console.log(`   📍 scrollParaElemento: TARGET atualizado para offset=${offsetFinal.toFixed(0)}, prog=${(progresso*100).toFixed(0)}%`);
             
             // Atualiza o target - o loop de velocidade vai ajustar automaticamente
-            AutoScrollController.setTargetFromElement(elemento, progresso);
+            AutoScrollController.setTargetFromOffset(offsetFinal, progresso, elemento);
         }
     }
 
-    // Calcula progresso dentro do elemento baseado em alinhamento de palavras
-    // Encontra a última palavra falada que aparece no elemento e retorna sua posição relativa
-    function calcularProgressoPorAlinhamento(textoFalado, elemento) {
+    // Destaca no teleprompter a palavra onde o apresentador está (e esmaece as já lidas)
+    function destacarPalavra(token) {
+        if (!token || !window.teleprompterHighlightWord) return;
+        window.teleprompterHighlightWord(token.node.parentNode);
+    }
+
+    // Fração já lida do elemento atual (pelo ponteiro de palavras)
+    function calcularProgressoElemento() {
         if (currentElementTotalWords === 0) return 0;
-        
-        const palavrasFaladas = textoFalado.split(/\s+/).filter(p => p.length > 1);
-        if (palavrasFaladas.length === 0) return 0;
-        
-        // Pega as últimas 5 palavras faladas para buscar no elemento
-        const ultimasPalavras = palavrasFaladas.slice(-5);
-        
-        let ultimaPosicaoEncontrada = -1;
-        
-        // Busca cada palavra nas palavras do elemento
-        for (const palavraFalada of ultimasPalavras) {
-            for (let i = 0; i < currentElementWords.length; i++) {
-                if (currentElementWords[i] === palavraFalada && i > ultimaPosicaoEncontrada) {
-                    ultimaPosicaoEncontrada = i;
-                }
-            }
-        }
-        
-        const progresso = ultimaPosicaoEncontrada < 0 ? 0 : (ultimaPosicaoEncontrada + 1) / currentElementTotalWords;
-        console.log(`   📊 calcularProgressoPorAlinhamento: última palavra pos=${ultimaPosicaoEncontrada}, total=${currentElementTotalWords}, progresso=${(progresso*100).toFixed(1)}%`);
-        
-        // Retorna progresso baseado na posição da última palavra encontrada
-        return progresso;
+        return Math.min(1, currentWordPointer / currentElementTotalWords);
     }
 
-    // Normaliza texto para comparação
+    // Normaliza texto para comparação (contrações, números e acentos conforme o idioma)
     function normalizarTexto(texto) {
-        return texto
-            .toLowerCase()
-            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-            .replace(/[^\w\s]/g, '')
-            .trim();
+        return VoiceLanguages.normalize(texto, perfilIdioma);
     }
 
-    // Calcula similaridade (cobertura de palavras)
-    function calcularSimilaridade(textoFalado, textoElemento) {
-        const palavrasFaladas = textoFalado.split(/\s+/).filter(p => p.length > 2);
-        const palavrasElemento = new Set(textoElemento.split(/\s+/).filter(p => p.length > 2));
-        
-        if (palavrasFaladas.length === 0) return 0;
-        
-        let encontradas = 0;
-        for (const palavra of palavrasFaladas) {
-            if (palavrasElemento.has(palavra)) {
-                encontradas++;
-            }
+    // Aplica o idioma do roteiro (atributo lang do .prompt, vindo do SIDEBAR)
+    function atualizarIdioma() {
+        const promptElement = document.querySelector('.prompt');
+        const codigo = (promptElement && promptElement.lang) || VoiceLanguages.DEFAULT;
+        if (codigo === idiomaRoteiro) return;
+
+        idiomaRoteiro = codigo;
+        perfilIdioma = VoiceLanguages.get(codigo);
+        recarregarRegrasDeLink();
+        indicePalavras = null; // Normalização mudou: o índice precisa ser refeito
+
+        if (!voiceBackend.options.langFixed) {
+            voiceBackend.setLang(perfilIdioma.recognizerLang);
         }
-        
-        return encontradas / palavrasFaladas.length;
+        console.log(`🌐 Idioma do roteiro: ${perfilIdioma.name} (${voiceBackend.options.lang})`);
+        VoiceTelemetry.record('language', { lang: voiceBackend.options.lang });
     }
 
     // Calcula hash simples para detectar mudanças no roteiro
@@ -1626,6 +1670,7 @@ if (SpeechRecognition) {
     function verificarMudancaRoteiro() {
         const promptElement = document.querySelector('.prompt');
         if (!promptElement) return;
+        atualizarIdioma();
         
         const textoAtual = (promptElement.innerText || promptElement.textContent || "").trim();
         const hashAtual = calcularHash(textoAtual);
@@ -1674,6 +1719,8 @@ if (SpeechRecognition) {
             }
             
             if (temMutacaoReal) {
+                // Os nós de texto do índice de palavras não existem mais
+                indicePalavras = null;
                 setTimeout(verificarMudancaRoteiro, 500);
             }
         });
@@ -1689,9 +1736,30 @@ if (SpeechRecognition) {
     // Inicia após delay para garantir que prompt está carregado
     setTimeout(observarMudancasNoPrompt, 1000);
 
-    // Inicia reconhecimento
-    recognition.start();
+    // Inicia reconhecimento depois que o teleprompter carregar o roteiro (e o idioma dele)
+    function iniciarReconhecimento() {
+        atualizarIdioma();
+        aplicarPerfilApresentador();
+        if (window.teleprompterVoiceControl) {
+            window.teleprompterVoiceControl.onOverride = aoMudarControleManual;
+        }
+        VoiceTelemetry.startSession({
+            backend: voiceBackend.type,
+            lang: voiceBackend.options.lang,
+            presenter: perfilApresentador ? perfilApresentador.name : null,
+            linkRules: LINK_CONFIG.rules.length
+        }, amostrarTelemetria);
+        amostrarTelemetria();
+        voiceBackend.start();
+    }
+
+    // Módulos rodam antes do DOMContentLoaded, quando o teleprompter.js chama updateContents()
+    if (document.readyState === 'complete') {
+        iniciarReconhecimento();
+    } else {
+        document.addEventListener('DOMContentLoaded', iniciarReconhecimento);
+    }
     
 } else {
-    console.warn('Seu navegador não suporta a API de reconhecimento de voz.');
+    console.warn('Backend de voz indisponível: o navegador não suporta a API de reconhecimento de voz ou o tipo configurado é inválido.');
 }
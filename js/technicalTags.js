@@ -0,0 +1,150 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Tags técnicas: indicações de produção no roteiro, como ((CAM 1)), [VT] ou #SOBE,
+// que o apresentador não lê. O reconhecimento de voz (speechRecognition.js) as ignora
+// no matching e o editor as tira das exportações em texto.
+//
+// Script clássico, carregado antes dos módulos que usam TAG_CONFIG e isTagTecnica.
+
+// ========================================
+// CONFIGURAÇÃO DE TAGS TÉCNICAS (elementos a ignorar no matching)
+// ========================================
+const TAG_CONFIG = {
+    // Padrões pré-definidos (usuário pode ativar/desativar)
+    patterns: {
+        parentesesSimples: {
+            enabled: true,
+            name: 'Parênteses simples',
+            description: 'Texto entre ( )',
+            regex: /^\s*\([^)]+\)\s*$/
+        },
+        parentesesDuplos: {
+            enabled: true,
+            name: 'Parênteses duplos',
+            description: 'Texto entre (( ))',
+            regex: /^\s*\(\([^)]+\)\)\s*$/
+        },
+        parentesesTriplos: {
+            enabled: true,
+            name: 'Parênteses triplos',
+            description: 'Texto entre ((( )))',
+            regex: /^\s*\(\(\([^)]+\)\)\)\s*$/
+        },
+        colchetes: {
+            enabled: true,
+            name: 'Colchetes',
+            description: 'Texto entre [ ]',
+            regex: /^\s*\[[^\]]+\]\s*$/
+        },
+        hashtagMaiusculo: {
+            enabled: true,
+            name: 'Hashtag maiúsculo',
+            description: '#TAG ou #CAMERA',
+            regex: /^\s*#[A-Z0-9]+\s*$/
+        },
+        indicadorCamera: {
+            enabled: true,
+            name: 'Indicador de câmera',
+            description: 'CAM1, CAM2, CAMERA1...',
+            regex: /^\s*CAM(ERA)?\s*\d+\s*$/i
+        },
+        textoEntreSetas: {
+            enabled: false,
+            name: 'Texto entre setas',
+            description: 'Texto entre >>> <<<',
+            regex: /^\s*>{2,}[^<]+<{2,}\s*$/
+        },
+        textoEntreAsteriscos: {
+            enabled: false,
+            name: 'Texto entre asteriscos',
+            description: 'Texto entre *** ***',
+            regex: /^\s*\*{2,}[^*]+\*{2,}\s*$/
+        }
+    },
+    
+    // Caracteres iniciais que indicam tag (configurável pelo usuário)
+    customPrefixes: [],  // Ex: ['>>>', '###', '***']
+    
+    // Cache de elementos já verificados
+    _cache: new Map()
+};
+
+// Verifica se um texto é uma tag técnica (deve ser ignorado)
+// NOTA: NÃO considera textos curtos como tags - eles são legítimos (ex: "Oi", "Eu")
+function isTagTecnica(texto) {
+    // Apenas textos vazios são ignorados
+    if (!texto || texto.trim().length === 0) return true;
+    
+    const textoLimpo = texto.trim();
+    
+    // Verifica cache
+    if (TAG_CONFIG._cache.has(textoLimpo)) {
+        return TAG_CONFIG._cache.get(textoLimpo);
+    }
+    
+    let isTag = false;
+    
+    // Verifica padrões pré-definidos ativos
+    for (const [key, pattern] of Object.entries(TAG_CONFIG.patterns)) {
+        if (pattern.enabled && pattern.regex.test(textoLimpo)) {
+            isTag = true;
+            console.log(`   🏷️ TAG detectada (${pattern.name}): "${textoLimpo.substring(0, 30)}"`);
+            break;
+        }
+    }
+    
+    // Verifica prefixos customizados
+    if (!isTag && TAG_CONFIG.customPrefixes.length > 0) {
+        for (const prefix of TAG_CONFIG.customPrefixes) {
+            if (textoLimpo.startsWith(prefix)) {
+                isTag = true;
+                console.log(`   🏷️ TAG detectada (prefixo ${prefix}): "${textoLimpo.substring(0, 30)}"`);
+                break;
+            }
+        }
+    }
+    
+    // Armazena no cache
+    TAG_CONFIG._cache.set(textoLimpo, isTag);
+    
+    return isTag;
+}
+
+// Expõe função globalmente para uso em outros módulos (teleprompter.js, editor.js)
+window.isTagTecnica = isTagTecnica;
+
+// Carrega prefixos customizados do localStorage ao iniciar
+function loadCustomPrefixesFromStorage() {
+    try {
+        var stored = localStorage.getItem('voiceCustomPrefixes');
+        if (stored) {
+            var prefixes = JSON.parse(stored);
+            TAG_CONFIG.customPrefixes = Array.isArray(prefixes) ? prefixes : [];
+            TAG_CONFIG._cache.clear();
+            console.log(`🏷️ Prefixos customizados carregados do localStorage:`, TAG_CONFIG.customPrefixes);
+        }
+    } catch(e) {
+        console.error('Erro ao carregar prefixos do localStorage:', e);
+    }
+}
+
+// Carrega prefixos ao iniciar
+loadCustomPrefixesFromStorage();
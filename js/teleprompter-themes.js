@@ -65,28 +65,36 @@ function styleInit(prompterStyleElement) {
             type: 0,
             className: "azureLight",
             bgOverlay: "azureLightO",
-            cssText: ".azureLight {color: #229FFF; background: #000000;}.azureLightO {background: #202020;}"
+            clockWarning: 30,
+            clockDanger: 10,
+            cssText: ".azureLight {color: #229FFF; background: #000000;}.azureLightO {background: #202020;}.azureLight .w.spoken {color: #000000; background: #229FFF;}.azureLight .w.read {opacity: 0.4;}.azureLight .clock.warning {color: #FFB347;}.azureLight .clock.danger {color: #FF4136;}"
         }, {
         id:1,
             name: "Blackboard",
             type: 0,
             className: "darkBody",
             bgOverlay: "darkOverlay",
-            cssText: ".darkBody {background: #272822;color:#FFF;}.darkOverlay {background: #000;}"
+            clockWarning: 30,
+            clockDanger: 10,
+            cssText: ".darkBody {background: #272822;color:#FFF;}.darkOverlay {background: #000;}.darkBody .w.spoken {color: #272822; background: #E6DB74;}.darkBody .w.read {opacity: 0.45;}.darkBody .clock.warning {color: #FD971F;}.darkBody .clock.danger {color: #F92672;}"
         }, {
         id:2,
             name: "Classic Yellow",
             type: 0,
             className: "yellowBody",
             bgOverlay: "darkOverlay",
-            cssText: ".yellowBody {color: #FF0;background: #000;}.darkOverlay {background: #000;}"
+            clockWarning: 30,
+            clockDanger: 10,
+            cssText: ".yellowBody {color: #FF0;background: #000;}.darkOverlay {background: #000;}.yellowBody .w.spoken {color: #000; background: #FF0;}.yellowBody .w.read {opacity: 0.4;}.yellowBody .clock.warning {color: #FF8C00;}.yellowBody .clock.danger {color: #F00;}"
         }, {
         id:3,
             name: "Dark Matter",
             type: 0,
             className: "darkMatter",
             bgOverlay: "darkMatterO",
-            cssText: ".darkMatter {color: #FFFFFF; background: #222222;}.darkMatterO {background: #000000;}"
+            clockWarning: 30,
+            clockDanger: 10,
+            cssText: ".darkMatter {color: #FFFFFF; background: #222222;}.darkMatterO {background: #000000;}.darkMatter .w.spoken {color: #222222; background: #FFFFFF;}.darkMatter .w.read {opacity: 0.4;}.darkMatter .clock.warning {color: #F0AD4E;}.darkMatter .clock.danger {color: #D9534F;}"
         }, {
         // id:4,
         //     name: "Intergalactic",
@@ -100,7 +108,9 @@ function styleInit(prompterStyleElement) {
             type: 0,
             className: "lightBody",
             bgOverlay: "lightOverlay",
-            cssText: ".lightBody {background: #FFF;color: #272822;}.lightOverlay {background: #CCC;}"
+            clockWarning: 30,
+            clockDanger: 10,
+            cssText: ".lightBody {background: #FFF;color: #272822;}.lightOverlay {background: #CCC;}.lightBody .w.spoken {color: #FFF; background: #272822;}.lightBody .w.read {opacity: 0.35;}.lightBody .clock.warning {color: #F0AD4E;}.lightBody .clock.danger {color: #D9534F;}"
         }];
     }
     if (!themeSheet) {
@@ -140,14 +150,35 @@ function setDefaultStyle() {
 }
 
 function editPromptStyle() {
-    editThemeStyle(document.getElementById("nameStyle").value, document.getElementById("nameStyle").value.replace(/\s/gi, ""), document.getElementById('overlayTop').style.backgroundColor, document.getElementById('overlayPreview').style.backgroundColor, document.getElementById('overlayPreview').style.color);
+    editThemeStyle(document.getElementById("nameStyle").value, document.getElementById("nameStyle").value.replace(/\s/gi, ""), document.getElementById('overlayTop').style.backgroundColor, document.getElementById('overlayPreview').style.backgroundColor, document.getElementById('overlayPreview').style.color, getClockThresholdInputs());
 }
 
 function createStandardCSSClass(objName, bodyColor, textColor, overlayColor) {
-    return '.' + objName + "Body" + ' {background: ' + bodyColor + ';color: ' + textColor + ';}.' + objName + "Overlay" + ' {background: ' + overlayColor + ';}';
+    // Spoken word (voice sync) is shown in inverted colors, words already read are dimmed.
+    return '.' + objName + "Body" + ' {background: ' + bodyColor + ';color: ' + textColor + ';}.' + objName + "Overlay" + ' {background: ' + overlayColor + ';}' +
+        '.' + objName + "Body .w.spoken" + ' {background: ' + textColor + ';color: ' + bodyColor + ';}.' + objName + "Body .w.read" + ' {opacity: 0.4;}';
 }
 
-function editThemeStyle(name2, objName, bodyColor, overlayColor, textColor) {
+// Seconds left at which the prompter clock turns amber (warning) and red (danger), for a style index.
+// Styles saved before clock thresholds existed get the defaults.
+function getClockThresholds(promptStyleOption) {
+    var style = themeStyles ? themeStyles[+promptStyleOption] : undefined,
+        thresholds = { warning: 30, danger: 10 };
+    if (style && style.hasOwnProperty("clockWarning"))
+        thresholds.warning = style.clockWarning;
+    if (style && style.hasOwnProperty("clockDanger"))
+        thresholds.danger = style.clockDanger;
+    return thresholds;
+}
+
+function getClockThresholdInputs() {
+    return {
+        warning: parseInt(document.getElementById("clockWarning").value, 10) || 0,
+        danger: parseInt(document.getElementById("clockDanger").value, 10) || 0
+    };
+}
+
+function editThemeStyle(name2, objName, bodyColor, overlayColor, textColor, clockThresholds) {
     var cssText = createStandardCSSClass(objName, bodyColor, textColor, overlayColor);
     themeStyles[lastStyleSelected] = {
 	id:lastStyleSelected,
@@ -155,6 +186,8 @@ function editThemeStyle(name2, objName, bodyColor, overlayColor, textColor) {
         type: 1,
         className: objName + "Body",
         bgOverlay: objName + "Overlay",
+        clockWarning: clockThresholds.warning,
+        clockDanger: clockThresholds.danger,
         cssText: cssText
     };
     saveStyles();
@@ -177,13 +210,13 @@ function removeStyleFromPromptStyles() {
 }
 
 function addStyleToPromptStyles() {
-    addThemeStyle(document.getElementById("nameStyle").value, document.getElementById("nameStyle").value.replace(/\s/gi, ""), document.getElementById('overlayTop').style.backgroundColor, document.getElementById('overlayPreview').style.backgroundColor, document.getElementById('overlayPreview').style.color);
+    addThemeStyle(document.getElementById("nameStyle").value, document.getElementById("nameStyle").value.replace(/\s/gi, ""), document.getElementById('overlayTop').style.backgroundColor, document.getElementById('overlayPreview').style.backgroundColor, document.getElementById('overlayPreview').style.color, getClockThresholdInputs());
     lastStyleSelected = themeStyles.length - 1;
     refreshAdminPromptStyles();
     refreshCurrentItem();
 }
 
-function addThemeStyle(name2, objName, bodyColor, overlayColor, textColor) {
+function addThemeStyle(name2, objName, bodyColor, overlayColor, textColor, clockThresholds) {
     var cssText = createStandardCSSClass(objName, bodyColor, textColor, overlayColor);
     themeStyles.push({
 	id:themeStyles.length,
@@ -191,11 +224,33 @@ function addThemeStyle(name2, objName, bodyColor, overlayColor, textColor) {
         type: 1,
         className: objName + "Body",
         bgOverlay: objName + "Overlay",
+        clockWarning: clockThresholds.warning,
+        clockDanger: clockThresholds.danger,
         cssText: cssText
     });
     saveStyles();
 }
 
+// Index of an imported style (script archives, js/scriptArchive.js), adding it unless an
+// identical one exists.
+function importThemeStyle(style) {
+    for (var i = 0; i < themeStyles.length; i++)
+        if (themeStyles[i]["className"] == style.className && themeStyles[i]["cssText"] == style.cssText)
+            return i;
+    themeStyles.push({
+        id: themeStyles.length,
+        name: style.name,
+        type: 1,
+        className: style.className,
+        bgOverlay: style.bgOverlay,
+        clockWarning: style.clockWarning,
+        clockDanger: style.clockDanger,
+        cssText: style.cssText
+    });
+    saveStyles();
+    return themeStyles.length - 1;
+}
+
 function saveStyles() {
     dataManager.setItem("IFTeleprompterThemeStyles", JSON.stringify(themeStyles));
     refreshPromptStyles(document.getElementById("prompterStyle"));
@@ -302,6 +357,10 @@ function refreshCurrentItem() {
     document.getElementById('overlayPreview').style.color = '#' + hexc(objBody.style.color);
 
     document.getElementById('nameStyle').value = obj['name'];
+    //Clock thresholds
+    var clockThresholds = getClockThresholds(lastStyleSelected);
+    document.getElementById('clockWarning').value = clockThresholds.warning;
+    document.getElementById('clockDanger').value = clockThresholds.danger;
 
     document.getElementById('addStyleButton').disabled = true;
     if (obj['type'] == 0) {
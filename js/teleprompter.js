@@ -40,9 +40,9 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         remote = require('electron').remote; // Allow IPC with main process in Electron.
     }
     // Global objects
-    var settings, session, prompt, pointer, overlay, overlayFocus, styleSheet, editor, timer, clock, remote;
+    var settings, session, prompt, pointer, overlay, overlayFocus, styleSheet, editor, clock, remote, driverIndicator;
     // Global variables
-    var unit, x, velocity, sensitivity, speedMultip, relativeLimit, steps, play, timeoutStatus, invertedWheel, focus, promptStyleOption, customStyle, flipV, flipH, fontSize, promptWidth, focusHeight, promptHeight, previousPromptHeight, screenHeight, previousScreenHeight, screenWidth, previousVerticalDisplacementCorrector, domain, debug, closing, cap, syncDelay, isMobileApp;
+    var unit, x, velocity, sensitivity, speedMultip, relativeLimit, steps, play, timeoutStatus, invertedWheel, focus, promptStyleOption, customStyle, flipV, flipH, fontSize, promptWidth, focusHeight, promptHeight, previousPromptHeight, screenHeight, previousScreenHeight, screenWidth, previousVerticalDisplacementCorrector, domain, debug, closing, cap, syncDelay;
     // Posição vertical customizada do overlayFocus (0-100%, padrão 37.5% = 25% acima do centro)
     var focusVerticalPosition = 37.5;
 
@@ -67,7 +67,14 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         "nextAnchor": 17,
         "previousAnchor": 18,
         "fastForward": 19,
-        "rewind": 20
+        "rewind": 20,
+        "highlightWord": 21,
+        "voiceTelemetry": 22,
+        "prompterState": 23,
+        "leaderSync": 24,
+        "followProgress": 25,
+        "updateContents": 26,
+        "clockSync": 27
     });
 
     // Global constants
@@ -94,6 +101,7 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         overlay = document.getElementById("overlay");
         overlayFocus = document.getElementById("overlayFocus");
         clock = document.getElementsByClassName("clock")[0];
+        driverIndicator = document.getElementById("driverIndicator");
 
         pointer = {};
 
@@ -114,7 +122,6 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         closing = false;
         cap = false;
         syncDelay = 12;
-        isMobileApp = false;
 
         // Local Storage and Session data
         updateDatamanager();
@@ -151,8 +158,10 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         play = true;
         // Get focus mode
         focus = settings.data.focusMode;
+        // Leader or follower under the "follow" sync method.
+        followRole = getFollowRole();
 
-        timer = $('.clock').timer({ stopVal: 10000 });
+        startClockDisplay();
         // Get and set prompter text
         updateContents();
         setPromptHeight();
@@ -249,10 +258,10 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
                 positionFirstTextInFocus();
             }, transitionDelays * 4.2);
 
-            //Init Remote Controllers
-            if (isMobileApp)
-                remoteControls();
-
+            // Let the editor, remotes and other prompters follow this instance.
+            startStatePublisher();
+            startFollowLeader();
+            startTiming();
         }, 750);
     }
 
@@ -292,27 +301,133 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
             onResize();
             window.setTimeout(onResize, transitionDelays * 1.1);
         }
-        prompt.innerHTML = decodeURIComponent(session.html);
+        var html = decodeURIComponent(session.html),
+            update = promptHTML !== null ? compareContents(promptHTML, html) : null;
+        prompt.innerHTML = html;
+        promptHTML = html;
+        // Script language, used by voice sync for recognition and matching.
+        if (session.language)
+            prompt.setAttribute("lang", session.language);
+        else
+            prompt.removeAttribute("lang");
+        wrapWords();
+        if (update !== null)
+            applyUpdate(update);
+        updateTimingSegments();
         updateVelocity();
 
         // Enable timer
         if (settings.data.timer === true) {
-            if (timer.data().timer.currentVal === 0)
-                timer.startTimer();
+            if (getClockSeconds() === 0)
+                startClock();
             clock.style.opacity = '1';
         }
         else {
             clock.style.opacity = '0';
-            setTimeout(function () {
-                timer.resetTimer();
-                timer.stopTimer();
-            }, 800);
+            setTimeout(resetClock, 800);
+        }
+    }
+
+    // Hot update
+    // "Update" in the editor sends the whole script again. Its blocks (paragraphs, headings, list
+    // items...) are matched against the ones on screen so that the block in focus stays put, however
+    // much changed above it, and so that new or edited blocks can be flagged on the operator's monitor.
+    var BLOCK_SELECTOR = "p, div, h1, h2, h3, h4, h5, h6, li, blockquote, pre, td, th",
+        promptHTML = null;
+
+    // Innermost blocks in document order. Text wrapping doesn't create any, so the blocks on
+    // screen line up with those of the HTML they came from.
+    function getBlocks(root) {
+        return Array.prototype.filter.call(root.querySelectorAll(BLOCK_SELECTOR), function (block) {
+            return block.querySelector(BLOCK_SELECTOR) === null;
+        });
+    }
+
+    function getBlockKeys(html) {
+        const template = document.createElement("template");
+        template.innerHTML = html;
+        return getBlocks(template.content).map(function (block) {
+            return block.outerHTML;
+        });
+    }
+
+    // For each new block, the index of the old block it is unchanged from, or -1 if it's new or edited.
+    // Blocks are matched by their longest common subsequence (js/scriptDiff.js, which gives up on the
+    // middle of very long scripts), then blocks that only moved (a reordered rundown).
+    function matchBlocks(oldKeys, newKeys) {
+        const matches = new Array(newKeys.length).fill(-1),
+            used = new Array(oldKeys.length).fill(false);
+        ScriptDiff.sequence(oldKeys, newKeys).forEach(function (operation) {
+            if (operation.type === "same") {
+                matches[operation.b] = operation.a;
+                used[operation.a] = true;
+            }
+        });
+        const unused = new Map();
+        for (let i = 0; i < oldKeys.length; i++)
+            if (!used[i]) {
+                if (!unused.has(oldKeys[i]))
+                    unused.set(oldKeys[i], []);
+                unused.get(oldKeys[i]).push(i);
+            }
+        for (let j = 0; j < newKeys.length; j++)
+            if (matches[j] === -1 && unused.has(newKeys[j]) && unused.get(newKeys[j]).length)
+                matches[j] = unused.get(newKeys[j]).shift();
+        return matches;
+    }
+
+    // Compares the script on screen with its update and measures where the block in focus is,
+    // before the update replaces it. If that block was edited away, the closest unchanged block
+    // before it (or else after it) holds the reading position.
+    function compareContents(oldHTML, newHTML) {
+        const matches = matchBlocks(getBlockKeys(oldHTML), getBlockKeys(newHTML)),
+            blocks = getBlocks(prompt),
+            currPos = -getCurrPos(),
+            verticalDisplacement = focusVerticalDisplacementCorrector(),
+            newIndex = new Map();
+        matches.forEach(function (oldIndex, index) {
+            if (oldIndex !== -1)
+                newIndex.set(oldIndex, index);
+        });
+        let focused = -1;
+        while (focused + 1 < blocks.length && hasPassedFocus(blocks[focused + 1], currPos, verticalDisplacement))
+            focused++;
+        let reference = -1;
+        for (let i = focused; i >= 0 && reference === -1; i--)
+            if (newIndex.has(i))
+                reference = i;
+        for (let i = focused + 1; i < blocks.length && reference === -1; i++)
+            if (newIndex.has(i))
+                reference = i;
+        return {
+            matches: matches,
+            reference: reference === -1 ? -1 : newIndex.get(reference),
+            shift: reference === -1 ? 0 : getCurrPos() - getElementPosition(blocks[reference])
+        };
+    }
+
+    function applyUpdate(update) {
+        const blocks = getBlocks(prompt);
+        // Only the operator sees what changed, the presenter gets clean text.
+        if (getInstanceRole() === "primary")
+            update.matches.forEach(function (oldIndex, index) {
+                if (oldIndex === -1)
+                    blocks[index].classList.add("edited");
+            });
+        if (update.reference === -1)
+            return;
+        setPromptHeight();
+        const position = getElementPosition(blocks[update.reference]) + update.shift;
+        if (position !== getCurrPos()) {
+            animate(0, position);
+            resumeAnimation();
         }
     }
 
     function pointerActive(event) {
         if (!pointer.active) {
             if (debug) console.log("Pointer active") && false;
+            manualInput();
             internalPauseAnimation();
             pointer.prompterstart = getCurrPos();
             pointer.startposition = event.clientY;
@@ -347,6 +462,7 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
                 pointerCurrPos = event.clientY,
                 distance = pointerCurrPos - pointer.startposition;
             pointer.moved = true;
+            manualInput();
             pointer.delta = pointerCurrPos - pointer.previousposition;
             pointer.deltaTime = pointer.deltaTime;
             argument = pointer.prompterstart + distance;
@@ -398,11 +514,17 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
             ipcRenderer.send('asynchronous-message', 'restoreEditor');
         // In all cases, clean emulated session storage before leaving.
         dataManager.removeItem('IFTeleprompterSession', 1);
+        stopStatePublisher();
+        stopFollowLeader();
+        stopTiming();
     }
 
     function closeInstance() {
         if (!closing) {
             closing = true;
+            stopStatePublisher();
+            stopFollowLeader();
+            stopTiming();
             // Finally, close this window or clear iFrame. The editor must not be the one who closes cause it could cause an infinite loop.
             if (inIframe()) {
                 if (debug) console.log("Closing iFrame prompter.") && false;
@@ -436,24 +558,32 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         if (flipH && flipV) {
             prompt.classList.add("flipHV");
             clock.classList.add("flipHV");
+            driverIndicator.classList.add("flipHV");
         }
         // Vertical flip
         else if (flipV) {
             prompt.classList.add("flipV");
             clock.classList.add("flipV");
+            driverIndicator.classList.add("flipV");
         }
         // Horizontal flip
         else if (flipH) {
             prompt.classList.add("flipH");
             clock.classList.add("flipH");
+            driverIndicator.classList.add("flipH");
         }
     }
 
     function syncPrompters() {
+        // A follower's position isn't its own to share.
+        if (followRole === "follower")
+            return;
         editor.postMessage({ 'request': command.sync, 'data': getProgress() }, getDomain());
     }
 
     function instaSync() {
+        if (followRole === "follower")
+            return;
         if (steps > syncDelay)
             editor.postMessage({ 'request': command.iSync, 'data': getProgress() }, getDomain());
     }
@@ -492,13 +622,13 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         x = 0;
         updateVelocity();
         resumeAnimation();
-        timer.stopTimer();
+        stopClock();
     }
 
     document.addEventListener('transitionend', function () {
         if (atStart() || atEnd()) {
             stopAll();
-            timer.stopTimer();
+            stopClock();
         }
         if (debug) console.log("Reached end") && false;
     }, false);
@@ -597,7 +727,7 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         // Resumes animation with new destination and time values.
         if (play) {
             // Restart timer.
-            timer.startTimer();
+            startClock();
             // Get new style variables.
             var currPos = getCurrPos(),
                 destination = getDestination(currPos),
@@ -610,6 +740,9 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         // If no curve parameter, default to linear. This is the equivalent of a function overload.
         if (curve === undefined)
             curve = 'linear';
+        // A follower doesn't animate, it's positioned by internalFollowProgress alone.
+        if (followRole === "follower")
+            return;
         // Retain current position.
         setCurrPosStill();
         // Set new animation rules.
@@ -670,7 +803,8 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
     
     function internalMoveToAnchor(theAnchor) {
         // Se controle de voz está ativo, ignora chamadas automáticas de posicionamento
-        if (voiceControlActive) {
+        // (comandos do operador chegam aqui depois de manualInput, já com manualOverride)
+        if (voiceControlActive && !manualOverride) {
             console.log(`🎯 internalMoveToAnchor BLOQUEADO (voiceControl ativo): ${theAnchor}`);
             return;
         }
@@ -692,17 +826,91 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
     function acquireVoiceControl() {
         voiceControlActive = true;
         console.log('🎤 Controle de voz ADQUIRIDO - moveToAnchor desabilitado');
+        updateDriverIndicator();
     }
     
     function releaseVoiceControl() {
         voiceControlActive = false;
+        endManualOverride(true);
         console.log('🎤 Controle de voz LIBERADO - moveToAnchor reabilitado');
+        updateDriverIndicator();
     }
     
     function isVoiceControlActive() {
         return voiceControlActive;
     }
     
+    // ========================================
+    // Arbitragem operador x voz
+    // Qualquer comando manual (roda, teclas, arrastar, âncoras) assume o prompter enquanto
+    // a voz tem o controle. Depois de MANUAL_OVERRIDE_MS sem comandos (e com o prompter
+    // rodando), a voz retoma a partir do elemento que o operador deixou na área de foco.
+    // ========================================
+    var MANUAL_OVERRIDE_MS = 3000;
+    var manualOverride = false;
+    var manualOverrideTimer = null;
+    
+    function manualInput() {
+        if (!voiceControlActive)
+            return;
+        if (!manualOverride) {
+            manualOverride = true;
+            console.log('✋ Operador assumiu o prompter - voz em espera');
+            updateDriverIndicator();
+            notifyVoiceOverride(true);
+        }
+        if (manualOverrideTimer)
+            clearTimeout(manualOverrideTimer);
+        manualOverrideTimer = setTimeout(function () {
+            manualOverrideTimer = null;
+            endManualOverride(false);
+        }, MANUAL_OVERRIDE_MS);
+    }
+    
+    // force: encerra mesmo com o prompter pausado ou arrastado (voz liberada)
+    function endManualOverride(force) {
+        if (!manualOverride)
+            return;
+        // Operador pausou ou ainda está arrastando: a voz espera o próximo comando (play)
+        if (!force && (!play || pointer.active))
+            return;
+        if (manualOverrideTimer) {
+            clearTimeout(manualOverrideTimer);
+            manualOverrideTimer = null;
+        }
+        manualOverride = false;
+        console.log('🎤 Voz retoma o prompter a partir da área de foco');
+        updateDriverIndicator();
+        if (!force)
+            notifyVoiceOverride(false);
+    }
+    
+    function notifyVoiceOverride(active) {
+        var control = window.teleprompterVoiceControl;
+        if (control && typeof control.onOverride === "function")
+            control.onOverride(active, getFocusOffset());
+    }
+    
+    function getDriver() {
+        if (!voiceControlActive)
+            return "off";
+        return manualOverride ? "manual" : "voice";
+    }
+    
+    // Quem está conduzindo o prompter (só aparece com a voz ativa)
+    function updateDriverIndicator() {
+        if (!driverIndicator)
+            return;
+        var driver = getDriver();
+        driverIndicator.classList.remove("voice", "manual", "disable");
+        if (driver === "off")
+            driverIndicator.classList.add("disable");
+        else {
+            driverIndicator.classList.add(driver);
+            driverIndicator.textContent = driver === "voice" ? "🎤 VOZ" : "✋ MANUAL";
+        }
+    }
+    
     // ========================================
     // Posicionamento inicial e controle do overlayFocus
     // ========================================
@@ -712,7 +920,7 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         const promptEl = document.querySelector('.prompt');
         if (!promptEl) return null;
         
-        const allElements = promptEl.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, div, span, td, th');
+        const allElements = promptEl.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, div, span:not(.w), td, th');
         
         for (let i = 0; i < allElements.length; i++) {
             const el = allElements[i];
@@ -960,6 +1168,16 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         return progress;
     }
 
+    // Solves the position that puts progress "percentage" at the focus area with the current screen settings.
+    function getPositionAt(percentage, valToCenterAtFocusArea) {
+        if (valToCenterAtFocusArea === undefined)
+            valToCenterAtFocusArea = focusVerticalDisplacementCorrector();
+        if (flipV)
+            return -(-percentage * (promptHeight - screenHeight * 2) + valToCenterAtFocusArea - screenHeight) - promptHeight + screenHeight;
+        else
+            return -percentage * (promptHeight - screenHeight * 2) + valToCenterAtFocusArea - screenHeight;
+    }
+
     // Wait timeoutDelay after calling event before continuing.
     function correctVerticalDisplacement(percentage, transitionDelay) {
         var delay;
@@ -979,17 +1197,19 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
                 valToCenterAtFocusArea = focusVerticalDisplacementCorrector();
             if (percentage === undefined)
                 percentage = getProgress();
-            // Solve
-            if (flipV)
-                updatedPos = -(-percentage * (promptHeight - screenHeight * 2) + valToCenterAtFocusArea - screenHeight) - promptHeight + screenHeight;
-            else
-                updatedPos = -percentage * (promptHeight - screenHeight * 2) + valToCenterAtFocusArea - screenHeight;
+            updatedPos = getPositionAt(percentage, valToCenterAtFocusArea);
             // Update "previous" values to current ones.
             previousPromptHeight = promptHeight;
             previousScreenHeight = screenHeight;
             previousVerticalDisplacementCorrector = valToCenterAtFocusArea;
             // Reset steps
             resetSteps();
+            // A follower just lays the leader's last progress over its new layout.
+            if (followRole === "follower") {
+                if (lastFollowProgress !== null)
+                    internalFollowProgress(lastFollowProgress);
+                return;
+            }
             // Correct vertical displacement with a smooth animation.
             animate(transitionDelay, updatedPos, 'ease');
             // After that animation is done...
@@ -1097,6 +1317,16 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         editor.postMessage({ 'request': 1, 'data': getProgress() }, getDomain());
     }
 
+    // Inverso de convertOffsetToScrollPos: offsetTop do DOM que está no centro da área de foco
+    function getFocusOffset() {
+        const focusCorrection = focusVerticalDisplacementCorrector(),
+            currPos = getCurrPos();
+        if (flipV)
+            return currPos + promptHeight - screenHeight + focusCorrection;
+        else
+            return focusCorrection - currPos;
+    }
+    
     // Converte offsetTop do DOM para posição de scroll (coordenada CSS translateY)
     // Esta função é usada pelo controlador de voz para alinhar targets corretamente
     // O elemento fica CENTRALIZADO na área de foco
@@ -1109,6 +1339,570 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
             return -offsetTop + focusCorrection;
     }
     
+    // ========================================
+    // Destaque da palavra falada (posição do reconhecimento de voz)
+    // ========================================
+    
+    // Palavras do prompt, na ordem do documento. O índice é o mesmo em todas as instâncias
+    // porque todas envolvem o mesmo HTML da sessão.
+    var promptWords = [],
+        promptWordIndex = new Map(),
+        highlightedWord = -1;
+    
+    // Envolve cada palavra do prompt em <span class="w"> (endereçável para o destaque)
+    function wrapWords() {
+        var walker = document.createTreeWalker(prompt, NodeFilter.SHOW_TEXT, null, false),
+            textNodes = [],
+            node;
+        while ((node = walker.nextNode())) {
+            var parentTag = node.parentNode.nodeName;
+            // Rundown story separators aren't part of what's read.
+            if (node.parentNode.closest(".story-separator"))
+                continue;
+            if (parentTag !== "SCRIPT" && parentTag !== "STYLE" && /\S/.test(node.nodeValue))
+                textNodes.push(node);
+        }
+        promptWords = [];
+        promptWordIndex = new Map();
+        highlightedWord = -1;
+        textNodes.forEach(function (textNode) {
+            var fragment = document.createDocumentFragment();
+            textNode.nodeValue.split(/(\s+)/).forEach(function (part) {
+                if (part.length === 0)
+                    return;
+                if (/^\s+$/.test(part)) {
+                    fragment.appendChild(document.createTextNode(part));
+                    return;
+                }
+                var word = document.createElement("span");
+                word.className = "w";
+                word.textContent = part;
+                promptWordIndex.set(word, promptWords.length);
+                promptWords.push(word);
+                fragment.appendChild(word);
+            });
+            textNode.parentNode.replaceChild(fragment, textNode);
+        });
+    }
+    
+    // Pede o destaque de uma palavra (span.w) para todas as instâncias via editor
+    function highlightWord(wordElement) {
+        var index = promptWordIndex.get(wordElement);
+        if (index === undefined || index === highlightedWord)
+            return;
+        if (editor)
+            editor.postMessage({ 'request': command.highlightWord, 'data': index }, getDomain());
+        else
+            internalHighlightWord(index);
+    }
+    
+    // Envia estado e eventos da sincronização por voz ao painel do operador (só o editor trata)
+    function sendTelemetry(data) {
+        if (editor)
+            editor.postMessage({ 'request': command.voiceTelemetry, 'data': data }, getDomain());
+    }
+    
+    // State broadcast
+    // Every STATE_INTERVAL the prompter samples its state and, if anything changed (or
+    // STATE_HEARTBEAT passed), publishes it to its editor (prompterState command) and on the
+    // "IFTeleprompterState" BroadcastChannel, so any same-origin page can follow along.
+    // Subscribers on the channel may post {type: "request"} to get the current state at once.
+    var STATE_INTERVAL = 250,
+        STATE_HEARTBEAT = 2000,
+        stateChannel = null,
+        stateTimer = null,
+        stateSeq = 0,
+        stateSource = Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        lastStateKey = null,
+        lastStateTime = 0;
+
+    function startStatePublisher() {
+        if (stateTimer)
+            return;
+        if (typeof BroadcastChannel !== "undefined") {
+            stateChannel = new BroadcastChannel("IFTeleprompterState");
+            stateChannel.onmessage = function (event) {
+                if (event.data && event.data.type === "request")
+                    publishState(true);
+            };
+        }
+        stateTimer = setInterval(publishState, STATE_INTERVAL);
+        publishState(true);
+    }
+
+    function stopStatePublisher() {
+        if (!stateTimer)
+            return;
+        clearInterval(stateTimer);
+        stateTimer = null;
+        sendState({ type: "closed", source: stateSource, instance: getInstanceRole(), seq: ++stateSeq, time: Date.now() });
+        if (stateChannel) {
+            stateChannel.close();
+            stateChannel = null;
+        }
+    }
+
+    // The frame inside the editor is the primary prompter, a separate window the secondary.
+    function getInstanceRole() {
+        return inIframe() ? "primary" : "secondary";
+    }
+
+    // Id of the last anchor that went past the focus area, null before the first one.
+    function getCurrentAnchor() {
+        const anchors = document.getElementsByTagName("a"),
+            currPos = -getCurrPos(),
+            verticalDisplacement = focusVerticalDisplacementCorrector();
+        let current = null;
+        for (let i = 0; i < anchors.length; i++) {
+            if (!hasPassedFocus(anchors[i], currPos, verticalDisplacement))
+                break;
+            if (anchors[i].id)
+                current = anchors[i].id;
+        }
+        return current;
+    }
+
+    function hasPassedFocus(element, currPos, verticalDisplacement) {
+        if (flipV)
+            return promptHeight - getPromptOffset(element) + verticalDisplacement - screenHeight >= currPos;
+        return getPromptOffset(element) - verticalDisplacement <= currPos;
+    }
+
+    // offsetTop measured from the prompt, also for elements inside tables and other offset parents.
+    function getPromptOffset(element) {
+        let top = 0;
+        while (element && element !== prompt) {
+            top += element.offsetTop;
+            element = element.offsetParent;
+        }
+        return top;
+    }
+
+    // Prompter position that puts "element" at the focus area, as moveToCSSAnchor does.
+    function getElementPosition(element) {
+        const focusCorrection = focusVerticalDisplacementCorrector();
+        if (flipV)
+            return -promptHeight + getPromptOffset(element) + screenHeight - focusCorrection;
+        return -getPromptOffset(element) + focusCorrection;
+    }
+
+    function getState() {
+        const progress = getProgress();
+        let voice = null;
+        if (typeof VoiceTelemetry !== "undefined")
+            voice = VoiceTelemetry.status();
+        return {
+            progress: isFinite(progress) ? Math.round(progress * 10000) / 10000 : 0,
+            anchor: getCurrentAnchor(),
+            velocity: x,
+            playing: play,
+            fontSize: fontSize,
+            timer: { seconds: getClockSeconds(), running: isClockRunning() },
+            timing: timing,
+            voice: voice
+        };
+    }
+
+    function publishState(force) {
+        const state = getState(),
+            key = JSON.stringify(state),
+            now = Date.now();
+        if (force !== true && key === lastStateKey && now - lastStateTime < STATE_HEARTBEAT)
+            return;
+        lastStateKey = key;
+        lastStateTime = now;
+        state.type = "state";
+        state.source = stateSource;
+        state.instance = getInstanceRole();
+        state.seq = ++stateSeq;
+        state.time = now;
+        sendState(state);
+    }
+
+    function sendState(state) {
+        if (stateChannel)
+            stateChannel.postMessage(state);
+        if (editor)
+            editor.postMessage({ 'request': command.prompterState, 'data': state }, getDomain());
+    }
+
+    // Timing
+    // Every TIMING_INTERVAL the time left is estimated from the words not yet read (js/timing.js)
+    // and shown under the clock, with how far over or under the target duration (session.target)
+    // the script will end. The reading rate is measured from the words going past the focus area
+    // while the prompter moves and the timer runs; until there's enough of it, the presenter
+    // profile's or a normal pace is used.
+    var TIMING_INTERVAL = 1000,
+        // A measured rate needs this much reading behind it.
+        MIN_MEASURED_TIME = 10,
+        MIN_MEASURED_WORDS = 20,
+        // Words per second beyond which the prompter jumped rather than scrolled.
+        MAX_READING_WPS = 8,
+        timingTimer = null,
+        timingSegments = [],
+        timingWords = [],
+        wordsRead = 0,
+        measuredWords = 0,
+        measuredTime = 0,
+        lastTimingSample = 0,
+        timing = null;
+
+    function startTiming() {
+        if (timingTimer)
+            return;
+        wordsRead = getWordsRead();
+        lastTimingSample = Date.now();
+        timingTimer = setInterval(sampleTiming, TIMING_INTERVAL);
+        sampleTiming();
+    }
+
+    function stopTiming() {
+        clearInterval(timingTimer);
+        timingTimer = null;
+    }
+
+    // Segments of the contents on screen and the words they count (no technical tags), refreshed
+    // whenever they change.
+    function updateTimingSegments() {
+        const tags = new Map();
+        timingSegments = Timing.segments(prompt);
+        timingWords = promptWords.filter((word) => !Timing.isInTag(word.parentNode, tags));
+        wordsRead = getWordsRead();
+    }
+
+    // Number of words that went past the focus area. Words are in reading order, so a binary search will do.
+    function getWordsRead() {
+        const currPos = -getCurrPos(),
+            verticalDisplacement = focusVerticalDisplacementCorrector();
+        let low = 0,
+            high = timingWords.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (hasPassedFocus(timingWords[middle], currPos, verticalDisplacement))
+                low = middle + 1;
+            else
+                high = middle;
+        }
+        return low;
+    }
+
+    function sampleTiming() {
+        const now = Date.now(),
+            seconds = (now - lastTimingSample) / 1000,
+            read = getWordsRead();
+        lastTimingSample = now;
+        if (play && velocity !== 0 && isClockRunning() && read >= wordsRead && read - wordsRead <= MAX_READING_WPS * seconds) {
+            measuredWords += read - wordsRead;
+            measuredTime += seconds;
+        }
+        wordsRead = read;
+        timing = getTiming(getClockSeconds());
+        showTiming(timing);
+    }
+
+    // Timing published with the prompter state. Times are in seconds, "overUnder" is positive when
+    // the script is estimated to end after its target, or after the clock's countdown or hard out.
+    function getTiming(elapsed) {
+        const measured = measuredTime >= MIN_MEASURED_TIME && measuredWords >= MIN_MEASURED_WORDS ? measuredWords / measuredTime : 0,
+            rate = Timing.rate(measured),
+            remaining = (timingWords.length - wordsRead) / rate.wps,
+            target = session.target > 0 ? session.target : 0,
+            left = getClockLeft();
+        let segment = null;
+        for (let i = 0; i < timingSegments.length && timingSegments[i].first <= wordsRead; i++)
+            segment = timingSegments[i];
+        return {
+            wps: Math.round(rate.wps * 100) / 100,
+            rate: rate.source,
+            words: timingWords.length,
+            read: wordsRead,
+            remaining: Math.round(remaining),
+            segment: segment === null ? null : {
+                title: segment.title,
+                remaining: Math.round(Math.max(0, segment.first + segment.words - wordsRead) / rate.wps)
+            },
+            target: target,
+            overUnder: left !== null ? Math.round(remaining - left) : target > 0 ? Math.round(elapsed + remaining - target) : null
+        };
+    }
+
+    function showTiming(estimate) {
+        const display = clock.getElementsByClassName("timing")[0];
+        let text = Timing.format(estimate.remaining) + " left";
+        // With segments, the time left in the one being read comes first.
+        if (estimate.segment !== null && timingSegments.length > 1)
+            text = Timing.format(estimate.segment.remaining) + " / " + text;
+        display.classList.toggle("over", estimate.overUnder > 0);
+        display.classList.toggle("under", estimate.overUnder < 0);
+        if (estimate.overUnder > 0)
+            text += " · " + Timing.format(estimate.overUnder) + " over";
+        else if (estimate.overUnder < 0)
+            text += " · " + Timing.format(-estimate.overUnder) + " under";
+        else if (estimate.overUnder === 0)
+            text += " · on time";
+        display.textContent = text;
+    }
+
+    // Clock
+    // The clock times the prompting: it runs while the prompter plays and "Backspace" resets it.
+    // It shows that time counting up, a countdown from settings.data.clockDuration (or else the
+    // script's target duration) or the time left to a hard out at settings.data.clockOut, a time
+    // of day. The time left turns amber and red at the prompter style's thresholds
+    // (getClockThresholds in teleprompter-themes.js) and past zero counts the overrun.
+    //
+    // With two prompters the in-frame one owns the clock. Whenever it starts, stops or resets, and
+    // every CLOCK_HEARTBEAT, it hands its state to the external one (clockSync), so both show the
+    // same time.
+    var clockModes = Object.freeze({
+            "countUp": 0,
+            "countdown": 1,
+            "hardOut": 2
+        }),
+        CLOCK_INTERVAL = 250,
+        CLOCK_HEARTBEAT = 5000,
+        // A hard out more than this many hours ago is tomorrow's.
+        HARD_OUT_PAST = 12,
+        clockElapsed = 0,
+        clockSince = null,
+        clockTimer = null,
+        lastClockSync = 0;
+
+    function startClockDisplay() {
+        if (clockTimer)
+            return;
+        clockTimer = setInterval(function () {
+            renderClock();
+            if (Date.now() - lastClockSync >= CLOCK_HEARTBEAT)
+                publishClock();
+        }, CLOCK_INTERVAL);
+        renderClock();
+    }
+
+    function startClock() {
+        if (clockSince !== null)
+            return;
+        clockSince = Date.now();
+        clockChanged();
+    }
+
+    function stopClock() {
+        if (clockSince === null)
+            return;
+        clockElapsed += Date.now() - clockSince;
+        clockSince = null;
+        clockChanged();
+    }
+
+    function resetClock() {
+        clockElapsed = 0;
+        clockSince = null;
+        clockChanged();
+    }
+
+    function isClockRunning() {
+        return clockSince !== null;
+    }
+
+    function getClockSeconds() {
+        return Math.floor((clockElapsed + (clockSince !== null ? Date.now() - clockSince : 0)) / 1000);
+    }
+
+    // Seconds left to the end of the countdown or to the hard out, null when counting up.
+    function getClockLeft() {
+        if (settings.data.clockMode === clockModes.countdown) {
+            const duration = settings.data.clockDuration > 0 ? settings.data.clockDuration : session.target;
+            if (duration > 0)
+                return duration - (clockElapsed + (clockSince !== null ? Date.now() - clockSince : 0)) / 1000;
+        }
+        else if (settings.data.clockMode === clockModes.hardOut) {
+            const out = getHardOut();
+            if (out !== null)
+                return (out - Date.now()) / 1000;
+        }
+        return null;
+    }
+
+    // Time of the hard out ("HH:MM" or "HH:MM:SS" today, or tomorrow if it's long past), null if unset.
+    function getHardOut() {
+        const time = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(settings.data.clockOut || "");
+        if (time === null)
+            return null;
+        const out = new Date();
+        out.setHours(parseInt(time[1], 10), parseInt(time[2], 10), time[3] ? parseInt(time[3], 10) : 0, 0);
+        if (out.getTime() < Date.now() - HARD_OUT_PAST * 3600000)
+            out.setDate(out.getDate() + 1);
+        return out.getTime();
+    }
+
+    function renderClock() {
+        const left = getClockLeft(),
+            thresholds = getClockThresholds(promptStyleOption),
+            display = clock.getElementsByClassName("time")[0];
+        clock.classList.toggle("warning", left !== null && left <= thresholds.warning && left > thresholds.danger);
+        clock.classList.toggle("danger", left !== null && left <= thresholds.danger);
+        display.textContent = formatClock(left !== null ? Math.ceil(left) : getClockSeconds());
+    }
+
+    // "hh:mm:ss", with a minus sign for an overrun.
+    function formatClock(seconds) {
+        const sign = seconds < 0 ? "-" : "";
+        seconds = Math.abs(seconds);
+        const hours = Math.floor(seconds / 3600),
+            minutes = Math.floor(seconds / 60) % 60;
+        seconds = seconds % 60;
+        return sign + (hours < 10 ? "0" : "") + hours + ":" + (minutes < 10 ? "0" : "") + minutes + ":" + (seconds < 10 ? "0" : "") + seconds;
+    }
+
+    function isClockOwner() {
+        return inIframe() && settings.data.primary > 0 && settings.data.secondary > 0;
+    }
+
+    function clockChanged() {
+        renderClock();
+        publishClock();
+    }
+
+    function publishClock() {
+        if (!isClockOwner() || !editor)
+            return;
+        lastClockSync = Date.now();
+        editor.postMessage({
+            'request': command.clockSync,
+            'data': { elapsed: clockElapsed + (clockSince !== null ? lastClockSync - clockSince : 0), running: clockSince !== null, time: lastClockSync }
+        }, getDomain());
+    }
+
+    // Both prompters run on this computer's clock, so the owner's state only needs aging by the message's delay.
+    function internalClockSync(state) {
+        if (isClockOwner())
+            return;
+        const now = Date.now();
+        clockElapsed = state.elapsed + (state.running ? now - state.time : 0);
+        clockSince = state.running ? now : null;
+        renderClock();
+    }
+
+    // Network follower
+    // The editor hands over the leader's state aged on a common clock. Speed and play state
+    // are mirrored, position drift under LEADER_DEADBAND pixels is tolerated, drift up to a
+    // quarter screen is corrected at once (iSync) and anything larger with a smooth sync.
+    var LEADER_DEADBAND = 3,
+        leaderCorrectionUntil = 0;
+
+    function internalLeaderSync(leader) {
+        if (leader.playing !== play) {
+            play = leader.playing;
+            if (play)
+                localPlayAnimation();
+            else
+                localPauseAnimation();
+        }
+        if (leader.velocity !== x) {
+            x = leader.velocity;
+            updateVelocity();
+            resumeAnimation();
+        }
+        // A smooth correction is still running.
+        if (Date.now() < leaderCorrectionUntil)
+            return;
+        const span = Math.abs(previousPromptHeight - previousScreenHeight * 2),
+            expected = leader.progress + leader.rate * Math.max(0, leader.age),
+            drift = Math.abs(expected - getProgress()) * span;
+        if (!isFinite(drift) || drift <= LEADER_DEADBAND)
+            return;
+        if (drift <= screenHeight / 4)
+            correctVerticalDisplacement(expected, 0);
+        else {
+            // Aim where the leader will be once the transition ends.
+            const duration = transitionDelays + timeoutDelay;
+            leaderCorrectionUntil = Date.now() + duration;
+            correctVerticalDisplacement(expected + leader.rate * duration);
+        }
+    }
+
+    // Follow sync
+    // Under the "follow" sync method the in-frame prompter leads and posts its progress on every
+    // frame. The external window doesn't run an animation of its own, it maps that progress onto
+    // its own layout, so both outputs stay together whatever their resolution or font size.
+    var FOLLOW_HEARTBEAT = 1000,
+        followRole = null,
+        followFrame = null,
+        // Last progress sent by the leader, or received by the follower.
+        lastFollowProgress = null,
+        lastFollowTime = 0;
+
+    function getFollowRole() {
+        if (settings.data.syncMethod !== 2 || !(settings.data.primary > 0 && settings.data.secondary > 0))
+            return null;
+        return inIframe() ? "leader" : "follower";
+    }
+
+    function startFollowLeader() {
+        if (followRole !== "leader" || followFrame !== null)
+            return;
+        followFrame = requestAnimationFrame(publishFollowProgress);
+    }
+
+    function stopFollowLeader() {
+        if (followFrame === null)
+            return;
+        cancelAnimationFrame(followFrame);
+        followFrame = null;
+    }
+
+    function publishFollowProgress() {
+        const progress = getProgress(),
+            now = Date.now();
+        // Unchanged progress is only repeated now and then, for a follower that opened late.
+        if (isFinite(progress) && (progress !== lastFollowProgress || now - lastFollowTime >= FOLLOW_HEARTBEAT)) {
+            lastFollowProgress = progress;
+            lastFollowTime = now;
+            editor.postMessage({ 'request': command.followProgress, 'data': progress }, getDomain());
+        }
+        followFrame = requestAnimationFrame(publishFollowProgress);
+    }
+
+    function internalFollowProgress(progress) {
+        if (followRole !== "follower" || !isFinite(progress))
+            return;
+        lastFollowProgress = progress;
+        const maxPos = -(promptHeight - screenHeight);
+        setCurrPosStill(Math.max(maxPos, Math.min(0, getPositionAt(progress))));
+    }
+
+    // Marca a palavra falada e esmaece as já lidas; o estilo vem do tema (.w.spoken / .w.read)
+    function internalHighlightWord(index) {
+        if (index < 0 || index >= promptWords.length || index === highlightedWord)
+            return;
+        var i;
+        if (highlightedWord >= 0)
+            promptWords[highlightedWord].classList.remove("spoken");
+        if (index > highlightedWord) {
+            for (i = Math.max(0, highlightedWord); i < index; i++)
+                promptWords[i].classList.add("read");
+        }
+        else {
+            // Voltou (nova busca): desfaz o esmaecimento à frente da nova posição
+            for (i = index; i <= highlightedWord; i++)
+                promptWords[i].classList.remove("read");
+        }
+        promptWords[index].classList.add("spoken");
+        highlightedWord = index;
+    }
+    
+    // Converte um Range do roteiro (ex: uma palavra) para o mesmo sistema do offsetTop
+    // Mede pelo layout renderizado; com flipV o prompt está espelhado, então mede a partir da base
+    function getRangeOffset(range) {
+        const rangeRect = range.getBoundingClientRect();
+        if (rangeRect.width === 0 && rangeRect.height === 0)
+            return null;
+        const promptRect = prompt.getBoundingClientRect();
+        if (flipV)
+            return promptRect.bottom - rangeRect.bottom;
+        else
+            return rangeRect.top - promptRect.top;
+    }
+    
     // Converte offsetTop para posição que coloca o elemento no TOPO da área de foco
     // Usado para posicionar o primeiro elemento ao iniciar reconhecimento de voz
     function convertOffsetToScrollPosTop(offsetTop) {
@@ -1128,6 +1922,9 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
     // alignTop: se true, posiciona no TOPO da área de foco (para primeiro elemento)
     function moveToOffset(offsetTop, smooth, alignTop) {
         var jump;
+        // Operador conduzindo: a voz não reposiciona
+        if (manualOverride)
+            return;
         if (alignTop) {
             jump = convertOffsetToScrollPosTop(offsetTop);
             console.log(`📍 moveToOffset (TOPO): offset=${offsetTop}, jump=${jump}, smooth=${!!smooth}`);
@@ -1154,6 +1951,7 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
     var autoScrollCurrentX = 3; // Velocidade atual calculada por WPS (persistida)
     var autoScrollPaused = false; // Estado de pausa (para saber quando realmente pausou)
     var lastAutoWps = 0; // Última taxa WPS registrada
+    var autoSpeedReferenceWps = 3; // Leitura "normal" do apresentador (perfil de calibração)
     
     // Define velocidade baseada em palavras por segundo (WPS)
     // WPS típico de leitura: 2-4 palavras/segundo
@@ -1165,6 +1963,9 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         wps = Math.max(0, Math.min(wps, 6));
         lastAutoWps = wps;
         
+        // Escala para a leitura normal do apresentador: o ritmo dele cai em x=5
+        wps = wps * 3 / autoSpeedReferenceWps;
+        
         // Mapeia WPS para x:
         // 0 WPS = x = 0 (parado)
         // 2 WPS = x = 3 (leitura lenta)
@@ -1200,6 +2001,9 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
     
     // Define velocidade diretamente via valor de x
     function setVelocityDirect(xValue) {
+        // Operador conduzindo: a velocidade é a dele
+        if (manualOverride)
+            return;
         x = Math.max(0, Math.min(xValue, 10)); // Limita entre 0 e 10 (mantido seguro)
         autoScrollCurrentX = x; // Persiste
         updateVelocity();
@@ -1235,7 +2039,7 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
             x = 0;
             updateVelocity();
             animate(0, getCurrPos()); // Para na posição atual
-            timer.stopTimer();
+            stopClock();
             console.log('⏸️ Auto-scroll PAUSADO');
         }
     }
@@ -1248,7 +2052,7 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
             x = autoScrollCurrentX > 0 ? autoScrollCurrentX : 3;
             updateVelocity();
             resumeAnimation();
-            timer.startTimer();
+            startClock();
             console.log(`▶️ Auto-scroll RESUMIDO (x=${x})`);
         }
         // Se não estava pausado, NÃO faz nada (evita reset de velocidade)
@@ -1268,7 +2072,8 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         setSpeed: setAutoSpeed,
         setVelocity: setVelocityDirect,
         isActive: isAutoScrollActive,
-        getWps: function() { return lastAutoWps; }
+        getWps: function() { return lastAutoWps; },
+        setReferenceWps: function(wps) { autoSpeedReferenceWps = wps > 0 ? wps : 3; }
     };
     
     // Expor funções no escopo global para uso do reconhecimento de voz
@@ -1279,6 +2084,9 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
     window.getTeleprompterProgress = getProgress;
     window.getTeleprompterCurrentPos = getCurrPos;  // Exposição para scroll contínuo
     window.convertOffsetToScrollPos = convertOffsetToScrollPos;  // Conversão de coordenadas
+    window.getTeleprompterRangeOffset = getRangeOffset;  // Posição de uma palavra (alinhamento por voz)
+    window.teleprompterHighlightWord = highlightWord;  // Destaque da palavra falada (span.w)
+    window.teleprompterSendTelemetry = sendTelemetry;  // Telemetria da voz para o editor
     window.animateTeleprompter = animate;
     
     // API de auto-scroll para controle por voz
@@ -1290,14 +2098,19 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
         setSpeed: setAutoSpeed,
         setVelocity: setVelocityDirect,
         isActive: isAutoScrollActive,
-        getWps: function() { return lastAutoWps; }
+        getWps: function() { return lastAutoWps; },
+        setReferenceWps: function(wps) { autoSpeedReferenceWps = wps > 0 ? wps : 3; }
     };
     
     // API de controle de voz
     window.teleprompterVoiceControl = {
         acquire: acquireVoiceControl,
         release: releaseVoiceControl,
-        isActive: isVoiceControlActive
+        isActive: isVoiceControlActive,
+        isOverridden: function() { return manualOverride; },
+        getDriver: getDriver,
+        getFocusOffset: getFocusOffset,
+        onOverride: null  // function(active, focusOffset), definida pelo reconhecimento de voz
     };
     
     // API de posicionamento do foco
@@ -1375,7 +2188,7 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
 
     function localPauseAnimation() {
         animate(0, getCurrPos());
-        timer.stopTimer();
+        stopClock();
     }
 
     function localPlayAnimation() {
@@ -1387,7 +2200,7 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
     }
 
     function internalResetTimer() {
-        timer.resetTimer();
+        resetClock();
         playAnimation();
         if (debug) console.log("Timer reset.");
     }
@@ -1410,10 +2223,12 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
                 setCap();
             switch (message.request) {
                 case 1:
+                    manualInput();
                     internalIncreaseVelocity();
                     //requestAnimationFrame(internalIncreaseVelocity);
                     break;
                 case 2:
+                    manualInput();
                     internalDecreaseVelocity();
                     //requestAnimationFrame(internalDecreaseVelocity);
                     break;
@@ -1432,10 +2247,12 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
                     break;
                 case command.play:
                     play = true;
+                    manualInput();
                 case command.internalPlay:
                     requestAnimationFrame(localPlayAnimation);
                     break;
                 case command.pause:
+                    manualInput();
                     requestAnimationFrame(localPauseAnimation);
                     play = false;
                     syncPrompters();
@@ -1444,12 +2261,14 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
                     requestAnimationFrame(localPauseAnimation);
                     break;
                 case command.togglePlay:
+                    manualInput();
                     toggleAnimation();
                     break;
                 case command.resetTimer:
                     internalResetTimer();
                     break;
                 case command.anchor:
+                    manualInput();
                     requestAnimationFrame(function () {
                         internalMoveToAnchor(message.data);
                     });
@@ -1460,24 +2279,40 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
                 case command.decFont:
                     internalDecreaseFontSize();
                     break;
-                case command.update:
+                case command.updateContents:
                     updateContents();
                     break;
+                case command.clockSync:
+                    internalClockSync(message.data);
+                    break;
                 case command.close:
                     closeInstance();
                     break;
                 case command.nextAnchor:
+                    manualInput();
                     internalMoveToNextAnchor(true);
                     break;
                 case command.previousAnchor:
+                    manualInput();
                     internalMoveToNextAnchor(false);
                     break;
                 case command.fastForward:
+                    manualInput();
                     internalFastForward();
                     break;
                 case command.rewind:
+                    manualInput();
                     internalRewind();
                     break;
+                case command.highlightWord:
+                    internalHighlightWord(message.data);
+                    break;
+                case command.leaderSync:
+                    internalLeaderSync(message.data);
+                    break;
+                case command.followProgress:
+                    internalFollowProgress(message.data);
+                    break;
                 default:
                     // Notify unknown message received.
                     if (debug) console.log("Unknown post message received: " + message.request) && false;
@@ -1605,19 +2440,6 @@ https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/onversionchange
             event.preventDefault();
     };
 
-    function remoteControls() {
-        var res;
-        dataManager.getItem("IFTeleprompterControl", function (data) {
-            res = JSON.parse(data);
-        }, 0, false);
-        if (typeof res !== "undefined") {
-            if (res.hasOwnProperty('key') > 0) {
-                document.onkeydown(res);
-            }
-        }
-        setTimeout(remoteControls, 0);
-    }
-
     function isFunction(possibleFunction) {
         return typeof (possibleFunction) === typeof (Function)
     }
@@ -0,0 +1,179 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Read time estimates, shared by the editor and the prompter.
+//
+// A script is split into segments at every heading (h1-h6) and rundown story separator.
+// Words are counted the way the prompter wraps them (whitespace separated), so the
+// editor's estimates and the prompter's progress agree. Paragraphs that are technical
+// tags (js/technicalTags.js, isTagTecnica) aren't read out and count no words, as in
+// voice sync and the plain text export. The reading rate is, in order,
+// the one measured while prompting, the active presenter profile's (js/presenterProfiles.js)
+// or a normal reading pace.
+//
+// With a target duration, each segment gets a back-time: how far into the show it has
+// to start for the rest of the script to end right on target.
+(function () {
+    "use strict";
+
+    // Words per second of a normal reading pace, as in presenterProfiles.js.
+    const DEFAULT_WPS = 3;
+    const SEGMENT_SELECTOR = "h1, h2, h3, h4, h5, h6, .story-separator";
+    const BLOCK_SELECTOR = "p, li, h1, h2, h3, h4, h5, h6";
+
+    function isTag(text) {
+        return typeof window.isTagTecnica === "function" && window.isTagTecnica(text);
+    }
+
+    // Whether text in "element" is part of a technical tag: its paragraph (or the element itself,
+    // outside paragraphs) is one. "cache", a Map, saves testing the same paragraph again.
+    function isInTag(element, cache) {
+        const block = (element.closest && element.closest(BLOCK_SELECTOR)) || element;
+        if (!cache)
+            return isTag(block.textContent);
+        if (!cache.has(block))
+            cache.set(block, isTag(block.textContent));
+        return cache.get(block);
+    }
+
+    function countWords(text) {
+        const words = text.split(/\s+/);
+        let count = 0;
+        for (let i = 0; i < words.length; i++)
+            if (words[i].length > 0)
+                count++;
+        return count;
+    }
+
+    // [{ title, first, words, target }] for the contents of "root", "first" being the number of
+    // words before the segment. Text before the first heading is a segment with an empty title.
+    // A story separator's planned duration (data-duration, in seconds) is its segment's target.
+    function segments(root) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false),
+            list = [],
+            tags = new Map();
+        let current = { title: "", first: 0, words: 0, target: 0, boundary: null },
+            total = 0,
+            node;
+        while ((node = walker.nextNode())) {
+            const parent = node.parentNode;
+            if (parent.nodeName === "SCRIPT" || parent.nodeName === "STYLE")
+                continue;
+            const boundary = parent.closest ? parent.closest(SEGMENT_SELECTOR) : null;
+            if (boundary !== null && boundary !== current.boundary) {
+                if (current.words > 0 || current.title !== "")
+                    list.push(current);
+                current = {
+                    title: boundary.textContent.trim(),
+                    first: total,
+                    words: 0,
+                    target: parseInt(boundary.getAttribute("data-duration"), 10) || 0,
+                    boundary: boundary
+                };
+            }
+            // Story separators label the story, they aren't read out. Neither are technical tags.
+            if ((boundary === null || !boundary.classList.contains("story-separator")) && !isInTag(parent, tags)) {
+                const words = countWords(node.nodeValue);
+                current.words += words;
+                total += words;
+            }
+        }
+        if (current.words > 0 || current.title !== "")
+            list.push(current);
+        return list.map(function (segment) {
+            return { title: segment.title, first: segment.first, words: segment.words, target: segment.target };
+        });
+    }
+
+    function fromHTML(html) {
+        const template = document.createElement("template");
+        template.innerHTML = html;
+        return segments(template.content);
+    }
+
+    // { wps, source } with source "measured", "profile" or "default".
+    function rate(measuredWps) {
+        if (measuredWps > 0)
+            return { wps: measuredWps, source: "measured" };
+        if (typeof PresenterProfiles !== "undefined") {
+            const profile = PresenterProfiles.active();
+            if (profile && profile.wps > 0)
+                return { wps: profile.wps, source: "profile" };
+        }
+        return { wps: DEFAULT_WPS, source: "default" };
+    }
+
+    // Estimated duration and start of each segment, and with a target (seconds),
+    // each segment's back-time and the whole script's over (positive) or under time.
+    function plan(list, wps, target) {
+        let total = 0;
+        const planned = list.map(function (segment) {
+            const seconds = segment.words / wps,
+                entry = { title: segment.title, words: segment.words, target: segment.target, seconds: seconds, start: total };
+            total += seconds;
+            return entry;
+        });
+        planned.forEach(function (entry) {
+            entry.backTime = target > 0 ? target - (total - entry.start) : null;
+        });
+        return {
+            segments: planned,
+            seconds: total,
+            target: target > 0 ? target : 0,
+            overUnder: target > 0 ? total - target : null
+        };
+    }
+
+    // "1:05", "1:02:05" or, signed, "+1:05" and "-0:20".
+    function format(seconds, signed) {
+        const sign = seconds < 0 ? "-" : signed ? "+" : "";
+        seconds = Math.round(Math.abs(seconds));
+        const hours = Math.floor(seconds / 3600),
+            minutes = Math.floor(seconds / 60) % 60;
+        seconds = seconds % 60;
+        return sign + (hours > 0 ? hours + ":" + (minutes < 10 ? "0" : "") : "") + minutes + ":" + (seconds < 10 ? "0" : "") + seconds;
+    }
+
+    // Accepts seconds ("95"), "1:35" or "0:01:35". Anything else is no duration (0).
+    function parse(text) {
+        const parts = String(text).trim().split(":");
+        let seconds = 0;
+        if (parts.length > 3)
+            return 0;
+        for (let i = 0; i < parts.length; i++) {
+            if (!/^\d+$/.test(parts[i]))
+                return 0;
+            seconds = seconds * 60 + parseInt(parts[i], 10);
+        }
+        return seconds;
+    }
+
+    window.Timing = {
+        DEFAULT_WPS: DEFAULT_WPS,
+        countWords: countWords,
+        segments: segments,
+        fromHTML: fromHTML,
+        isInTag: isInTag,
+        rate: rate,
+        plan: plan,
+        format: format,
+        parse: parse
+    };
+})();
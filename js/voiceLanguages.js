@@ -0,0 +1,161 @@
+/**
+ * Perfis de idioma para o sistema de sincronização por voz
+ *
+ * Cada roteiro tem um idioma (propriedade "language" no SIDEBAR). O perfil do
+ * idioma define:
+ *   - recognizerLang: idioma enviado ao reconhecedor (Web Speech)
+ *   - contractions:   contrações expandidas antes da comparação, aplicadas igualmente
+ *                     no roteiro e na fala ("don't" -> "do not", "pra" -> "para")
+ *   - linkMarkers:    marcadores padrão de entrada/saída de link; as regras usadas no
+ *                     LINK_CONFIG são editáveis e partem destes (js/linkRules.js)
+ *
+ * Números, moedas, datas e abreviações são escritos por extenso no idioma do perfil
+ * (js/speechNormalizer.js), para que "3" no roteiro case com "três" na fala.
+ *
+ * Acentos são removidos em todos os idiomas: os reconhecedores não são consistentes
+ * com diacríticos e o roteiro passa pela mesma normalização.
+ *
+ * Uso:
+ *   const perfil = VoiceLanguages.get('es-MX');   // perfil "es", recognizerLang "es-MX"
+ *   VoiceLanguages.normalize('Tengo 3 hijos', perfil);
+ */
+
+(function () {
+    "use strict";
+
+    const DEFAULT = 'pt-BR';
+
+    // Marcadores comuns a todos os idiomas
+    const CAMERA_MARKER = /\(\(\s*CAM\s*\d*\s*\)\)/i;  // ((CAM 1)) geralmente indica volta pro estúdio
+
+    const PROFILES = {
+        pt: {
+            code: 'pt-BR',
+            name: 'Português',
+            contractions: [
+                [/\bpras\b/g, 'para as'],
+                [/\bpros\b/g, 'para os'],
+                [/\bpra\b/g, 'para'],
+                [/\bpro\b/g, 'para o'],
+                [/\bd'/g, 'de ']
+            ],
+            linkMarkers: {
+                entry: [
+                    /\(\s*ABRE\s+LINK\s*\)/i,
+                    /\(\s*LINK\s*\)/i,
+                    /\(\(\s*ABRE\s+LINK\s*\)\)/i,
+                    /\(\s*ABRE\s+SOM\s+DO\s+LINK\s*\)/i,
+                    /\(\s*ABRE\s+SOM\s+LINK\s*\)/i,
+                    /\(\(\s*LINK\s*\)\)/i,
+                    /\(LINK\s+LINK\s+LINK/i
+                ],
+                exit: [
+                    /DEIXA\s*:/i,
+                    /\(\s*FIM\s+LINK\s*\)/i,
+                    /\(\s*VOLTA\s+\)/i,
+                    CAMERA_MARKER
+                ]
+            }
+        },
+        es: {
+            code: 'es-ES',
+            name: 'Español',
+            contractions: [
+                [/\bdel\b/g, 'de el'],
+                [/\bal\b/g, 'a el']
+            ],
+            linkMarkers: {
+                entry: [
+                    /\(\s*ABRE\s+ENLACE\s*\)/i,
+                    /\(\s*ENLACE\s*\)/i,
+                    /\(\(\s*ENLACE\s*\)\)/i,
+                    /\(\s*(EN\s+)?VIVO\s*\)/i,
+                    /\(\s*ABRE\s+(SONIDO|AUDIO)\s+(DEL\s+)?ENLACE\s*\)/i,
+                    /\(\s*(LINK|REMOTO)\s*\)/i
+                ],
+                exit: [
+                    /PIE\s*:/i,
+                    /\(\s*FIN\s+(DE\s+)?ENLACE\s*\)/i,
+                    /\(\s*VUELVE\s*\)/i,
+                    /\(\s*(VUELTA|REGRESO)\s+A\s+ESTUDIO\s*\)/i,
+                    CAMERA_MARKER
+                ]
+            }
+        },
+        en: {
+            code: 'en-US',
+            name: 'English',
+            contractions: [
+                [/\bwon't\b/g, 'will not'],
+                [/\bcan't\b/g, 'can not'],
+                [/\bcannot\b/g, 'can not'],
+                [/n't\b/g, ' not'],
+                [/'re\b/g, ' are'],
+                [/'ve\b/g, ' have'],
+                [/'ll\b/g, ' will'],
+                [/'m\b/g, ' am'],
+                [/'d\b/g, ' would'],
+                [/\blet's\b/g, 'let us'],
+                [/\b(it|that|there|here|what|who|where|he|she)'s\b/g, '$1 is']
+            ],
+            linkMarkers: {
+                entry: [
+                    /\(\s*(OPEN\s+)?LINK\s*\)/i,
+                    /\(\(\s*LINK\s*\)\)/i,
+                    /\(\s*(GO\s+TO\s+)?LIVE\s*\)/i,
+                    /\(\s*REMOTE\s*\)/i,
+                    /\(\s*(SOT|PKG|PACKAGE)\s*\)/i
+                ],
+                exit: [
+                    /OUT\s*CUE\s*:/i,
+                    /OUTQ\s*:/i,
+                    /\(\s*END\s+(LINK|LIVE|SOT|PKG|PACKAGE)\s*\)/i,
+                    /\(\s*BACK\s+TO\s+(STUDIO|ANCHOR)\s*\)/i,
+                    CAMERA_MARKER
+                ]
+            }
+        }
+    };
+
+    // Perfil do idioma: 'es-MX' usa o perfil 'es' mas mantém o código no reconhecedor
+    function get(codigo) {
+        codigo = codigo || DEFAULT;
+        const base = codigo.split(/[-_]/)[0].toLowerCase();
+        const perfil = PROFILES[base];
+        if (!perfil) {
+            console.warn(`Idioma sem perfil de voz: "${codigo}", usando ${DEFAULT}`);
+            return get(DEFAULT);
+        }
+        return Object.assign({}, perfil, {
+            id: base,
+            recognizerLang: codigo.indexOf('-') > 0 ? codigo : perfil.code
+        });
+    }
+
+    function list() {
+        return Object.keys(PROFILES).map(function (id) {
+            return { id: id, code: PROFILES[id].code, name: PROFILES[id].name };
+        });
+    }
+
+    // Normaliza texto (roteiro ou fala) para comparação no idioma do perfil
+    function normalize(texto, perfil) {
+        perfil = perfil || get(DEFAULT);
+        let resultado = texto.toLocaleLowerCase(perfil.recognizerLang).replace(/[\u2018\u2019\u02bc]/g, "'");
+        for (const regra of perfil.contractions) {
+            resultado = resultado.replace(regra[0], regra[1]);
+        }
+        return SpeechNormalizer.expand(resultado, perfil)
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[-\/]/g, ' ')
+            .replace(/[^\w\s]/g, '')
+            .trim();
+    }
+
+    window.VoiceLanguages = {
+        get: get,
+        list: list,
+        normalize: normalize,
+        DEFAULT: DEFAULT
+    };
+}());
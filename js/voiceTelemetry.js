@@ -0,0 +1,188 @@
+/**
+ * Telemetria do sistema de sincronização por voz
+ *
+ * Carregado nas duas pontas:
+ *   - teleprompter.html: o motor (speechRecognition.js) registra eventos da sessão
+ *     e informa o estado atual; a cada FLUSH_MS o lote segue para o editor
+ *     (window.teleprompterSendTelemetry, comando voiceTelemetry).
+ *   - index.html: o editor recebe os lotes (receive), mostra o estado no painel
+ *     do operador e guarda o log das últimas sessões no localStorage.
+ *
+ * Log (JSON lines, uma linha por evento):
+ *   {"session":"lq3x9a","t":1520,"time":"2026-10-19T21:04:11.520Z","event":"state","from":"SEARCHING","to":"LOCKED","index":12}
+ *   t = ms desde o início da sessão
+ *
+ * Estado (painel): { state, driver, speakerMode, confidence, velocity, misses, index, paused }
+ *   driver = quem conduz o prompter: 'voice', 'manual' (operador) ou 'off'
+ */
+
+(function () {
+    "use strict";
+
+    const STORAGE_KEY = 'voiceSessionLog';
+    const FLUSH_MS = 500;
+    const MAX_SESSIONS = 5;
+    const MAX_STORED_LINES = 8000;   // Soma de todas as sessões guardadas (localStorage tem ~5MB)
+
+    // ========================================
+    // Teleprompter: registro da sessão
+    // ========================================
+    let sessao = null;
+    let pendentes = [];
+    let lerEstado = null;
+    let flushTimer = null;
+
+    function startSession(info, estado) {
+        sessao = { id: Date.now().toString(36) + Math.random().toString(36).slice(2, 5), inicio: Date.now() };
+        pendentes = [];
+        lerEstado = estado || null;
+        record('session', info);
+        if (!flushTimer) {
+            flushTimer = setInterval(flush, FLUSH_MS);
+        }
+        return sessao.id;
+    }
+
+    function record(evento, dados) {
+        if (!sessao) return;
+        const agora = Date.now();
+        pendentes.push(Object.assign({
+            session: sessao.id,
+            t: agora - sessao.inicio,
+            time: new Date(agora).toISOString(),
+            event: evento
+        }, dados));
+        // Sem editor para receber, guarda só o fim da sessão
+        if (pendentes.length > MAX_STORED_LINES) {
+            pendentes.shift();
+        }
+    }
+
+    // Estado atual do motor (null fora de uma sessão de voz); usado também no estado público do prompter
+    function status() {
+        if (!sessao || !lerEstado) return null;
+        try {
+            return lerEstado();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Envia estado + eventos pendentes ao editor
+    function flush() {
+        if (!sessao || typeof window.teleprompterSendTelemetry !== 'function') return;
+        let estado = null;
+        try {
+            estado = lerEstado ? lerEstado() : null;
+        } catch (e) {
+            console.warn('Telemetria: erro ao ler estado:', e.message);
+        }
+        window.teleprompterSendTelemetry({ session: sessao.id, status: estado, lines: pendentes });
+        pendentes = [];
+    }
+
+    // ========================================
+    // Editor: recepção, log e painel
+    // ========================================
+    let sessoes = null;      // [{ id, lines: [...] }], mais antiga primeiro
+    let salvarTimer = null;
+    const ouvintes = [];
+
+    function carregarSessoes() {
+        if (sessoes) return sessoes;
+        try {
+            const salvo = localStorage.getItem(STORAGE_KEY);
+            sessoes = salvo ? JSON.parse(salvo) : [];
+        } catch (e) {
+            sessoes = [];
+        }
+        if (!Array.isArray(sessoes)) sessoes = [];
+        return sessoes;
+    }
+
+    // Descarta sessões antigas e, se ainda assim passar do limite, o início da mais antiga
+    function limitarSessoes() {
+        while (sessoes.length > MAX_SESSIONS) sessoes.shift();
+        let total = sessoes.reduce(function (soma, s) { return soma + s.lines.length; }, 0);
+        while (total > MAX_STORED_LINES && sessoes.length > 1) {
+            total -= sessoes.shift().lines.length;
+        }
+        if (total > MAX_STORED_LINES) {
+            sessoes[0].lines = sessoes[0].lines.slice(total - MAX_STORED_LINES);
+        }
+    }
+
+    function salvarSessoes() {
+        salvarTimer = null;
+        limitarSessoes();
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(sessoes));
+        } catch (e) {
+            console.error('Erro ao salvar log de voz:', e);
+        }
+    }
+
+    // Não perde o último lote se o editor fechar antes do salvamento agendado
+    window.addEventListener('beforeunload', function () {
+        if (salvarTimer) {
+            clearTimeout(salvarTimer);
+            salvarSessoes();
+        }
+    });
+
+    function receive(lote) {
+        if (!lote || !lote.session) return;
+        if (lote.lines && lote.lines.length > 0) {
+            carregarSessoes();
+            let atual = sessoes.find(function (s) { return s.id === lote.session; });
+            if (!atual) {
+                atual = { id: lote.session, lines: [] };
+                sessoes.push(atual);
+            }
+            atual.lines.push.apply(atual.lines, lote.lines);
+            if (!salvarTimer) {
+                salvarTimer = setTimeout(salvarSessoes, 2000);
+            }
+        }
+        ouvintes.forEach(function (ouvinte) {
+            ouvinte(lote.status, lote.session);
+        });
+    }
+
+    // fn(status, sessionId) a cada lote recebido
+    function onStatus(fn) {
+        ouvintes.push(fn);
+    }
+
+    function listSessions() {
+        return carregarSessoes().map(function (s) {
+            return {
+                id: s.id,
+                lines: s.lines.length,
+                start: s.lines.length > 0 ? s.lines[0].time : null
+            };
+        });
+    }
+
+    // Log de uma sessão (a mais recente por padrão) em JSON lines
+    function exportSession(id) {
+        const lista = carregarSessoes();
+        const s = id ? lista.find(function (item) { return item.id === id; }) : lista[lista.length - 1];
+        if (!s) return '';
+        return s.lines.map(function (linha) { return JSON.stringify(linha); }).join('\n') + '\n';
+    }
+
+    window.VoiceTelemetry = {
+        STORAGE_KEY: STORAGE_KEY,
+        // Teleprompter
+        startSession: startSession,
+        record: record,
+        flush: flush,
+        status: status,
+        // Editor
+        receive: receive,
+        onStatus: onStatus,
+        listSessions: listSessions,
+        exportSession: exportSession
+    };
+}());
@@ -0,0 +1,281 @@
+/**
+ * Alinhamento palavra a palavra entre a fala e o roteiro
+ *
+ * Em vez de comparar a janela falada com o texto inteiro de cada elemento,
+ * o roteiro é achatado num índice de palavras (na ordem do documento) e a fala
+ * é alinhada contra ele com Smith-Waterman sobre tokens. O resultado aponta a
+ * palavra exata onde o apresentador está, com um score de confiança.
+ *
+ * Cada token do índice guarda:
+ *   - norm:          palavra normalizada (mesma normalização aplicada à fala)
+ *   - node/start/end: nó de texto e posição (para montar um Range da palavra)
+ *   - elementIndex:  índice do elemento legível mais externo que contém a palavra
+ *                    (mesma lista usada pelo motor: p, h1..h6, li, span...)
+ *   - wordInElement: posição da palavra dentro desse elemento
+ *
+ * Uso:
+ *   const indice = WordAligner.buildIndex(prompt, { selector, normalize, isIgnored });
+ *   const r = WordAligner.align(['boa', 'tarde'], indice, { from, to });
+ *   // r = { tokenIndex, token, elementIndex, wordInElement, confidence, matches, ... }
+ */
+
+(function () {
+    "use strict";
+
+    // Pontuação do alinhamento local
+    const SCORES = {
+        match: 2,        // palavra igual
+        fuzzy: 1,        // palavra parecida (erro de reconhecimento, plural, conjugação)
+        mismatch: -1,
+        gap: -1,         // palavra pulada no roteiro ou palavra extra na fala
+        fuzzyRatio: 0.75 // similaridade mínima (Levenshtein) para contar como parecida
+    };
+
+    // Distância de edição com limite (retorna limite + 1 se passar)
+    function levenshtein(a, b, limite) {
+        if (Math.abs(a.length - b.length) > limite) return limite + 1;
+        let anterior = new Array(b.length + 1);
+        let atual = new Array(b.length + 1);
+        for (let j = 0; j <= b.length; j++) anterior[j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            atual[0] = i;
+            let menorDaLinha = atual[0];
+            for (let j = 1; j <= b.length; j++) {
+                const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+                atual[j] = Math.min(anterior[j] + 1, atual[j - 1] + 1, anterior[j - 1] + custo);
+                if (atual[j] < menorDaLinha) menorDaLinha = atual[j];
+            }
+            if (menorDaLinha > limite) return limite + 1;
+            const troca = anterior;
+            anterior = atual;
+            atual = troca;
+        }
+        return anterior[b.length];
+    }
+
+    // Pontua a comparação de uma palavra falada com uma palavra do roteiro
+    function pontuar(falada, roteiro, scores) {
+        if (falada === roteiro) return scores.match;
+        const maior = Math.max(falada.length, roteiro.length);
+        if (maior < 4) return scores.mismatch;
+        const limite = Math.floor(maior * (1 - scores.fuzzyRatio));
+        return levenshtein(falada, roteiro, limite) <= limite ? scores.fuzzy : scores.mismatch;
+    }
+
+    // Monta o índice achatado de palavras do roteiro
+    // opcoes.selector:  elementos legíveis (mesma lista do motor de voz)
+    // opcoes.normalize: função de normalização (a mesma usada na fala)
+    // opcoes.isIgnored: function(elemento) -> true para tags técnicas
+    // opcoes.minLength: tamanho mínimo da palavra normalizada (padrão 2)
+    // opcoes.maxJoin:   máximo de palavras normalizadas juntas numa expressão (padrão 4)
+    function buildIndex(prompt, opcoes) {
+        const normalize = opcoes.normalize || (t => t.toLowerCase());
+        const isIgnored = opcoes.isIgnored || (() => false);
+        const minLength = opcoes.minLength || 2;
+        const maxJoin = opcoes.maxJoin || 4;
+        const elementos = prompt.querySelectorAll(opcoes.selector);
+        const posicao = new Map();
+        for (let i = 0; i < elementos.length; i++) posicao.set(elementos[i], i);
+
+        const tokens = [];
+        const contagemPorElemento = new Map();
+        const ignorados = new Map();
+
+        const ignorado = function (elemento) {
+            if (!ignorados.has(elemento)) ignorados.set(elemento, !!isIgnored(elemento));
+            return ignorados.get(elemento);
+        };
+
+        // Palavras do roteiro na ordem do documento (cada palavra pode estar no seu próprio span)
+        const palavras = [];
+        const doc = prompt.ownerDocument;
+        const walker = doc.createTreeWalker(prompt, 4 /* NodeFilter.SHOW_TEXT */, null, false);
+        let node;
+        while ((node = walker.nextNode())) {
+            // Elemento legível mais externo que contém o texto; descarta se algum for tag
+            let elementIndex = -1;
+            let descartar = false;
+            for (let e = node.parentNode; e && e !== prompt; e = e.parentNode) {
+                if (!posicao.has(e)) continue;
+                if (ignorado(e)) {
+                    descartar = true;
+                    break;
+                }
+                elementIndex = posicao.get(e);
+            }
+            if (descartar || elementIndex < 0) continue;
+
+            const texto = node.nodeValue;
+            const regex = /\S+/g;
+            let m;
+            while ((m = regex.exec(texto))) {
+                palavras.push({ texto: m[0], node: node, start: m.index, end: m.index + m[0].length, elementIndex: elementIndex });
+            }
+        }
+
+        // Normaliza em unidades: palavras vizinhas que só fazem sentido juntas
+        // ("R$ 3,5 bilhões", "15 %") são normalizadas como uma expressão só
+        const normalizadas = new Map();
+        const normalizar = function (texto) {
+            if (!normalizadas.has(texto)) normalizadas.set(texto, normalize(texto).split(/\s+/).filter(p => p.length > 0));
+            return normalizadas.get(texto);
+        };
+
+        let i = 0;
+        while (i < palavras.length) {
+            const primeira = palavras[i];
+            let texto = primeira.texto;
+            let partes = normalizar(texto);
+            let j = i + 1;
+            while (j < palavras.length && j - i < maxJoin && palavras[j].elementIndex === primeira.elementIndex) {
+                const juntas = normalize(texto + ' ' + palavras[j].texto).split(/\s+/).filter(p => p.length > 0);
+                if (juntas.join(' ') === partes.concat(normalizar(palavras[j].texto)).join(' ')) break;
+                texto += ' ' + palavras[j].texto;
+                partes = juntas;
+                j++;
+            }
+
+            // Tokens da unidade apontam para a primeira palavra (destaque e scroll)
+            for (const norm of partes) {
+                if (norm.length < minLength) continue;
+                const wordInElement = contagemPorElemento.get(primeira.elementIndex) || 0;
+                contagemPorElemento.set(primeira.elementIndex, wordInElement + 1);
+                tokens.push({
+                    norm: norm,
+                    node: primeira.node,
+                    start: primeira.start,
+                    end: primeira.end,
+                    elementIndex: primeira.elementIndex,
+                    wordInElement: wordInElement
+                });
+            }
+            i = j;
+        }
+
+        return {
+            tokens: tokens,
+            elementCount: elementos.length,
+            wordsInElement: function (elementIndex) {
+                return contagemPorElemento.get(elementIndex) || 0;
+            }
+        };
+    }
+
+    // Palavras de um texto (a fala) no mesmo formato dos tokens do índice
+    // opcoes.normalize / opcoes.minLength: os mesmos passados para buildIndex
+    function tokenize(texto, opcoes) {
+        opcoes = opcoes || {};
+        const normalize = opcoes.normalize || (t => t.toLowerCase());
+        const minLength = opcoes.minLength || 2;
+        return normalize(texto).split(/\s+/).filter(p => p.length >= minLength);
+    }
+
+    // Primeiro token cujo elemento é >= elementIndex (tokens estão em ordem de elemento)
+    function firstTokenOfElement(indice, elementIndex) {
+        let baixo = 0;
+        let alto = indice.tokens.length;
+        while (baixo < alto) {
+            const meio = (baixo + alto) >> 1;
+            if (indice.tokens[meio].elementIndex < elementIndex) baixo = meio + 1;
+            else alto = meio;
+        }
+        return baixo;
+    }
+
+    // Smith-Waterman entre as palavras faladas e os tokens [from, to) do índice
+    // Retorna a última palavra do roteiro alinhada (onde o apresentador está)
+    // opcoes.near: token de referência para desempatar frases repetidas
+    function align(palavras, indice, opcoes) {
+        opcoes = opcoes || {};
+        const scores = Object.assign({}, SCORES, opcoes.scores);
+        const tokens = indice.tokens;
+        const from = Math.max(0, opcoes.from || 0);
+        const to = Math.min(tokens.length, opcoes.to === undefined ? tokens.length : opcoes.to);
+        const m = palavras.length;
+        if (m === 0 || to <= from) return null;
+
+        // Colunas da matriz (uma por token do roteiro): score, acertos e início
+        let H = new Float64Array(m + 1);
+        let acertos = new Int32Array(m + 1);
+        let inicio = new Int32Array(m + 1);
+        let Hn = new Float64Array(m + 1);
+        let acertosN = new Int32Array(m + 1);
+        let inicioN = new Int32Array(m + 1);
+
+        let melhor = { score: 0, j: -1, matches: 0, start: -1 };
+        const near = opcoes.near;
+
+        for (let j = from; j < to; j++) {
+            const palavraRoteiro = tokens[j].norm;
+            Hn[0] = 0;
+            acertosN[0] = 0;
+            inicioN[0] = j + 1;
+            for (let i = 1; i <= m; i++) {
+                const s = pontuar(palavras[i - 1], palavraRoteiro, scores);
+
+                // Diagonal: fala i alinhada com roteiro j
+                let valor = H[i - 1] + s;
+                let ac = acertos[i - 1] + (s > 0 ? 1 : 0);
+                let ini = H[i - 1] > 0 ? inicio[i - 1] : j;
+
+                // Palavra do roteiro pulada
+                if (H[i] + scores.gap > valor) {
+                    valor = H[i] + scores.gap;
+                    ac = acertos[i];
+                    ini = inicio[i];
+                }
+                // Palavra extra na fala
+                if (Hn[i - 1] + scores.gap > valor) {
+                    valor = Hn[i - 1] + scores.gap;
+                    ac = acertosN[i - 1];
+                    ini = inicioN[i - 1];
+                }
+                if (valor <= 0) {
+                    valor = 0;
+                    ac = 0;
+                    ini = j + 1;
+                }
+                Hn[i] = valor;
+                acertosN[i] = ac;
+                inicioN[i] = ini;
+
+                // Só vale como fim de alinhamento se a palavra do roteiro foi de fato reconhecida
+                if (s > 0 && valor > 0) {
+                    const melhorou = valor > melhor.score;
+                    const empatouMaisPerto = valor === melhor.score && near !== undefined &&
+                        Math.abs(j - near) < Math.abs(melhor.j - near);
+                    if (melhorou || empatouMaisPerto) {
+                        melhor = { score: valor, j: j, matches: ac, start: ini };
+                    }
+                }
+            }
+            let troca = H; H = Hn; Hn = troca;
+            troca = acertos; acertos = acertosN; acertosN = troca;
+            troca = inicio; inicio = inicioN; inicioN = troca;
+        }
+
+        if (melhor.j < 0) return null;
+
+        const token = tokens[melhor.j];
+        return {
+            tokenIndex: melhor.j,
+            startTokenIndex: melhor.start,
+            token: token,
+            elementIndex: token.elementIndex,
+            wordInElement: token.wordInElement,
+            wordsInElement: indice.wordsInElement(token.elementIndex),
+            matches: melhor.matches,
+            score: melhor.score,
+            // Fração do máximo possível (todas as palavras faladas iguais e em sequência)
+            confidence: melhor.score / (scores.match * m)
+        };
+    }
+
+    window.WordAligner = {
+        buildIndex: buildIndex,
+        align: align,
+        tokenize: tokenize,
+        firstTokenOfElement: firstTokenOfElement,
+        SCORES: SCORES
+    };
+}());
@@ -0,0 +1,367 @@
+/*
+    Imaginary Teleprompter
+    Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+    This file is part of Imaginary Teleprompter.
+
+    Imaginary Teleprompter is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Imaginary Teleprompter is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// ZIP archives, as used by DOCX and ODT documents and by bulk exports.
+//
+// Reads stored and deflated entries. Deflate is decoded here, Electron's Chromium has
+// no DecompressionStream. Archives are written uncompressed.
+(function () {
+    "use strict";
+
+    const END_OF_DIRECTORY = 0x06054b50,
+        DIRECTORY_ENTRY = 0x02014b50,
+        LOCAL_HEADER = 0x04034b50;
+
+    // DEFLATE (RFC 1951) length and distance codes: base values and extra bits.
+    const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258],
+        LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+        DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577],
+        DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13],
+        CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+    // Limits on what an entry may inflate to, whatever size it declares: DEFLATE can't do better
+    // than 1032 to 1, and no script comes near the absolute cap.
+    const MAX_RATIO = 1032,
+        MAX_INFLATED = 64 * 1024 * 1024;
+
+    // Canonical Huffman code from code lengths: how many codes of each length, and the
+    // symbols in code order.
+    function huffman(lengths) {
+        const counts = new Uint16Array(16),
+            offsets = new Uint16Array(16),
+            symbols = new Uint16Array(lengths.length);
+        for (let i = 0; i < lengths.length; i++)
+            counts[lengths[i]]++;
+        counts[0] = 0;
+        for (let i = 1; i < 15; i++)
+            offsets[i + 1] = offsets[i] + counts[i];
+        for (let i = 0; i < lengths.length; i++)
+            if (lengths[i] !== 0)
+                symbols[offsets[lengths[i]]++] = i;
+        return { counts: counts, symbols: symbols };
+    }
+
+    let fixedCodes = null;
+
+    function getFixedCodes() {
+        if (fixedCodes === null) {
+            const lengths = new Uint8Array(288);
+            lengths.fill(8, 0, 144);
+            lengths.fill(9, 144, 256);
+            lengths.fill(7, 256, 280);
+            lengths.fill(8, 280, 288);
+            fixedCodes = { literals: huffman(lengths), distances: huffman(new Uint8Array(30).fill(5)) };
+        }
+        return fixedCodes;
+    }
+
+    // Decompresses raw DEFLATE "data" (Uint8Array), "size" being the expected output size.
+    // Throws past MAX_RATIO times the compressed size or MAX_INFLATED bytes.
+    function inflate(data, size) {
+        const limit = Math.min(data.length * MAX_RATIO, MAX_INFLATED);
+        let output = new Uint8Array(Math.min(size > 0 ? size : data.length * 4, limit)),
+            length = 0,
+            position = 0,
+            bitBuffer = 0,
+            bitCount = 0;
+
+        function bits(count) {
+            while (bitCount < count) {
+                if (position >= data.length)
+                    throw new Error("Truncated compressed data");
+                bitBuffer |= data[position++] << bitCount;
+                bitCount += 8;
+            }
+            const value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        }
+
+        function decode(code) {
+            let value = 0,
+                first = 0,
+                index = 0;
+            for (let bitLength = 1; bitLength < 16; bitLength++) {
+                value |= bits(1);
+                const count = code.counts[bitLength];
+                if (value - count < first)
+                    return code.symbols[index + value - first];
+                index += count;
+                first = (first + count) << 1;
+                value <<= 1;
+            }
+            throw new Error("Invalid compressed data");
+        }
+
+        function reserve(count) {
+            if (length + count <= output.length)
+                return;
+            if (length + count > limit)
+                throw new Error("Compressed data too large");
+            const grown = new Uint8Array(Math.min(Math.max(output.length * 2, length + count), limit));
+            grown.set(output.subarray(0, length));
+            output = grown;
+        }
+
+        function readDynamicCodes() {
+            const literalCount = bits(5) + 257,
+                distanceCount = bits(5) + 1,
+                codeLengthCount = bits(4) + 4,
+                codeLengths = new Uint8Array(19),
+                lengths = new Uint8Array(literalCount + distanceCount);
+            for (let i = 0; i < codeLengthCount; i++)
+                codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+            const lengthCode = huffman(codeLengths);
+            for (let i = 0; i < lengths.length;) {
+                const symbol = decode(lengthCode);
+                if (symbol < 16) {
+                    lengths[i++] = symbol;
+                    continue;
+                }
+                let repeat, value = 0;
+                if (symbol === 16) {
+                    if (i === 0)
+                        throw new Error("Invalid compressed data");
+                    value = lengths[i - 1];
+                    repeat = 3 + bits(2);
+                }
+                else if (symbol === 17)
+                    repeat = 3 + bits(3);
+                else
+                    repeat = 11 + bits(7);
+                if (i + repeat > lengths.length)
+                    throw new Error("Invalid compressed data");
+                lengths.fill(value, i, i + repeat);
+                i += repeat;
+            }
+            return {
+                literals: huffman(lengths.subarray(0, literalCount)),
+                distances: huffman(lengths.subarray(literalCount))
+            };
+        }
+
+        let last = 0;
+        while (!last) {
+            last = bits(1);
+            const type = bits(2);
+            if (type === 0) {
+                // Stored block, byte aligned.
+                bitBuffer = 0;
+                bitCount = 0;
+                if (position + 4 > data.length)
+                    throw new Error("Truncated compressed data");
+                const stored = data[position] | (data[position + 1] << 8);
+                position += 4;
+                if (position + stored > data.length)
+                    throw new Error("Truncated compressed data");
+                reserve(stored);
+                output.set(data.subarray(position, position + stored), length);
+                length += stored;
+                position += stored;
+                continue;
+            }
+            if (type === 3)
+                throw new Error("Invalid compressed data");
+            const codes = type === 1 ? getFixedCodes() : readDynamicCodes();
+            for (;;) {
+                const symbol = decode(codes.literals);
+                if (symbol < 256) {
+                    reserve(1);
+                    output[length++] = symbol;
+                    continue;
+                }
+                if (symbol === 256)
+                    break;
+                const lengthCode = symbol - 257;
+                if (lengthCode >= LENGTH_BASE.length)
+                    throw new Error("Invalid compressed data");
+                const count = LENGTH_BASE[lengthCode] + bits(LENGTH_EXTRA[lengthCode]),
+                    distanceCode = decode(codes.distances);
+                if (distanceCode >= DISTANCE_BASE.length)
+                    throw new Error("Invalid compressed data");
+                const distance = DISTANCE_BASE[distanceCode] + bits(DISTANCE_EXTRA[distanceCode]);
+                if (distance > length)
+                    throw new Error("Invalid compressed data");
+                reserve(count);
+                // Copies may overlap their own output.
+                for (let i = 0; i < count; i++, length++)
+                    output[length] = output[length - distance];
+            }
+        }
+        return output.subarray(0, length);
+    }
+
+    function readUint16(bytes, offset) {
+        return bytes[offset] | (bytes[offset + 1] << 8);
+    }
+
+    function readUint32(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    // Opens the archive in "buffer" (ArrayBuffer). Returns { names, has(name), bytes(name), text(name) }.
+    function read(buffer) {
+        const bytes = new Uint8Array(buffer),
+            decoder = new TextDecoder("utf-8"),
+            entries = {},
+            names = [];
+        // The end of central directory record is last, before a comment of up to 64KB.
+        let end = -1;
+        for (let i = bytes.length - 22; i >= 0 && i >= bytes.length - 22 - 0xffff; i--)
+            if (readUint32(bytes, i) === END_OF_DIRECTORY) {
+                end = i;
+                break;
+            }
+        if (end === -1)
+            throw new Error("Not a ZIP archive");
+        const count = readUint16(bytes, end + 10);
+        let offset = readUint32(bytes, end + 16);
+        for (let i = 0; i < count; i++) {
+            if (readUint32(bytes, offset) !== DIRECTORY_ENTRY)
+                throw new Error("Damaged ZIP archive");
+            const nameLength = readUint16(bytes, offset + 28),
+                name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            entries[name] = {
+                method: readUint16(bytes, offset + 10),
+                compressedSize: readUint32(bytes, offset + 20),
+                size: readUint32(bytes, offset + 24),
+                header: readUint32(bytes, offset + 42)
+            };
+            names.push(name);
+            offset += 46 + nameLength + readUint16(bytes, offset + 30) + readUint16(bytes, offset + 32);
+        }
+
+        function getBytes(name) {
+            const entry = entries[name];
+            if (!entry)
+                throw new Error("Missing " + name);
+            if (readUint32(bytes, entry.header) !== LOCAL_HEADER)
+                throw new Error("Damaged ZIP archive");
+            const start = entry.header + 30 + readUint16(bytes, entry.header + 26) + readUint16(bytes, entry.header + 28),
+                data = bytes.subarray(start, start + entry.compressedSize);
+            if (entry.method === 0)
+                return data;
+            if (entry.method === 8)
+                return inflate(data, entry.size);
+            throw new Error("Unsupported compression in " + name);
+        }
+
+        return {
+            names: names,
+            has: function (name) {
+                return entries.hasOwnProperty(name);
+            },
+            bytes: getBytes,
+            text: function (name) {
+                return decoder.decode(getBytes(name));
+            }
+        };
+    }
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (crcTable === null) {
+            crcTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let value = i;
+                for (let bit = 0; bit < 8; bit++)
+                    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+                crcTable[i] = value;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++)
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function writeUint16(bytes, offset, value) {
+        bytes[offset] = value & 0xff;
+        bytes[offset + 1] = (value >>> 8) & 0xff;
+    }
+
+    function writeUint32(bytes, offset, value) {
+        writeUint16(bytes, offset, value & 0xffff);
+        writeUint16(bytes, offset + 2, value >>> 16);
+    }
+
+    // Archive of "files", [{ name, data }] with data a string or a Uint8Array. Returns a Uint8Array.
+    function create(files) {
+        const encoder = new TextEncoder(),
+            now = new Date(),
+            time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1),
+            date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate(),
+            entries = files.map(function (file) {
+                const data = typeof file.data === "string" ? encoder.encode(file.data) : file.data;
+                return { name: encoder.encode(file.name), data: data, crc: crc32(data), offset: 0 };
+            });
+        let size = 22;
+        entries.forEach(function (entry) {
+            size += 30 + 46 + 2 * entry.name.length + entry.data.length;
+        });
+        const bytes = new Uint8Array(size);
+        let offset = 0;
+
+        // Fields shared by local headers (from "at") and directory entries (from "at" + 2).
+        function writeCommon(at, entry) {
+            writeUint16(bytes, at, 20);
+            writeUint16(bytes, at + 2, 0x0800); // UTF-8 names
+            writeUint16(bytes, at + 4, 0); // stored
+            writeUint16(bytes, at + 6, time);
+            writeUint16(bytes, at + 8, date);
+            writeUint32(bytes, at + 10, entry.crc);
+            writeUint32(bytes, at + 14, entry.data.length);
+            writeUint32(bytes, at + 18, entry.data.length);
+            writeUint16(bytes, at + 22, entry.name.length);
+        }
+
+        entries.forEach(function (entry) {
+            entry.offset = offset;
+            writeUint32(bytes, offset, LOCAL_HEADER);
+            writeCommon(offset + 4, entry);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+        const directory = offset;
+        entries.forEach(function (entry) {
+            writeUint32(bytes, offset, DIRECTORY_ENTRY);
+            writeUint16(bytes, offset + 4, 20);
+            writeCommon(offset + 6, entry);
+            writeUint32(bytes, offset + 42, entry.offset);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+        writeUint32(bytes, offset, END_OF_DIRECTORY);
+        writeUint16(bytes, offset + 8, entries.length);
+        writeUint16(bytes, offset + 10, entries.length);
+        writeUint32(bytes, offset + 12, offset - directory);
+        writeUint32(bytes, offset + 16, directory);
+        return bytes;
+    }
+
+    window.Zip = {
+        read: read,
+        create: create,
+        inflate: inflate
+    };
+})();
@@ -108,8 +108,7 @@ function handleSquirrelEvent() {
 let mainWindow = null,
 	externalPrompt = null,
 	licenseWindow = null,
-	tic = 0,
-	toc = 1;
+	canvasSync = null;
 
 function createMainWindow () {
 	if (process.platform === 'win32')
@@ -160,20 +159,12 @@ app.on('ready', () => {
 	imageServer();
 });
 
-// Frame skip forlternative sync
-function frameSkip() {
-	tic--;
-	if (tic<0)
-		tic=toc;
-	return tic===toc;
-}
-
 // Inter Process Communication
 // Send a message to the renderer process...
 ipcMain.on('asynchronous-message', (event, arg) => {
 	// console.log(arg);
 	if (arg === "network") {
-		// runSocket(event);
+		runSocket(event);
 	}
 	else if (arg === "openInstance") {
 		externalPrompt = new BrowserWindow({
@@ -195,22 +186,12 @@ ipcMain.on('asynchronous-message', (event, arg) => {
 		console.log(indexURL);
 		externalPrompt.loadURL(indexURL);
 		externalPrompt.setIgnoreMouseEvents(false);
-		externalPrompt.webContents.setFrameRate(30);
-		externalPrompt.webContents.on('paint', (updateEvent, dirty, image) => {
-			// Frame sipping on canvas
-			if (frameSkip()) {
-				// Get pointer to image from canvas.
-				const size = externalPrompt.getSize(),
-					bitmap = image.getBitmap();
-				event.sender.send('asynchronous-reply',{ 'option':'c', 'dirty':dirty, 'size':size, 'bitmap':bitmap });
-				// Documentation
-				// https://electron.atom.io/docs/tutorial/offscreen-rendering/
-				// Known issues
-				// https://github.com/electron/electron/issues/7350
-				// https://github.com/electron/electron/issues/8051
-			}
-		});
+		// Paint the offscreen prompter into the editor's canvas.
+		// https://electron.atom.io/docs/tutorial/offscreen-rendering/
+		canvasSync = require('./canvasSync.js').attach(externalPrompt.webContents, event.sender);
 		externalPrompt.on('closed', () =>{
+			canvasSync.stop();
+			canvasSync = null;
 			externalPrompt = null;
 			if (mainWindow!==null)
 				mainWindow.webContents.send('asynchronous-reply', {option:'restoreEditor'});
@@ -222,6 +203,11 @@ ipcMain.on('asynchronous-message', (event, arg) => {
 	}
 	else if (arg === "prepareLinks")
 		event.sender.send('asynchronous-reply',{'option':'prepareLinks'});
+	// The editor drew a canvas frame, the next one may leave.
+	else if (arg.option === "canvasAck") {
+		if (canvasSync!==null)
+			canvasSync.ack(arg.seq);
+	}
 	else {
 		if (externalPrompt!==null) {
 			console.log(arg);
@@ -388,54 +374,26 @@ function imageServer() {
 
 // REMOTE CONTROL BEGINS
 
-// Get computer IPs for remote control
-function getIP() {
-	var os = require('os');
-	var nets = os.networkInterfaces();
-	for ( var a in nets) {
-		var ifaces = nets[a];
-		for ( var o in ifaces) {
-		if (ifaces[o].family == "IPv4" && !ifaces[o].internal) {
-			return ifaces[o].address;
-		}
-		}
-	}
-	return null;
-}
+// Phones load the controller page and open the WebSocket on this port.
+const remotePort = 3000;
+let remoteServer = null;
 
 // Remote control server
-// function runSocket(event) {
-// 	var ip = getIP();
-// 	if(ip){
-// 	  var app2 = require('express')();
-// 	  var http = require('http').Server(app2);
-// 	  var bonjour = require('bonjour')();
-// 	  var io = require('socket.io')(http);
-
-// 	  io.sockets.on('connection', function (socket) {
-// 		socket.on('command',function(res){
-// 			if(res.hasOwnProperty('key') > 0){
-// 			  event.sender.send('asynchronous-reply',{'option':'command','data':res});
-// 			}
-// 		});
-// 		socket.on('disconnect', function () {});
-// 	  });
-
-// 	  http.listen(3000, function(){
-// 		event.sender.send('asynchronous-reply',{'option':'qr','data':ip});
-// 		//console.log('http://' + ip + ':3000/');
-// 	  });
-
-// 	  bonjour.publish({ name: 'Teleprompter', type: 'http', port: 3000 });
-// 	  bonjour.find({ type: 'http' }, function (service) {
-// 		//console.log('Found an HTTP server:'+ service);
-// 		event.sender.send('asynchronous-reply',{'option':'qr','data':service.host});
-// 	  });
-// 	}else{
-// 	  setTimeout(function(){
-// 		runSocket(event);
-// 	  }, 1000);
-// 	}
-// }
+function runSocket(event) {
+	const reply = () => {
+		if (!event.sender.isDestroyed())
+			event.sender.send('asynchronous-reply', {'option':'remoteServer', 'data':{'port':remoteServer.address().port}});
+	};
+	if (remoteServer === null) {
+		remoteServer = require('./remoteServer.js').createServer(remotePort, reply);
+		remoteServer.on('error', (err) => {
+			console.log('Remote control server error: ' + err.message);
+			remoteServer = null;
+		});
+	}
+	// Editor reloaded, tell it where the running server is.
+	else if (remoteServer.listening)
+		reply();
+}
 
 // REMOTE CONTROL ENDS
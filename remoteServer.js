@@ -0,0 +1,557 @@
+/*
+	Imaginary Teleprompter
+	Copyright (C) 2015 Imaginary Sense Inc. and contributors
+
+	This file is part of Imaginary Teleprompter.
+
+	Imaginary Teleprompter is free software: you can redistribute it and/or modify
+	it under the terms of the GNU General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Imaginary Teleprompter is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU General Public License for more details.
+
+	You should have received a copy of the GNU General Public License
+	along with Imaginary Teleprompter.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+"use strict";
+
+// REMOTE CONTROL SERVER
+// WebSocket endpoint shared by server.js (web version) and main.js (Electron).
+//
+// Two kinds of clients connect to /remote:
+//   - host: the editor (index.html). It picks a session PIN and registers with
+//     {type:'host', pin}. Commands from paired controllers are delivered to it.
+//     The {type:'hosted', token} reply carries a token that takes the session back,
+//     {type:'host', pin, token}, while its controllers wait for the editor to return.
+//   - controller: the phone page (remote.html). It pairs with {type:'pair', pin}
+//     and then sends {type:'command', request, data}, where request is a value
+//     or a name from the editor's command enum.
+//   - follower: another editor, usually on another computer, that prompts in sync
+//     with the host (leader). It joins with {type:'follow', pin}, receives the
+//     leader's prompter state and the commands the leader relays with
+//     {type:'relay', request, data}.
+// The host keeps controllers and followers informed with {type:'status', prompting}
+// and the prompter's published state {type:'state', state, clock}.
+// Any client may send {type:'clock', t0} and gets {type:'clock', t0, t1} back, t1
+// being this server's time, to estimate its clock offset (NTP style). Leader and
+// followers stamp and age prompter states on this common clock.
+//
+// The WebSocket protocol (RFC 6455) is implemented here on top of Node's http
+// module so the remote needs no extra dependency.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const WS_PATH = '/remote';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024;
+const PING_INTERVAL = 30000;
+// Controllers wait this long for their editor to come back (page reload) before being dropped.
+const HOST_GRACE = 60000;
+// Failed pairings and host registrations allowed per address before it has to wait for the
+// window to pass.
+const MAX_PAIR_FAILURES = 5;
+const PAIR_FAILURE_WINDOW = 60000;
+
+// Commands a remote may send. Values match the command enum in editor.js and teleprompter.js.
+const COMMANDS = Object.freeze({
+	"incVelocity": 1,
+	"decVelocity": 2,
+	"sync": 4,
+	"togglePlay": 5,
+	"play": 8,
+	"pause": 9,
+	"incFont": 11,
+	"decFont": 12,
+	"anchor": 13,
+	"resetTimer": 16,
+	"nextAnchor": 17,
+	"previousAnchor": 18,
+	"fastForward": 19,
+	"rewind": 20
+});
+
+// Commands a leader relays to its followers. Speed, play state and position follow
+// the leader's prompter state instead.
+const FOLLOWER_COMMANDS = [COMMANDS.incFont, COMMANDS.decFont, COMMANDS.resetTimer];
+
+// Files the built-in HTTP server hands out (Electron only, server.js serves the whole tree).
+const STATIC_FILES = {
+	'/': 'remote.html',
+	'/remote.html': 'remote.html',
+	'/js/remote.js': 'js/remote.js',
+	'/css/remote.css': 'css/remote.css',
+	'/favicon.ico': 'favicon.ico'
+};
+const MIME_TYPES = {
+	'.html': 'text/html; charset=utf-8',
+	'.js': 'application/javascript; charset=utf-8',
+	'.css': 'text/css; charset=utf-8',
+	'.ico': 'image/x-icon'
+};
+
+// Get computer IPs so the editor can point phones at a reachable address.
+function getAddresses() {
+	const addresses = [];
+	const nets = os.networkInterfaces();
+	for (const name in nets)
+		for (const iface of nets[name])
+			if (iface.family === 'IPv4' && !iface.internal)
+				addresses.push(iface.address);
+	return addresses;
+}
+
+// Wraps a raw socket after the upgrade handshake.
+class Connection {
+	constructor(socket, address) {
+		this.socket = socket;
+		this.address = address;
+		this.alive = true;
+		this.closed = false;
+		this.role = null;
+		this.session = null;
+		this.onmessage = null;
+		this.onclose = null;
+		this.buffer = Buffer.alloc(0);
+		this.fragments = [];
+		socket.on('data', (chunk) => this.receive(chunk));
+		socket.on('end', () => this.cleanup());
+		socket.on('close', () => this.cleanup());
+		socket.on('error', () => this.cleanup());
+	}
+
+	receive(chunk) {
+		this.buffer = Buffer.concat([this.buffer, chunk]);
+		while (!this.closed) {
+			const frame = this.parseFrame();
+			if (!frame)
+				break;
+			this.handleFrame(frame);
+		}
+	}
+
+	// Returns the next complete frame in the buffer, or null if more data is needed.
+	parseFrame() {
+		const buffer = this.buffer;
+		if (buffer.length < 2)
+			return null;
+		const fin = (buffer[0] & 0x80) !== 0,
+			opcode = buffer[0] & 0x0f,
+			masked = (buffer[1] & 0x80) !== 0;
+		let length = buffer[1] & 0x7f,
+			offset = 2;
+		if (length === 126) {
+			if (buffer.length < 4)
+				return null;
+			length = buffer.readUInt16BE(2);
+			offset = 4;
+		}
+		else if (length === 127) {
+			if (buffer.length < 10)
+				return null;
+			// Anything past 32 bits is far over the limit anyway.
+			length = buffer.readUInt32BE(2) > 0 ? Infinity : buffer.readUInt32BE(6);
+			offset = 10;
+		}
+		// Clients must mask their frames.
+		if (!masked) {
+			this.close(1002);
+			return null;
+		}
+		if (length > MAX_PAYLOAD) {
+			this.close(1009);
+			return null;
+		}
+		if (buffer.length < offset + 4 + length)
+			return null;
+		const mask = buffer.slice(offset, offset + 4),
+			payload = Buffer.alloc(length);
+		for (let i = 0; i < length; i++)
+			payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+		this.buffer = buffer.slice(offset + 4 + length);
+		return { fin: fin, opcode: opcode, payload: payload };
+	}
+
+	handleFrame(frame) {
+		switch (frame.opcode) {
+			case 0x0: // Continuation
+			case 0x1: // Text
+			case 0x2: // Binary
+				if (frame.opcode !== 0x0)
+					this.fragments = [];
+				this.fragments.push(frame.payload);
+				if (frame.fin) {
+					const text = Buffer.concat(this.fragments).toString('utf8');
+					this.fragments = [];
+					if (this.onmessage)
+						this.onmessage(text);
+				}
+				else if (this.fragments.reduce((total, part) => total + part.length, 0) > MAX_PAYLOAD)
+					this.close(1009);
+				break;
+			case 0x8: // Close
+				this.close(1000);
+				break;
+			case 0x9: // Ping
+				this.writeFrame(0xA, frame.payload);
+				break;
+			case 0xA: // Pong
+				this.alive = true;
+				break;
+			default:
+				this.close(1002);
+		}
+	}
+
+	writeFrame(opcode, payload) {
+		if (this.closed || this.socket.destroyed)
+			return;
+		let header;
+		if (payload.length < 126) {
+			header = Buffer.alloc(2);
+			header[1] = payload.length;
+		}
+		else if (payload.length < 65536) {
+			header = Buffer.alloc(4);
+			header[1] = 126;
+			header.writeUInt16BE(payload.length, 2);
+		}
+		else {
+			header = Buffer.alloc(10);
+			header[1] = 127;
+			header.writeUInt32BE(payload.length, 6);
+		}
+		header[0] = 0x80 | opcode;
+		this.socket.write(Buffer.concat([header, payload]));
+	}
+
+	send(message) {
+		this.writeFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+	}
+
+	ping() {
+		this.writeFrame(0x9, Buffer.alloc(0));
+	}
+
+	close(code) {
+		if (this.closed)
+			return;
+		const payload = Buffer.alloc(2);
+		payload.writeUInt16BE(code || 1000, 0);
+		this.writeFrame(0x8, payload);
+		// Let the close frame flush before the socket goes away.
+		this.socket.end();
+		this.finish();
+	}
+
+	// Drops the socket at once (errors, dead peers).
+	cleanup() {
+		if (!this.socket.destroyed)
+			this.socket.destroy();
+		this.finish();
+	}
+
+	finish() {
+		if (this.closed)
+			return;
+		this.closed = true;
+		if (this.onclose)
+			this.onclose();
+	}
+}
+
+// Attaches the remote control endpoint to an existing http.Server.
+function attach(server) {
+	const sessions = new Map(), // pin -> { host, token, controllers, followers, prompting, state, expire }
+		failures = new Map(), // address -> { count, since }
+		connections = new Set();
+
+	function port() {
+		const address = server.address();
+		return address ? address.port : null;
+	}
+
+	function isValidPin(pin) {
+		return typeof pin === 'string' && /^[0-9]{6}$/.test(pin);
+	}
+
+	function tooManyFailures(address) {
+		const record = failures.get(address);
+		if (!record)
+			return false;
+		if (Date.now() - record.since > PAIR_FAILURE_WINDOW) {
+			failures.delete(address);
+			return false;
+		}
+		return record.count >= MAX_PAIR_FAILURES;
+	}
+
+	function addFailure(address) {
+		const record = failures.get(address);
+		if (record && Date.now() - record.since <= PAIR_FAILURE_WINDOW)
+			record.count++;
+		else
+			failures.set(address, { count: 1, since: Date.now() });
+	}
+
+	// Controllers and followers of a session.
+	function clients(session) {
+		return Array.from(session.controllers).concat(Array.from(session.followers));
+	}
+
+	function notifyHost(session) {
+		if (session.host)
+			session.host.send({ type: 'controllers', count: session.controllers.size, followers: session.followers.size });
+	}
+
+	function notifyClients(session) {
+		clients(session).forEach((client) => {
+			client.send({ type: 'host', connected: session.host !== null });
+		});
+	}
+
+	function dropSession(pin) {
+		const session = sessions.get(pin);
+		if (!session)
+			return;
+		sessions.delete(pin);
+		clearTimeout(session.expire);
+		clients(session).forEach((client) => {
+			client.send({ type: 'error', reason: 'sessionEnded' });
+			client.close(1000);
+		});
+	}
+
+	// Tokens are compared as digests, which have the same byte length whatever the client sent.
+	function isSessionToken(session, token) {
+		const digest = (value) => crypto.createHash('sha256').update(value, 'utf8').digest();
+		return typeof token === 'string' && crypto.timingSafeEqual(digest(token), digest(session.token));
+	}
+
+	// Taken PINs count as failed pairings, so hosts can't look for sessions to join either.
+	function registerHost(connection, pin, token) {
+		if (tooManyFailures(connection.address)) {
+			connection.send({ type: 'error', reason: 'tooManyAttempts' });
+			return connection.close(1008);
+		}
+		if (!isValidPin(pin))
+			return connection.send({ type: 'error', reason: 'invalidPin' });
+		let session = sessions.get(pin);
+		// Sessions in use, or waiting for their editor, which alone has the token. The editor
+		// must pick a new PIN.
+		if (session && (session.host || !isSessionToken(session, token))) {
+			addFailure(connection.address);
+			return connection.send({ type: 'error', reason: 'pinUnavailable' });
+		}
+		if (!session) {
+			session = { host: null, token: crypto.randomBytes(16).toString('hex'), controllers: new Set(), followers: new Set(), expire: null };
+			sessions.set(pin, session);
+		}
+		clearTimeout(session.expire);
+		session.host = connection;
+		connection.role = 'host';
+		connection.session = pin;
+		connection.send({ type: 'hosted', pin: pin, token: session.token, port: port(), path: WS_PATH, addresses: getAddresses() });
+		notifyHost(session);
+		notifyClients(session);
+	}
+
+	// Controllers and followers join a session with its PIN.
+	function pairClient(connection, pin, role) {
+		if (tooManyFailures(connection.address)) {
+			connection.send({ type: 'error', reason: 'tooManyAttempts' });
+			return connection.close(1008);
+		}
+		const session = isValidPin(pin) ? sessions.get(pin) : undefined;
+		if (!session) {
+			addFailure(connection.address);
+			return connection.send({ type: 'error', reason: 'wrongPin' });
+		}
+		failures.delete(connection.address);
+		connection.role = role;
+		connection.session = pin;
+		if (role === 'follower')
+			session.followers.add(connection);
+		else
+			session.controllers.add(connection);
+		connection.send({ type: 'paired', host: session.host !== null });
+		if (session.host && session.prompting !== undefined)
+			connection.send({ type: 'status', prompting: session.prompting });
+		if (session.host && session.state !== undefined)
+			connection.send({ type: 'state', state: session.state, clock: session.clock });
+		notifyHost(session);
+	}
+
+	function forwardCommand(connection, message) {
+		const session = sessions.get(connection.session);
+		if (!session || !session.host)
+			return connection.send({ type: 'error', reason: 'noHost' });
+		let request = message.request;
+		if (typeof request === 'string')
+			request = COMMANDS[request];
+		if (!Object.keys(COMMANDS).some((name) => COMMANDS[name] === request))
+			return connection.send({ type: 'error', reason: 'unknownCommand' });
+		const command = { type: 'command', request: request };
+		// Anchor shortcuts carry the key that was pressed.
+		if (request === COMMANDS.anchor) {
+			if (typeof message.data !== 'string' || message.data.length === 0 || message.data.length > 16)
+				return connection.send({ type: 'error', reason: 'invalidData' });
+			command.data = message.data;
+		}
+		session.host.send(command);
+	}
+
+	function relayToFollowers(connection, message) {
+		const session = sessions.get(connection.session);
+		if (FOLLOWER_COMMANDS.indexOf(message.request) === -1)
+			return connection.send({ type: 'error', reason: 'unknownCommand' });
+		session.followers.forEach((follower) => {
+			follower.send({ type: 'command', request: message.request });
+		});
+	}
+
+	function handleMessage(connection, text) {
+		let message;
+		try {
+			message = JSON.parse(text);
+		}
+		catch (err) {
+			return connection.send({ type: 'error', reason: 'invalidMessage' });
+		}
+		if (!message || typeof message !== 'object')
+			return connection.send({ type: 'error', reason: 'invalidMessage' });
+		if (message.type === 'host' && connection.role === null)
+			registerHost(connection, message.pin, message.token);
+		else if (message.type === 'pair' && connection.role === null)
+			pairClient(connection, message.pin, 'controller');
+		else if (message.type === 'follow' && connection.role === null)
+			pairClient(connection, message.pin, 'follower');
+		else if (message.type === 'clock' && typeof message.t0 === 'number')
+			connection.send({ type: 'clock', t0: message.t0, t1: Date.now() });
+		else if (message.type === 'command' && connection.role === 'controller')
+			forwardCommand(connection, message);
+		// Editor status (prompter open or closed) is shown on the phones.
+		else if (message.type === 'status' && connection.role === 'host') {
+			const session = sessions.get(connection.session);
+			session.prompting = message.prompting === true;
+			if (!session.prompting)
+				session.state = undefined;
+			clients(session).forEach((client) => {
+				client.send({ type: 'status', prompting: session.prompting });
+			});
+		}
+		// Prompter state (position, speed, timer...), already throttled by the prompter.
+		else if (message.type === 'state' && connection.role === 'host' && message.state && typeof message.state === 'object') {
+			const session = sessions.get(connection.session);
+			session.state = message.state;
+			session.clock = typeof message.clock === 'number' ? message.clock : Date.now();
+			clients(session).forEach((client) => {
+				client.send({ type: 'state', state: session.state, clock: session.clock });
+			});
+		}
+		else if (message.type === 'relay' && connection.role === 'host')
+			relayToFollowers(connection, message);
+		else
+			connection.send({ type: 'error', reason: 'unexpectedMessage' });
+	}
+
+	function handleClose(connection) {
+		connections.delete(connection);
+		const session = sessions.get(connection.session);
+		if (!session)
+			return;
+		if (connection.role === 'host' && session.host === connection) {
+			session.host = null;
+			session.state = undefined;
+			notifyClients(session);
+			session.expire = setTimeout(() => dropSession(connection.session), HOST_GRACE);
+			if (session.expire.unref)
+				session.expire.unref();
+		}
+		else if (connection.role === 'controller' || connection.role === 'follower') {
+			session.controllers.delete(connection);
+			session.followers.delete(connection);
+			notifyHost(session);
+		}
+	}
+
+	server.on('upgrade', (request, socket) => {
+		const pathname = request.url.split('?')[0],
+			key = request.headers['sec-websocket-key'];
+		if (pathname !== WS_PATH || !key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+			socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+			return;
+		}
+		const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+		socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+			'Upgrade: websocket\r\n' +
+			'Connection: Upgrade\r\n' +
+			'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+		socket.setNoDelay(true);
+		const connection = new Connection(socket, socket.remoteAddress);
+		// Whatever a client sends, it must not throw out of the socket's data handler.
+		connection.onmessage = (text) => {
+			try {
+				handleMessage(connection, text);
+			}
+			catch (err) {
+				connection.send({ type: 'error', reason: 'invalidMessage' });
+			}
+		};
+		connection.onclose = () => handleClose(connection);
+		connections.add(connection);
+	});
+
+	// Phones drop off Wi-Fi without closing, ping to find out.
+	const heartbeat = setInterval(() => {
+		connections.forEach((connection) => {
+			if (!connection.alive)
+				return connection.cleanup();
+			connection.alive = false;
+			connection.ping();
+		});
+	}, PING_INTERVAL);
+	if (heartbeat.unref)
+		heartbeat.unref();
+	server.on('close', () => clearInterval(heartbeat));
+
+	return server;
+}
+
+// Standalone server for the Electron main process: controller page plus WebSocket endpoint.
+function createServer(port, callback) {
+	const server = http.createServer((request, response) => {
+		const file = STATIC_FILES[request.url.split('?')[0]];
+		if (!file || request.method !== 'GET') {
+			response.writeHead(404);
+			return response.end();
+		}
+		fs.readFile(path.join(__dirname, file), (err, data) => {
+			if (err) {
+				response.writeHead(500);
+				return response.end();
+			}
+			response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] });
+			response.end(data);
+		});
+	});
+	attach(server);
+	server.listen(port, '0.0.0.0', callback);
+	return server;
+}
+
+module.exports = {
+	WS_PATH: WS_PATH,
+	COMMANDS: COMMANDS,
+	attach: attach,
+	createServer: createServer,
+	getAddresses: getAddresses
+};
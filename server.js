@@ -1,5 +1,6 @@
 const express = require('express');
 const path = require('path');
+const remoteServer = require('./remoteServer.js');
 const app = express();
 const PORT = 5000;
 
@@ -11,7 +12,11 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Imaginary Teleprompter running at http://0.0.0.0:${PORT}`);
   console.log('Open the webview to access the teleprompter application');
+  console.log(`Remote control: open http://<this computer>:${PORT}/remote.html on a phone`);
 });
+
+// Remote control WebSocket endpoint (/remote)
+remoteServer.attach(server);
@@ -0,0 +1,42 @@
+"use strict";
+
+// Test fixtures: ZIP archives with deflated entries, as word processors write them.
+
+const zlib = require('zlib');
+
+// Archive of "files", [{ name, data }] with data a string or a Buffer.
+function deflatedZip(files) {
+    const parts = [],
+        directory = [];
+    let offset = 0;
+    files.forEach(function (file) {
+        const name = Buffer.from(file.name),
+            data = Buffer.from(file.data),
+            compressed = zlib.deflateRawSync(data),
+            header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt32LE(zlib.crc32(data), 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        header.copy(entry, 6, 4, 30);
+        entry.writeUInt32LE(offset, 42);
+        directory.push(entry, name);
+        parts.push(header, name, compressed);
+        offset += 30 + name.length + compressed.length;
+    });
+    const list = Buffer.concat(directory),
+        end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(list.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat(parts.concat([list, end]));
+}
+
+module.exports = deflatedZip;
@@ -0,0 +1,152 @@
+"use strict";
+
+// Word processor importers (js/documentImporters.js): RTF, DOCX and ODT, with what they drop.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const util = require('util');
+const { JSDOM } = require('jsdom');
+const deflatedZip = require('./deflatedZip.js');
+
+const { window } = new JSDOM('', { runScripts: 'outside-only' });
+window.TextEncoder = util.TextEncoder;
+window.TextDecoder = util.TextDecoder;
+for (const file of ['timing.js', 'importers.js', 'zip.js', 'documentImporters.js'])
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'));
+
+function read(name, contents) {
+    return window.Importers.read(new window.File([contents], name)).then(function (scripts) {
+        return JSON.parse(JSON.stringify(scripts));
+    });
+}
+
+const WORD = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+    ODF = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" ' +
+        'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+        'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0" xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"';
+
+test('RTF: headings, formatting, lists and code page text', async () => {
+    const scripts = await read('story.rtf', String.raw`{\rtf1\ansi\ansicpg1252\deff0{\fonttbl{\f0 Arial;}}{\colortbl;\red0\green0\blue0;\red255\green0\blue0;}
+{\stylesheet{\s0 Normal;}{\s1\b heading 1;}}
+{\info{\title X}}
+\pard\s1 T\'edtulo\par
+\pard Normal {\b bold} {\i ital} {\cf2 red} {\ul under\ulnone  not} caf\u233?\par
+{\listtext\pard\plain \'b7\tab}\pard\ls1\ilvl0 item one\par
+{\*\shppict{\pict\pngblip 89504e}}{\nonshppict{\pict\wmetafile8 0101}}
+\pard\intbl a\cell b\cell\row
+\pard After{\footnote\pard footnote text\par} end\line second\par
+}`);
+    assert.deepStrictEqual(scripts, [{
+        name: 'story',
+        data: '<h1>Título</h1>\n' +
+            '<p>Normal <strong>bold</strong> <em>ital</em> <span style="color:#ff0000">red</span> <u>under</u> not café</p>\n' +
+            '<ul><li>item one</li></ul>\n' +
+            '<p>a</p>\n<p>b</p>\n' +
+            '<p>After end<br>second</p>\n',
+        target: 0,
+        dropped: ['1 image', '1 footnote', '1 table (imported as paragraphs)']
+    }]);
+});
+
+test('RTF: the sample scripts in tests/ import', async () => {
+    const scripts = await read('TEASTE.rtf', fs.readFileSync(path.join(__dirname, 'TEASTE.rtf')));
+    assert.strictEqual(scripts.length, 1);
+    assert.ok(scripts[0].data.startsWith('<p>[1000]</p>\n<p><strong>(((CAM )))</strong></p>'));
+    assert.deepStrictEqual(scripts[0].dropped, []);
+});
+
+test('DOCX: styles, numbering, formatting and what is dropped', async () => {
+    const archive = deflatedZip([
+        { name: '[Content_Types].xml', data: '<?xml version="1.0"?><Types/>' },
+        {
+            name: 'word/styles.xml',
+            data: `<w:styles ${WORD}>` +
+                '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:rPr><w:b/></w:rPr></w:style>' +
+                '<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:pPr><w:numPr><w:numId w:val="2"/></w:numPr></w:pPr></w:style>' +
+                '</w:styles>'
+        },
+        {
+            name: 'word/numbering.xml',
+            data: `<w:numbering ${WORD}>` +
+                '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl><w:lvl w:ilvl="1"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>' +
+                '<w:abstractNum w:abstractNumId="5"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>' +
+                '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num><w:num w:numId="2"><w:abstractNumId w:val="5"/></w:num>' +
+                '</w:numbering>'
+        },
+        {
+            name: 'word/document.xml',
+            data: `<w:document ${WORD} xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"><w:body>` +
+                '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Abertura</w:t></w:r></w:p>' +
+                '<w:p><w:r><w:t xml:space="preserve">Boa noite, </w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>hoje</w:t></w:r>' +
+                '<w:r><w:rPr><w:i/><w:color w:val="FF0000"/></w:rPr><w:t xml:space="preserve"> vermelho</w:t></w:r>' +
+                '<w:r><w:rPr><w:u w:val="single"/></w:rPr><w:t xml:space="preserve"> sub &lt;x&gt;</w:t></w:r>' +
+                '<w:r><w:drawing><pic:pic/></w:drawing></w:r><w:r><w:footnoteReference w:id="1"/></w:r></w:p>' +
+                '<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>um</w:t></w:r></w:p>' +
+                '<w:p><w:pPr><w:numPr><w:ilvl w:val="1"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>um.a</w:t></w:r></w:p>' +
+                '<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>dois</w:t></w:r></w:p>' +
+                '<w:p><w:pPr><w:pStyle w:val="ListBullet"/></w:pPr><w:hyperlink><w:r><w:t>bullet link</w:t></w:r></w:hyperlink></w:p>' +
+                '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>cell1</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>cell2</w:t></w:r></w:p></w:tc></w:tr></w:tbl>' +
+                '<w:p><w:r><w:t>fim</w:t></w:r><w:r><w:br/><w:t>linha</w:t></w:r></w:p>' +
+                '<w:sectPr/></w:body></w:document>'
+        }
+    ]);
+    const scripts = await read('story.docx', archive);
+    assert.deepStrictEqual(scripts, [{
+        name: 'story',
+        data: '<h1>Abertura</h1>\n' +
+            '<p>Boa noite, <strong>hoje</strong><span style="color:#ff0000"><em> vermelho</em></span><u> sub &lt;x&gt;</u></p>\n' +
+            '<ol><li>um<ul><li>um.a</li></ul></li>\n<li>dois</li></ol>\n' +
+            '<ul><li>bullet link</li></ul>\n' +
+            '<p>cell1</p>\n<p>cell2</p>\n' +
+            '<p>fim<br>linha</p>\n',
+        target: 0,
+        dropped: ['1 image', '1 footnote', '1 table (imported as paragraphs)']
+    }]);
+});
+
+test('ODT: automatic and named styles, lists and what is dropped', async () => {
+    const archive = deflatedZip([
+        { name: 'mimetype', data: 'application/vnd.oasis.opendocument.text' },
+        {
+            name: 'content.xml',
+            data: `<office:document-content ${ODF}><office:automatic-styles>` +
+                '<style:style style:name="T1" style:family="text"><style:text-properties fo:font-weight="bold"/></style:style>' +
+                '<style:style style:name="T2" style:family="text"><style:text-properties fo:font-style="italic" fo:color="#00ff00"/></style:style>' +
+                '<style:style style:name="P1" style:family="paragraph" style:parent-style-name="Standard"><style:text-properties style:text-underline-style="solid"/></style:style>' +
+                '<text:list-style style:name="L1"><text:list-level-style-number text:level="1"/><text:list-level-style-bullet text:level="2"/></text:list-style>' +
+                '</office:automatic-styles><office:body><office:text>' +
+                '<text:h text:style-name="Heading_20_2" text:outline-level="2">Titulo</text:h>' +
+                '<text:p text:style-name="Standard">Texto <text:span text:style-name="T1">forte</text:span> <text:span text:style-name="T2">verde</text:span>' +
+                '<text:note><text:note-body><text:p>nota</text:p></text:note-body></text:note></text:p>' +
+                '<text:p text:style-name="P1">sublinhado<draw:frame><draw:image/></draw:frame></text:p>' +
+                '<text:list text:style-name="L1"><text:list-item><text:p>primeiro</text:p><text:list><text:list-item><text:p>sub</text:p></text:list-item></text:list></text:list-item>' +
+                '<text:list-item><text:p>segundo</text:p></text:list-item></text:list>' +
+                '<table:table><table:table-row><table:table-cell><text:p>c1</text:p></table:table-cell></table:table-row></table:table>' +
+                '</office:text></office:body></office:document-content>'
+        },
+        {
+            name: 'styles.xml',
+            data: `<office:document-styles ${ODF}><office:styles>` +
+                '<style:style style:name="Heading_20_2" style:family="paragraph" style:default-outline-level="2"><style:text-properties fo:font-weight="bold"/></style:style>' +
+                '</office:styles></office:document-styles>'
+        }
+    ]);
+    const scripts = await read('story.odt', archive);
+    assert.deepStrictEqual(scripts, [{
+        name: 'story',
+        data: '<h2>Titulo</h2>\n' +
+            '<p>Texto <strong>forte</strong> <span style="color:#00ff00"><em>verde</em></span></p>\n' +
+            '<p><u>sublinhado</u></p>\n' +
+            '<ol><li>primeiro<ul><li>sub</li></ul></li>\n<li>segundo</li></ol>\n' +
+            '<p>c1</p>\n',
+        target: 0,
+        dropped: ['1 footnote', '1 image', '1 table (imported as paragraphs)']
+    }]);
+});
+
+test('documents that are not what their extension says are refused', async () => {
+    await assert.rejects(read('story.docx', deflatedZip([{ name: 'readme.txt', data: 'x' }])));
+    await assert.rejects(read('story.odt', 'not a zip'));
+});
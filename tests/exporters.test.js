@@ -0,0 +1,76 @@
+"use strict";
+
+// Script exports (js/exporters.js): plain text, Markdown, PDF and several scripts as a ZIP.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const util = require('util');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('', { url: 'http://localhost/', runScripts: 'outside-only' });
+window.TextEncoder = util.TextEncoder;
+window.TextDecoder = util.TextDecoder;
+for (const file of ['zip.js', 'technicalTags.js', 'exporters.js'])
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'));
+const Exporters = window.Exporters;
+
+function bytes(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(Buffer.from(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+function exported(scripts, format) {
+    return Exporters.create(scripts, format).then((file) => bytes(file.blob).then((contents) => ({
+        name: file.name,
+        type: file.blob.type,
+        contents: contents,
+        dropped: Array.from(file.dropped)
+    })));
+}
+
+const script = {
+    name: 'Evening news',
+    data: '<h2>Open</h2><p>((CAM 1))</p><p>Good <b>evening</b>, and <i>welcome</i>.</p><ul><li>Weather</li><li>Sports</li></ul>'
+};
+
+test('plain text leaves technical tags out', async () => {
+    const file = await exported([script], 'text');
+    assert.strictEqual(file.name, 'Evening news.txt');
+    assert.strictEqual(file.contents.toString('utf8'), 'Open\n\nGood evening, and welcome.\n\n• Weather\n• Sports\n');
+});
+
+test('Markdown keeps headings, one level under the script\'s name, lists, bold and italics', async () => {
+    const file = await exported([script], 'markdown');
+    assert.strictEqual(file.contents.toString('utf8'), '# Evening news\n\n### Open\n\n((CAM 1))\n\nGood **evening**, and *welcome*.\n\n- Weather\n- Sports\n');
+});
+
+test('a PDF has its text in WinAnsi and notes the characters its fonts lack', async () => {
+    const file = await exported([{ name: 'Café', data: '<p>Preço: 10 € — “ok” 漢字 🙂</p>' }], 'pdf');
+    const pdf = file.contents.toString('latin1');
+    assert.ok(pdf.startsWith('%PDF-1.4\n') && pdf.endsWith('%%EOF\n'));
+    assert.ok(pdf.includes('(Pre\\347o: 10 \\200 \\227 \\223ok\\224 ?? ??) Tj'), pdf);
+    assert.ok(pdf.includes('/Title (Caf\\351)'));
+    assert.deepStrictEqual(file.dropped, ['Café: printed as "?", characters the PDF fonts lack: 漢 字 🙂']);
+
+    const plain = await exported([{ name: 'Plain', data: '<p>Nothing unusual.</p>' }], 'pdf');
+    assert.deepStrictEqual(plain.dropped, []);
+});
+
+test('several scripts export as a ZIP with a file each, same names numbered', async () => {
+    const file = await exported([script, script, { name: 'a/b', data: '<p>Other</p>' }], 'html');
+    assert.strictEqual(file.name, 'scripts-html.zip');
+    assert.strictEqual(file.type, 'application/zip');
+    const zip = window.Zip.read(new Uint8Array(file.contents).buffer);
+    assert.deepStrictEqual(Array.from(zip.names), ['Evening news.html', 'Evening news (2).html', 'a_b.html']);
+    assert.strictEqual(zip.text('a_b.html'), '<p>Other</p>');
+});
+
+test('an unknown format is rejected', async () => {
+    await assert.rejects(Exporters.create([script], 'doc'), /Unknown export format: doc/);
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+// NRCS story importers (js/importers.js): NSML and MOS exports, one script per story.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('', { runScripts: 'outside-only' });
+for (const file of ['timing.js', 'importers.js'])
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'));
+
+function read(name, text) {
+    return window.Importers.read(new window.File([text], name)).then(function (scripts) {
+        return JSON.parse(JSON.stringify(scripts));
+    });
+}
+
+test('NSML stories keep their text, turn production cues into tags and take the planned time', async () => {
+    const scripts = await read('show.nsml', `<?xml version="1.0"?>
+<nsml version="-//AVID//DTD NSML 1.0//EN">
+<fields><string id="title">ABERTURA</string><time id="total-time">0:45</time></fields>
+<body><p><pi>(CAM 1)</pi></p><p>Boa noite. <b>Hoje</b> &amp; amanha<cc>VT ON</cc> continua aqui.</p><p><a idref="0"/>Segue texto</p></body>
+<aeset><ae id="0"><ap>CG</ap><ap>JOAO (PREFEITO)</ap></ae></aeset>
+</nsml>
+<nsml version="1"><fields><string id="title"></string></fields><body><p>Second story</p></body></nsml>`);
+    assert.deepStrictEqual(scripts, [
+        {
+            name: 'ABERTURA',
+            data: '<p>((CAM 1))</p>\n<p>Boa noite. <strong>Hoje</strong> &amp; amanha</p>\n<p>((VT ON))</p>\n<p>continua aqui.</p>\n<p>((CG / JOAO PREFEITO))</p>\n<p>Segue texto</p>',
+            target: 45
+        },
+        { name: 'show 2', data: '<p>Second story</p>', target: 0 }
+    ]);
+});
+
+test('MOS stories bring the presenter and story items as tags', async () => {
+    const scripts = await read('rundown.xml', `<mos><mosID>x</mosID><roStorySend><roID>R</roID><storyID>1</storyID><storySlug>ECONOMIA</storySlug><storyNum>A1</storyNum>
+<storyBody><storyPresenter>ANA</storyPresenter><p>Os juros <pi>OLHA CAM 2</pi> subiram.</p><storyItem><itemID>1</itemID><itemSlug>VT JUROS</itemSlug><objID>9</objID></storyItem><p>Fim.</p></storyBody>
+</roStorySend></mos>`);
+    assert.deepStrictEqual(scripts, [{
+        name: 'ECONOMIA',
+        data: '<p>((ANA))</p>\n<p>Os juros</p>\n<p>((OLHA CAM 2))</p>\n<p>subiram.</p>\n<p>((VT JUROS))</p>\n<p>Fim.</p>',
+        target: 0
+    }]);
+});
+
+test('XML without stories and unknown files are refused', async () => {
+    await assert.rejects(read('other.xml', '<a/>'), /No NSML or MOS stories found in other.xml/);
+    await assert.rejects(read('notes.abc', 'text'), /Unsupported file: notes.abc/);
+});
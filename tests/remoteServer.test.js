@@ -0,0 +1,245 @@
+"use strict";
+
+// Remote control server (remoteServer.js): pairing, session tokens and rate limiting,
+// spoken to through a bare WebSocket client.
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const test = require('node:test');
+const remoteServer = require('../remoteServer.js');
+
+// Fresh server per test: failed attempts are counted per address and every client is 127.0.0.1.
+function startServer(t) {
+    const server = remoteServer.attach(http.createServer());
+    const clients = [];
+    t.after(() => new Promise((resolve) => {
+        clients.forEach((client) => client.socket.destroy());
+        server.close(resolve);
+    }));
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            connect: () => connect(server.address().port).then((client) => {
+                clients.push(client);
+                return client;
+            })
+        }));
+    });
+}
+
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            host: '127.0.0.1',
+            port: port,
+            path: remoteServer.WS_PATH,
+            headers: {
+                'Connection': 'Upgrade',
+                'Upgrade': 'websocket',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        request.on('upgrade', (response, socket, head) => resolve(new Client(socket, head)));
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+// Reads the server's (unmasked) frames and sends masked text frames.
+class Client {
+    constructor(socket, head) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.messages = [];
+        this.waiting = null;
+        this.closed = false;
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => {
+            this.closed = true;
+            this.deliver();
+        });
+        if (head && head.length)
+            this.receive(head);
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.buffer.length >= 2) {
+            let length = this.buffer[1] & 0x7f,
+                offset = 2;
+            if (length === 126) {
+                if (this.buffer.length < 4)
+                    return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            }
+            if (this.buffer.length < offset + length)
+                return;
+            const opcode = this.buffer[0] & 0x0f,
+                payload = this.buffer.slice(offset, offset + length);
+            this.buffer = this.buffer.slice(offset + length);
+            if (opcode === 0x1)
+                this.messages.push(JSON.parse(payload.toString('utf8')));
+            this.deliver();
+        }
+    }
+
+    deliver() {
+        if (!this.waiting)
+            return;
+        const index = this.messages.findIndex((message) => message.type === this.waiting.type);
+        if (index !== -1) {
+            const waiting = this.waiting;
+            this.waiting = null;
+            waiting.resolve(this.messages.splice(0, index + 1).pop());
+        }
+        else if (this.closed) {
+            const waiting = this.waiting;
+            this.waiting = null;
+            waiting.reject(new Error('closed while waiting for "' + waiting.type + '"'));
+        }
+    }
+
+    // Next message of the given type (earlier messages of other types are dropped).
+    next(type) {
+        return new Promise((resolve, reject) => {
+            this.waiting = { type: type, resolve: resolve, reject: reject };
+            this.deliver();
+        });
+    }
+
+    send(message) {
+        const payload = Buffer.from(JSON.stringify(message), 'utf8'),
+            mask = crypto.randomBytes(4);
+        let header;
+        if (payload.length < 126)
+            header = Buffer.from([0x81, 0x80 | payload.length]);
+        else {
+            header = Buffer.from([0x81, 0x80 | 126, 0, 0]);
+            header.writeUInt16BE(payload.length, 2);
+        }
+        for (let i = 0; i < payload.length; i++)
+            payload[i] ^= mask[i % 4];
+        this.socket.write(Buffer.concat([header, mask, payload]));
+    }
+
+    closedNow() {
+        return new Promise((resolve) => {
+            if (this.closed)
+                return resolve();
+            this.socket.on('close', resolve);
+        });
+    }
+
+    close() {
+        this.socket.destroy();
+        return this.closedNow();
+    }
+}
+
+test('a paired controller reaches its host', async (t) => {
+    const server = await startServer(t);
+    const host = await server.connect();
+    host.send({ type: 'host', pin: '123456' });
+    const hosted = await host.next('hosted');
+    assert.strictEqual(hosted.pin, '123456');
+    assert.match(hosted.token, /^[0-9a-f]{32}$/);
+    assert.strictEqual((await host.next('controllers')).count, 0);
+
+    const controller = await server.connect();
+    controller.send({ type: 'pair', pin: '123456' });
+    assert.deepStrictEqual(await controller.next('paired'), { type: 'paired', host: true });
+    assert.strictEqual((await host.next('controllers')).count, 1);
+
+    controller.send({ type: 'command', request: 'play' });
+    assert.deepStrictEqual(await host.next('command'), { type: 'command', request: remoteServer.COMMANDS.play });
+});
+
+test('a reloaded editor takes its session back with the token, paired phones included', async (t) => {
+    const server = await startServer(t);
+    const host = await server.connect();
+    host.send({ type: 'host', pin: '123456' });
+    const { token } = await host.next('hosted');
+    const controller = await server.connect();
+    controller.send({ type: 'pair', pin: '123456' });
+    await controller.next('paired');
+
+    await host.close();
+    assert.strictEqual((await controller.next('host')).connected, false);
+
+    const reloaded = await server.connect();
+    reloaded.send({ type: 'host', pin: '123456', token: token });
+    assert.strictEqual((await reloaded.next('hosted')).token, token);
+    assert.strictEqual((await controller.next('host')).connected, true);
+    assert.strictEqual((await reloaded.next('controllers')).count, 1);
+});
+
+test('a session waiting for its editor is not handed to a wrong, foreign or multibyte token', async (t) => {
+    const server = await startServer(t);
+    const host = await server.connect();
+    host.send({ type: 'host', pin: '123456' });
+    const { token } = await host.next('hosted');
+    await host.close();
+
+    const other = await server.connect();
+    // Same length as the real token in characters, not in bytes.
+    const tokens = [undefined, 'f'.repeat(token.length), 'é'.repeat(token.length)];
+    for (const wrong of tokens) {
+        other.send({ type: 'host', pin: '123456', token: wrong });
+        assert.strictEqual((await other.next('error')).reason, 'pinUnavailable');
+    }
+
+    // Token of another session.
+    other.send({ type: 'host', pin: '654321' });
+    const foreign = (await other.next('hosted')).token;
+    const third = await server.connect();
+    third.send({ type: 'host', pin: '123456', token: foreign });
+    assert.strictEqual((await third.next('error')).reason, 'pinUnavailable');
+
+    // The server is still up and the session still belongs to its token.
+    const reloaded = await server.connect();
+    reloaded.send({ type: 'host', pin: '123456', token: token });
+    assert.strictEqual((await reloaded.next('hosted')).token, token);
+});
+
+test('a session in use is not handed over, even with its token', async (t) => {
+    const server = await startServer(t);
+    const host = await server.connect();
+    host.send({ type: 'host', pin: '123456' });
+    const { token } = await host.next('hosted');
+    const other = await server.connect();
+    other.send({ type: 'host', pin: '123456', token: token });
+    assert.strictEqual((await other.next('error')).reason, 'pinUnavailable');
+});
+
+test('an address that keeps missing the PIN is cut off', async (t) => {
+    const server = await startServer(t);
+    const host = await server.connect();
+    host.send({ type: 'host', pin: '123456' });
+    await host.next('hosted');
+
+    const guesser = await server.connect();
+    for (let i = 0; i < 5; i++) {
+        guesser.send({ type: 'pair', pin: String(100000 + i) });
+        assert.strictEqual((await guesser.next('error')).reason, 'wrongPin');
+    }
+    // Even the right PIN, and from a new connection.
+    guesser.send({ type: 'pair', pin: '123456' });
+    assert.strictEqual((await guesser.next('error')).reason, 'tooManyAttempts');
+    await guesser.closedNow();
+    const again = await server.connect();
+    again.send({ type: 'follow', pin: '123456' });
+    assert.strictEqual((await again.next('error')).reason, 'tooManyAttempts');
+});
+
+test('malformed messages get an error, not a dropped server', async (t) => {
+    const server = await startServer(t);
+    const client = await server.connect();
+    client.send('not an object');
+    assert.strictEqual((await client.next('error')).reason, 'invalidMessage');
+    client.send({ type: 'command', request: 'play' });
+    assert.strictEqual((await client.next('error')).reason, 'unexpectedMessage');
+    client.send({ type: 'clock', t0: 1 });
+    assert.strictEqual((await client.next('clock')).t0, 1);
+});
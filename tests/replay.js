@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * Replay de transcrição para a máquina de estados de sincronização por voz
+ *
+ * Reproduz uma transcrição gravada (parciais e finais com timestamp) contra um
+ * roteiro salvo, num DOM headless (jsdom) com relógio virtual, e imprime em JSON
+ * lines as transições de estado, os valores de currentElementIndex e os target
+ * offsets calculados pelo motor. Permite conferir mudanças de thresholds contra
+ * transmissões reais sem abrir o navegador.
+ *
+ * Uso:
+ *   node tests/replay.js --script tests/TESTE_PROMPT.html \
+ *                        --transcript tests/TESTE_PROMPT.transcript.json \
+ *                        [--lang es-ES] [--set lockedThreshold=0.2] [--tail 3000] [--verbose]
+ *                        [--expect tests/TESTE_PROMPT.expected.json]
+ *
+ * Transcrição: [{ "t": ms, "type": "partial"|"final", "text": "..." }, ...]
+ * (mesmo formato do backend 'transcript' de js/speechBackends.js)
+ *
+ * Esperado: campos do resumo final ({ "state", "index", "wordPointer", ... }) que o
+ * replay tem de reproduzir; com --expect, qualquer divergência sai com código 1.
+ *
+ * Roteiro: .html (corpo vira o conteúdo do .prompt) ou .rtf (pelo importador de RTF do app)
+ * Idioma: --lang vira o atributo lang do .prompt, como o teleprompter faz com o
+ * idioma do roteiro no SIDEBAR (padrão pt-BR)
+ *
+ * Layout sintético: cada bloco (p, h1-h6, li, div...) ocupa
+ * ceil(caracteres / --chars-per-line) linhas de --line-height pixels;
+ * elementos inline herdam top/altura do bloco que os contém.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+const BLOCK_TAGS = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'DIV', 'BLOCKQUOTE', 'PRE', 'TR', 'UL', 'OL', 'TABLE', 'TBODY']);
+
+// ========================================
+// Argumentos de linha de comando
+// ========================================
+function lerArgumentos(argv) {
+    const opcoes = {
+        script: null,
+        transcript: null,
+        expect: null,
+        lang: 'pt-BR',
+        set: [],
+        tail: 3000,
+        verbose: false,
+        lineHeight: 60,
+        charsPerLine: 40,
+        screenHeight: 1080,
+        focusHeight: 80,
+        focusPosition: 37.5,
+        speed: 13,
+        acceleration: 1.2
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const valor = () => {
+            if (i + 1 >= argv.length) throw new Error(`Falta valor para ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--script': opcoes.script = valor(); break;
+            case '--transcript': opcoes.transcript = valor(); break;
+            case '--expect': opcoes.expect = valor(); break;
+            case '--lang': opcoes.lang = valor(); break;
+            case '--set': opcoes.set.push(valor()); break;
+            case '--tail': opcoes.tail = Number(valor()); break;
+            case '--verbose': opcoes.verbose = true; break;
+            case '--line-height': opcoes.lineHeight = Number(valor()); break;
+            case '--chars-per-line': opcoes.charsPerLine = Number(valor()); break;
+            case '--screen-height': opcoes.screenHeight = Number(valor()); break;
+            case '--speed': opcoes.speed = Number(valor()); break;
+            case '--acceleration': opcoes.acceleration = Number(valor()); break;
+            case '-h':
+            case '--help':
+                opcoes.help = true;
+                break;
+            default:
+                throw new Error(`Argumento desconhecido: ${arg}`);
+        }
+    }
+    return opcoes;
+}
+
+// ========================================
+// Roteiro: HTML ou RTF -> HTML do .prompt
+// ========================================
+
+// RTF passa pelo importador do app (js/documentImporters.js), o mesmo do botão Importar,
+// para o replay rodar sobre a mesma marcação que o teleprompter recebe
+function importarRtf(arquivo) {
+    const { window } = new JSDOM('', { runScripts: 'outside-only' });
+    window.TextEncoder = util.TextEncoder;
+    window.TextDecoder = util.TextDecoder;
+    ['timing.js', 'importers.js', 'zip.js', 'documentImporters.js'].forEach(nome => {
+        window.eval(fs.readFileSync(path.join(ROOT, 'js', nome), 'utf8'));
+    });
+    const dados = fs.readFileSync(arquivo);
+    const arquivoImportado = { name: path.basename(arquivo), type: '' };
+    const roteiros = window.Importers.find(arquivoImportado).parse(dados.buffer.slice(dados.byteOffset, dados.byteOffset + dados.length), arquivoImportado);
+    window.close();
+    return roteiros.map(roteiro => roteiro.data).join('\n');
+}
+
+function carregarRoteiro(arquivo) {
+    if (/\.rtf$/i.test(arquivo)) {
+        return importarRtf(arquivo);
+    }
+    const conteudo = fs.readFileSync(arquivo, 'utf8');
+    const corpo = /<body[^>]*>([\s\S]*)<\/body>/i.exec(conteudo);
+    return corpo ? corpo[1] : conteudo;
+}
+
+function carregarTranscricao(arquivo) {
+    const dados = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    const eventos = Array.isArray(dados) ? dados : dados.events;
+    if (!Array.isArray(eventos)) throw new Error(`Transcrição inválida: ${arquivo}`);
+    return eventos;
+}
+
+// Divergências entre o resumo do replay e o esperado, uma mensagem por campo
+function conferirEsperado(sumario, arquivo) {
+    const esperado = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    return Object.keys(esperado)
+        .filter(chave => sumario[chave] !== esperado[chave])
+        .map(chave => `${chave}: esperado ${JSON.stringify(esperado[chave])}, obtido ${JSON.stringify(sumario[chave])}`);
+}
+
+// ========================================
+// Relógio virtual: setTimeout/setInterval/Date.now controlados pelo replay
+// ========================================
+function instalarRelogio(window) {
+    const relogio = {
+        now: 0,
+        epoch: Date.UTC(2025, 0, 1),
+        seq: 0,
+        timers: new Map()
+    };
+
+    const agendar = (fn, ms, args, intervalo) => {
+        const id = ++relogio.seq;
+        const espera = Math.max(0, Number(ms) || 0);
+        relogio.timers.set(id, { id: id, at: relogio.now + espera, fn: fn, args: args, every: intervalo ? Math.max(1, espera) : 0 });
+        return id;
+    };
+
+    window.setTimeout = (fn, ms, ...args) => agendar(fn, ms, args, false);
+    window.setInterval = (fn, ms, ...args) => agendar(fn, ms, args, true);
+    window.clearTimeout = id => { relogio.timers.delete(id); };
+    window.clearInterval = window.clearTimeout;
+    window.Date.now = () => relogio.epoch + relogio.now;
+
+    // Próximo timer em ordem de horário (e de criação, em empate)
+    relogio.proximo = function () {
+        let escolhido = null;
+        for (const timer of relogio.timers.values()) {
+            if (!escolhido || timer.at < escolhido.at || (timer.at === escolhido.at && timer.id < escolhido.id)) {
+                escolhido = timer;
+            }
+        }
+        return escolhido;
+    };
+
+    return relogio;
+}
+
+// ========================================
+// Layout sintético (jsdom não calcula offsetTop/offsetHeight)
+// ========================================
+function calcularLayout(prompt, opcoes) {
+    const layout = new WeakMap();
+    let cursor = 0;
+
+    function temBlocoFilho(elemento) {
+        for (const filho of elemento.children) {
+            if (BLOCK_TAGS.has(filho.tagName)) return true;
+        }
+        return false;
+    }
+
+    function visitar(elemento) {
+        for (const filho of elemento.children) {
+            if (!BLOCK_TAGS.has(filho.tagName)) continue;
+            const top = cursor;
+            if (temBlocoFilho(filho)) {
+                visitar(filho);
+            } else {
+                const caracteres = filho.textContent.replace(/\s+/g, ' ').trim().length;
+                cursor += Math.max(1, Math.ceil(caracteres / opcoes.charsPerLine)) * opcoes.lineHeight;
+            }
+            layout.set(filho, { top: top, height: cursor - top });
+        }
+    }
+
+    visitar(prompt);
+    layout.set(prompt, { top: 0, height: cursor });
+
+    return {
+        altura: cursor,
+        medir: function (elemento) {
+            // Inline herda do bloco mais próximo
+            for (let e = elemento; e; e = e.parentElement) {
+                if (layout.has(e)) return layout.get(e);
+            }
+            return { top: 0, height: 0 };
+        }
+    };
+}
+
+// ========================================
+// Teleprompter simulado: posição (translateY) integrada pela velocidade
+// Mesmas fórmulas de js/teleprompter.js (sem flip)
+// ========================================
+function criarTeleprompterSimulado(opcoes, alturaRoteiro, emitir) {
+    const unit = opcoes.focusHeight / 80;
+    const focusTop = opcoes.screenHeight * opcoes.focusPosition / 100;
+    const focusCentro = focusTop + opcoes.focusHeight / 2;
+    const limite = -Math.max(0, alturaRoteiro - opcoes.screenHeight);
+
+    const sim = {
+        pos: focusTop,
+        x: 0,
+        avancar: function (ms) {
+            if (sim.x <= 0) return;
+            const velocidade = opcoes.speed * Math.pow(sim.x, opcoes.acceleration) * unit;
+            sim.pos = Math.max(limite, sim.pos - velocidade * ms / 1000);
+        }
+    };
+
+    const converter = offset => -offset + focusCentro;
+
+    sim.api = {
+        moveTeleprompterToOffset: function (offset, smooth, alignTop) {
+            sim.pos = alignTop ? -offset + focusTop : converter(offset);
+            emitir({ event: 'jump', offset: Math.round(offset), alignTop: !!alignTop, scrollPos: Math.round(sim.pos) });
+        },
+        getTeleprompterCurrentPos: () => sim.pos,
+        convertOffsetToScrollPos: converter,
+        teleprompterAutoScroll: {
+            setVelocity: function (x) {
+                sim.x = Math.max(0, Math.min(x, 10));
+            }
+        },
+        teleprompterVoiceControl: {
+            acquire: function () {},
+            release: function () {},
+            isActive: () => false
+        }
+    };
+
+    return sim;
+}
+
+// ========================================
+// Replay
+// ========================================
+async function executarReplay(opcoes, saida) {
+    const eventos = carregarTranscricao(opcoes.transcript);
+    const html = carregarRoteiro(opcoes.script);
+
+    const virtualConsole = new VirtualConsole();
+    if (opcoes.verbose) {
+        ['log', 'info', 'warn', 'error'].forEach(nivel => {
+            virtualConsole.on(nivel, (...args) => process.stderr.write(args.join(' ') + '\n'));
+        });
+    }
+    virtualConsole.on('jsdomError', erro => process.stderr.write(`jsdom: ${erro.message}\n`));
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><body><div class="prompt" id="prompt" lang="${opcoes.lang}">${html}</div></body></html>`, {
+        url: 'http://localhost/teleprompter.html',
+        runScripts: 'outside-only',
+        virtualConsole: virtualConsole
+    });
+    const window = dom.window;
+    const contexto = dom.getInternalVMContext();
+    const relogio = instalarRelogio(window);
+    const avaliar = codigo => vm.runInContext(codigo, contexto);
+
+    const resumo = { transitions: 0, searchingReturns: 0, maxIndex: -1, jumps: 0 };
+    const emitir = registro => {
+        if (registro.event === 'jump') resumo.jumps++;
+        saida.write(JSON.stringify(Object.assign({ t: relogio.now }, registro)) + '\n');
+    };
+
+    // Layout sintético
+    const prompt = window.document.querySelector('.prompt');
+    const layout = calcularLayout(prompt, opcoes);
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetTop', {
+        configurable: true,
+        get: function () { return layout.medir(this).top; }
+    });
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetHeight', {
+        configurable: true,
+        get: function () { return layout.medir(this).height; }
+    });
+
+    const sim = criarTeleprompterSimulado(opcoes, layout.altura, emitir);
+    Object.assign(window, sim.api);
+
+    // Backend 'transcript' alimentado pela transcrição (registrando a fala de entrada)
+    window.localStorage.setItem('voiceBackendConfig', JSON.stringify({ type: 'replay' }));
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'js/speechBackends.js'), 'utf8'), contexto, { filename: 'js/speechBackends.js' });
+    window.SpeechBackends.register('replay', function (config) {
+        const interno = window.SpeechBackends.create(Object.assign({}, config, { type: 'transcript', events: eventos }));
+        const externo = Object.assign({}, interno, {
+            type: 'replay',
+            start: () => interno.start(),
+            stop: () => interno.stop()
+        });
+        interno.onStart = () => externo.onStart();
+        interno.onEnd = () => externo.onEnd();
+        interno.onError = erro => externo.onError(erro);
+        interno.onPartial = texto => {
+            emitir({ event: 'speech', type: 'partial', text: texto });
+            externo.onPartial(texto);
+        };
+        interno.onFinal = texto => {
+            emitir({ event: 'speech', type: 'final', text: texto });
+            externo.onFinal(texto);
+        };
+        return externo;
+    });
+
+    // Motor de voz (mesmos arquivos carregados pelo teleprompter.html)
+    ['js/speechNormalizer.js', 'js/voiceLanguages.js', 'js/linkRules.js', 'js/presenterProfiles.js', 'js/voiceTelemetry.js', 'js/wordAligner.js', 'js/technicalTags.js', 'js/speechRecognition.js'].forEach(arquivo => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, arquivo), 'utf8'), contexto, { filename: arquivo });
+    });
+
+    // Ajustes de CONFIG vindos de --set chave=valor
+    opcoes.set.forEach(par => {
+        const m = /^(\w+)=(.*)$/.exec(par);
+        if (!m || avaliar(`typeof CONFIG[${JSON.stringify(m[1])}]`) === 'undefined') {
+            throw new Error(`--set inválido (chave inexistente em CONFIG): ${par}`);
+        }
+        avaliar(`CONFIG[${JSON.stringify(m[1])}] = ${JSON.stringify(isNaN(Number(m[2])) ? m[2] : Number(m[2]))}`);
+    });
+    const elementos = () => prompt.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, span, strong, em, b, i');
+    emitir({ event: 'config', config: JSON.parse(avaliar('JSON.stringify(CONFIG)')), elements: elementos().length, height: layout.altura });
+
+    // Observação do estado do motor após cada timer
+    const ler = () => JSON.parse(avaliar(`JSON.stringify({
+        state: currentState,
+        index: currentElementIndex,
+        wordPointer: currentWordPointer,
+        speakerMode: speakerMode,
+        paused: AutoScrollController.isPaused,
+        target: Math.round(AutoScrollController.targetOffset)
+    })`));
+    const textoElemento = indice => {
+        const elemento = elementos()[indice];
+        return elemento ? elemento.textContent.replace(/\s+/g, ' ').trim().substring(0, 60) : '';
+    };
+
+    let anterior = ler();
+
+    function comparar() {
+        const atual = ler();
+        if (atual.state !== anterior.state) {
+            resumo.transitions++;
+            if (atual.state === 'SEARCHING') resumo.searchingReturns++;
+            emitir({ event: 'state', from: anterior.state, to: atual.state, index: atual.index });
+        }
+        if (atual.index !== anterior.index) {
+            resumo.maxIndex = Math.max(resumo.maxIndex, atual.index);
+            emitir({ event: 'element', index: atual.index, text: textoElemento(atual.index) });
+        }
+        if (atual.speakerMode !== anterior.speakerMode) {
+            emitir({ event: 'speaker', from: anterior.speakerMode, to: atual.speakerMode });
+        }
+        if (atual.paused !== anterior.paused) {
+            emitir({ event: atual.paused ? 'pause' : 'resume' });
+        }
+        if (atual.target !== anterior.target) {
+            emitir({ event: 'target', offset: atual.target, scrollPos: Math.round(sim.pos) });
+        }
+        anterior = atual;
+    }
+
+    // Roda até o último evento da transcrição + cauda
+    const fim = eventos.reduce((maximo, evento) => Math.max(maximo, evento.t || 0), 0) + opcoes.tail;
+    let timer;
+    while ((timer = relogio.proximo()) && timer.at <= fim) {
+        sim.avancar(timer.at - relogio.now);
+        relogio.now = timer.at;
+        if (timer.every) timer.at += timer.every;
+        else relogio.timers.delete(timer.id);
+        try {
+            timer.fn.apply(window, timer.args);
+        } catch (erro) {
+            emitir({ event: 'error', message: erro.message });
+        }
+        // Deixa rodar microtasks (MutationObserver, promises)
+        await new Promise(resolve => setImmediate(resolve));
+        comparar();
+    }
+    relogio.now = fim;
+
+    const final = ler();
+    const sumario = {
+        event: 'summary',
+        state: final.state,
+        index: final.index,
+        wordPointer: final.wordPointer,
+        maxIndex: resumo.maxIndex,
+        transitions: resumo.transitions,
+        searchingReturns: resumo.searchingReturns,
+        jumps: resumo.jumps
+    };
+    emitir(sumario);
+    relogio.timers.clear();
+    window.close();
+    return sumario;
+}
+
+if (require.main === module) {
+    let opcoes;
+    try {
+        opcoes = lerArgumentos(process.argv.slice(2));
+    } catch (erro) {
+        process.stderr.write(erro.message + '\n');
+        process.exit(2);
+    }
+    if (opcoes.help || !opcoes.script || !opcoes.transcript) {
+        process.stderr.write('Uso: node tests/replay.js --script <roteiro.html|.rtf> --transcript <transcricao.json> [--lang pt-BR] [--set chave=valor] [--tail ms] [--verbose] [--expect <esperado.json>]\n');
+        process.exit(opcoes.help ? 0 : 2);
+    }
+    executarReplay(opcoes, process.stdout).then(sumario => {
+        if (!opcoes.expect) return;
+        const divergencias = conferirEsperado(sumario, opcoes.expect);
+        divergencias.forEach(divergencia => process.stderr.write(divergencia + '\n'));
+        if (divergencias.length > 0) process.exitCode = 1;
+    }).catch(erro => {
+        process.stderr.write((erro.stack || erro) + '\n');
+        process.exit(1);
+    });
+}
+
+module.exports = { lerArgumentos: lerArgumentos, executarReplay: executarReplay, conferirEsperado: conferirEsperado };
@@ -0,0 +1,29 @@
+"use strict";
+
+// Replays the sample transcript against the sample script: the engine has to end in the
+// state, element and word given in tests/TESTE_PROMPT.expected.json.
+
+const assert = require('assert');
+const path = require('path');
+const { Writable } = require('stream');
+const test = require('node:test');
+const { lerArgumentos, executarReplay, conferirEsperado } = require('./replay.js');
+
+test('the TESTE_PROMPT replay ends where expected', async () => {
+    const discard = new Writable({ write: (chunk, encoding, done) => done() });
+    const summary = await executarReplay(lerArgumentos([
+        '--script', path.join(__dirname, 'TESTE_PROMPT.html'),
+        '--transcript', path.join(__dirname, 'TESTE_PROMPT.transcript.json')
+    ]), discard);
+    assert.deepStrictEqual(conferirEsperado(summary, path.join(__dirname, 'TESTE_PROMPT.expected.json')), []);
+});
+
+test('RTF scripts replay on the markup the RTF importer gives', async () => {
+    const discard = new Writable({ write: (chunk, encoding, done) => done() });
+    const summary = await executarReplay(lerArgumentos([
+        '--script', path.join(__dirname, 'TEASTE.rtf'),
+        '--transcript', path.join(__dirname, 'TESTE_PROMPT.transcript.json')
+    ]), discard);
+    assert.strictEqual(summary.state, 'LOCKED');
+    assert.strictEqual(summary.index, 66);
+});
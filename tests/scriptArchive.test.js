@@ -0,0 +1,73 @@
+"use strict";
+
+// Script archives (js/scriptArchive.js): .tpz export and import, images and prompter settings.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const util = require('util');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// The unreachable image's network error is expected.
+const virtualConsole = new VirtualConsole();
+virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+const { window } = new JSDOM('', { url: 'http://localhost/', runScripts: 'outside-only', virtualConsole: virtualConsole });
+window.TextEncoder = util.TextEncoder;
+window.TextDecoder = util.TextDecoder;
+for (const file of ['data.manager.js', 'timing.js', 'importers.js', 'zip.js', 'exporters.js', 'scriptArchive.js'])
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'));
+
+// 1x1 transparent GIF.
+const GIF = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+function exported(scripts) {
+    return window.Exporters.create(scripts, 'archive').then((file) => new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve({ name: file.name, buffer: reader.result, dropped: Array.from(file.dropped) });
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file.blob);
+    }));
+}
+
+function imported(buffer, name) {
+    return JSON.parse(JSON.stringify(window.ScriptArchive.read(buffer, { name: name })));
+}
+
+test('scripts come back with their images, targets, languages and the prompter settings', async () => {
+    window.localStorage.setItem('IFTeleprompterSettings', JSON.stringify({ data: { speed: '13', fontSize: '120', prompterStyle: 2, syncMethod: 1 } }));
+    window.localStorage.setItem('focusVerticalPosition', '0.4');
+    const file = await exported([
+        { name: 'Open', data: '<p><a name="a1">Good evening</a></p><p><img src="' + GIF + '" data-cke-saved-src="' + GIF + '"></p>', target: 45, language: 'en-US' },
+        { name: 'Weather', data: '<p>Rain <img src="' + GIF + '"></p>' }
+    ]);
+    assert.strictEqual(file.name, 'scripts.tpz');
+    assert.deepStrictEqual(file.dropped, []);
+
+    const zip = window.Zip.read(file.buffer);
+    assert.deepStrictEqual(Array.from(zip.names).sort(), ['images/1.gif', 'manifest.json', 'scripts/1.html', 'scripts/2.html']);
+    const manifest = JSON.parse(zip.text('manifest.json'));
+    assert.deepStrictEqual(manifest.scripts[0].anchors, [{ key: 'a1', text: 'Good evening' }]);
+    assert.deepStrictEqual(manifest.settings, { speed: '13', fontSize: '120', syncMethod: 1, focusVerticalPosition: 0.4 });
+    assert.strictEqual(zip.text('scripts/2.html'), '<p>Rain <img src="images/1.gif"></p>');
+
+    const scripts = imported(file.buffer, 'Open.tpz');
+    assert.deepStrictEqual(scripts.map(s => [s.name, s.target, s.language]), [['Open', 45, 'en-US'], ['Weather', 0, '']]);
+    assert.strictEqual(scripts[0].data, '<p><a name="a1">Good evening</a></p><p><img src="' + GIF + '" data-cke-saved-src="' + GIF + '"></p>');
+    assert.deepStrictEqual(scripts[1].prompter.settings, manifest.settings);
+});
+
+test('images that can\'t be loaded stay linked and are noted', async () => {
+    const source = 'http://127.0.0.1:9/missing.png';
+    const file = await exported([{ name: 'Linked', data: '<p><img src="' + source + '"></p>' }]);
+    assert.strictEqual(file.dropped.length, 1);
+    assert.ok(file.dropped[0].startsWith('Linked: image left as a link, ' + source));
+    assert.strictEqual(imported(file.buffer, 'Linked.tpz')[0].data, '<p><img src="' + source + '"></p>');
+});
+
+test('other ZIP files and newer archives are refused', () => {
+    const other = window.Zip.create([{ name: 'word/document.xml', data: '<w:document/>' }]);
+    assert.throws(() => window.ScriptArchive.read(other.buffer, { name: 'a.docx' }), /a.docx is not a script archive/);
+    const newer = window.Zip.create([{ name: 'manifest.json', data: JSON.stringify({ format: 'imaginary-teleprompter', version: 2, scripts: [] }) }]);
+    assert.throws(() => window.ScriptArchive.read(newer.buffer, { name: 'b.tpz' }), /newer version/);
+});
@@ -0,0 +1,74 @@
+"use strict";
+
+// Script differences for the revision history (js/scriptDiff.js).
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('', { url: 'http://localhost/', runScripts: 'outside-only' });
+for (const file of ['technicalTags.js', 'exporters.js', 'scriptDiff.js'])
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'));
+const ScriptDiff = window.ScriptDiff;
+
+test('edited, removed and added paragraphs are marked word by word, unchanged ones shortened', () => {
+    const diff = ScriptDiff.compare(
+        '<h2>Story</h2><p>The mayor said on Monday that taxes will rise.</p><p>a</p><p>b</p><p>c</p><p>d</p><p>Removed para.</p><p>Tail &amp; end</p>',
+        '<h2>Story</h2><p>The governor said on Tuesday that taxes will rise sharply.</p><p>a</p><p>b</p><p>c</p><p>d</p><p>Tail &amp; end</p><p>New closing line.</p>');
+    assert.strictEqual(diff.html, [
+        '<p class="diff-same diff-heading">Story</p>',
+        '<p class="diff-changed">The <del>mayor</del> <ins>governor</ins> said on <del>Monday</del> <ins>Tuesday</ins> that taxes will <del>rise.</del> <ins>rise sharply.</ins></p>',
+        '<p class="diff-same">a</p>',
+        '<p class="diff-skipped">2 unchanged paragraphs</p>',
+        '<p class="diff-same">d</p>',
+        '<p class="diff-deleted"><del>Removed para.</del></p>',
+        '<p class="diff-same">Tail &amp; end</p>',
+        '<p class="diff-inserted"><ins>New closing line.</ins></p>'
+    ].join('\n'));
+    assert.strictEqual(diff.inserted, 7);
+    assert.strictEqual(diff.deleted, 5);
+});
+
+test('identical scripts have no changes', () => {
+    const script = '<p>One</p><p>Two</p><p>Three</p>';
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(ScriptDiff.compare(script, script))), {
+        html: '<p class="diff-skipped">3 unchanged paragraphs</p>',
+        inserted: 0,
+        deleted: 0
+    });
+});
+
+test('a script compared with nothing is all new, and its text is escaped', () => {
+    const diff = ScriptDiff.compare(null, '<p>&lt;b&gt; tags</p>');
+    assert.strictEqual(diff.html, '<p class="diff-inserted"><ins>&lt;b&gt; tags</ins></p>');
+    assert.strictEqual(diff.inserted, 2);
+    assert.strictEqual(diff.deleted, 0);
+});
+
+test('sequence matches common ends, then the longest common subsequence of the middle', () => {
+    const operations = JSON.parse(JSON.stringify(ScriptDiff.sequence(['a', 'b', 'x', 'c', 'y', 'd'], ['a', 'b', 'c', 'z', 'd'])));
+    assert.deepStrictEqual(operations.map(o => [o.type, o.a, o.b]), [
+        ['same', 0, 0],
+        ['same', 1, 1],
+        ['deleted', 2, -1],
+        ['same', 3, 2],
+        ['deleted', 4, -1],
+        ['inserted', -1, 3],
+        ['same', 5, 4]
+    ]);
+});
+
+test('sequence gives up on the middle of very long lists, keeping the common ends', () => {
+    const a = ['start'], b = ['start'];
+    for (let i = 0; i < 2001; i++) {
+        a.push('a' + i);
+        b.push('b' + i);
+    }
+    a.push('end');
+    b.push('end');
+    const operations = Array.from(ScriptDiff.sequence(a, b));
+    assert.deepStrictEqual(operations.filter(o => o.type === 'same').map(o => [o.a, o.b]), [[0, 0], [2002, 2002]]);
+    assert.strictEqual(operations.length, 2 + 2 * 2001);
+});
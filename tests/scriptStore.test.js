@@ -0,0 +1,101 @@
+"use strict";
+
+// Script storage in IndexedDB (js/scriptStore.js): backups, restoring them and the factory
+// reset, on fake-indexeddb.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const { IDBDatabase, IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { JSDOM } = require('jsdom');
+
+const KEY = 'IFTeleprompterSideBar';
+
+// An editor window on "factory"'s databases, with "legacy" scripts in localStorage.
+async function open(t, factory, legacy) {
+    const { window } = new JSDOM('', { url: 'http://localhost/', runScripts: 'outside-only' });
+    t.after(() => window.close());
+    window.indexedDB = factory;
+    window.IDBKeyRange = IDBKeyRange;
+    window.alert = () => {};
+    if (legacy)
+        window.localStorage.setItem(KEY, JSON.stringify(legacy));
+    window.eval('var debug = false;');
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', 'scriptStore.js'), 'utf8'));
+    await window.ScriptStore.open(KEY);
+    return window;
+}
+
+function scripts(window) {
+    return JSON.parse(window.ScriptStore.getItem(KEY));
+}
+
+// Waits for the writes setItem started.
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+const first = [{ id: 'a', name: 'Open', data: '<p>Good evening</p>' }, { id: 'b', name: 'Weather', data: '<p>Rain</p>' }];
+
+test('scripts move out of localStorage with a backup, and are there when reopened', async (t) => {
+    const factory = new IDBFactory();
+    const window = await open(t, factory, first);
+    assert.strictEqual(window.localStorage.getItem(KEY), null);
+    assert.deepStrictEqual(scripts(window), first);
+    const backups = await window.ScriptStore.listBackups();
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(backups)).map(b => [b.reason, b.names]), [['Moved from localStorage', ['Open', 'Weather']]]);
+
+    window.ScriptStore.setItem(KEY, JSON.stringify([first[1]]));
+    await settle();
+    const reopened = await open(t, factory);
+    assert.deepStrictEqual(scripts(reopened), [first[1]]);
+    // Changed since the last backup, so there's a new one.
+    assert.strictEqual((await reopened.ScriptStore.listBackups())[0].reason, 'Opened Teleprompter');
+});
+
+test('restoring a backup brings its scripts back, backing up the current ones first', async (t) => {
+    const window = await open(t, new IDBFactory(), first);
+    const moved = (await window.ScriptStore.listBackups())[0];
+    window.ScriptStore.setItem(KEY, JSON.stringify([{ id: 'c', name: 'Sports', data: '' }]));
+    await settle();
+
+    await window.ScriptStore.restoreBackup(moved.id);
+    assert.deepStrictEqual(scripts(window), first);
+    const backups = await window.ScriptStore.listBackups();
+    assert.deepStrictEqual(Array.from(backups, b => b.reason), ['Before restoring a backup', 'Moved from localStorage']);
+    assert.deepStrictEqual(Array.from(backups[0].names), ['Sports']);
+
+    await assert.rejects(window.ScriptStore.restoreBackup(999), /no longer exists/);
+});
+
+test('a factory reset deletes the scripts but keeps the backups', async (t) => {
+    const factory = new IDBFactory();
+    const window = await open(t, factory, first);
+    await window.ScriptStore.clear();
+    assert.strictEqual(window.ScriptStore.getItem(KEY), null);
+    const reopened = await open(t, factory);
+    assert.strictEqual(reopened.ScriptStore.getItem(KEY), null);
+    const backups = await reopened.ScriptStore.listBackups();
+    assert.deepStrictEqual(Array.from(backups, b => b.reason), ['Before factory reset (F6)', 'Moved from localStorage']);
+    assert.deepStrictEqual(Array.from(backups[0].names), ['Open', 'Weather']);
+});
+
+test('a factory reset without a backup deletes nothing', async (t) => {
+    const factory = new IDBFactory();
+    const window = await open(t, factory, first);
+    const transaction = IDBDatabase.prototype.transaction;
+    IDBDatabase.prototype.transaction = function (stores, mode) {
+        if (mode === 'readwrite' && Array.from(stores).indexOf('backups') !== -1)
+            throw new Error('Quota exceeded');
+        return transaction.apply(this, arguments);
+    };
+    try {
+        await assert.rejects(window.ScriptStore.clear(), /could not be backed up/);
+    }
+    finally {
+        IDBDatabase.prototype.transaction = transaction;
+    }
+    assert.deepStrictEqual(scripts(window), first);
+    assert.deepStrictEqual(scripts(await open(t, factory)), first);
+});
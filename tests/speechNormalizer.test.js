@@ -0,0 +1,41 @@
+"use strict";
+
+// SpeechNormalizer (js/speechNormalizer.js): script and speech written out in words before matching.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('', { runScripts: 'outside-only' });
+for (const file of ['speechNormalizer.js', 'voiceLanguages.js'])
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'));
+const { SpeechNormalizer, VoiceLanguages } = window;
+
+test('the examples in the request: the normalized script matches what the recognizer returns', () => {
+    const profile = VoiceLanguages.get('pt-BR');
+    [
+        ['R$ 3,5 bilhões', 'três vírgula cinco bilhões de reais'],
+        ['COVID-19', 'covid dezenove'],
+        ['Dr.', 'doutor'],
+        ['2024', 'dois mil e vinte e quatro']
+    ].forEach(([script, speech]) => {
+        assert.strictEqual(VoiceLanguages.normalize(script, profile), VoiceLanguages.normalize(speech, profile), script);
+    });
+});
+
+test('percentages, temperatures, dates, ordinals and numbers', () => {
+    const profile = VoiceLanguages.get('pt-BR');
+    assert.strictEqual(SpeechNormalizer.expand('15%', profile), 'quinze por cento');
+    assert.strictEqual(SpeechNormalizer.expand('30°c', profile), 'trinta graus');
+    assert.strictEqual(SpeechNormalizer.expand('12/03/2024', profile), 'doze de março de dois mil e vinte e quatro');
+    assert.strictEqual(SpeechNormalizer.expand('1º', profile), 'primeiro');
+    assert.strictEqual(SpeechNormalizer.expand('1.500', profile), 'mil e quinhentos');
+});
+
+test("rules follow the script's language", () => {
+    const profile = VoiceLanguages.get('en-US');
+    assert.strictEqual(VoiceLanguages.normalize('3rd', profile), 'third');
+    assert.strictEqual(VoiceLanguages.normalize('$2.5 million', profile), 'two point five million dollars');
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+// Read time estimates (js/timing.js): segments, plans and durations.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('', { url: 'http://localhost/', runScripts: 'outside-only' });
+for (const file of ['technicalTags.js', 'timing.js'])
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'));
+const Timing = window.Timing;
+
+function segments(html) {
+    return JSON.parse(JSON.stringify(Timing.fromHTML(html)));
+}
+
+test('scripts are split at headings and story separators, which carry their target', () => {
+    assert.deepStrictEqual(segments(
+        '<p>Good evening.</p>' +
+        '<h2>Weather</h2><p>Rain all <b>week</b> long.</p>' +
+        '<p class="story-separator" data-duration="45">SPORTS</p><p>The final is tonight.</p>'), [
+        { title: '', first: 0, words: 2, target: 0 },
+        { title: 'Weather', first: 2, words: 5, target: 0 },
+        { title: 'SPORTS', first: 7, words: 4, target: 45 }
+    ]);
+});
+
+test('technical tag paragraphs count no words', () => {
+    assert.deepStrictEqual(segments(
+        '<h2>Open</h2><p>((CAM 1))</p><p>Good evening, <i>and welcome.</i></p><p>[VT OPENING]</p><p>Tonight on the show.</p>'), [
+        { title: 'Open', first: 0, words: 9, target: 0 }
+    ]);
+});
+
+test('a plan has each segment\'s start, back-time and the over or under time', () => {
+    const plan = JSON.parse(JSON.stringify(Timing.plan([
+        { title: 'A', words: 30, target: 0 },
+        { title: 'B', words: 60, target: 0 }
+    ], 3, 40)));
+    assert.deepStrictEqual(plan.segments.map(s => [s.seconds, s.start, s.backTime]), [[10, 0, 10], [20, 10, 20]]);
+    assert.strictEqual(plan.seconds, 30);
+    assert.strictEqual(plan.overUnder, -10);
+    assert.strictEqual(Timing.plan([{ title: '', words: 3, target: 0 }], 3, 0).overUnder, null);
+});
+
+test('durations are formatted and parsed as m:ss or h:mm:ss', () => {
+    assert.strictEqual(Timing.format(65), '1:05');
+    assert.strictEqual(Timing.format(3725), '1:02:05');
+    assert.strictEqual(Timing.format(20, true), '+0:20');
+    assert.strictEqual(Timing.format(-20), '-0:20');
+    assert.strictEqual(Timing.parse('95'), 95);
+    assert.strictEqual(Timing.parse(' 1:35 '), 95);
+    assert.strictEqual(Timing.parse('0:01:35'), 95);
+    assert.strictEqual(Timing.parse('1:2:3:4'), 0);
+    assert.strictEqual(Timing.parse('1m30'), 0);
+});
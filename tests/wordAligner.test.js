@@ -0,0 +1,60 @@
+"use strict";
+
+// WordAligner (js/wordAligner.js): the script's word index and speech alignment against it.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const { JSDOM } = require('jsdom');
+
+function load(html) {
+    const dom = new JSDOM(`<div class="prompt">${html}</div>`, { runScripts: 'outside-only' });
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', 'wordAligner.js'), 'utf8'));
+    const prompt = dom.window.document.querySelector('.prompt');
+    const index = dom.window.WordAligner.buildIndex(prompt, {
+        selector: 'p, h1',
+        isIgnored: element => element.classList.contains('tag')
+    });
+    return { WordAligner: dom.window.WordAligner, index: index };
+}
+
+test('the index numbers words per element and skips technical tags', () => {
+    const { index } = load('<h1>Abertura</h1><p class="tag">VT ABERTURA</p><p>Boa noite <b>começa</b> agora o jornal</p>');
+    assert.deepStrictEqual(Array.from(index.tokens, t => t.norm), ['abertura', 'boa', 'noite', 'começa', 'agora', 'jornal']);
+    assert.deepStrictEqual(Array.from(index.tokens, t => t.elementIndex), [0, 2, 2, 2, 2, 2]);
+    assert.deepStrictEqual(Array.from(index.tokens, t => t.wordInElement), [0, 0, 1, 2, 3, 4]);
+    assert.strictEqual(index.wordsInElement(1), 0);
+    assert.strictEqual(index.wordsInElement(2), 5);
+});
+
+test('speech aligns on the last recognized word, despite recognition errors', () => {
+    const { WordAligner, index } = load('<p>O governo anunciou hoje um novo pacote</p><p>de medidas para a economia brasileira</p>');
+    const result = WordAligner.align(['medidas', 'para', 'economia', 'brasileiras'], index);
+    assert.strictEqual(result.elementIndex, 1);
+    assert.strictEqual(result.token.norm, 'brasileira');
+    // "a" is too short for the index.
+    assert.strictEqual(result.wordInElement, 4);
+    assert.strictEqual(result.matches, 4);
+    assert.ok(result.confidence > 0.5 && result.confidence < 1);
+});
+
+test('a repeated phrase aligns on the occurrence nearest to "near"', () => {
+    const { WordAligner, index } = load('<p>bom dia a todos</p><p>notícias do dia</p><p>bom dia a todos</p>');
+    assert.strictEqual(WordAligner.align(['bom', 'dia', 'todos'], index, { near: 0 }).elementIndex, 0);
+    assert.strictEqual(WordAligner.align(['bom', 'dia', 'todos'], index, { near: index.tokens.length - 1 }).elementIndex, 2);
+    const second = WordAligner.firstTokenOfElement(index, 1);
+    assert.strictEqual(WordAligner.align(['bom', 'dia', 'todos'], index, { from: second }).elementIndex, 2);
+});
+
+test('no alignment without a recognized word', () => {
+    const { WordAligner, index } = load('<p>previsão do tempo</p>');
+    assert.strictEqual(WordAligner.align(['futebol', 'ontem'], index), null);
+    assert.strictEqual(WordAligner.align([], index), null);
+});
+
+test('speech is tokenized with the same length filter as the index', () => {
+    const { WordAligner, index } = load('<p>Vai a Brasília e volta</p>');
+    assert.deepStrictEqual(Array.from(WordAligner.tokenize('vai a brasília e volta')), Array.from(index.tokens, t => t.norm));
+    assert.deepStrictEqual(Array.from(WordAligner.tokenize('A  B cd', { minLength: 1 })), ['a', 'b', 'cd']);
+});
@@ -0,0 +1,80 @@
+"use strict";
+
+// ZIP archives (js/zip.js): writing and reading back, and DEFLATE decoding against zlib.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const util = require('util');
+const zlib = require('zlib');
+const { JSDOM } = require('jsdom');
+const deflatedZip = require('./deflatedZip.js');
+
+const { window } = new JSDOM('', { runScripts: 'outside-only' });
+window.TextEncoder = util.TextEncoder;
+window.TextDecoder = util.TextDecoder;
+window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', 'zip.js'), 'utf8'));
+const Zip = window.Zip;
+
+// Same bytes every run.
+function noise(length) {
+    const bytes = Buffer.alloc(length);
+    let seed = 12345;
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        bytes[i] = seed >>> 24;
+    }
+    return bytes;
+}
+
+test('archives read back the names and contents they were created with', () => {
+    const image = noise(3000),
+        archive = Zip.create([
+            { name: 'manifest.json', data: '{"título": "Jornal"}' },
+            { name: 'images/1.png', data: image }
+        ]),
+        read = Zip.read(archive.buffer);
+    assert.deepStrictEqual(Array.from(read.names), ['manifest.json', 'images/1.png']);
+    assert.strictEqual(read.text('manifest.json'), '{"título": "Jornal"}');
+    assert.ok(Buffer.from(read.bytes('images/1.png')).equals(image));
+    assert.strictEqual(read.has('scripts/1.html'), false);
+    assert.throws(() => read.bytes('scripts/1.html'), /Missing scripts\/1.html/);
+    // Local header CRC, for other ZIP readers.
+    assert.strictEqual(Buffer.from(archive.buffer).readUInt32LE(14), zlib.crc32('{"título": "Jornal"}'));
+});
+
+test('deflated entries are read', () => {
+    const text = '<w:document>' + '<w:p><w:r><w:t>Boa noite</w:t></w:r></w:p>'.repeat(500) + '</w:document>',
+        read = Zip.read(deflatedZip([{ name: 'word/document.xml', data: text }, { name: 'empty', data: '' }]));
+    assert.strictEqual(read.text('word/document.xml'), text);
+    assert.strictEqual(read.text('empty'), '');
+});
+
+test('inflate decodes what zlib deflates: stored, fixed and dynamic Huffman blocks', () => {
+    const text = Buffer.from('O governo anunciou hoje um novo pacote de medidas. '.repeat(2000)),
+        samples = [
+            Buffer.from('a'),
+            Buffer.from('Boa noite.'),
+            text,
+            noise(100000),
+            Buffer.concat([noise(40000), text, noise(40000), text])
+        ];
+    samples.forEach(function (data) {
+        [0, 1, 6, 9].forEach(function (level) {
+            const compressed = zlib.deflateRawSync(data, { level: level });
+            assert.ok(Buffer.from(Zip.inflate(compressed, data.length)).equals(data), data.length + ' bytes, level ' + level);
+            // Without the size, the output grows as needed.
+            assert.ok(Buffer.from(Zip.inflate(compressed)).equals(data), data.length + ' bytes, level ' + level + ', unknown size');
+        });
+    });
+});
+
+test('inflate does not trust the declared size, and stops past its cap', () => {
+    const text = Buffer.from('Boa noite. '.repeat(1000)),
+        compressed = zlib.deflateRawSync(text);
+    // A damaged or hostile entry may declare up to 4 GB.
+    assert.ok(Buffer.from(Zip.inflate(compressed, 0xffffffff)).equals(text));
+    const bomb = zlib.deflateRawSync(Buffer.alloc(64 * 1024 * 1024 + 1), { level: 9 });
+    assert.throws(() => Zip.inflate(bomb, 0xffffffff), /too large/);
+});